@@ -0,0 +1,183 @@
+import assert from 'assert';
+import crypto from 'crypto';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { ChildProcess, execFileSync, spawn } from 'child_process';
+
+/**
+ * End-to-end check of banning and rule execution against the fake bitcoind
+ *
+ * Starts the fake node with a scenario without churn and a fresh SQLite database, then bans and unbans a
+ * peer and runs a disconnect rule through the backend's services, checking the node's state over RPC.
+ *
+ * Usage: npm run test:e2e
+ */
+
+const BACKEND_DIR = path.join(__dirname, '..');
+
+// How long the fake node may take to start listening
+const START_TIMEOUT = 30 * 1000;
+
+// Peers stay connected and nothing happens on its own, so every change comes from the checks
+const SCENARIO = {
+  name: 'e2e',
+  description: 'Fixed peers for the end-to-end checks',
+  seed: 1,
+  blockInterval: 0,
+  txRate: 0,
+  initialPeers: 5,
+  maxPeers: 5,
+  peerChurn: 0,
+  peers: [
+    { addr: '198.51.100.23:8333', subver: '/Satoshi:0.16.3/', version: 70015, inbound: true },
+    { addr: '198.51.100.24:51234', subver: '/bitcoinj:0.15.10/', inbound: true },
+    { addr: '203.0.113.77:8333', subver: '/Satoshi:27.1.0/', connection_type: 'outbound-full-relay' }
+  ]
+};
+
+/**
+ * Get a free local port
+ */
+function getFreePort(): Promise<number> {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address() as net.AddressInfo;
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start the fake node and wait until it listens
+ */
+function startFakeNode(scenarioFile: string, port: number, password: string): Promise<ChildProcess> {
+  const child = spawn(
+    process.execPath,
+    ['-r', 'ts-node/register/transpile-only', path.join(__dirname, 'index.ts'),
+      '--scenario', scenarioFile, '--port', String(port), '--user', 'e2e', '--password', password],
+    { cwd: BACKEND_DIR, stdio: ['ignore', 'pipe', 'inherit'] }
+  );
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('Fake bitcoind did not start in time')), START_TIMEOUT);
+
+    child.stdout.on('data', chunk => {
+      if (String(chunk).includes('Fake bitcoind listening')) {
+        clearTimeout(timer);
+        resolve(child);
+      }
+    });
+    child.once('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`Fake bitcoind exited with code ${code}`));
+    });
+  });
+}
+
+/**
+ * Ban a connected peer, check that the node lists the ban and dropped the peer, then unban it
+ */
+async function checkBan(bitcoinService, banService) {
+  const peers = await bitcoinService.getPeers({}, {}, false, false);
+  assert.strictEqual(peers.source, 'rpc', `Peers came from ${peers.source}: ${peers.sourceError}`);
+
+  const peer = peers.data.find(candidate => candidate.addr === '198.51.100.24:51234');
+  assert.ok(peer, 'The scenario peer 198.51.100.24 is connected');
+
+  const banned = await banService.banPeer('198.51.100.24', 3600, undefined, { source: 'user', username: 'e2e', reason: 'End-to-end test' });
+  assert.ok(banned.success, `Ban failed: ${banned.message}`);
+
+  const bans = await banService.getBans();
+  const ban = bans.data.find(entry => entry.address === '198.51.100.24/32');
+  assert.ok(ban, 'listbanned has the ban');
+  assert.strictEqual(ban.record?.username, 'e2e', 'The ban is recorded with who banned it');
+
+  const remaining = await bitcoinService.getPeers({}, {}, false, false);
+  assert.ok(!remaining.data.some(candidate => candidate.addr === peer.addr), 'The banned peer is disconnected');
+
+  const unbanned = await banService.unbanPeer('198.51.100.24', undefined, 'e2e');
+  assert.ok(unbanned.success, `Unban failed: ${unbanned.message}`);
+
+  const afterUnban = await bitcoinService.getBannedPeers();
+  assert.ok(!afterUnban.data.some(entry => entry.address === '198.51.100.24/32'), 'listbanned no longer has the ban');
+
+  console.log('Ban and unban: OK');
+}
+
+/**
+ * Run a rule that disconnects old Satoshi clients and check the node dropped them
+ */
+async function checkRule(bitcoinService, ruleService) {
+  const rule = await ruleService.createRule({
+    name: 'Disconnect old clients',
+    conditions: JSON.stringify({ any: [{ subver: { startsWith: '/Satoshi:0.' } }, { subver: { contains: 'bitcoinj', ignoreCase: true } }] }),
+    actions: JSON.stringify({ action: 'disconnect' }),
+    isActive: true
+  });
+
+  const result = await ruleService.executeRule(rule.id);
+  assert.ok(result.success, `Rule failed: ${result.message}`);
+  assert.ok(result.matchedPeers >= 1, 'The rule matched the old client');
+  assert.strictEqual(result.actionsExecuted, result.matchedPeers, 'Every matched peer was disconnected');
+
+  const peers = await bitcoinService.getPeers({}, {}, false, false);
+  assert.ok(!peers.data.some(peer => peer.addr === '198.51.100.23:8333'), 'The old client is disconnected');
+
+  console.log('Rule execution: OK');
+}
+
+async function main() {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'btcnman-e2e-'));
+  const port = await getFreePort();
+  const password = crypto.randomBytes(16).toString('hex');
+
+  // The services read these when they are loaded
+  Object.assign(process.env, {
+    DATABASE_URL: `file:${path.join(tempDir, 'e2e.db')}`,
+    BITCOIN_RPC_HOST: '127.0.0.1',
+    BITCOIN_RPC_PORT: String(port),
+    BITCOIN_RPC_USER: 'e2e',
+    BITCOIN_RPC_PASSWORD: password,
+    BITCOIN_NETWORK: 'mainnet',
+    USE_MOCK: 'false',
+    ALLOW_MOCK_FALLBACK: 'false'
+  });
+  delete process.env.BITCOIN_RPC_COOKIE_FILE;
+  delete process.env.BAN_EVENT_LOG;
+  delete process.env.FIREWALL_RULES_PATH;
+
+  let fakeNode: ChildProcess | null = null;
+  try {
+    execFileSync('npx', ['prisma', 'migrate', 'deploy'], { cwd: BACKEND_DIR, env: process.env, stdio: 'inherit' });
+
+    const scenarioFile = path.join(tempDir, 'scenario.json');
+    fs.writeFileSync(scenarioFile, JSON.stringify(SCENARIO));
+    fakeNode = await startFakeNode(scenarioFile, port, password);
+
+    const bitcoinService = await import('../src/services/bitcoin.service');
+    const banService = await import('../src/services/ban.service');
+    const ruleService = await import('../src/services/rule.service');
+
+    await checkBan(bitcoinService, banService);
+    await checkRule(bitcoinService, ruleService);
+  } finally {
+    if (fakeNode) {
+      fakeNode.kill('SIGTERM');
+    }
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+main()
+  .then(() => {
+    console.log('End-to-end checks passed');
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error('End-to-end checks failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,249 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { createFakeNode, NodeEvent, RpcError, Scenario } from './node';
+
+/**
+ * Fake bitcoind for development and tests
+ *
+ * Serves the JSON-RPC methods btcnman uses from simulated, stateful node data:
+ * blocks keep arriving, peers connect and leave, and bans last until they expire.
+ *
+ * Usage: npm run fake-bitcoind -- [--scenario <name or file>] [--port 18443] [--host 127.0.0.1]
+ *                                 [--user <user> --password <password>] [--cookie-file <path>]
+ *                                 [--zmq tcp://127.0.0.1:28332]
+ */
+
+/**
+ * Parse --name value command line options
+ */
+function parseArgs(argv: string[]) {
+  const options: { [name: string]: string } = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Load a scenario by name (from the scenarios directory) or by path
+ */
+function loadScenario(nameOrPath: string): Scenario {
+  const file = fs.existsSync(nameOrPath)
+    ? nameOrPath
+    : path.join(__dirname, 'scenarios', `${nameOrPath}.json`);
+
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Write a new cookie file, the way bitcoind does on every start
+ * @returns The cookie password
+ */
+function writeCookie(cookieFile: string): string {
+  const password = crypto.randomBytes(32).toString('hex');
+  fs.writeFileSync(cookieFile, `__cookie__:${password}`, { mode: 0o600 });
+  return password;
+}
+
+const options = parseArgs(process.argv.slice(2));
+const port = Number(options.port || process.env.FAKE_BITCOIND_PORT || 18443);
+const host = options.host || process.env.FAKE_BITCOIND_HOST || '127.0.0.1';
+const user = options.user || process.env.FAKE_BITCOIND_USER;
+const password = options.password || process.env.FAKE_BITCOIND_PASSWORD;
+
+// Without a password, authenticate with a cookie file like bitcoind does
+const cookieFile = options['cookie-file'] || process.env.FAKE_BITCOIND_COOKIE_FILE || (password ? null : path.join(__dirname, '.cookie'));
+
+const scenario = loadScenario(options.scenario || process.env.FAKE_BITCOIND_SCENARIO || 'default');
+const node = createFakeNode(scenario);
+let cookiePassword = cookieFile ? writeCookie(cookieFile) : null;
+
+// bitcoind writes a new cookie on every restart
+node.onRestart(() => {
+  if (cookieFile) {
+    cookiePassword = writeCookie(cookieFile);
+    console.log(`Node restarted, wrote new cookie to ${cookieFile}`);
+  }
+});
+
+/**
+ * Publish hashblock, rawtx and sequence notifications on a ZMQ endpoint, like bitcoind's zmqpub* options
+ */
+async function startZmqPublisher(endpoint: string) {
+  const zmq = await import('zeromq');
+  const publisher = new zmq.Publisher();
+  await publisher.bind(endpoint);
+
+  // bitcoind numbers the messages of each topic, so subscribers can detect dropped ones
+  const sequences: { [topic: string]: number } = {};
+  let sending = Promise.resolve();
+
+  const publish = (topic: string, body: Buffer) => {
+    const sequence = Buffer.alloc(4);
+    sequence.writeUInt32LE(sequences[topic] || 0);
+    sequences[topic] = ((sequences[topic] || 0) + 1) >>> 0;
+
+    // Sends must not overlap
+    sending = sending
+      .then(() => publisher.send([topic, body, sequence]))
+      .catch(error => console.error(`Error publishing ZMQ ${topic}:`, error));
+  };
+
+  node.onEvent((event: NodeEvent) => {
+    if (event.type === 'block') {
+      publish('hashblock', Buffer.from(event.hash, 'hex'));
+      for (const tx of event.txs) {
+        if (tx.hex) publish('rawtx', Buffer.from(tx.hex, 'hex'));
+      }
+      publish('sequence', Buffer.concat([Buffer.from(event.hash, 'hex'), Buffer.from('C')]));
+      return;
+    }
+
+    const mempoolSequence = Buffer.alloc(8);
+    mempoolSequence.writeBigUInt64LE(BigInt(event.mempoolSequence));
+    publish('rawtx', Buffer.from(event.tx.hex, 'hex'));
+    publish('sequence', Buffer.concat([Buffer.from(event.tx.txid, 'hex'), Buffer.from('A'), mempoolSequence]));
+  });
+
+  console.log(`Publishing ZMQ hashblock, rawtx and sequence on ${endpoint}`);
+}
+
+/**
+ * Check the request's basic auth against the configured password and the cookie
+ */
+function isAuthorized(req: http.IncomingMessage): boolean {
+  const header = req.headers.authorization || '';
+  if (!header.startsWith('Basic ')) {
+    return false;
+  }
+
+  const credentials = Buffer.from(header.slice(6), 'base64').toString();
+  const separator = credentials.indexOf(':');
+  const requestUser = credentials.slice(0, separator);
+  const requestPassword = credentials.slice(separator + 1);
+
+  if (password && requestUser === (user || '') && requestPassword === password) {
+    return true;
+  }
+
+  return !!cookiePassword && requestUser === '__cookie__' && requestPassword === cookiePassword;
+}
+
+/**
+ * Run a single JSON-RPC request
+ * @returns The response, and whether the call failed
+ */
+function handleRequest(request: any) {
+  const id = request?.id ?? null;
+
+  try {
+    const result = node.call(request.method, request.params || []);
+    return { failed: false, response: { result: result === undefined ? null : result, error: null, id } };
+  } catch (error) {
+    if (error instanceof Error) {
+      console.error(`Error handling ${request.method}:`, error);
+      return { failed: true, response: { result: null, error: { code: -1, message: error.message }, id } };
+    }
+
+    return { failed: true, response: { result: null, error: error as RpcError, id } };
+  }
+}
+
+const server = http.createServer((req, res) => {
+  const outage = node.getOutage();
+
+  if (outage === 'refuse') {
+    req.socket.destroy();
+    return;
+  }
+  if (outage === 'hang') {
+    // Never answer, so the client runs into its timeout
+    return;
+  }
+
+  if (!isAuthorized(req)) {
+    res.writeHead(401, { 'WWW-Authenticate': 'Basic realm="jsonrpc"' });
+    res.end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    res.writeHead(405);
+    res.end('JSONRPC server handles only POST requests');
+    return;
+  }
+
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+  });
+
+  req.on('end', () => {
+    let payload: any;
+
+    try {
+      payload = JSON.parse(body);
+    } catch (error) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ result: null, error: { code: -32700, message: 'Parse error' }, id: null }));
+      return;
+    }
+
+    // Batches always succeed at the HTTP level, each item carries its own error
+    if (Array.isArray(payload)) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload.map(request => handleRequest(request).response)));
+      return;
+    }
+
+    // Like bitcoind, a failed single call is an HTTP error with the JSON-RPC error in the body
+    const { failed, response } = handleRequest(payload);
+    const status = !failed ? 200 : response.error.code === -32601 ? 404 : 500;
+
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(response));
+  });
+});
+
+const stop = node.start();
+
+const zmqEndpoint = options.zmq || process.env.FAKE_BITCOIND_ZMQ;
+if (zmqEndpoint) {
+  startZmqPublisher(zmqEndpoint).catch(error => {
+    console.error(`Error starting ZMQ publisher on ${zmqEndpoint}:`, error);
+    process.exit(1);
+  });
+}
+
+server.listen(port, host, () => {
+  console.log(`Fake bitcoind listening on http://${host}:${port}/`);
+  console.log(`Scenario: ${scenario.name || options.scenario || 'default'}${scenario.description ? ` - ${scenario.description}` : ''}`);
+  if (password) {
+    console.log(`RPC user: ${user || '(empty)'}`);
+  }
+  if (cookieFile) {
+    console.log(`Cookie file: ${cookieFile}`);
+  }
+});
+
+const shutdown = () => {
+  console.log('Shutting down fake bitcoind');
+  stop();
+  server.close();
+
+  if (cookieFile && fs.existsSync(cookieFile)) {
+    fs.unlinkSync(cookieFile);
+  }
+
+  process.exit(0);
+};
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
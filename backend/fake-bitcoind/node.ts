@@ -0,0 +1,1070 @@
+import crypto from 'crypto';
+import net from 'net';
+
+/**
+ * A peer in a scenario; anything left out is generated
+ */
+export interface ScenarioPeer {
+  addr?: string;
+  subver?: string;
+  version?: number;
+  inbound?: boolean;
+  connection_type?: string;
+  services?: string;
+  pingtime?: number;
+  [key: string]: any;
+}
+
+/**
+ * A scripted event, run `at` seconds after start and then every `every` seconds if given
+ */
+export interface ScenarioEvent {
+  at: number;
+  every?: number;
+  type: 'connect' | 'disconnect' | 'mine' | 'tx' | 'ban' | 'unban' | 'outage' | 'restart';
+  peer?: ScenarioPeer;
+  addr?: string;
+  count?: number;
+  address?: string;
+  bantime?: number;
+  duration?: number;
+  mode?: 'refuse' | 'hang';
+}
+
+/**
+ * Scenario loaded from a JSON file
+ */
+export interface Scenario {
+  name?: string;
+  description?: string;
+  seed?: number;
+  chain?: string;
+  startHeight?: number;
+  blockInterval?: number; // Seconds between blocks, 0 to only mine through events
+  txRate?: number; // Transactions entering the mempool per second
+  initialPeers?: number; // Peers connected at start, including the ones listed in peers
+  maxPeers?: number;
+  peerChurn?: number; // Chance per second that a random peer leaves and a new one connects
+  uploadTarget?: number; // Bytes that may be sent per day, like -maxuploadtarget; 0 for no target
+  knownAddresses?: number; // Addresses in the address manager at start, as returned by getnodeaddresses
+  peers?: ScenarioPeer[];
+  bans?: { address: string; bantime?: number }[];
+  events?: ScenarioEvent[];
+}
+
+/**
+ * A change that bitcoind announces over ZMQ
+ */
+export type NodeEvent =
+  | { type: 'block'; hash: string; txs: any[] }
+  | { type: 'tx'; tx: any; mempoolSequence: number };
+
+/**
+ * Error returned to the client as a JSON-RPC error
+ */
+export interface RpcError {
+  code: number;
+  message: string;
+}
+
+// Error codes used by bitcoind
+const RPC_MISC_ERROR = -1;
+const RPC_INVALID_PARAMETER = -8;
+const RPC_INVALID_ADDRESS_OR_KEY = -5;
+const RPC_METHOD_NOT_FOUND = -32601;
+const RPC_CLIENT_NODE_ALREADY_ADDED = -23;
+const RPC_CLIENT_NODE_NOT_ADDED = -24;
+const RPC_CLIENT_NODE_NOT_CONNECTED = -29;
+const RPC_CLIENT_INVALID_IP_OR_SUBNET = -30;
+
+const SUBVERSIONS = [
+  '/Satoshi:28.1.0/',
+  '/Satoshi:28.0.0/',
+  '/Satoshi:27.1.0/',
+  '/Satoshi:26.0.0/',
+  '/Satoshi:25.0.0/',
+  '/Satoshi:0.21.1/',
+  '/Knots:20250305/',
+  '/btcd:0.24.2/'
+];
+
+// How often bitcoind retries added nodes that aren't connected, in seconds
+const ADDED_NODE_RETRY_INTERVAL = 60;
+
+const MESSAGE_TYPES = ['addrv2', 'block', 'cmpctblock', 'feefilter', 'getdata', 'headers', 'inv', 'ping', 'pong', 'sendcmpct', 'tx', 'verack', 'version'];
+
+/**
+ * Throw an error that is returned to the client as a JSON-RPC error
+ */
+function rpcError(code: number, message: string): never {
+  throw { code, message } as RpcError;
+}
+
+/**
+ * Seeded random number generator (mulberry32), so scenarios play out the same way every time
+ */
+function createRandom(seed: number) {
+  let state = seed >>> 0;
+
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    next,
+    int: (min: number, max: number) => min + Math.floor(next() * (max - min + 1)),
+    pick: <T>(items: T[]): T => items[Math.floor(next() * items.length)],
+    hex: (bytes: number) => Array.from({ length: bytes }, () => Math.floor(next() * 256).toString(16).padStart(2, '0')).join('')
+  };
+}
+
+/**
+ * Split a peer address into host and port, handling [IPv6]:port
+ */
+function splitAddress(addr: string) {
+  const bracketed = addr.match(/^\[(.+)\]:(\d+)$/);
+  if (bracketed) {
+    return { host: bracketed[1], port: Number(bracketed[2]) };
+  }
+
+  const separator = addr.lastIndexOf(':');
+  if (separator !== -1 && addr.indexOf(':') === separator) {
+    return { host: addr.slice(0, separator), port: Number(addr.slice(separator + 1)) };
+  }
+
+  return { host: addr, port: 8333 };
+}
+
+/**
+ * Get the network of a host as reported by getpeerinfo
+ */
+function networkOf(host: string): string {
+  if (host.endsWith('.onion')) return 'onion';
+  if (host.endsWith('.i2p')) return 'i2p';
+  // CJDNS is fc00::/8: a first group of four digits starting with fc, unlike fc::1
+  if (net.isIPv6(host)) return /^fc[0-9a-f]{2}:/i.test(host) ? 'cjdns' : 'ipv6';
+  return 'ipv4';
+}
+
+/**
+ * Normalize a setban argument to the subnet form listbanned reports, e.g. 1.2.3.4 -> 1.2.3.4/32
+ */
+function normalizeSubnet(address: string): string {
+  const [host, prefix] = address.split('/');
+  const version = net.isIP(host);
+
+  if (!version) {
+    rpcError(RPC_CLIENT_INVALID_IP_OR_SUBNET, 'Error: Invalid IP/Subnet');
+  }
+
+  const maxPrefix = version === 4 ? 32 : 128;
+  const bits = prefix === undefined ? maxPrefix : Number(prefix);
+  if (!Number.isInteger(bits) || bits < 0 || bits > maxPrefix) {
+    rpcError(RPC_CLIENT_INVALID_IP_OR_SUBNET, 'Error: Invalid IP/Subnet');
+  }
+
+  return `${host}/${bits}`;
+}
+
+/**
+ * Convert an IP address to a bigint so subnets can be matched
+ */
+function ipToBigInt(ip: string): bigint | null {
+  if (net.isIPv4(ip)) {
+    return ip.split('.').reduce((value, part) => (value << BigInt(8)) + BigInt(Number(part)), BigInt(0));
+  }
+
+  if (net.isIPv6(ip)) {
+    const [head, tail] = ip.split('::');
+    const headParts = head ? head.split(':') : [];
+    const tailParts = tail !== undefined && tail ? tail.split(':') : [];
+    const missing = 8 - headParts.length - tailParts.length;
+    const parts = [...headParts, ...Array(tail !== undefined ? missing : 0).fill('0'), ...tailParts];
+    return parts.reduce((value, part) => (value << BigInt(16)) + BigInt(parseInt(part || '0', 16)), BigInt(0));
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a host falls inside a banned subnet
+ */
+function subnetContains(subnet: string, host: string): boolean {
+  const [base, prefix] = subnet.split('/');
+  const bits = BigInt(Number(prefix));
+  const width = BigInt(net.isIPv4(base) ? 32 : 128);
+
+  if (net.isIP(host) !== net.isIP(base)) {
+    return false;
+  }
+
+  const shift = width - bits;
+  return (ipToBigInt(host) >> shift) === (ipToBigInt(base) >> shift);
+}
+
+/**
+ * Create a fake bitcoind node that plays out a scenario
+ * @param scenario The scenario to play
+ * @returns The node, with a handler for each supported RPC method
+ */
+export function createFakeNode(scenario: Scenario) {
+  const random = createRandom(scenario.seed ?? 1);
+  const chain = scenario.chain || 'main';
+  const blockInterval = scenario.blockInterval ?? 60;
+  const txRate = scenario.txRate ?? 2;
+  const maxPeers = scenario.maxPeers ?? 12;
+  const peerChurn = scenario.peerChurn ?? 0.02;
+  const startHeight = scenario.startHeight ?? 850000;
+  const uploadTarget = scenario.uploadTarget ?? 0;
+  const uploadTimeframe = 86400;
+
+  let startedAt = Date.now();
+  let nextPeerId = 0;
+  let totalBytesSent = 0;
+  let totalBytesRecv = 0;
+  let uploadCycle = 0;
+  let uploadCycleStartSent = 0;
+  let outageUntil = 0;
+  let outageMode: 'refuse' | 'hang' = 'refuse';
+  let mempoolSequence = 0;
+
+  // Listeners for new blocks and transactions, e.g. the ZMQ publisher
+  const listeners: ((event: NodeEvent) => void)[] = [];
+  const notify = (event: NodeEvent) => listeners.forEach(listener => listener(event));
+
+  const peers: any[] = [];
+  const bans: { [subnet: string]: { ban_created: number; banned_until: number } } = {};
+  const addedNodes: string[] = [];
+  const addrman = new Map<string, { time: number; services: number; address: string; port: number; network: string }>();
+  const mempool = new Map<string, any>();
+
+  // Blocks mined since start; older blocks are generated from their height when requested
+  const blocks = new Map<number, any>();
+  const heightByHash = new Map<string, number>();
+  const txLocations = new Map<string, number>();
+  let tipHeight = startHeight;
+
+  const now = () => Math.floor(Date.now() / 1000);
+
+  /**
+   * Get the hash of the block at a height
+   */
+  const hashForHeight = (height: number): string => {
+    const mined = blocks.get(height);
+    if (mined) {
+      return mined.hash;
+    }
+
+    const hash = '00000000000000000000' + crypto.createHash('sha256').update(`block-${scenario.seed ?? 1}-${height}`).digest('hex').slice(20);
+    heightByHash.set(hash, height);
+    return hash;
+  };
+
+  /**
+   * Create a transaction with a valid legacy serialization, so its txid matches its hex
+   */
+  const createTransaction = () => {
+    const prevTxid = random.hex(32);
+    const vout = random.int(0, 3);
+    const outputs = [
+      { value: random.int(1000, 50000000), script: '0014' + random.hex(20), type: 'witness_v0_keyhash', address: `bc1q${random.hex(19)}` },
+      { value: random.int(1000, 50000000), script: '5120' + random.hex(32), type: 'witness_v1_taproot', address: `bc1p${random.hex(29)}` }
+    ];
+
+    const uint32 = (value: number) => {
+      const buffer = Buffer.alloc(4);
+      buffer.writeUInt32LE(value);
+      return buffer.toString('hex');
+    };
+    const uint64 = (value: number) => {
+      const buffer = Buffer.alloc(8);
+      buffer.writeBigUInt64LE(BigInt(value));
+      return buffer.toString('hex');
+    };
+
+    const hex = uint32(2) +
+      '01' + Buffer.from(prevTxid, 'hex').reverse().toString('hex') + uint32(vout) + '00' + uint32(4294967293) +
+      '02' + outputs.map(output => uint64(output.value) + (output.script.length / 2).toString(16).padStart(2, '0') + output.script).join('') +
+      uint32(0);
+
+    const doubleSha = crypto.createHash('sha256').update(crypto.createHash('sha256').update(Buffer.from(hex, 'hex')).digest()).digest();
+    const txid = Buffer.from(doubleSha).reverse().toString('hex');
+    const size = hex.length / 2;
+
+    return {
+      txid,
+      hash: txid,
+      version: 2,
+      size,
+      vsize: size,
+      weight: size * 4,
+      locktime: 0,
+      vin: [{ txid: prevTxid, vout, scriptSig: { asm: '', hex: '' }, sequence: 4294967293 }],
+      vout: outputs.map((output, n) => ({
+        value: output.value / 1e8,
+        n,
+        scriptPubKey: { asm: '', hex: output.script, type: output.type, address: output.address }
+      })),
+      fee: random.int(size, size * 40) / 1e8,
+      hex,
+      time: now()
+    };
+  };
+
+  /**
+   * Add a transaction to the mempool
+   */
+  const addToMempool = (tx: any) => {
+    mempool.set(tx.txid, tx);
+    mempoolSequence++;
+    notify({ type: 'tx', tx, mempoolSequence });
+  };
+
+  /**
+   * Build the block at a height that was not mined since start
+   */
+  const historicBlock = (height: number) => {
+    const hash = hashForHeight(height);
+    const coinbase = {
+      txid: crypto.createHash('sha256').update(`coinbase-${hash}`).digest('hex'),
+      version: 2,
+      size: 250,
+      vsize: 223,
+      weight: 892,
+      locktime: 0,
+      vin: [{ coinbase: height.toString(16), sequence: 4294967295 }],
+      vout: [{ value: 3.125, n: 0, scriptPubKey: { asm: '', hex: '', type: 'witness_v0_keyhash' } }]
+    };
+
+    return {
+      hash,
+      height,
+      time: Math.floor(startedAt / 1000) - (startHeight - height) * 600,
+      tx: [coinbase]
+    };
+  };
+
+  /**
+   * Get a block in getblock format
+   */
+  const blockAt = (height: number, verbosity: number) => {
+    const block = blocks.get(height) || historicBlock(height);
+    const size = block.tx.reduce((sum: number, tx: any) => sum + tx.size, 80);
+    const weight = block.tx.reduce((sum: number, tx: any) => sum + tx.weight, 320);
+
+    const result: any = {
+      hash: block.hash,
+      confirmations: tipHeight - height + 1,
+      height,
+      version: 536870912,
+      versionHex: '20000000',
+      merkleroot: crypto.createHash('sha256').update(`merkle-${block.hash}`).digest('hex'),
+      time: block.time,
+      mediantime: block.time - 1800,
+      nonce: height * 7919 % 4294967296,
+      bits: '17034219',
+      difficulty: 110568428300952.7,
+      chainwork: height.toString(16).padStart(64, '0'),
+      nTx: block.tx.length,
+      strippedsize: Math.floor(size * 0.7),
+      size,
+      weight,
+      tx: verbosity >= 2 ? block.tx : block.tx.map((tx: any) => tx.txid)
+    };
+
+    if (height > 0) {
+      result.previousblockhash = hashForHeight(height - 1);
+    }
+    if (height < tipHeight) {
+      result.nextblockhash = hashForHeight(height + 1);
+    }
+
+    return result;
+  };
+
+  /**
+   * Mine a block containing the current mempool
+   */
+  const mineBlock = () => {
+    tipHeight++;
+    const txs = [historicBlock(tipHeight).tx[0], ...mempool.values()];
+    const hash = '00000000000000000000' + random.hex(22);
+
+    blocks.set(tipHeight, { hash, height: tipHeight, time: now(), tx: txs });
+    heightByHash.set(hash, tipHeight);
+    for (const tx of txs) {
+      txLocations.set(tx.txid, tipHeight);
+    }
+    mempool.clear();
+
+    console.log(`Mined block ${tipHeight} with ${txs.length} transactions`);
+    notify({ type: 'block', hash, txs });
+  };
+
+  /**
+   * Generate a random peer address on one of the supported networks
+   */
+  const randomAddress = () => {
+    const roll = random.next();
+
+    if (roll < 0.7) {
+      return `${random.int(1, 223)}.${random.int(0, 255)}.${random.int(0, 255)}.${random.int(1, 254)}:${random.pick([8333, 8333, 8333, random.int(1024, 65535)])}`;
+    }
+    if (roll < 0.85) {
+      return `[2a01:${random.hex(2)}:${random.hex(2)}::${random.hex(2)}]:8333`;
+    }
+    if (roll < 0.95) {
+      const base32 = 'abcdefghijklmnopqrstuvwxyz234567';
+      return `${Array.from({ length: 56 }, () => random.pick(base32.split(''))).join('')}.onion:8333`;
+    }
+    return `${random.hex(26).slice(0, 52)}.b32.i2p:0`;
+  };
+
+  /**
+   * Check whether an address is covered by a ban
+   */
+  const isBanned = (addr: string) => {
+    const { host } = splitAddress(addr);
+    return Object.keys(bans).some(subnet => net.isIP(host) && subnetContains(subnet, host));
+  };
+
+  /**
+   * Add an address to the address manager, or mark it as seen now
+   */
+  const learnAddress = (addr: string, time = now()) => {
+    const { host, port } = splitAddress(addr);
+    addrman.set(`${host}|${port}`, { time, services: 3081, address: host, port, network: networkOf(host) });
+  };
+
+  /**
+   * Connect a peer, generating whatever the scenario leaves out
+   */
+  const connectPeer = (overrides: ScenarioPeer = {}) => {
+    const addr = overrides.addr || randomAddress();
+
+    if (isBanned(addr)) {
+      console.log(`Refusing connection from banned peer ${addr}`);
+      return null;
+    }
+
+    const { host } = splitAddress(addr);
+    const network = networkOf(host);
+    const inbound = overrides.inbound ?? (overrides.connection_type ? overrides.connection_type === 'inbound' : random.next() < 0.6);
+    const connectionType = overrides.connection_type || (inbound ? 'inbound' : random.pick(['outbound-full-relay', 'outbound-full-relay', 'block-relay-only']));
+    const pingtime = overrides.pingtime ?? random.int(10, 400) / 1000;
+    const conntime = now();
+
+    const peer = {
+      id: nextPeerId++,
+      addr,
+      addrbind: inbound ? '192.168.1.10:8333' : `192.168.1.10:${random.int(40000, 60000)}`,
+      network,
+      services: '0000000000000c09',
+      servicesnames: ['NETWORK', 'WITNESS', 'NETWORK_LIMITED', 'P2P_V2'],
+      relaytxes: connectionType !== 'block-relay-only',
+      lastsend: conntime,
+      lastrecv: conntime,
+      last_transaction: 0,
+      last_block: 0,
+      bytessent: 0,
+      bytesrecv: 0,
+      conntime,
+      timeoffset: random.int(-2, 2),
+      pingtime,
+      minping: pingtime,
+      version: 70016,
+      subver: random.pick(SUBVERSIONS),
+      inbound,
+      bip152_hb_to: false,
+      bip152_hb_from: false,
+      startingheight: tipHeight,
+      presynced_headers: -1,
+      synced_headers: tipHeight,
+      synced_blocks: tipHeight,
+      inflight: [],
+      addr_relay_enabled: connectionType !== 'block-relay-only',
+      addr_processed: 0,
+      addr_rate_limited: 0,
+      permissions: [],
+      minfeefilter: 0.00001,
+      bytessent_per_msg: {} as { [message: string]: number },
+      bytesrecv_per_msg: {} as { [message: string]: number },
+      connection_type: connectionType,
+      transport_protocol_type: random.next() < 0.5 ? 'v2' : 'v1',
+      session_id: '',
+      ...overrides
+    };
+
+    peers.push(peer);
+    if (!inbound) {
+      learnAddress(addr);
+    }
+    console.log(`Peer ${peer.id} connected: ${peer.addr} ${peer.subver} (${peer.connection_type})`);
+    return peer;
+  };
+
+  /**
+   * Disconnect a peer
+   */
+  const removePeer = (peer: any, reason: string) => {
+    peers.splice(peers.indexOf(peer), 1);
+    console.log(`Peer ${peer.id} disconnected: ${peer.addr} (${reason})`);
+  };
+
+  /**
+   * Count traffic for a message sent to or received from a peer
+   */
+  const countTraffic = (peer: any, direction: 'sent' | 'recv', message: string, bytes: number) => {
+    const perMessage = direction === 'sent' ? peer.bytessent_per_msg : peer.bytesrecv_per_msg;
+    perMessage[message] = (perMessage[message] || 0) + bytes;
+
+    if (direction === 'sent') {
+      peer.bytessent += bytes;
+      peer.lastsend = now();
+      totalBytesSent += bytes;
+    } else {
+      peer.bytesrecv += bytes;
+      peer.lastrecv = now();
+      totalBytesRecv += bytes;
+    }
+  };
+
+  /**
+   * Add a ban, disconnecting every peer it covers
+   */
+  const addBan = (address: string, bantime: number, absolute = false) => {
+    const subnet = normalizeSubnet(address);
+
+    if (bans[subnet]) {
+      rpcError(RPC_CLIENT_NODE_ALREADY_ADDED, 'Error: IP/Subnet already banned');
+    }
+
+    bans[subnet] = {
+      ban_created: now(),
+      banned_until: absolute ? bantime : now() + bantime
+    };
+
+    for (const peer of [...peers]) {
+      const { host } = splitAddress(peer.addr);
+      if (net.isIP(host) && subnetContains(subnet, host)) {
+        removePeer(peer, `banned by ${subnet}`);
+      }
+    }
+
+    console.log(`Banned ${subnet}`);
+  };
+
+  /**
+   * Advance the simulation by one second
+   */
+  const tick = () => {
+    const seconds = Math.floor((Date.now() - startedAt) / 1000);
+
+    // Expire bans
+    for (const [subnet, ban] of Object.entries(bans)) {
+      if (ban.banned_until <= now()) {
+        delete bans[subnet];
+        console.log(`Ban on ${subnet} expired`);
+      }
+    }
+
+    // Transactions arrive and are relayed
+    const arriving = Math.floor(txRate) + (random.next() < txRate % 1 ? 1 : 0);
+    for (let i = 0; i < arriving; i++) {
+      const tx = createTransaction();
+      addToMempool(tx);
+
+      const relayers = peers.filter(peer => peer.relaytxes);
+      if (relayers.length > 0) {
+        const from = random.pick(relayers);
+        countTraffic(from, 'recv', 'tx', tx.size + 24);
+        from.last_transaction = now();
+        for (const peer of relayers) {
+          if (peer !== from) countTraffic(peer, 'sent', 'inv', 61);
+        }
+      }
+    }
+
+    // Blocks arrive
+    if (blockInterval > 0 && seconds > 0 && seconds % blockInterval === 0) {
+      mineBlock();
+      for (const peer of peers) {
+        countTraffic(peer, 'recv', 'cmpctblock', random.int(10000, 20000));
+        peer.last_block = now();
+        peer.synced_headers = tipHeight;
+        peer.synced_blocks = tipHeight;
+      }
+    }
+
+    // Keep-alive traffic and ping
+    for (const peer of peers) {
+      countTraffic(peer, 'sent', random.pick(MESSAGE_TYPES), random.int(32, 400));
+      countTraffic(peer, 'recv', random.pick(MESSAGE_TYPES), random.int(32, 400));
+      peer.pingtime = Math.max(0.001, peer.pingtime * (0.9 + random.next() * 0.2));
+      peer.minping = Math.min(peer.minping, peer.pingtime);
+    }
+
+    // Like bitcoind, retry added nodes that aren't connected
+    if (seconds % ADDED_NODE_RETRY_INTERVAL === 0) {
+      addedNodes.forEach(connectAddedNode);
+    }
+
+    // Peers come and go
+    if (peers.length > 0 && random.next() < peerChurn) {
+      removePeer(random.pick(peers), 'churn');
+    }
+    if (peers.length < maxPeers && random.next() < peerChurn * 2) {
+      connectPeer();
+    }
+  };
+
+  /**
+   * Run a scripted event
+   */
+  const runEvent = (event: ScenarioEvent) => {
+    console.log(`Running scenario event: ${event.type}`);
+
+    switch (event.type) {
+      case 'connect':
+        connectPeer(event.peer);
+        break;
+
+      case 'disconnect': {
+        const peer = peers.find(p => p.addr === event.addr);
+        if (peer) removePeer(peer, 'scenario');
+        break;
+      }
+
+      case 'mine':
+        for (let i = 0; i < (event.count || 1); i++) mineBlock();
+        break;
+
+      case 'tx':
+        for (let i = 0; i < (event.count || 1); i++) {
+          addToMempool(createTransaction());
+        }
+        break;
+
+      case 'ban':
+        try {
+          addBan(event.address, event.bantime ?? 86400);
+        } catch (error) {
+          console.log(`Scenario ban failed: ${error.message}`);
+        }
+        break;
+
+      case 'unban':
+        delete bans[normalizeSubnet(event.address)];
+        break;
+
+      case 'outage':
+        outageUntil = Date.now() + (event.duration ?? 60) * 1000;
+        outageMode = event.mode || 'refuse';
+        console.log(`Simulating ${outageMode} outage for ${event.duration ?? 60} seconds`);
+        break;
+
+      case 'restart':
+        restart();
+        break;
+    }
+  };
+
+  const restartHandlers: (() => void)[] = [];
+
+  /**
+   * Simulate a bitcoind restart: every peer disconnects and the uptime resets
+   */
+  const restart = () => {
+    for (const peer of [...peers]) {
+      removePeer(peer, 'restart');
+    }
+    startedAt = Date.now();
+    totalBytesSent = 0;
+    totalBytesRecv = 0;
+    uploadCycle = 0;
+    uploadCycleStartSent = 0;
+    mempool.clear();
+
+    // Nodes added through the addnode RPC are forgotten
+    addedNodes.length = 0;
+
+    for (let i = 0; i < Math.min(scenario.initialPeers ?? 8, maxPeers); i++) {
+      connectPeer();
+    }
+
+    restartHandlers.forEach(handler => handler());
+  };
+
+  // Initial state
+  for (const peer of scenario.peers || []) {
+    connectPeer(peer);
+  }
+  while (peers.length < Math.min(scenario.initialPeers ?? 8, maxPeers)) {
+    connectPeer();
+  }
+  for (const ban of scenario.bans || []) {
+    addBan(ban.address, ban.bantime ?? 86400);
+  }
+  // Addresses heard about over the last month
+  for (let i = 0; i < (scenario.knownAddresses ?? 1000); i++) {
+    learnAddress(randomAddress(), now() - random.int(0, 30 * 86400));
+  }
+  for (let i = 0; i < txRate * 30; i++) {
+    const tx = createTransaction();
+    mempool.set(tx.txid, tx);
+  }
+
+  /**
+   * Open a manual connection to an added node, unless it's already connected
+   */
+  const connectAddedNode = (addr: string) => {
+    if (!findPeer(addr)) {
+      connectPeer({ addr, inbound: false, connection_type: 'manual' });
+    }
+  };
+
+  /**
+   * Find a connected peer by address or ID
+   */
+  const findPeer = (address?: string, nodeId?: number) => {
+    if (address) {
+      return peers.find(peer => peer.addr === address);
+    }
+    return peers.find(peer => peer.id === nodeId);
+  };
+
+  // RPC method handlers, named after the bitcoind methods
+  const methods: { [method: string]: (...params: any[]) => any } = {
+    uptime: () => Math.floor((Date.now() - startedAt) / 1000),
+
+    getnetworkinfo: () => ({
+      version: 280100,
+      subversion: '/Satoshi:28.1.0/',
+      protocolversion: 70016,
+      localservices: '0000000000000c09',
+      localservicesnames: ['NETWORK', 'WITNESS', 'NETWORK_LIMITED', 'P2P_V2'],
+      localrelay: true,
+      timeoffset: 0,
+      networkactive: true,
+      connections: peers.length,
+      connections_in: peers.filter(peer => peer.inbound).length,
+      connections_out: peers.filter(peer => !peer.inbound).length,
+      networks: ['ipv4', 'ipv6', 'onion', 'i2p', 'cjdns'].map(name => ({
+        name,
+        limited: false,
+        reachable: true,
+        proxy: name === 'onion' ? '127.0.0.1:9050' : '',
+        proxy_randomize_credentials: name === 'onion'
+      })),
+      relayfee: 0.00001,
+      incrementalfee: 0.00001,
+      localaddresses: [],
+      warnings: []
+    }),
+
+    getconnectioncount: () => peers.length,
+
+    getblockchaininfo: () => ({
+      chain,
+      blocks: tipHeight,
+      headers: tipHeight,
+      bestblockhash: hashForHeight(tipHeight),
+      difficulty: 110568428300952.7,
+      time: (blocks.get(tipHeight) || historicBlock(tipHeight)).time,
+      mediantime: (blocks.get(tipHeight) || historicBlock(tipHeight)).time - 1800,
+      verificationprogress: 1,
+      initialblockdownload: false,
+      chainwork: tipHeight.toString(16).padStart(64, '0'),
+      size_on_disk: 680000000000 + tipHeight,
+      pruned: false,
+      warnings: []
+    }),
+
+    getblockcount: () => tipHeight,
+
+    getbestblockhash: () => hashForHeight(tipHeight),
+
+    getblockhash: (height: number) => {
+      if (!Number.isInteger(height) || height < 0 || height > tipHeight) {
+        rpcError(RPC_INVALID_PARAMETER, 'Block height out of range');
+      }
+      return hashForHeight(height);
+    },
+
+    getblock: (hash: string, verbosity: number = 1) => {
+      const height = heightByHash.get(hash);
+      if (height === undefined || height > tipHeight) {
+        rpcError(RPC_INVALID_ADDRESS_OR_KEY, 'Block not found');
+      }
+      if (verbosity === 0) {
+        return crypto.createHash('sha256').update(hash).digest('hex').repeat(4);
+      }
+      return blockAt(height, verbosity);
+    },
+
+    getmempoolinfo: () => {
+      const txs = [...mempool.values()];
+      return {
+        loaded: true,
+        size: txs.length,
+        bytes: txs.reduce((sum, tx) => sum + tx.vsize, 0),
+        usage: txs.reduce((sum, tx) => sum + tx.size * 4, 0),
+        total_fee: txs.reduce((sum, tx) => sum + tx.fee, 0),
+        maxmempool: 300000000,
+        mempoolminfee: 0.00001,
+        minrelaytxfee: 0.00001,
+        incrementalrelayfee: 0.00001,
+        unbroadcastcount: 0,
+        fullrbf: true
+      };
+    },
+
+    getrawmempool: (verbose: boolean = false) => {
+      if (!verbose) {
+        return [...mempool.keys()];
+      }
+      return Object.fromEntries([...mempool.values()].map(tx => [tx.txid, { vsize: tx.vsize, weight: tx.weight, time: tx.time, fees: { base: tx.fee } }]));
+    },
+
+    getrawtransaction: (txid: string, verbose: boolean | number = false) => {
+      let tx = mempool.get(txid);
+      let blockHeight: number | undefined;
+
+      if (!tx && txLocations.has(txid)) {
+        blockHeight = txLocations.get(txid);
+        tx = blocks.get(blockHeight).tx.find((blockTx: any) => blockTx.txid === txid);
+      }
+
+      if (!tx) {
+        rpcError(RPC_INVALID_ADDRESS_OR_KEY, 'No such mempool or blockchain transaction. Use gettransaction for wallet transactions.');
+      }
+
+      if (!verbose) {
+        return tx.hex;
+      }
+
+      if (blockHeight === undefined) {
+        return tx;
+      }
+
+      const block = blocks.get(blockHeight);
+      return { ...tx, blockhash: block.hash, confirmations: tipHeight - blockHeight + 1, blocktime: block.time };
+    },
+
+    getpeerinfo: () => peers.map(peer => ({
+      ...peer,
+      bytessent_per_msg: { ...peer.bytessent_per_msg },
+      bytesrecv_per_msg: { ...peer.bytesrecv_per_msg }
+    })),
+
+    getnettotals: () => {
+      // Upload target cycles start when the node starts
+      const uptime = Math.floor((Date.now() - startedAt) / 1000);
+      const cycle = Math.floor(uptime / uploadTimeframe);
+      if (cycle !== uploadCycle) {
+        uploadCycle = cycle;
+        uploadCycleStartSent = totalBytesSent;
+      }
+      const sentInCycle = totalBytesSent - uploadCycleStartSent;
+
+      return {
+        totalbytesrecv: totalBytesRecv,
+        totalbytessent: totalBytesSent,
+        timemillis: Date.now(),
+        uploadtarget: {
+          timeframe: uploadTimeframe,
+          target: uploadTarget,
+          target_reached: uploadTarget > 0 && sentInCycle >= uploadTarget,
+          serve_historical_blocks: uploadTarget === 0 || sentInCycle < uploadTarget,
+          bytes_left_in_cycle: uploadTarget > 0 ? Math.max(0, uploadTarget - sentInCycle) : 0,
+          time_left_in_cycle: uploadTarget > 0 ? uploadTimeframe - (uptime % uploadTimeframe) : 0
+        }
+      };
+    },
+
+    setban: (subnet: string, command: string, bantime: number = 0, absolute: boolean = false) => {
+      if (command === 'add') {
+        addBan(subnet, bantime || 86400, absolute);
+        return null;
+      }
+
+      if (command === 'remove') {
+        const normalized = normalizeSubnet(subnet);
+        if (!bans[normalized]) {
+          rpcError(RPC_CLIENT_INVALID_IP_OR_SUBNET, 'Error: Unban failed. Requested address/subnet was not previously manually banned.');
+        }
+        delete bans[normalized];
+        console.log(`Unbanned ${normalized}`);
+        return null;
+      }
+
+      rpcError(RPC_MISC_ERROR, 'setban "subnet" "command" ( bantime absolute )');
+    },
+
+    listbanned: () => Object.entries(bans).map(([address, ban]) => ({
+      address,
+      ban_created: ban.ban_created,
+      banned_until: ban.banned_until,
+      ban_duration: ban.banned_until - ban.ban_created,
+      time_remaining: ban.banned_until - now()
+    })),
+
+    clearbanned: () => {
+      for (const subnet of Object.keys(bans)) {
+        delete bans[subnet];
+      }
+      return null;
+    },
+
+    disconnectnode: (address: string = '', nodeId?: number) => {
+      if (address && nodeId !== undefined) {
+        rpcError(RPC_INVALID_PARAMETER, 'Only one of address and nodeid should be provided.');
+      }
+
+      const peer = findPeer(address, nodeId);
+      if (!peer) {
+        rpcError(RPC_CLIENT_NODE_NOT_CONNECTED, 'Node not found in connected nodes');
+      }
+
+      removePeer(peer, 'disconnectnode');
+      return null;
+    },
+
+    addnode: (node: string, command: string) => {
+      if (command === 'onetry') {
+        connectAddedNode(node);
+        return null;
+      }
+
+      if (command === 'add') {
+        if (addedNodes.includes(node)) {
+          rpcError(RPC_CLIENT_NODE_ALREADY_ADDED, 'Error: Node already added');
+        }
+        addedNodes.push(node);
+        connectAddedNode(node);
+        return null;
+      }
+
+      if (command === 'remove') {
+        if (!addedNodes.includes(node)) {
+          rpcError(RPC_CLIENT_NODE_NOT_ADDED, 'Error: Node could not be removed. It has not been added previously.');
+        }
+        addedNodes.splice(addedNodes.indexOf(node), 1);
+        return null;
+      }
+
+      rpcError(RPC_INVALID_PARAMETER, `Invalid command: ${command}`);
+    },
+
+    getaddednodeinfo: (node?: string) => {
+      if (node && !addedNodes.includes(node)) {
+        rpcError(RPC_CLIENT_NODE_NOT_ADDED, 'Error: Node has not been added.');
+      }
+
+      return addedNodes
+        .filter(addednode => !node || addednode === node)
+        .map(addednode => {
+          const peer = findPeer(addednode);
+          return {
+            addednode,
+            connected: !!peer,
+            addresses: peer ? [{ address: peer.addr, connected: 'outbound' }] : []
+          };
+        });
+    },
+
+    getnodeaddresses: (count = 1, network?: string) => {
+      if (network !== undefined && !['ipv4', 'ipv6', 'onion', 'i2p', 'cjdns'].includes(network)) {
+        rpcError(RPC_INVALID_PARAMETER, `Network not recognized: ${network}`);
+      }
+      if (count < 0) {
+        rpcError(RPC_INVALID_PARAMETER, 'Address count out of range');
+      }
+
+      const addresses = [...addrman.values()]
+        .filter(entry => !network || entry.network === network)
+        .sort(() => random.next() - 0.5);
+
+      // A count of 0 returns every known address
+      return count === 0 ? addresses : addresses.slice(0, count);
+    },
+
+    getwalletinfo: () => ({
+      walletname: 'fake',
+      walletversion: 169900,
+      format: 'sqlite',
+      balance: 0.4213,
+      unconfirmed_balance: 0,
+      immature_balance: 0,
+      txcount: 42,
+      keypoolsize: 1000,
+      keypoolsize_hd_internal: 1000,
+      paytxfee: 0,
+      private_keys_enabled: true,
+      avoid_reuse: false,
+      scanning: false,
+      descriptors: true,
+      external_signer: false,
+      blank: false,
+      birthtime: Math.floor(startedAt / 1000) - 86400 * 365,
+      lastprocessedblock: { hash: hashForHeight(tipHeight), height: tipHeight }
+    })
+  };
+
+  return {
+    /**
+     * Call an RPC method
+     * @throws An RpcError if the call fails
+     */
+    call(method: string, params: any[] = []) {
+      const handler = methods[method];
+      if (!handler) {
+        rpcError(RPC_METHOD_NOT_FOUND, 'Method not found');
+      }
+      return handler(...params);
+    },
+
+    /**
+     * Start the simulation and the scripted events
+     */
+    start() {
+      const timers: NodeJS.Timeout[] = [setInterval(tick, 1000)];
+
+      for (const event of scenario.events || []) {
+        timers.push(setTimeout(() => {
+          runEvent(event);
+          if (event.every) {
+            timers.push(setInterval(() => runEvent(event), event.every * 1000));
+          }
+        }, event.at * 1000));
+      }
+
+      return () => timers.forEach(timer => clearTimeout(timer));
+    },
+
+    /**
+     * Get the current outage, if one is being simulated
+     */
+    getOutage(): 'refuse' | 'hang' | null {
+      return Date.now() < outageUntil ? outageMode : null;
+    },
+
+    /**
+     * Register a function called for every new block and mempool transaction
+     */
+    onEvent(listener: (event: NodeEvent) => void) {
+      listeners.push(listener);
+    },
+
+    /**
+     * Register a function called whenever the node restarts
+     */
+    onRestart(handler: () => void) {
+      restartHandlers.push(handler);
+    }
+  };
+}
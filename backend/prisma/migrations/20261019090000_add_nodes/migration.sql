@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "Node" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "name" TEXT NOT NULL,
+    "host" TEXT NOT NULL,
+    "port" INTEGER NOT NULL DEFAULT 8332,
+    "rpcUser" TEXT,
+    "rpcPassword" TEXT,
+    "network" TEXT NOT NULL DEFAULT 'mainnet',
+    "isDefault" BOOLEAN NOT NULL DEFAULT false,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- AlterTable
+ALTER TABLE "Rule" ADD COLUMN "nodeIds" TEXT;
+
+-- AlterTable
+ALTER TABLE "RuleLog" ADD COLUMN "nodeId" INTEGER;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Node_name_key" ON "Node"("name");
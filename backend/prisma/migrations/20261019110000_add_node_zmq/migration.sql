@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "Node" ADD COLUMN "zmqHashBlock" TEXT;
+ALTER TABLE "Node" ADD COLUMN "zmqRawTx" TEXT;
+ALTER TABLE "Node" ADD COLUMN "zmqSequence" TEXT;
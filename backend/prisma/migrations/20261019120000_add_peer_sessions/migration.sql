@@ -0,0 +1,31 @@
+-- CreateTable
+CREATE TABLE "PeerSession" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "nodeId" INTEGER,
+    "peerId" INTEGER NOT NULL,
+    "addr" TEXT NOT NULL,
+    "ip" TEXT NOT NULL,
+    "network" TEXT,
+    "subver" TEXT,
+    "version" INTEGER,
+    "services" TEXT,
+    "inbound" BOOLEAN NOT NULL,
+    "connectionType" TEXT,
+    "connectedAt" DATETIME NOT NULL,
+    "firstSeen" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastSeen" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "bytesSent" REAL NOT NULL DEFAULT 0,
+    "bytesRecv" REAL NOT NULL DEFAULT 0,
+    "minPing" REAL,
+    "disconnectedAt" DATETIME,
+    "disconnectReason" TEXT
+);
+
+-- CreateIndex
+CREATE INDEX "PeerSession_nodeId_disconnectedAt_idx" ON "PeerSession"("nodeId", "disconnectedAt");
+
+-- CreateIndex
+CREATE INDEX "PeerSession_ip_idx" ON "PeerSession"("ip");
+
+-- CreateIndex
+CREATE INDEX "PeerSession_lastSeen_idx" ON "PeerSession"("lastSeen");
@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "PeerSample" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "sessionId" INTEGER NOT NULL,
+    "timestamp" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "pingTime" REAL,
+    "bytesSent" REAL NOT NULL,
+    "bytesRecv" REAL NOT NULL,
+    CONSTRAINT "PeerSample_sessionId_fkey" FOREIGN KEY ("sessionId") REFERENCES "PeerSession" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "PeerSample_sessionId_timestamp_idx" ON "PeerSample"("sessionId", "timestamp");
+
+-- CreateIndex
+CREATE INDEX "PeerSample_timestamp_idx" ON "PeerSample"("timestamp");
@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "TrafficSample" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "nodeId" INTEGER,
+    "timestamp" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "totalBytesRecv" REAL NOT NULL,
+    "totalBytesSent" REAL NOT NULL,
+    "uploadTarget" REAL NOT NULL DEFAULT 0,
+    "uploadTimeframe" INTEGER NOT NULL DEFAULT 86400,
+    "bytesLeftInCycle" REAL NOT NULL DEFAULT 0,
+    "timeLeftInCycle" INTEGER NOT NULL DEFAULT 0,
+    "targetReached" BOOLEAN NOT NULL DEFAULT false
+);
+
+-- CreateIndex
+CREATE INDEX "TrafficSample_nodeId_timestamp_idx" ON "TrafficSample"("nodeId", "timestamp");
@@ -0,0 +1,10 @@
+-- CreateTable
+CREATE TABLE "AddedNode" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "nodeId" INTEGER,
+    "address" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "AddedNode_nodeId_idx" ON "AddedNode"("nodeId");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "IPGeolocation" ADD COLUMN "provider" TEXT NOT NULL DEFAULT 'ipapi';
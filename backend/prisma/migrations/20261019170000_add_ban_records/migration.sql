@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "BanRecord" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "nodeId" INTEGER,
+    "address" TEXT NOT NULL,
+    "banTime" INTEGER NOT NULL,
+    "reason" TEXT,
+    "source" TEXT NOT NULL,
+    "userId" INTEGER,
+    "username" TEXT,
+    "ruleId" INTEGER,
+    "peerInfo" TEXT,
+    "bannedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "unbannedAt" DATETIME,
+    "unbannedBy" TEXT
+);
+
+-- CreateIndex
+CREATE INDEX "BanRecord_nodeId_address_idx" ON "BanRecord"("nodeId", "address");
+
+-- CreateIndex
+CREATE INDEX "BanRecord_unbannedAt_idx" ON "BanRecord"("unbannedAt");
@@ -1,7 +1,18 @@
-import { Request, Response } from 'express';
+import { Response } from 'express';
+import { NodeRequest } from '../middleware/node.middleware';
 import * as bitcoinService from '../services/bitcoin.service';
-
-export async function getNodeInfo(req: Request, res: Response) {
+import * as addedNodeService from '../services/addedNode.service';
+import * as addrmanService from '../services/addrman.service';
+import * as banService from '../services/ban.service';
+import * as diversityService from '../services/diversity.service';
+import * as firewallService from '../services/firewall.service';
+import * as liveUpdatesService from '../services/liveUpdates.service';
+import * as peerHistoryService from '../services/peerHistory.service';
+import * as peerStatsService from '../services/peerStats.service';
+import * as trafficService from '../services/traffic.service';
+import { parseAddress, isBannable } from '../utils/address';
+
+export async function getNodeInfo(req: NodeRequest, res: Response) {
   try {
     // Check if geolocation data is requested
     const includeGeo = req.query.geo === 'true';
@@ -9,17 +20,9 @@ export async function getNodeInfo(req: Request, res: Response) {
     // Check if we should use cache (default to true unless explicitly set to false)
     const useCache = req.query.useCache !== 'false';
 
-    const nodeInfo = await bitcoinService.getNodeInfo(includeGeo, useCache);
-
-    // Check if we're returning mock data
-    const isMockData = process.env.USE_MOCK === 'true' ||
-                      (nodeInfo.networkInfo === bitcoinService.getMockData().networkInfo);
-
-    // Add a flag to indicate if this is mock data
-    return res.status(200).json({
-      ...nodeInfo,
-      _isMockData: isMockData
-    });
+    // The response says whether the data came from the node, the cache or mock data
+    const nodeInfo = await bitcoinService.getNodeInfo(includeGeo, useCache, req.nodeId);
+    return res.status(200).json(nodeInfo);
   } catch (error: any) {
     console.error('Error in getNodeInfo controller:', error);
 
@@ -36,7 +39,17 @@ export async function getNodeInfo(req: Request, res: Response) {
   }
 }
 
-export async function getPeers(req: Request, res: Response) {
+export async function getConnectionStatus(req: NodeRequest, res: Response) {
+  try {
+    const status = await bitcoinService.getConnectionStatus(req.nodeId);
+    return res.status(200).json(status);
+  } catch (error: any) {
+    console.error('Error in getConnectionStatus controller:', error);
+    return res.status(500).json({ message: `Error checking Bitcoin node connection: ${error.message}` });
+  }
+}
+
+export async function getPeers(req: NodeRequest, res: Response) {
   try {
     // Extract query parameters for filtering and sorting
     const filters: any = {};
@@ -75,19 +88,15 @@ export async function getPeers(req: Request, res: Response) {
     // Check if we should use cache (default to true unless explicitly set to false)
     const useCache = req.query.useCache !== 'false';
 
-    const peers = await bitcoinService.getPeers(filters, sort, includeGeo, useCache);
-
-    // Check if we're returning mock data
-    const isMockData = process.env.USE_MOCK === 'true' ||
-                      (peers.data === bitcoinService.getMockData().peerInfo);
+    const peers = await bitcoinService.getPeers(filters, sort, includeGeo, useCache, req.nodeId);
 
-    // Add a flag to indicate if this is mock data
     return res.status(200).json({
       peers: peers.data,
       total: peers.total,
       filtered: peers.filtered,
-      _isMockData: isMockData,
-      lastUpdated: peers.lastUpdated
+      lastUpdated: peers.lastUpdated,
+      source: peers.source,
+      sourceError: peers.sourceError
     });
   } catch (error: any) {
     console.error('Error in getPeers controller:', error);
@@ -105,20 +114,15 @@ export async function getPeers(req: Request, res: Response) {
   }
 }
 
-export async function getBannedPeers(req: Request, res: Response) {
+export async function getBannedPeers(req: NodeRequest, res: Response) {
   try {
-    const bannedPeers = await bitcoinService.getBannedPeers();
-
-    // Check if we're returning mock data
-    const isMockData = process.env.USE_MOCK === 'true' ||
-                      (bannedPeers.length === 2 &&
-                       bannedPeers[0].address === '192.168.1.200' &&
-                       bannedPeers[1].address === '192.168.1.201');
+    const bannedPeers = await banService.getBans(req.nodeId);
 
-    // Add a flag to indicate if this is mock data
     return res.status(200).json({
-      bannedPeers: bannedPeers,
-      _isMockData: isMockData
+      bannedPeers: bannedPeers.data,
+      recentUnbans: bannedPeers.recentUnbans,
+      source: bannedPeers.source,
+      sourceError: bannedPeers.sourceError
     });
   } catch (error: any) {
     console.error('Error in getBannedPeers controller:', error);
@@ -136,15 +140,126 @@ export async function getBannedPeers(req: Request, res: Response) {
   }
 }
 
-export async function banPeer(req: Request, res: Response) {
+export async function exportBannedPeers(req: NodeRequest, res: Response) {
   try {
-    const { ip, banTime } = req.body;
+    const format = req.query.format || 'json';
 
-    if (!ip) {
-      return res.status(400).json({ message: 'IP address is required', success: false });
+    if (!banService.isBanListFormat(format)) {
+      return res.status(400).json({ message: `Format must be one of ${banService.BAN_LIST_FORMATS.join(', ')}` });
     }
 
-    const result = await bitcoinService.banPeer(ip, banTime);
+    const file = await banService.exportBans(req.nodeId, format);
+
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    return res.status(200).type(file.contentType).send(file.content);
+  } catch (error: any) {
+    console.error('Error in exportBannedPeers controller:', error);
+    return res.status(500).json({ message: `Error exporting ban list: ${error.message || 'Internal server error'}` });
+  }
+}
+
+export async function getFirewallRules(req: NodeRequest, res: Response) {
+  try {
+    const format = req.query.format || firewallService.getFirewallConfig().format;
+
+    if (!firewallService.isFirewallFormat(format)) {
+      return res.status(400).json({ message: `Format must be one of ${firewallService.FIREWALL_FORMATS.join(', ')}` });
+    }
+
+    const rules = await firewallService.getFirewallRules(req.nodeId, format);
+    return res.status(200).json(rules);
+  } catch (error: any) {
+    console.error('Error in getFirewallRules controller:', error);
+    return res.status(500).json({ message: `Error generating firewall rules: ${error.message || 'Internal server error'}` });
+  }
+}
+
+export async function importBannedPeers(req: NodeRequest, res: Response) {
+  try {
+    const { format, content, dryRun, banTime } = req.body;
+
+    if (!banService.isBanListFormat(format)) {
+      return res.status(400).json({ message: `Format must be one of ${banService.BAN_LIST_FORMATS.join(', ')}`, success: false });
+    }
+
+    if (typeof content !== 'string' || content.trim() === '') {
+      return res.status(400).json({ message: 'Ban list content is required', success: false });
+    }
+
+    if (banTime !== undefined && !banService.isValidBanTime(banTime)) {
+      return res.status(400).json({ message: 'Ban time must be a positive whole number of seconds, at most 2147483647', success: false });
+    }
+
+    const entries = banService.parseBanList(content, format);
+    const result = await banService.importBans(req.nodeId, entries, {
+      dryRun: Boolean(dryRun),
+      banTime,
+      actor: { source: 'import', userId: req.user?.id, username: req.user?.username }
+    });
+
+    // Push the change to subscribed clients
+    if (!result.dryRun && result.added.length + result.updated.length > 0) {
+      liveUpdatesService.notifyChange('bans', req.nodeId);
+      liveUpdatesService.notifyChange('peers', req.nodeId);
+    }
+
+    return res.status(200).json({ ...result, success: true });
+  } catch (error: any) {
+    console.error('Error in importBannedPeers controller:', error);
+
+    if (error.code === 'INVALID_BAN_LIST') {
+      return res.status(400).json({ message: error.message, success: false });
+    }
+
+    if (error.code === 'BAN_LIST_UNAVAILABLE') {
+      return res.status(503).json({ message: error.message, success: false });
+    }
+
+    return res.status(500).json({ message: `Error importing ban list: ${error.message || 'Internal server error'}`, success: false });
+  }
+}
+
+export async function banPeer(req: NodeRequest, res: Response) {
+  try {
+    const { ip, subnet, banTime, network, reason } = req.body;
+    const target = subnet || ip;
+
+    if (!target) {
+      return res.status(400).json({ message: 'IP address or subnet is required', success: false });
+    }
+
+    // Inbound Tor and I2P peers show up with the local proxy's address, so the peer's network decides
+    const peerNetwork = network || parseAddress(target).network;
+    if (peerNetwork !== 'unknown' && !isBannable(peerNetwork)) {
+      return res.status(400).json({ message: `${peerNetwork} peers can't be banned by address, disconnect them instead`, success: false });
+    }
+
+    const { address, error } = banService.resolveBanAddress(target);
+    if (error) {
+      return res.status(400).json({ message: error, success: false });
+    }
+
+    if (reason !== undefined && typeof reason !== 'string') {
+      return res.status(400).json({ message: 'Reason must be text', success: false });
+    }
+
+    if (banTime !== undefined && !banService.isValidBanTime(banTime)) {
+      return res.status(400).json({ message: 'Ban time must be a positive whole number of seconds, at most 2147483647', success: false });
+    }
+
+    const result = await banService.banPeer(address, banTime, req.nodeId, {
+      source: 'user',
+      reason: reason?.trim() || undefined,
+      userId: req.user?.id,
+      username: req.user?.username
+    });
+
+    // Push the change to subscribed clients
+    if (result.success) {
+      peerHistoryService.noteDisconnectReason(req.nodeId, { ip: address }, `Banned by ${req.user?.username || 'user'}`);
+      liveUpdatesService.notifyChange('bans', req.nodeId);
+      liveUpdatesService.notifyChange('peers', req.nodeId);
+    }
 
     // Return the result from the service
     return res.status(result.success ? 200 : 500).json(result);
@@ -165,15 +280,26 @@ export async function banPeer(req: Request, res: Response) {
   }
 }
 
-export async function unbanPeer(req: Request, res: Response) {
+export async function unbanPeer(req: NodeRequest, res: Response) {
   try {
-    const { ip } = req.body;
+    const { ip, subnet } = req.body;
+    const target = subnet || ip;
+
+    if (!target) {
+      return res.status(400).json({ message: 'IP address or subnet is required', success: false });
+    }
 
-    if (!ip) {
-      return res.status(400).json({ message: 'IP address is required', success: false });
+    const { address, error } = banService.resolveBanAddress(target);
+    if (error) {
+      return res.status(400).json({ message: error, success: false });
     }
 
-    const result = await bitcoinService.unbanPeer(ip);
+    const result = await banService.unbanPeer(address, req.nodeId, req.user?.username);
+
+    // Push the change to subscribed clients
+    if (result.success) {
+      liveUpdatesService.notifyChange('bans', req.nodeId);
+    }
 
     // Return the result from the service
     return res.status(result.success ? 200 : 500).json(result);
@@ -194,7 +320,7 @@ export async function unbanPeer(req: Request, res: Response) {
   }
 }
 
-export async function disconnectPeer(req: Request, res: Response) {
+export async function disconnectPeer(req: NodeRequest, res: Response) {
   try {
     const { nodeId } = req.body;
 
@@ -202,7 +328,13 @@ export async function disconnectPeer(req: Request, res: Response) {
       return res.status(400).json({ message: 'Node ID is required', success: false });
     }
 
-    const result = await bitcoinService.disconnectPeer(nodeId);
+    const result = await bitcoinService.disconnectPeer(nodeId, req.nodeId);
+
+    // Push the change to subscribed clients
+    if (result.success) {
+      peerHistoryService.noteDisconnectReason(req.nodeId, { peerId: Number(nodeId) }, `Disconnected by ${req.user?.username || 'user'}`);
+      liveUpdatesService.notifyChange('peers', req.nodeId);
+    }
 
     // Return the result from the service
     return res.status(result.success ? 200 : 500).json(result);
@@ -223,7 +355,256 @@ export async function disconnectPeer(req: Request, res: Response) {
   }
 }
 
-export async function getBlock(req: Request, res: Response) {
+export async function getPeer(req: NodeRequest, res: Response) {
+  try {
+    const peerId = Number(req.params.id);
+
+    if (!Number.isInteger(peerId) || peerId < 0) {
+      return res.status(400).json({ message: 'Invalid peer ID' });
+    }
+
+    const useCache = req.query.useCache !== 'false';
+    const peer = await bitcoinService.getPeer(peerId, useCache, req.nodeId);
+
+    if (!peer.data) {
+      return res.status(404).json({
+        message: `Peer ${peerId} is not connected`,
+        source: peer.source,
+        sourceError: peer.sourceError
+      });
+    }
+
+    // Ping and traffic over time come from the peer history, which mock peers are not part of
+    const session = peer.source === 'mock' ? null : await peerHistoryService.getPeerSession(req.nodeId, peer.data);
+
+    return res.status(200).json({
+      peer: peer.data,
+      session,
+      lastUpdated: peer.lastUpdated,
+      source: peer.source,
+      sourceError: peer.sourceError
+    });
+  } catch (error: any) {
+    console.error('Error in getPeer controller:', error);
+    return res.status(500).json({ message: `Error getting peer: ${error.message}` });
+  }
+}
+
+/**
+ * Get the connected peers aggregated by country, ASN, network, version, services and direction
+ */
+export async function getPeerStats(req: NodeRequest, res: Response) {
+  try {
+    const stats = await peerStatsService.getPeerStats(req.nodeId);
+    return res.status(200).json(stats);
+  } catch (error: any) {
+    console.error('Error in getPeerStats controller:', error);
+    return res.status(500).json({ message: `Error getting peer statistics: ${error.message}` });
+  }
+}
+
+/**
+ * Get the eclipse risk score of the outbound peers and the over-represented peers
+ */
+export async function getPeerDiversity(req: NodeRequest, res: Response) {
+  try {
+    const analysis = await diversityService.analyzeDiversity(req.nodeId);
+    return res.status(200).json(analysis);
+  } catch (error: any) {
+    console.error('Error in getPeerDiversity controller:', error);
+    return res.status(500).json({ message: `Error analyzing peer diversity: ${error.message}` });
+  }
+}
+
+/**
+ * Disconnect the over-represented outbound peers
+ */
+export async function disconnectOverRepresentedPeers(req: NodeRequest, res: Response) {
+  try {
+    const result = await diversityService.disconnectOverRepresented(req.nodeId);
+    const message = result.disconnected.length > 0
+      ? `Disconnected ${result.disconnected.length} over-represented peers`
+      : 'No over-represented peers to disconnect';
+
+    return res.status(200).json({ success: result.failed.length === 0, message, ...result });
+  } catch (error: any) {
+    console.error('Error in disconnectOverRepresentedPeers controller:', error);
+
+    if (error.code === 'PEERS_UNAVAILABLE') {
+      return res.status(503).json({ success: false, message: error.message });
+    }
+
+    return res.status(500).json({ success: false, message: `Error disconnecting peers: ${error.message}` });
+  }
+}
+
+export async function getPeerHistory(req: NodeRequest, res: Response) {
+  try {
+    const { ip, userAgent, from, to, status, page, limit } = req.query;
+    const query: peerHistoryService.PeerHistoryQuery = {};
+
+    if (ip) {
+      query.ip = String(ip);
+    }
+
+    if (userAgent) {
+      query.userAgent = String(userAgent);
+    }
+
+    for (const [name, value] of [['from', from], ['to', to]] as const) {
+      if (value) {
+        const date = new Date(String(value));
+        if (isNaN(date.getTime())) {
+          return res.status(400).json({ message: `Invalid ${name} date` });
+        }
+        query[name] = date;
+      }
+    }
+
+    if (status) {
+      if (status !== 'connected' && status !== 'disconnected') {
+        return res.status(400).json({ message: 'Status must be connected or disconnected' });
+      }
+      query.status = status;
+    }
+
+    if (page) {
+      query.page = parseInt(String(page), 10) || 1;
+    }
+
+    if (limit) {
+      query.limit = parseInt(String(limit), 10) || undefined;
+    }
+
+    const history = await peerHistoryService.searchPeerSessions(req.nodeId, query);
+    return res.status(200).json(history);
+  } catch (error: any) {
+    console.error('Error in getPeerHistory controller:', error);
+    return res.status(500).json({ message: 'Error getting peer history' });
+  }
+}
+
+export async function getTraffic(req: NodeRequest, res: Response) {
+  try {
+    const range = (req.query.range as string) || '24h';
+
+    if (!trafficService.TRAFFIC_RANGES[range]) {
+      return res.status(400).json({
+        message: `Range must be one of ${Object.keys(trafficService.TRAFFIC_RANGES).join(', ')}`
+      });
+    }
+
+    const traffic = await trafficService.getTraffic(req.nodeId, range);
+    return res.status(200).json(traffic);
+  } catch (error: any) {
+    console.error('Error in getTraffic controller:', error);
+    return res.status(500).json({ message: 'Error getting traffic' });
+  }
+}
+
+export async function getAddedNodes(req: NodeRequest, res: Response) {
+  try {
+    const addedNodes = await addedNodeService.getAddedNodes(req.nodeId);
+    return res.status(200).json(addedNodes);
+  } catch (error: any) {
+    console.error('Error in getAddedNodes controller:', error);
+    return res.status(500).json({ message: 'Error getting added nodes' });
+  }
+}
+
+export async function addNode(req: NodeRequest, res: Response) {
+  try {
+    const { address, command = 'add' } = req.body;
+
+    if (!address || typeof address !== 'string') {
+      return res.status(400).json({ message: 'Address is required', success: false });
+    }
+
+    if (command !== 'add' && command !== 'onetry') {
+      return res.status(400).json({ message: 'Command must be add or onetry', success: false });
+    }
+
+    const result = await addedNodeService.addNode(req.nodeId, address.trim(), command);
+
+    // Push the change to subscribed clients
+    if (result.success) {
+      liveUpdatesService.notifyChange('peers', req.nodeId);
+    }
+
+    return res.status(result.success ? 200 : 500).json(result);
+  } catch (error: any) {
+    console.error('Error in addNode controller:', error);
+    return res.status(500).json({ message: `Error adding node: ${error.message}`, success: false });
+  }
+}
+
+export async function removeAddedNode(req: NodeRequest, res: Response) {
+  try {
+    const { address } = req.body;
+
+    if (!address || typeof address !== 'string') {
+      return res.status(400).json({ message: 'Address is required', success: false });
+    }
+
+    const result = await addedNodeService.removeNode(req.nodeId, address);
+    return res.status(result.success ? 200 : 500).json(result);
+  } catch (error: any) {
+    console.error('Error in removeAddedNode controller:', error);
+    return res.status(500).json({ message: `Error removing node: ${error.message}`, success: false });
+  }
+}
+
+export async function reapplyAddedNodes(req: NodeRequest, res: Response) {
+  try {
+    const { reapplied, failed } = await addedNodeService.reapplyAddedNodes(req.nodeId);
+
+    if (reapplied.length > 0) {
+      liveUpdatesService.notifyChange('peers', req.nodeId);
+    }
+
+    return res.status(200).json({
+      success: failed.length === 0,
+      message: `Re-applied ${reapplied.length} added node${reapplied.length === 1 ? '' : 's'}` +
+        (failed.length > 0 ? `, ${failed.length} failed` : ''),
+      reapplied,
+      failed
+    });
+  } catch (error: any) {
+    console.error('Error in reapplyAddedNodes controller:', error);
+    return res.status(500).json({ message: `Error re-applying added nodes: ${error.message}`, success: false });
+  }
+}
+
+export async function getAddrman(req: NodeRequest, res: Response) {
+  try {
+    const network = req.query.network as string | undefined;
+
+    if (network && !addrmanService.ADDRMAN_NETWORKS.includes(network)) {
+      return res.status(400).json({ message: `Network must be one of ${addrmanService.ADDRMAN_NETWORKS.join(', ')}` });
+    }
+
+    const query: addrmanService.AddrmanQuery = {
+      network,
+      includeGeo: req.query.geo === 'true'
+    };
+
+    if (req.query.count !== undefined) {
+      const count = parseInt(String(req.query.count), 10);
+      if (isNaN(count) || count < 0) {
+        return res.status(400).json({ message: 'Count must be 0 or more' });
+      }
+      query.count = count;
+    }
+
+    const addrman = await addrmanService.getAddrman(req.nodeId, query);
+    return res.status(200).json(addrman);
+  } catch (error: any) {
+    console.error('Error in getAddrman controller:', error);
+    return res.status(500).json({ message: `Error getting address manager entries: ${error.message}` });
+  }
+}
+
+export async function getBlock(req: NodeRequest, res: Response) {
   try {
     const { hash } = req.params;
 
@@ -231,15 +612,19 @@ export async function getBlock(req: Request, res: Response) {
       return res.status(400).json({ message: 'Block hash is required' });
     }
 
-    const block = await bitcoinService.getBlock(hash);
-    return res.status(200).json(block);
-  } catch (error) {
+    const block = await bitcoinService.getBlock(hash, req.nodeId);
+    return res.status(200).json({
+      ...block.data,
+      source: block.source,
+      sourceError: block.sourceError
+    });
+  } catch (error: any) {
     console.error('Error in getBlock controller:', error);
-    return res.status(500).json({ message: 'Internal server error' });
+    return res.status(500).json({ message: `Error connecting to Bitcoin node: ${error.message}` });
   }
 }
 
-export async function getBlockByHeight(req: Request, res: Response) {
+export async function getBlockByHeight(req: NodeRequest, res: Response) {
   try {
     const height = parseInt(req.params.height);
 
@@ -247,15 +632,19 @@ export async function getBlockByHeight(req: Request, res: Response) {
       return res.status(400).json({ message: 'Valid block height is required' });
     }
 
-    const block = await bitcoinService.getBlockByHeight(height);
-    return res.status(200).json(block);
-  } catch (error) {
+    const block = await bitcoinService.getBlockByHeight(height, req.nodeId);
+    return res.status(200).json({
+      ...block.data,
+      source: block.source,
+      sourceError: block.sourceError
+    });
+  } catch (error: any) {
     console.error('Error in getBlockByHeight controller:', error);
-    return res.status(500).json({ message: 'Internal server error' });
+    return res.status(500).json({ message: `Error connecting to Bitcoin node: ${error.message}` });
   }
 }
 
-export async function getTransaction(req: Request, res: Response) {
+export async function getTransaction(req: NodeRequest, res: Response) {
   try {
     const { txid } = req.params;
 
@@ -263,20 +652,28 @@ export async function getTransaction(req: Request, res: Response) {
       return res.status(400).json({ message: 'Transaction ID is required' });
     }
 
-    const transaction = await bitcoinService.getTransaction(txid);
-    return res.status(200).json(transaction);
-  } catch (error) {
+    const transaction = await bitcoinService.getTransaction(txid, req.nodeId);
+    return res.status(200).json({
+      ...transaction.data,
+      source: transaction.source,
+      sourceError: transaction.sourceError
+    });
+  } catch (error: any) {
     console.error('Error in getTransaction controller:', error);
-    return res.status(500).json({ message: 'Internal server error' });
+    return res.status(500).json({ message: `Error connecting to Bitcoin node: ${error.message}` });
   }
 }
 
-export async function getWalletInfo(req: Request, res: Response) {
+export async function getWalletInfo(req: NodeRequest, res: Response) {
   try {
-    const walletInfo = await bitcoinService.getWalletInfo();
-    return res.status(200).json(walletInfo);
-  } catch (error) {
+    const walletInfo = await bitcoinService.getWalletInfo(req.nodeId);
+    return res.status(200).json({
+      ...walletInfo.data,
+      source: walletInfo.source,
+      sourceError: walletInfo.sourceError
+    });
+  } catch (error: any) {
     console.error('Error in getWalletInfo controller:', error);
-    return res.status(500).json({ message: 'Internal server error' });
+    return res.status(500).json({ message: `Error connecting to Bitcoin node: ${error.message}` });
   }
 }
@@ -1,16 +1,17 @@
-import { Request, Response } from 'express';
+import { Response } from 'express';
+import { NodeRequest } from '../middleware/node.middleware';
 import * as blockExplorerService from '../services/blockExplorer.service';
 
 /**
  * Get latest blocks with pagination
  */
-export async function getLatestBlocks(req: Request, res: Response) {
+export async function getLatestBlocks(req: NodeRequest, res: Response) {
   try {
     const page = parseInt(req.query.page as string) || 1;
     const limit = parseInt(req.query.limit as string) || 10;
     const useCache = req.query.useCache !== 'false'; // Default to using cache unless explicitly set to false
 
-    const result = await blockExplorerService.getLatestBlocks(page, limit, useCache);
+    const result = await blockExplorerService.getLatestBlocks(page, limit, useCache, req.nodeId);
     
     return res.status(200).json(result);
   } catch (error: any) {
@@ -25,7 +26,7 @@ export async function getLatestBlocks(req: Request, res: Response) {
 /**
  * Get block details by hash or height
  */
-export async function getBlockDetails(req: Request, res: Response) {
+export async function getBlockDetails(req: NodeRequest, res: Response) {
   try {
     const { hashOrHeight } = req.params;
     const useCache = req.query.useCache !== 'false'; // Default to using cache unless explicitly set to false
@@ -34,7 +35,7 @@ export async function getBlockDetails(req: Request, res: Response) {
       return res.status(400).json({ message: 'Block hash or height is required' });
     }
     
-    const result = await blockExplorerService.getBlockDetails(hashOrHeight, useCache);
+    const result = await blockExplorerService.getBlockDetails(hashOrHeight, useCache, req.nodeId);
     
     return res.status(200).json(result);
   } catch (error: any) {
@@ -49,7 +50,7 @@ export async function getBlockDetails(req: Request, res: Response) {
 /**
  * Get transaction details
  */
-export async function getTransactionDetails(req: Request, res: Response) {
+export async function getTransactionDetails(req: NodeRequest, res: Response) {
   try {
     const { txid } = req.params;
     const useCache = req.query.useCache !== 'false'; // Default to using cache unless explicitly set to false
@@ -58,7 +59,7 @@ export async function getTransactionDetails(req: Request, res: Response) {
       return res.status(400).json({ message: 'Transaction ID is required' });
     }
     
-    const result = await blockExplorerService.getTransactionDetails(txid, useCache);
+    const result = await blockExplorerService.getTransactionDetails(txid, useCache, req.nodeId);
     
     return res.status(200).json(result);
   } catch (error: any) {
@@ -73,7 +74,7 @@ export async function getTransactionDetails(req: Request, res: Response) {
 /**
  * Get address details
  */
-export async function getAddressDetails(req: Request, res: Response) {
+export async function getAddressDetails(req: NodeRequest, res: Response) {
   try {
     const { address } = req.params;
     const page = parseInt(req.query.page as string) || 1;
@@ -84,7 +85,7 @@ export async function getAddressDetails(req: Request, res: Response) {
       return res.status(400).json({ message: 'Bitcoin address is required' });
     }
     
-    const result = await blockExplorerService.getAddressDetails(address, page, limit, useCache);
+    const result = await blockExplorerService.getAddressDetails(address, page, limit, useCache, req.nodeId);
     
     return res.status(200).json(result);
   } catch (error: any) {
@@ -99,13 +100,13 @@ export async function getAddressDetails(req: Request, res: Response) {
 /**
  * Get mempool transactions
  */
-export async function getMempoolTransactions(req: Request, res: Response) {
+export async function getMempoolTransactions(req: NodeRequest, res: Response) {
   try {
     const page = parseInt(req.query.page as string) || 1;
     const limit = parseInt(req.query.limit as string) || 10;
     const useCache = req.query.useCache !== 'false'; // Default to using cache unless explicitly set to false
     
-    const result = await blockExplorerService.getMempoolTransactions(page, limit, useCache);
+    const result = await blockExplorerService.getMempoolTransactions(page, limit, useCache, req.nodeId);
     
     return res.status(200).json(result);
   } catch (error: any) {
@@ -120,11 +121,11 @@ export async function getMempoolTransactions(req: Request, res: Response) {
 /**
  * Clear cache
  */
-export async function clearCache(req: Request, res: Response) {
+export async function clearCache(req: NodeRequest, res: Response) {
   try {
     const { type, id } = req.body;
     
-    const result = blockExplorerService.clearCache(type, id);
+    const result = blockExplorerService.clearCache(type, id, req.nodeId);
     
     return res.status(200).json(result);
   } catch (error: any) {
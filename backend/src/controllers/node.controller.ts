@@ -0,0 +1,197 @@
+import { Request, Response } from 'express';
+import * as nodeService from '../services/node.service';
+import * as zmqService from '../services/zmq.service';
+
+/**
+ * Validate node fields shared by create and update
+ * @returns An error message, or null if the fields are valid
+ */
+function validateNodeFields(body: any): string | null {
+  if (body.port !== undefined && (!Number.isInteger(Number(body.port)) || Number(body.port) <= 0 || Number(body.port) > 65535)) {
+    return 'Port must be between 1 and 65535';
+  }
+
+  if (body.network !== undefined && !['mainnet', 'testnet', 'testnet4', 'signet', 'regtest'].includes(body.network)) {
+    return 'Invalid network';
+  }
+
+  for (const field of ['zmqHashBlock', 'zmqRawTx', 'zmqSequence']) {
+    if (body[field] && !/^(tcp|ipc):\/\/.+/.test(body[field])) {
+      return 'ZMQ endpoints must look like tcp://host:port or ipc://path';
+    }
+  }
+
+  if (nodeService.isInsecureRpcPassword(body.rpcPassword)) {
+    return 'The default RPC password is not allowed';
+  }
+
+  return null;
+}
+
+/**
+ * Get all nodes
+ */
+export async function getAllNodes(req: Request, res: Response) {
+  try {
+    const nodes = await nodeService.getAllNodes();
+    return res.status(200).json(nodes);
+  } catch (error) {
+    console.error('Error in getAllNodes controller:', error);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+/**
+ * Get a node by ID
+ */
+export async function getNodeById(req: Request, res: Response) {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(Number(id))) {
+      return res.status(400).json({ message: 'Valid node ID is required' });
+    }
+
+    const node = await nodeService.getNodeById(Number(id));
+
+    if (!node) {
+      return res.status(404).json({ message: 'Node not found' });
+    }
+
+    return res.status(200).json(node);
+  } catch (error) {
+    console.error('Error in getNodeById controller:', error);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+/**
+ * Create a new node
+ */
+export async function createNode(req: Request, res: Response) {
+  try {
+    const { name, host, port, rpcUser, rpcPassword, rpcCookieFile, zmqHashBlock, zmqRawTx, zmqSequence, network, isDefault, isActive } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ message: 'Node name is required' });
+    }
+
+    if (!host) {
+      return res.status(400).json({ message: 'Node host is required' });
+    }
+
+    const validationError = validateNodeFields(req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const node = await nodeService.createNode({
+      name,
+      host,
+      port: port !== undefined ? Number(port) : undefined,
+      rpcUser,
+      rpcPassword,
+      rpcCookieFile: rpcCookieFile || null,
+      zmqHashBlock: zmqHashBlock || null,
+      zmqRawTx: zmqRawTx || null,
+      zmqSequence: zmqSequence || null,
+      network,
+      isDefault: isDefault === true,
+      isActive: isActive !== undefined ? isActive : true
+    });
+
+    zmqService.refreshZmqSubscribers();
+
+    return res.status(201).json(node);
+  } catch (error: any) {
+    console.error('Error in createNode controller:', error);
+
+    if (error.code === 'P2002') {
+      return res.status(409).json({ message: 'Node name already exists' });
+    }
+
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+/**
+ * Update a node
+ */
+export async function updateNode(req: Request, res: Response) {
+  try {
+    const { id } = req.params;
+    const { name, host, port, rpcUser, rpcPassword, rpcCookieFile, zmqHashBlock, zmqRawTx, zmqSequence, network, isDefault, isActive } = req.body;
+
+    if (!id || isNaN(Number(id))) {
+      return res.status(400).json({ message: 'Valid node ID is required' });
+    }
+
+    // Check if node exists
+    const existingNode = await nodeService.getNodeById(Number(id));
+
+    if (!existingNode) {
+      return res.status(404).json({ message: 'Node not found' });
+    }
+
+    const validationError = validateNodeFields(req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const updatedNode = await nodeService.updateNode(Number(id), {
+      name,
+      host,
+      port: port !== undefined ? Number(port) : undefined,
+      rpcUser,
+      // Keep the stored password unless a new one is given
+      rpcPassword: rpcPassword ? rpcPassword : undefined,
+      rpcCookieFile: rpcCookieFile !== undefined ? rpcCookieFile || null : undefined,
+      zmqHashBlock: zmqHashBlock !== undefined ? zmqHashBlock || null : undefined,
+      zmqRawTx: zmqRawTx !== undefined ? zmqRawTx || null : undefined,
+      zmqSequence: zmqSequence !== undefined ? zmqSequence || null : undefined,
+      network,
+      isDefault,
+      isActive
+    });
+
+    zmqService.refreshZmqSubscribers();
+
+    return res.status(200).json(updatedNode);
+  } catch (error: any) {
+    console.error('Error in updateNode controller:', error);
+
+    if (error.code === 'P2002') {
+      return res.status(409).json({ message: 'Node name already exists' });
+    }
+
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+/**
+ * Delete a node
+ */
+export async function deleteNode(req: Request, res: Response) {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(Number(id))) {
+      return res.status(400).json({ message: 'Valid node ID is required' });
+    }
+
+    // Check if node exists
+    const existingNode = await nodeService.getNodeById(Number(id));
+
+    if (!existingNode) {
+      return res.status(404).json({ message: 'Node not found' });
+    }
+
+    await nodeService.deleteNode(Number(id));
+    zmqService.refreshZmqSubscribers();
+
+    return res.status(200).json({ message: 'Node deleted successfully' });
+  } catch (error) {
+    console.error('Error in deleteNode controller:', error);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+}
@@ -1,12 +1,28 @@
-import { Request, Response } from 'express';
+import { Response } from 'express';
+import { NodeRequest } from '../middleware/node.middleware';
 import * as ruleService from '../services/rule.service';
 
+/**
+ * Check that rule target node IDs are null or an array of integers
+ */
+function isValidNodeIds(nodeIds: any): boolean {
+  return nodeIds === undefined || nodeIds === null ||
+    (Array.isArray(nodeIds) && nodeIds.every(id => Number.isInteger(id)));
+}
+
+/**
+ * Serialize rule target node IDs to a JSON string (null targets all nodes)
+ */
+function serializeNodeIds(nodeIds: number[] | null): string | null {
+  return nodeIds && nodeIds.length > 0 ? JSON.stringify(nodeIds) : null;
+}
+
 /**
  * Get all rules
  */
-export async function getAllRules(req: Request, res: Response) {
+export async function getAllRules(req: NodeRequest, res: Response) {
   try {
-    const rules = await ruleService.getAllRules();
+    const rules = await ruleService.getAllRules(req.nodeId);
     return res.status(200).json(rules);
   } catch (error) {
     console.error('Error in getAllRules controller:', error);
@@ -17,7 +33,7 @@ export async function getAllRules(req: Request, res: Response) {
 /**
  * Get a rule by ID
  */
-export async function getRuleById(req: Request, res: Response) {
+export async function getRuleById(req: NodeRequest, res: Response) {
   try {
     const { id } = req.params;
     
@@ -41,9 +57,9 @@ export async function getRuleById(req: Request, res: Response) {
 /**
  * Create a new rule
  */
-export async function createRule(req: Request, res: Response) {
+export async function createRule(req: NodeRequest, res: Response) {
   try {
-    const { name, description, conditions, actions, isActive } = req.body;
+    const { name, description, conditions, actions, nodeIds, isActive } = req.body;
     
     if (!name) {
       return res.status(400).json({ message: 'Rule name is required' });
@@ -65,17 +81,27 @@ export async function createRule(req: Request, res: Response) {
       return res.status(400).json({ message: 'Invalid JSON in conditions or actions' });
     }
     
+    if (!isValidNodeIds(nodeIds)) {
+      return res.status(400).json({ message: 'Node IDs must be an array of integers' });
+    }
+    
     const rule = await ruleService.createRule({
       name,
       description,
       conditions,
       actions,
+      nodeIds: serializeNodeIds(nodeIds),
       isActive: isActive !== undefined ? isActive : true
     });
     
     return res.status(201).json(rule);
   } catch (error) {
     console.error('Error in createRule controller:', error);
+
+    if (error.code === 'INVALID_RULE_CONDITIONS') {
+      return res.status(400).json({ message: error.message });
+    }
+
     return res.status(500).json({ message: 'Internal server error' });
   }
 }
@@ -83,10 +109,10 @@ export async function createRule(req: Request, res: Response) {
 /**
  * Update a rule
  */
-export async function updateRule(req: Request, res: Response) {
+export async function updateRule(req: NodeRequest, res: Response) {
   try {
     const { id } = req.params;
-    const { name, description, conditions, actions, isActive } = req.body;
+    const { name, description, conditions, actions, nodeIds, isActive } = req.body;
     
     if (!id || isNaN(Number(id))) {
       return res.status(400).json({ message: 'Valid rule ID is required' });
@@ -116,17 +142,27 @@ export async function updateRule(req: Request, res: Response) {
       }
     }
     
+    if (!isValidNodeIds(nodeIds)) {
+      return res.status(400).json({ message: 'Node IDs must be an array of integers' });
+    }
+    
     const updatedRule = await ruleService.updateRule(Number(id), {
       name,
       description,
       conditions,
       actions,
+      nodeIds: nodeIds !== undefined ? serializeNodeIds(nodeIds) : undefined,
       isActive
     });
     
     return res.status(200).json(updatedRule);
   } catch (error) {
     console.error('Error in updateRule controller:', error);
+
+    if (error.code === 'INVALID_RULE_CONDITIONS') {
+      return res.status(400).json({ message: error.message });
+    }
+
     return res.status(500).json({ message: 'Internal server error' });
   }
 }
@@ -134,7 +170,7 @@ export async function updateRule(req: Request, res: Response) {
 /**
  * Delete a rule
  */
-export async function deleteRule(req: Request, res: Response) {
+export async function deleteRule(req: NodeRequest, res: Response) {
   try {
     const { id } = req.params;
     
@@ -161,7 +197,7 @@ export async function deleteRule(req: Request, res: Response) {
 /**
  * Execute a rule
  */
-export async function executeRule(req: Request, res: Response) {
+export async function executeRule(req: NodeRequest, res: Response) {
   try {
     const { id } = req.params;
     
@@ -176,7 +212,7 @@ export async function executeRule(req: Request, res: Response) {
       return res.status(404).json({ message: 'Rule not found' });
     }
     
-    const result = await ruleService.executeRule(Number(id));
+    const result = await ruleService.executeRule(Number(id), req.nodeId);
     
     return res.status(200).json(result);
   } catch (error) {
@@ -188,9 +224,9 @@ export async function executeRule(req: Request, res: Response) {
 /**
  * Execute all active rules
  */
-export async function executeAllRules(req: Request, res: Response) {
+export async function executeAllRules(req: NodeRequest, res: Response) {
   try {
-    const results = await ruleService.executeAllRules();
+    const results = await ruleService.executeAllRules(req.nodeId);
     
     return res.status(200).json(results);
   } catch (error) {
@@ -202,15 +238,18 @@ export async function executeAllRules(req: Request, res: Response) {
 /**
  * Get rule logs
  */
-export async function getRuleLogs(req: Request, res: Response) {
+export async function getRuleLogs(req: NodeRequest, res: Response) {
   try {
     const { ruleId, limit, offset } = req.query;
     
     const options: {
       ruleId?: number;
+      nodeId?: number;
       limit?: number;
       offset?: number;
-    } = {};
+    } = {
+      nodeId: req.nodeId
+    };
     
     if (ruleId && !isNaN(Number(ruleId))) {
       options.ruleId = Number(ruleId);
@@ -0,0 +1,100 @@
+import { Request, Response } from 'express';
+import * as geolocationService from '../services/geolocation.service';
+import * as diversityService from '../services/diversity.service';
+
+/**
+ * Get the geolocation provider settings
+ */
+export async function getGeolocationSettings(req: Request, res: Response) {
+  try {
+    const settings = await geolocationService.getGeolocationSettings();
+    return res.status(200).json(settings);
+  } catch (error) {
+    console.error('Error in getGeolocationSettings controller:', error);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+/**
+ * Select the geolocation provider
+ */
+export async function setGeolocationProvider(req: Request, res: Response) {
+  try {
+    const { provider } = req.body;
+
+    if (!provider) {
+      return res.status(400).json({ message: 'Provider is required' });
+    }
+
+    const settings = await geolocationService.setGeolocationProvider(provider);
+    return res.status(200).json(settings);
+  } catch (error) {
+    if (error.code === 'INVALID_PROVIDER' || error.code === 'PROVIDER_UNAVAILABLE') {
+      return res.status(400).json({ message: error.message });
+    }
+
+    console.error('Error in setGeolocationProvider controller:', error);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+/**
+ * Refresh the stored lookups of the selected geolocation provider
+ */
+export async function refreshGeolocationCache(req: Request, res: Response) {
+  try {
+    const result = await geolocationService.refreshGeolocationCache();
+    return res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    if (error.code === 'PROVIDER_UNAVAILABLE') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    console.error('Error in refreshGeolocationCache controller:', error);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+}
+
+/**
+ * Get the peer diversity settings
+ */
+export async function getDiversitySettings(req: Request, res: Response) {
+  try {
+    const settings = await diversityService.getDiversitySettings();
+    return res.status(200).json(settings);
+  } catch (error) {
+    console.error('Error in getDiversitySettings controller:', error);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+/**
+ * Update the peer diversity settings
+ */
+export async function setDiversitySettings(req: Request, res: Response) {
+  try {
+    const { autoDisconnect, threshold } = req.body;
+
+    if (autoDisconnect !== undefined && typeof autoDisconnect !== 'boolean') {
+      return res.status(400).json({ message: 'autoDisconnect must be true or false' });
+    }
+
+    // Number() would turn null and "" into 0, a threshold every analysis reaches
+    if (threshold !== undefined && (typeof threshold !== 'number' || !Number.isFinite(threshold))) {
+      return res.status(400).json({ message: 'Threshold must be a number from 0 to 100' });
+    }
+
+    const settings = await diversityService.setDiversitySettings({
+      autoDisconnect,
+      threshold
+    });
+    return res.status(200).json(settings);
+  } catch (error) {
+    if (error.code === 'INVALID_SETTINGS') {
+      return res.status(400).json({ message: error.message });
+    }
+
+    console.error('Error in setDiversitySettings controller:', error);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+}
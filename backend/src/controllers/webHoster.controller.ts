@@ -0,0 +1,134 @@
+import { Request, Response } from 'express';
+import * as webHosterService from '../services/webHoster.service';
+
+/**
+ * Get all web hosting entries
+ */
+export async function getAllWebHosters(req: Request, res: Response) {
+  try {
+    const hosters = await webHosterService.getAllWebHosters();
+    return res.status(200).json(hosters);
+  } catch (error) {
+    console.error('Error in getAllWebHosters controller:', error);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+/**
+ * Get a web hosting entry by ID
+ */
+export async function getWebHosterById(req: Request, res: Response) {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(Number(id))) {
+      return res.status(400).json({ message: 'Valid web hoster ID is required' });
+    }
+
+    const hoster = await webHosterService.getWebHosterById(Number(id));
+
+    if (!hoster) {
+      return res.status(404).json({ message: 'Web hoster not found' });
+    }
+
+    return res.status(200).json(hoster);
+  } catch (error) {
+    console.error('Error in getWebHosterById controller:', error);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+/**
+ * Create a web hosting entry
+ */
+export async function createWebHoster(req: Request, res: Response) {
+  try {
+    const { name, asn, ipRange, notes } = req.body;
+
+    const hoster = await webHosterService.createWebHoster({ name, asn, ipRange, notes });
+    return res.status(201).json(hoster);
+  } catch (error) {
+    if (error.code === 'INVALID_WEB_HOSTER') {
+      return res.status(400).json({ message: error.message });
+    }
+
+    console.error('Error in createWebHoster controller:', error);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+/**
+ * Update a web hosting entry
+ */
+export async function updateWebHoster(req: Request, res: Response) {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(Number(id))) {
+      return res.status(400).json({ message: 'Valid web hoster ID is required' });
+    }
+
+    const { name, asn, ipRange, notes } = req.body;
+    const hoster = await webHosterService.updateWebHoster(Number(id), { name, asn, ipRange, notes });
+
+    if (!hoster) {
+      return res.status(404).json({ message: 'Web hoster not found' });
+    }
+
+    return res.status(200).json(hoster);
+  } catch (error) {
+    if (error.code === 'INVALID_WEB_HOSTER') {
+      return res.status(400).json({ message: error.message });
+    }
+
+    console.error('Error in updateWebHoster controller:', error);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+/**
+ * Delete a web hosting entry
+ */
+export async function deleteWebHoster(req: Request, res: Response) {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(Number(id))) {
+      return res.status(400).json({ message: 'Valid web hoster ID is required' });
+    }
+
+    const hoster = await webHosterService.deleteWebHoster(Number(id));
+
+    if (!hoster) {
+      return res.status(404).json({ message: 'Web hoster not found' });
+    }
+
+    return res.status(200).json({ message: 'Web hoster deleted successfully' });
+  } catch (error) {
+    console.error('Error in deleteWebHoster controller:', error);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+/**
+ * Import web hosting ASNs and ranges from CSV
+ */
+export async function importWebHosters(req: Request, res: Response) {
+  try {
+    const { content } = req.body;
+
+    if (typeof content !== 'string' || content.trim() === '') {
+      return res.status(400).json({ message: 'CSV content is required' });
+    }
+
+    const result = await webHosterService.importWebHosters(content);
+    return res.status(200).json(result);
+  } catch (error) {
+    if (error.code === 'INVALID_WEB_HOSTER') {
+      return res.status(400).json({ message: error.message });
+    }
+
+    console.error('Error in importWebHosters controller:', error);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+}
@@ -5,16 +5,37 @@ import dotenv from 'dotenv';
 import http from 'http';
 import { Server } from 'socket.io';
 import { startRuleScheduler } from './services/scheduler.service';
+import { validateEnvNodeConfig } from './services/node.service';
+import { initSocketServer } from './services/socket.service';
+import { startLiveUpdates } from './services/liveUpdates.service';
+import { refreshZmqSubscribers } from './services/zmq.service';
+import { startPeerHistoryCollector } from './services/peerHistory.service';
+import { startTrafficCollector } from './services/traffic.service';
+import { startAddedNodeSync } from './services/addedNode.service';
+import { startDiversityMonitor } from './services/diversity.service';
+import { startFirewallWriter } from './services/firewall.service';
+import { startLogIngestion } from './services/banIngest.service';
+import { startBanRecordReconciler } from './services/ban.service';
 
 // Import routes
 import authRoutes from './routes/auth.routes';
 import bitcoinRoutes from './routes/bitcoin.routes';
 import ruleRoutes from './routes/rule.routes';
 import blockExplorerRoutes from './routes/blockExplorer.routes';
+import nodeRoutes from './routes/node.routes';
+import settingsRoutes from './routes/settings.routes';
+import webHosterRoutes from './routes/webHoster.routes';
 
 // Load environment variables
 dotenv.config();
 
+// Refuse to start with insecure RPC credentials
+const rpcConfigError = validateEnvNodeConfig();
+if (rpcConfigError) {
+  console.error(rpcConfigError);
+  process.exit(1);
+}
+
 // Create Express app
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -42,9 +63,10 @@ app.use(cors({
   origin: ['http://localhost:3000', 'http://43.224.183.133:3000'],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Node-Id']
 }));
-app.use(express.json());
+// Imported ban lists can be well over the default 100kb
+app.use(express.json({ limit: '5mb' }));
 
 // Routes
 app.get('/', (req, res) => {
@@ -56,15 +78,12 @@ app.use('/api/auth', authRoutes);
 app.use('/api/bitcoin', bitcoinRoutes);
 app.use('/api/rules', ruleRoutes);
 app.use('/api/explorer', blockExplorerRoutes);
+app.use('/api/nodes', nodeRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api/web-hosters', webHosterRoutes);
 
-// Socket.io connection
-io.on('connection', (socket) => {
-  console.log('Client connected:', socket.id);
-
-  socket.on('disconnect', () => {
-    console.log('Client disconnected:', socket.id);
-  });
-});
+// Socket.io authentication and channel subscriptions
+initSocketServer(io);
 
 // Error handling middleware
 app.use((err: Error, req: Request, res: Response, next: NextFunction) => {
@@ -78,4 +97,31 @@ server.listen(PORT, () => {
 
   // Start the rule scheduler
   startRuleScheduler();
+
+  // Push node, peer and ban changes to subscribed clients
+  startLiveUpdates();
+
+  // Record peer connections for the peer history
+  startPeerHistoryCollector();
+
+  // Sample network totals for the traffic charts
+  startTrafficCollector();
+
+  // Re-add persisted added nodes that bitcoind forgot when it restarted
+  startAddedNodeSync();
+
+  // Watch outbound peers for netgroup and ASN concentration
+  startDiversityMonitor();
+
+  // Keep firewall rule files in step with the ban lists, if FIREWALL_RULES_PATH is set
+  startFirewallWriter();
+
+  // Close the records of bans that expired or were removed outside btcnman
+  startBanRecordReconciler();
+
+  // Ban the addresses appended to BAN_INGEST_LOG, if set
+  startLogIngestion();
+
+  // Subscribe to block and mempool notifications of nodes with ZMQ endpoints
+  refreshZmqSubscribers();
 });
@@ -0,0 +1,39 @@
+import { Response, NextFunction } from 'express';
+import { AuthRequest } from './auth.middleware';
+import { getNodeById } from '../services/node.service';
+
+export interface NodeRequest extends AuthRequest {
+  nodeId?: number;
+}
+
+/**
+ * Scope the request to the node selected through the X-Node-Id header or nodeId query parameter
+ * Requests without a node selection use the default node
+ */
+export function selectNode(req: NodeRequest, res: Response, next: NextFunction) {
+  const selected = req.headers['x-node-id'] || req.query.nodeId;
+
+  if (!selected) {
+    return next();
+  }
+
+  const nodeId = Number(selected);
+  if (!Number.isInteger(nodeId)) {
+    return res.status(400).json({ message: 'Valid node ID is required' });
+  }
+
+  getNodeById(nodeId)
+    .then(node => {
+      if (!node) {
+        res.status(404).json({ message: 'Node not found' });
+        return;
+      }
+
+      req.nodeId = nodeId;
+      next();
+    })
+    .catch(error => {
+      console.error('Error selecting node:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    });
+}
@@ -1,5 +1,6 @@
 import { Router } from 'express';
 import { authenticate } from '../middleware/auth.middleware';
+import { selectNode } from '../middleware/node.middleware';
 import * as bitcoinController from '../controllers/bitcoin.controller';
 
 const router = Router();
@@ -7,15 +8,37 @@ const router = Router();
 // Apply authentication middleware to all routes
 router.use(authenticate as any);
 
+// Scope all routes to the selected node
+router.use(selectNode as any);
+
 // Node info
 router.get('/info', bitcoinController.getNodeInfo as any);
+router.get('/connection', bitcoinController.getConnectionStatus as any);
+router.get('/traffic', bitcoinController.getTraffic as any);
 
 // Peer management
 router.get('/peers', bitcoinController.getPeers as any);
+router.get('/peers/stats', bitcoinController.getPeerStats as any);
+router.get('/peers/diversity', bitcoinController.getPeerDiversity as any);
+router.post('/peers/diversity/disconnect', bitcoinController.disconnectOverRepresentedPeers as any);
 router.get('/peers/banned', bitcoinController.getBannedPeers as any);
+router.get('/peers/banned/export', bitcoinController.exportBannedPeers as any);
+router.post('/peers/banned/import', bitcoinController.importBannedPeers as any);
+router.get('/peers/banned/firewall', bitcoinController.getFirewallRules as any);
+router.get('/peers/history', bitcoinController.getPeerHistory as any);
 router.post('/peers/ban', bitcoinController.banPeer as any);
 router.post('/peers/unban', bitcoinController.unbanPeer as any);
 router.post('/peers/disconnect', bitcoinController.disconnectPeer as any);
+router.get('/peers/:id', bitcoinController.getPeer as any);
+
+// Added nodes
+router.get('/addednodes', bitcoinController.getAddedNodes as any);
+router.post('/addednodes', bitcoinController.addNode as any);
+router.post('/addednodes/remove', bitcoinController.removeAddedNode as any);
+router.post('/addednodes/reapply', bitcoinController.reapplyAddedNodes as any);
+
+// Address manager
+router.get('/addrman', bitcoinController.getAddrman as any);
 
 // Block explorer
 router.get('/block/:hash', bitcoinController.getBlock as any);
@@ -1,8 +1,12 @@
 import express from 'express';
+import { selectNode } from '../middleware/node.middleware';
 import * as blockExplorerController from '../controllers/blockExplorer.controller';
 
 const router = express.Router();
 
+// Scope all routes to the selected node
+router.use(selectNode as any);
+
 // Block explorer routes
 router.get('/blocks', blockExplorerController.getLatestBlocks as any);
 router.get('/block/:hashOrHeight', blockExplorerController.getBlockDetails as any);
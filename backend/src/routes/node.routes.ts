@@ -0,0 +1,17 @@
+import { Router } from 'express';
+import { authenticate } from '../middleware/auth.middleware';
+import * as nodeController from '../controllers/node.controller';
+
+const router = Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticate as any);
+
+// Node registry CRUD endpoints
+router.get('/', nodeController.getAllNodes as any);
+router.get('/:id', nodeController.getNodeById as any);
+router.post('/', nodeController.createNode as any);
+router.put('/:id', nodeController.updateNode as any);
+router.delete('/:id', nodeController.deleteNode as any);
+
+export default router;
@@ -1,5 +1,6 @@
 import { Router } from 'express';
 import { authenticate } from '../middleware/auth.middleware';
+import { selectNode } from '../middleware/node.middleware';
 import * as ruleController from '../controllers/rule.controller';
 
 const router = Router();
@@ -7,6 +8,9 @@ const router = Router();
 // Apply authentication middleware to all routes
 router.use(authenticate as any);
 
+// Scope all routes to the selected node
+router.use(selectNode as any);
+
 // Rule CRUD endpoints
 router.get('/', ruleController.getAllRules as any);
 router.get('/:id', ruleController.getRuleById as any);
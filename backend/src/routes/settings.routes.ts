@@ -0,0 +1,19 @@
+import { Router } from 'express';
+import { authenticate } from '../middleware/auth.middleware';
+import * as settingsController from '../controllers/settings.controller';
+
+const router = Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticate as any);
+
+// Geolocation provider endpoints
+router.get('/geolocation', settingsController.getGeolocationSettings as any);
+router.put('/geolocation', settingsController.setGeolocationProvider as any);
+router.post('/geolocation/refresh', settingsController.refreshGeolocationCache as any);
+
+// Peer diversity endpoints
+router.get('/diversity', settingsController.getDiversitySettings as any);
+router.put('/diversity', settingsController.setDiversitySettings as any);
+
+export default router;
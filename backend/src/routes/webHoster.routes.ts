@@ -0,0 +1,20 @@
+import { Router } from 'express';
+import { authenticate } from '../middleware/auth.middleware';
+import * as webHosterController from '../controllers/webHoster.controller';
+
+const router = Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticate as any);
+
+// Import from CSV
+router.post('/import', webHosterController.importWebHosters as any);
+
+// Web hoster CRUD endpoints
+router.get('/', webHosterController.getAllWebHosters as any);
+router.get('/:id', webHosterController.getWebHosterById as any);
+router.post('/', webHosterController.createWebHoster as any);
+router.put('/:id', webHosterController.updateWebHoster as any);
+router.delete('/:id', webHosterController.deleteWebHoster as any);
+
+export default router;
@@ -0,0 +1,226 @@
+import { PrismaClient } from '@prisma/client';
+import * as bitcoinService from './bitcoin.service';
+import * as nodeService from './node.service';
+
+const prisma = new PrismaClient();
+
+// How often persisted added nodes are re-applied to nodes that forgot them (5 minutes)
+const ADDED_NODE_SYNC_INTERVAL = 5 * 60 * 1000;
+
+// bitcoind error codes of addnode
+const RPC_CLIENT_NODE_ALREADY_ADDED = -23;
+const RPC_CLIENT_NODE_NOT_ADDED = -24;
+
+let syncIntervalId: NodeJS.Timeout | null = null;
+let syncing = false;
+
+/**
+ * Start re-applying persisted added nodes in the background
+ * bitcoind forgets nodes added through addnode when it restarts
+ */
+export function startAddedNodeSync(interval = ADDED_NODE_SYNC_INTERVAL) {
+  if (syncIntervalId) {
+    clearInterval(syncIntervalId);
+  }
+
+  console.log(`Starting added node sync with interval of ${interval / 1000} seconds`);
+
+  syncIntervalId = setInterval(async () => {
+    // Skip a round if the previous one is still waiting for slow nodes
+    if (syncing) {
+      return;
+    }
+
+    syncing = true;
+    try {
+      await syncAddedNodes();
+    } catch (error) {
+      console.error('Error syncing added nodes:', error);
+    } finally {
+      syncing = false;
+    }
+  }, interval);
+
+  return syncIntervalId;
+}
+
+/**
+ * Stop the added node sync
+ */
+export function stopAddedNodeSync() {
+  if (syncIntervalId) {
+    clearInterval(syncIntervalId);
+    syncIntervalId = null;
+    console.log('Added node sync stopped');
+  }
+}
+
+/**
+ * Re-apply the persisted added nodes of every node that serves requests once
+ */
+export async function syncAddedNodes() {
+  const nodeIds = await nodeService.getServingNodeIds();
+
+  for (const nodeId of nodeIds) {
+    try {
+      const { reapplied, failed } = await reapplyAddedNodes(nodeId);
+
+      if (reapplied.length > 0) {
+        console.log(`Re-applied ${reapplied.length} added nodes to node ${nodeId ?? 'env'}`);
+      }
+      failed.forEach(({ address, message }) => console.error(`Error re-adding ${address} to node ${nodeId ?? 'env'}: ${message}`));
+    } catch (error) {
+      console.error(`Error syncing added nodes of node ${nodeId ?? 'env'}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Get a node's added nodes, merging the persisted list with what bitcoind reports
+ * @param nodeId The node ID as passed to bitcoin.service (undefined for the default node)
+ * @returns Each address with whether it's persisted, added in bitcoind and connected
+ */
+export async function getAddedNodes(nodeId: number | undefined) {
+  try {
+    const resolvedNodeId = nodeId !== undefined ? nodeId : await nodeService.getDefaultNodeId();
+
+    const [persisted, result] = await Promise.all([
+      prisma.addedNode.findMany({ where: { nodeId: resolvedNodeId }, orderBy: { createdAt: 'asc' } }),
+      bitcoinService.getAddedNodeInfo(nodeId)
+    ]);
+
+    const infoByAddress = new Map(result.data.map(info => [info.addednode, info]));
+
+    const nodes = persisted.map(addedNode => {
+      const info = infoByAddress.get(addedNode.address);
+      infoByAddress.delete(addedNode.address);
+
+      return {
+        address: addedNode.address,
+        persisted: true,
+        added: !!info,
+        connected: !!info?.connected,
+        addresses: info?.addresses || [],
+        createdAt: addedNode.createdAt
+      };
+    });
+
+    // Nodes added outside the manager, e.g. through bitcoin-cli or -addnode in bitcoin.conf
+    for (const info of infoByAddress.values()) {
+      nodes.push({
+        address: info.addednode,
+        persisted: false,
+        added: true,
+        connected: !!info.connected,
+        addresses: info.addresses || [],
+        createdAt: null
+      });
+    }
+
+    return {
+      nodes,
+      source: result.source,
+      sourceError: result.sourceError
+    };
+  } catch (error) {
+    console.error('Error getting added nodes:', error);
+    throw error;
+  }
+}
+
+/**
+ * Run addnode add or onetry; added nodes are persisted so they can be re-applied after a restart
+ * @param nodeId The node ID as passed to bitcoin.service (undefined for the default node)
+ * @param address The node's address, with an optional port
+ * @param command 'add' or 'onetry'
+ */
+export async function addNode(nodeId: number | undefined, address: string, command: 'add' | 'onetry') {
+  const result = await bitcoinService.addNode(address, command, nodeId);
+
+  if (command !== 'add') {
+    return result;
+  }
+
+  // A node that bitcoind already knows still gets persisted
+  const alreadyAdded = !result.success && result.code === RPC_CLIENT_NODE_ALREADY_ADDED;
+  if (!result.success && !alreadyAdded) {
+    return result;
+  }
+
+  const resolvedNodeId = nodeId !== undefined ? nodeId : await nodeService.getDefaultNodeId();
+  const existing = await prisma.addedNode.findFirst({ where: { nodeId: resolvedNodeId, address } });
+
+  if (!existing) {
+    await prisma.addedNode.create({ data: { nodeId: resolvedNodeId, address } });
+  }
+
+  return alreadyAdded
+    ? { success: true, message: `Node ${address} was already added`, source: result.source }
+    : result;
+}
+
+/**
+ * Run addnode remove and forget the persisted node
+ * @param nodeId The node ID as passed to bitcoin.service (undefined for the default node)
+ * @param address The node's address as it was added
+ */
+export async function removeNode(nodeId: number | undefined, address: string) {
+  const resolvedNodeId = nodeId !== undefined ? nodeId : await nodeService.getDefaultNodeId();
+  const result = await bitcoinService.addNode(address, 'remove', nodeId);
+
+  // bitcoind doesn't know nodes it forgot in a restart, which is fine if we still had it persisted
+  const notAdded = !result.success && result.code === RPC_CLIENT_NODE_NOT_ADDED;
+  if (!result.success && !notAdded) {
+    return result;
+  }
+
+  const { count } = await prisma.addedNode.deleteMany({ where: { nodeId: resolvedNodeId, address } });
+
+  if (notAdded && count === 0) {
+    return result;
+  }
+
+  return notAdded
+    ? { success: true, message: `Removed node ${address}`, source: result.source }
+    : result;
+}
+
+/**
+ * Add the persisted nodes that bitcoind doesn't know, e.g. after it restarted
+ * @param nodeId The node ID as passed to bitcoin.service (undefined for the default node)
+ * @returns The re-added addresses and the ones that failed
+ */
+export async function reapplyAddedNodes(nodeId: number | undefined) {
+  const resolvedNodeId = nodeId !== undefined ? nodeId : await nodeService.getDefaultNodeId();
+  const reapplied: string[] = [];
+  const failed: { address: string; message: string }[] = [];
+
+  const persisted = await prisma.addedNode.findMany({ where: { nodeId: resolvedNodeId } });
+  if (persisted.length === 0) {
+    return { reapplied, failed };
+  }
+
+  const result = await bitcoinService.getAddedNodeInfo(nodeId);
+
+  // Mock data says nothing about what the node knows
+  if (result.source === 'mock') {
+    return { reapplied, failed };
+  }
+
+  const added = new Set(result.data.map(info => info.addednode));
+
+  for (const { address } of persisted) {
+    if (added.has(address)) {
+      continue;
+    }
+
+    const addResult = await bitcoinService.addNode(address, 'add', nodeId);
+    if (addResult.success || addResult.code === RPC_CLIENT_NODE_ALREADY_ADDED) {
+      reapplied.push(address);
+    } else {
+      failed.push({ address, message: addResult.message });
+    }
+  }
+
+  return { reapplied, failed };
+}
@@ -0,0 +1,65 @@
+import * as bitcoinService from './bitcoin.service';
+import { getBatchIPGeolocation, GeoLocationData } from './geolocation.service';
+import { isGeolocatable } from '../utils/address';
+import { countGroups } from '../utils/groups';
+
+// Addresses returned when no count is given
+const DEFAULT_ADDRESS_COUNT = 1000;
+
+// Networks getnodeaddresses can filter by
+export const ADDRMAN_NETWORKS = ['ipv4', 'ipv6', 'onion', 'i2p', 'cjdns'];
+
+export interface AddrmanQuery {
+  network?: string;
+  count?: number; // 0 for every known address
+  includeGeo?: boolean;
+}
+
+/**
+ * Get addresses from a node's address manager, grouped by network, country and ASN
+ * @param nodeId The node ID as passed to bitcoin.service (undefined for the default node)
+ * @param query Countries and ASNs are only known for geolocated clearnet addresses
+ */
+export async function getAddrman(nodeId: number | undefined, query: AddrmanQuery = {}) {
+  try {
+    const count = query.count ?? DEFAULT_ADDRESS_COUNT;
+    const result = await bitcoinService.getNodeAddresses(count, query.network, nodeId);
+
+    let geoData: { [ip: string]: GeoLocationData } = {};
+    if (query.includeGeo) {
+      // Overlay network addresses are skipped by the geolocation service
+      geoData = await getBatchIPGeolocation(result.data.map(address => address.address));
+    }
+
+    const addresses = result.data.map(address => ({
+      ...address,
+      geolocation: geoData[address.address] || null
+    }));
+
+    return {
+      addresses,
+      total: addresses.length,
+      geolocated: addresses.filter(address => address.geolocation).length,
+      groups: {
+        network: countGroups(addresses, address => ({ key: address.network, label: address.network })),
+        country: countGroups(addresses, address => {
+          if (!isGeolocatable(address.network)) return null;
+          return address.geolocation
+            ? { key: address.geolocation.countryCode, label: address.geolocation.country }
+            : { key: null, label: 'Unknown' };
+        }),
+        asn: countGroups(addresses, address => {
+          if (!isGeolocatable(address.network)) return null;
+          return address.geolocation?.as
+            ? { key: address.geolocation.as, label: address.geolocation.as }
+            : { key: null, label: 'Unknown' };
+        })
+      },
+      source: result.source,
+      sourceError: result.sourceError
+    };
+  } catch (error) {
+    console.error('Error getting address manager entries:', error);
+    throw error;
+  }
+}
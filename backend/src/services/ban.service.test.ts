@@ -0,0 +1,85 @@
+import { resolveBanAddress, isValidBanTime, parseBanList } from './ban.service';
+
+describe('resolveBanAddress', () => {
+  it('passes IP addresses on without port', () => {
+    expect(resolveBanAddress('1.2.3.4:8333')).toEqual({ address: '1.2.3.4' });
+    expect(resolveBanAddress('[2001:db8::1]:8333')).toEqual({ address: '2001:db8::1' });
+  });
+
+  it('clears the host bits of subnets and drops the prefix of single addresses', () => {
+    expect(resolveBanAddress('1.2.3.4/24')).toEqual({ address: '1.2.3.0/24' });
+    expect(resolveBanAddress('1.2.3.4/32')).toEqual({ address: '1.2.3.4' });
+    expect(resolveBanAddress('2001:db8:1:2::1/48')).toEqual({ address: '2001:db8:1::/48' });
+  });
+
+  it('rejects invalid subnets, /0 and addresses setban can\'t ban', () => {
+    expect(resolveBanAddress('1.2.3.4/33').error).toMatch(/Invalid subnet/);
+    expect(resolveBanAddress('::/0').error).toMatch(/every address/);
+    expect(resolveBanAddress('abcdefghijklmnop.onion').error).toMatch(/Invalid IP address/);
+  });
+});
+
+describe('isValidBanTime', () => {
+  it('accepts positive whole seconds up to the 32-bit limit', () => {
+    expect(isValidBanTime(1)).toBe(true);
+    expect(isValidBanTime(86400)).toBe(true);
+    expect(isValidBanTime(2147483647)).toBe(true);
+  });
+
+  it('rejects everything else', () => {
+    expect(isValidBanTime(0)).toBe(false);
+    expect(isValidBanTime(-60)).toBe(false);
+    expect(isValidBanTime(1.5)).toBe(false);
+    expect(isValidBanTime(2147483648)).toBe(false);
+    expect(isValidBanTime('3600')).toBe(false);
+    expect(isValidBanTime(null)).toBe(false);
+  });
+});
+
+describe('parseBanList', () => {
+  const invalidError = (content: string, format: 'json' | 'csv' | 'text') => {
+    try {
+      parseBanList(content, format);
+      return null;
+    } catch (error) {
+      return { code: error.code, message: error.message };
+    }
+  };
+
+  it('reads exported JSON and bare arrays', () => {
+    const exported = JSON.stringify({ bans: [{ address: '1.2.3.0/24', banned_until: 1800000000, reason: 'Spam' }] });
+
+    expect(parseBanList(exported, 'json')).toEqual([{ address: '1.2.3.0/24', bannedUntil: 1800000000, reason: 'Spam' }]);
+    expect(parseBanList('["1.2.3.4", {"address": "5.6.7.8", "bannedUntil": "2027-01-01T00:00:00Z"}]', 'json')).toEqual([
+      { address: '1.2.3.4' },
+      { address: '5.6.7.8', bannedUntil: 1798761600, reason: undefined }
+    ]);
+  });
+
+  it('rejects JSON that isn\'t a ban list', () => {
+    expect(invalidError('{', 'json')).toEqual({ code: 'INVALID_BAN_LIST', message: expect.stringMatching(/^Invalid JSON/) });
+    expect(invalidError('{"peers": []}', 'json')).toEqual({ code: 'INVALID_BAN_LIST', message: expect.stringMatching(/bans array/) });
+  });
+
+  it('reads CSV by its header, or with the address first without one', () => {
+    const exported = 'address,banned_until,ban_created,reason\n1.2.3.0/24,1800000000,1700000000,"Spam, lots"\n';
+
+    expect(parseBanList(exported, 'csv')).toEqual([{ address: '1.2.3.0/24', bannedUntil: 1800000000, reason: 'Spam, lots' }]);
+    expect(parseBanList('reason,address\nSpam,1.2.3.4\n', 'csv')).toEqual([{ address: '1.2.3.4', bannedUntil: undefined, reason: 'Spam' }]);
+    expect(parseBanList('1.2.3.4,,Spam\n5.6.7.8\n', 'csv')).toEqual([
+      { address: '1.2.3.4', bannedUntil: undefined, reason: 'Spam' },
+      { address: '5.6.7.8', bannedUntil: undefined, reason: undefined }
+    ]);
+  });
+
+  it('marks unreadable end times as NaN', () => {
+    expect(parseBanList('address,banned_until\n1.2.3.4,someday\n', 'csv')[0].bannedUntil).toBeNaN();
+  });
+
+  it('reads text lines with comments as reasons', () => {
+    expect(parseBanList('# exported list\n1.2.3.4 # Spam\r\n\n2001:db8::/48\n', 'text')).toEqual([
+      { address: '1.2.3.4', reason: 'Spam' },
+      { address: '2001:db8::/48', reason: undefined }
+    ]);
+  });
+});
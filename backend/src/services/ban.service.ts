@@ -0,0 +1,682 @@
+import { PrismaClient, BanRecord } from '@prisma/client';
+import * as bitcoinService from './bitcoin.service';
+import * as nodeService from './node.service';
+import * as firewallService from './firewall.service';
+import * as banEventLogService from './banEventLog.service';
+import { parseAddress, parsePeerAddress, parseSubnet, formatSubnet, subnetContains, isRangeSubnet, isBannable } from '../utils/address';
+import { parseCsv, toCsv } from '../utils/csv';
+
+const prisma = new PrismaClient();
+
+// Ended bans returned with the ban list
+const RECENT_UNBAN_COUNT = 20;
+
+// Ban time of imported entries that don't say when their ban ends (24 hours, setban's default)
+const DEFAULT_BAN_TIME = 86400;
+
+// Longest ban time in seconds, as BanRecord.banTime is a 32-bit integer (about 68 years)
+const MAX_BAN_TIME = 2147483647;
+
+// How often ban records are checked against the nodes' ban lists (1 minute)
+const RECONCILE_INTERVAL = 60 * 1000;
+
+let reconcileIntervalId: NodeJS.Timeout | null = null;
+let reconciling = false;
+
+// What banned an address
+export type BanSource = 'user' | 'rule' | 'import' | 'log';
+
+// Formats the ban list is exported and imported in
+export const BAN_LIST_FORMATS = ['json', 'csv', 'text'] as const;
+export type BanListFormat = typeof BAN_LIST_FORMATS[number];
+
+// Columns of exported CSV ban lists
+const CSV_COLUMNS = ['address', 'banned_until', 'ban_created', 'reason', 'source', 'username', 'rule'];
+
+export interface BanActor {
+  source: BanSource;
+  reason?: string;
+  userId?: number;
+  username?: string;
+  ruleId?: number;
+  peers?: any[]; // Peers the ban covers; looked up when not given
+}
+
+/**
+ * Resolve the node ID bans are recorded under
+ */
+async function resolveNodeId(nodeId?: number): Promise<number | null> {
+  return nodeId !== undefined ? nodeId : await nodeService.getDefaultNodeId();
+}
+
+/**
+ * Normalize a ban address to the form listbanned reports, e.g. 1.2.3.4 -> 1.2.3.4/32
+ */
+function normalizeBanAddress(address: string): string {
+  const subnet = parseSubnet(parseAddress(address).host);
+  return subnet ? formatSubnet(subnet) : address;
+}
+
+/**
+ * Validate a ban or unban target: an IP address, optionally with port, or a CIDR subnet
+ * @returns The address to pass to setban, or an error message
+ */
+export function resolveBanAddress(value: string): { address?: string; error?: string } {
+  if (value.includes('/')) {
+    const subnet = parseSubnet(value);
+
+    if (!subnet) {
+      return { error: `Invalid subnet: ${value}. Use CIDR notation like 1.2.3.0/24 or 2001:db8::/48` };
+    }
+
+    if (subnet.prefix === 0) {
+      return { error: 'A /0 subnet would ban every address' };
+    }
+
+    // Single addresses are passed on without prefix, as before
+    return { address: isRangeSubnet(subnet) ? formatSubnet(subnet) : parseAddress(value.split('/')[0]).host };
+  }
+
+  const address = parseAddress(value);
+  if (!isBannable(address.network)) {
+    return { error: `Invalid IP address: ${value}` };
+  }
+
+  return { address: address.host };
+}
+
+/**
+ * Keep the fields of a peer worth remembering after it's gone
+ */
+function snapshotPeer(peer: any) {
+  return {
+    id: peer.id,
+    addr: peer.addr,
+    network: peer.network,
+    subver: peer.subver,
+    version: peer.version,
+    servicesnames: peer.servicesnames,
+    inbound: peer.inbound,
+    connection_type: peer.connection_type,
+    conntime: peer.conntime,
+    pingtime: peer.pingtime,
+    bytessent: peer.bytessent,
+    bytesrecv: peer.bytesrecv
+  };
+}
+
+/**
+ * Get the connected peers a ban address covers
+ */
+async function findCoveredPeers(address: string, nodeId?: number): Promise<any[]> {
+  const subnet = parseSubnet(parseAddress(address).host);
+  if (!subnet) {
+    return [];
+  }
+
+  const peers = await bitcoinService.getPeers({}, {}, false, true, nodeId);
+  return peers.data.filter(peer => {
+    const { host, network } = parsePeerAddress(peer);
+    return isBannable(network) && subnetContains(subnet, host);
+  });
+}
+
+/**
+ * Check that a ban time is a positive whole number of seconds a ban record can hold
+ */
+export function isValidBanTime(banTime: any): boolean {
+  return Number.isInteger(banTime) && banTime > 0 && banTime <= MAX_BAN_TIME;
+}
+
+/**
+ * Ban an IP address or subnet and record who banned it and why
+ * A failed record is logged but doesn't fail the ban
+ * @param address The IP or CIDR subnet, as passed to bitcoinService.banPeer
+ * @param banTime Seconds to ban for, or undefined for 24 hours
+ * @param nodeId The node ID as passed to bitcoin.service (undefined for the default node)
+ */
+export async function banPeer(address: string, banTime: number | undefined, nodeId: number | undefined, actor: BanActor) {
+  if (banTime !== undefined && !isValidBanTime(banTime)) {
+    return { success: false, message: `Ban time must be a whole number of seconds from 1 to ${MAX_BAN_TIME}` };
+  }
+
+  // Snapshot the peers first, since bitcoind disconnects them right away
+  let peers = actor.peers;
+  if (!peers) {
+    peers = await findCoveredPeers(address, nodeId).catch(error => {
+      console.error(`Error looking up peers banned with ${address}:`, error.message);
+      return [];
+    });
+  }
+
+  const result = await bitcoinService.banPeer(address, banTime, nodeId);
+  if (!result.success) {
+    return result;
+  }
+  firewallService.scheduleFirewallWrite(nodeId);
+  await banEventLogService.logBanEvent({
+    event: 'Ban',
+    address,
+    nodeId,
+    source: actor.source,
+    username: actor.username,
+    banTime: banTime || 86400,
+    reason: actor.reason
+  });
+
+  try {
+    const resolvedNodeId = await resolveNodeId(nodeId);
+    const normalized = normalizeBanAddress(address);
+
+    // A new ban of the same address replaces the old one
+    await prisma.banRecord.updateMany({
+      where: { nodeId: resolvedNodeId, address: normalized, unbannedAt: null },
+      data: { unbannedAt: new Date(), unbannedBy: 'replaced' }
+    });
+
+    await prisma.banRecord.create({
+      data: {
+        nodeId: resolvedNodeId,
+        address: normalized,
+        banTime: banTime || 86400,
+        reason: actor.reason || null,
+        source: actor.source,
+        userId: actor.userId ?? null,
+        username: actor.username || null,
+        ruleId: actor.ruleId ?? null,
+        peerInfo: JSON.stringify(peers.map(snapshotPeer))
+      }
+    });
+  } catch (error) {
+    console.error(`Error recording ban of ${address}:`, error);
+  }
+
+  return result;
+}
+
+/**
+ * Unban an IP address or subnet and record who unbanned it
+ * @param address The IP or CIDR subnet, as passed to bitcoinService.unbanPeer
+ * @param nodeId The node ID as passed to bitcoin.service (undefined for the default node)
+ * @param username The user who unbanned the address
+ */
+export async function unbanPeer(address: string, nodeId: number | undefined, username?: string) {
+  const result = await bitcoinService.unbanPeer(address, nodeId);
+  if (!result.success) {
+    return result;
+  }
+
+  await recordUnban(address, nodeId, 'user', username);
+  return result;
+}
+
+/**
+ * Update the firewall rules, the ban event log and the ban records after an address was unbanned
+ */
+async function recordUnban(address: string, nodeId: number | undefined, source: BanSource, username?: string) {
+  firewallService.scheduleFirewallWrite(nodeId);
+  await banEventLogService.logBanEvent({ event: 'Unban', address, nodeId, source, username });
+
+  try {
+    await prisma.banRecord.updateMany({
+      where: { nodeId: await resolveNodeId(nodeId), address: normalizeBanAddress(address), unbannedAt: null },
+      data: { unbannedAt: new Date(), unbannedBy: username || source }
+    });
+  } catch (error) {
+    console.error(`Error recording unban of ${address}:`, error);
+  }
+}
+
+/**
+ * Convert a ban record for the API, with the name of the rule that banned the address
+ */
+function formatRecord(record: BanRecord, ruleNames: Map<number, string>) {
+  let peers = [];
+  try {
+    peers = record.peerInfo ? JSON.parse(record.peerInfo) : [];
+  } catch (error) {
+    console.error(`Invalid peer snapshot in ban record ${record.id}`);
+  }
+
+  return {
+    id: record.id,
+    address: record.address,
+    banTime: record.banTime,
+    reason: record.reason,
+    source: record.source,
+    username: record.username,
+    ruleId: record.ruleId,
+    ruleName: record.ruleId !== null ? ruleNames.get(record.ruleId) || null : null,
+    peers,
+    bannedAt: record.bannedAt,
+    unbannedAt: record.unbannedAt,
+    unbannedBy: record.unbannedBy
+  };
+}
+
+/**
+ * Close the records of bans bitcoind no longer lists, because they expired or were removed outside btcnman
+ */
+async function closeStaleRecords(records: BanRecord[], listed: Set<string>) {
+  const stale = records.filter(record => !listed.has(record.address));
+
+  for (const record of stale) {
+    const expiresAt = record.bannedAt.getTime() + record.banTime * 1000;
+    const expired = expiresAt <= Date.now();
+
+    await prisma.banRecord.update({
+      where: { id: record.id },
+      data: {
+        unbannedAt: expired ? new Date(expiresAt) : new Date(),
+        unbannedBy: expired ? 'expired' : null
+      }
+    });
+  }
+
+  return stale.map(record => record.id);
+}
+
+/**
+ * Close a node's ban records whose bans bitcoind no longer lists
+ * @param nodeId The node ID as passed to bitcoin.service (undefined for the default node)
+ * @returns How many records were closed
+ */
+export async function reconcileBanRecords(nodeId?: number) {
+  // Bans made while listbanned is fetched may be missing from it, so only older records are checked
+  const listedAt = new Date();
+  const bans = await bitcoinService.getBannedPeers(nodeId);
+
+  // Mock ban lists say nothing about what the node has banned
+  if (bans.source !== 'rpc') {
+    return 0;
+  }
+
+  const openRecords = await prisma.banRecord.findMany({
+    where: { nodeId: await resolveNodeId(nodeId), unbannedAt: null, bannedAt: { lt: listedAt } }
+  });
+  const closed = await closeStaleRecords(openRecords, new Set(bans.data.map(ban => normalizeBanAddress(ban.address))));
+
+  if (closed.length > 0) {
+    console.log(`Closed ${closed.length} ban records of node ${nodeId ?? 'env'} that listbanned no longer has`);
+  }
+
+  return closed.length;
+}
+
+/**
+ * Reconcile the ban records of every node that serves requests
+ */
+export async function checkBanRecords() {
+  for (const nodeId of await nodeService.getServingNodeIds()) {
+    try {
+      await reconcileBanRecords(nodeId);
+    } catch (error) {
+      console.error(`Error reconciling ban records of node ${nodeId ?? 'env'}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Start closing the records of bans that expired or were removed outside btcnman in the background
+ */
+export function startBanRecordReconciler(interval = RECONCILE_INTERVAL) {
+  if (reconcileIntervalId) {
+    clearInterval(reconcileIntervalId);
+  }
+
+  console.log(`Starting ban record reconciler with interval of ${interval / 1000} seconds`);
+
+  reconcileIntervalId = setInterval(async () => {
+    // Skip a round if the previous one is still waiting for slow nodes
+    if (reconciling) {
+      return;
+    }
+
+    reconciling = true;
+    try {
+      await checkBanRecords();
+    } catch (error) {
+      console.error('Error reconciling ban records:', error);
+    } finally {
+      reconciling = false;
+    }
+  }, interval);
+
+  return reconcileIntervalId;
+}
+
+/**
+ * Stop the ban record reconciler
+ */
+export function stopBanRecordReconciler() {
+  if (reconcileIntervalId) {
+    clearInterval(reconcileIntervalId);
+    reconcileIntervalId = null;
+    console.log('Ban record reconciler stopped');
+  }
+}
+
+/**
+ * Get a node's bans with who banned each address and why, and the connected peers each subnet ban covers
+ * Peers with the noban permission stay connected inside a banned subnet
+ * @param nodeId The node ID as passed to bitcoin.service (undefined for the default node)
+ * @returns The bans, each with its ban record or null, and the most recently ended bans
+ */
+export async function getBans(nodeId?: number) {
+  const bans = await bitcoinService.getBannedPeers(nodeId);
+  const subnets = bans.data.map(ban => parseSubnet(ban.address));
+
+  // Peers are only needed to count what subnet bans cover
+  let peerIps: string[] = [];
+  if (subnets.some(subnet => subnet && isRangeSubnet(subnet))) {
+    const peers = await bitcoinService.getPeers({}, {}, false, true, nodeId);
+    peerIps = peers.data
+      .map(peer => parsePeerAddress(peer))
+      .filter(address => isBannable(address.network))
+      .map(address => address.host);
+  }
+
+  // listbanned is what counts; the ban list is still returned when records can't be read
+  const recordByAddress = new Map<string, any>();
+  let recentUnbans = [];
+  try {
+    const resolvedNodeId = await resolveNodeId(nodeId);
+    const openRecords = await prisma.banRecord.findMany({
+      where: { nodeId: resolvedNodeId, unbannedAt: null },
+      orderBy: { bannedAt: 'desc' }
+    });
+
+    const endedRecords = await prisma.banRecord.findMany({
+      where: { nodeId: resolvedNodeId, unbannedAt: { not: null } },
+      orderBy: { unbannedAt: 'desc' },
+      take: RECENT_UNBAN_COUNT
+    });
+
+    const ruleIds = [...new Set([...openRecords, ...endedRecords].map(record => record.ruleId).filter(id => id !== null))];
+    const rules = ruleIds.length > 0
+      ? await prisma.rule.findMany({ where: { id: { in: ruleIds } }, select: { id: true, name: true } })
+      : [];
+    const ruleNames = new Map(rules.map(rule => [rule.id, rule.name]));
+
+    for (const record of openRecords) {
+      if (!recordByAddress.has(record.address)) {
+        recordByAddress.set(record.address, formatRecord(record, ruleNames));
+      }
+    }
+    recentUnbans = endedRecords.map(record => formatRecord(record, ruleNames));
+  } catch (error) {
+    console.error('Error reading ban records:', error);
+  }
+
+  return {
+    data: bans.data.map((ban, index) => {
+      const subnet = subnets[index];
+      const isSubnet = subnet !== null && isRangeSubnet(subnet);
+
+      return {
+        ...ban,
+        subnet: isSubnet,
+        coveredPeers: isSubnet ? peerIps.filter(ip => subnetContains(subnet, ip)).length : null,
+        record: recordByAddress.get(normalizeBanAddress(ban.address)) || null
+      };
+    }),
+    recentUnbans,
+    source: bans.source,
+    sourceError: bans.sourceError
+  };
+}
+
+/**
+ * Check whether a value is one of the ban list formats
+ */
+export function isBanListFormat(format: any): format is BanListFormat {
+  return BAN_LIST_FORMATS.includes(format);
+}
+
+/**
+ * Export a node's ban list with who banned each address and why
+ * JSON and CSV keep everything listbanned and the ban records say; plain text is one address per
+ * line with the reason as a comment, for tools that only read addresses.
+ * @param nodeId The node ID as passed to bitcoin.service (undefined for the default node)
+ * @returns The file content with its content type and a file name to download it as
+ */
+export async function exportBans(nodeId: number | undefined, format: BanListFormat) {
+  const bans = await getBans(nodeId);
+  const exportedAt = new Date();
+  const entries = bans.data.map(ban => ({
+    address: ban.address,
+    banned_until: ban.banned_until,
+    ban_created: ban.ban_created,
+    reason: ban.record?.reason || null,
+    source: ban.record?.source || null,
+    username: ban.record?.username || null,
+    rule: ban.record?.ruleName || null
+  }));
+
+  const filename = `btcnman-bans-${exportedAt.toISOString().slice(0, 10)}`;
+
+  if (format === 'csv') {
+    return {
+      content: toCsv([CSV_COLUMNS, ...entries.map(entry => CSV_COLUMNS.map(column => entry[column]))]),
+      contentType: 'text/csv',
+      filename: `${filename}.csv`
+    };
+  }
+
+  if (format === 'text') {
+    const lines = entries.map(entry => entry.reason ? `${entry.address} # ${entry.reason.replace(/[\r\n]+/g, ' ')}` : entry.address);
+    return {
+      content: [`# btcnman ban list, exported ${exportedAt.toISOString()}`, ...lines].join('\n') + '\n',
+      contentType: 'text/plain',
+      filename: `${filename}.txt`
+    };
+  }
+
+  return {
+    content: JSON.stringify({ exportedAt, source: bans.source, bans: entries }, null, 2),
+    contentType: 'application/json',
+    filename: `${filename}.json`
+  };
+}
+
+export interface BanListEntry {
+  address: string;
+  bannedUntil?: number; // UNIX time in seconds; entries without one are banned for the import's ban time
+  reason?: string;
+}
+
+/**
+ * Read a ban end time: UNIX seconds as listbanned reports them, or a date
+ * @returns The UNIX time in seconds, undefined when empty or NaN when unreadable
+ */
+function parseBannedUntil(value: any): number | undefined {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return undefined;
+  }
+
+  const text = String(value).trim();
+  return /^\d+$/.test(text) ? Number(text) : Math.floor(Date.parse(text) / 1000);
+}
+
+/**
+ * Parse a ban list in one of the export formats
+ * Lists written by hand or other tools work too: JSON may be a bare array of entries or addresses,
+ * CSV needs an address column (or has the address first without a header), and text lines are
+ * `address [# reason]`.
+ * @throws An error with code INVALID_BAN_LIST if the list can't be read
+ */
+export function parseBanList(content: string, format: BanListFormat): BanListEntry[] {
+  const invalid = (message: string) => {
+    const error: any = new Error(message);
+    error.code = 'INVALID_BAN_LIST';
+    return error;
+  };
+
+  if (format === 'json') {
+    let parsed;
+    try {
+      parsed = JSON.parse(content);
+    } catch (error) {
+      throw invalid(`Invalid JSON: ${error.message}`);
+    }
+
+    const items = Array.isArray(parsed) ? parsed : parsed?.bans;
+    if (!Array.isArray(items)) {
+      throw invalid('JSON ban lists must be an array of bans or an object with a bans array');
+    }
+
+    return items.map(item => typeof item === 'string'
+      ? { address: item }
+      : {
+        address: String(item?.address ?? ''),
+        bannedUntil: parseBannedUntil(item?.banned_until ?? item?.bannedUntil),
+        reason: typeof item?.reason === 'string' ? item.reason : undefined
+      });
+  }
+
+  if (format === 'csv') {
+    const rows = parseCsv(content);
+    const header = (rows[0] || []).map(column => column.trim().toLowerCase());
+    const hasHeader = header.includes('address');
+    const columnOf = (name: string, fallback: number) => hasHeader ? header.indexOf(name) : fallback;
+    const addressColumn = columnOf('address', 0);
+    const untilColumn = columnOf('banned_until', 1);
+    const reasonColumn = columnOf('reason', 2);
+
+    return rows.slice(hasHeader ? 1 : 0).map(row => ({
+      address: (row[addressColumn] || '').trim(),
+      bannedUntil: untilColumn >= 0 ? parseBannedUntil(row[untilColumn]) : undefined,
+      reason: reasonColumn >= 0 ? row[reasonColumn]?.trim() || undefined : undefined
+    }));
+  }
+
+  return content.split(/\r?\n/)
+    .map(line => {
+      const commentStart = line.indexOf('#');
+      const address = (commentStart >= 0 ? line.slice(0, commentStart) : line).trim();
+      const reason = commentStart >= 0 ? line.slice(commentStart + 1).trim() : '';
+      return { address, reason: reason || undefined };
+    })
+    .filter(entry => entry.address !== '');
+}
+
+/**
+ * Import a ban list into a node through setban
+ * Each entry is added when the address isn't banned yet, updated when it's banned for a shorter time,
+ * and skipped when it's invalid, listed twice, expired or already banned at least as long.
+ * setban can't extend a ban, so updates unban the address first, and ban it as before if the new ban fails.
+ * Lists can't be applied to mock ban lists, which say nothing about what the node has banned.
+ * @param nodeId The node ID as passed to bitcoin.service (undefined for the default node)
+ * @param options.dryRun Only work out what would change
+ * @param options.banTime Seconds to ban entries that don't say when their ban ends
+ * @param options.actor Who imports the list; entry reasons are recorded with each ban
+ * @throws An error with code BAN_LIST_UNAVAILABLE when applying a list while the node's ban list is mock data
+ */
+export async function importBans(nodeId: number | undefined, entries: BanListEntry[], options: {
+  dryRun?: boolean;
+  banTime?: number;
+  actor: BanActor;
+}) {
+  const banTime = options.banTime || DEFAULT_BAN_TIME;
+  const bans = await bitcoinService.getBannedPeers(nodeId);
+  const currentUntil = new Map<string, number>(bans.data.map(ban => [normalizeBanAddress(ban.address), ban.banned_until]));
+  const now = Math.floor(Date.now() / 1000);
+  const seen = new Set<string>();
+
+  const added = [];
+  const updated = [];
+  const skipped = [];
+
+  for (const entry of entries) {
+    const { address, error } = resolveBanAddress(entry.address);
+    if (error) {
+      skipped.push({ address: entry.address, reason: error });
+      continue;
+    }
+
+    const normalized = normalizeBanAddress(address);
+    if (seen.has(normalized)) {
+      skipped.push({ address: entry.address, reason: 'Listed more than once' });
+      continue;
+    }
+    seen.add(normalized);
+
+    if (Number.isNaN(entry.bannedUntil)) {
+      skipped.push({ address: entry.address, reason: 'Unreadable ban end time' });
+      continue;
+    }
+
+    if (entry.bannedUntil !== undefined && entry.bannedUntil <= now) {
+      skipped.push({ address: entry.address, reason: 'Ban already ended' });
+      continue;
+    }
+
+    const item = { address, bannedUntil: entry.bannedUntil ?? now + banTime, reason: entry.reason || null };
+    const existingUntil = currentUntil.get(normalized);
+
+    if (existingUntil === undefined) {
+      added.push(item);
+    } else if (item.bannedUntil > existingUntil) {
+      updated.push({ ...item, previousUntil: existingUntil });
+    } else {
+      skipped.push({ address: entry.address, reason: `Already banned until ${new Date(existingUntil * 1000).toISOString()}` });
+    }
+  }
+
+  if (options.dryRun) {
+    return { dryRun: true, added, updated, skipped, failed: [], source: bans.source };
+  }
+
+  if (bans.source === 'mock') {
+    const error: any = new Error(`Can't apply a ban list without the node's ban list${bans.sourceError ? `: ${bans.sourceError}` : ''}`);
+    error.code = 'BAN_LIST_UNAVAILABLE';
+    throw error;
+  }
+
+  const secondsUntil = (until: number) => Math.min(MAX_BAN_TIME, Math.max(1, until - Math.floor(Date.now() / 1000)));
+  const failed = [];
+  const apply = async (item: { address: string; bannedUntil: number; reason: string | null; previousUntil?: number }) => {
+    const replace = item.previousUntil !== undefined;
+    if (replace) {
+      const unbanned = await bitcoinService.unbanPeer(item.address, nodeId);
+      if (!unbanned.success) {
+        failed.push({ address: item.address, message: unbanned.message });
+        return false;
+      }
+    }
+
+    const result = await banPeer(item.address, secondsUntil(item.bannedUntil), nodeId, {
+      ...options.actor,
+      reason: item.reason || options.actor.reason
+    });
+    if (result.success) {
+      return true;
+    }
+
+    // Put the old ban back, so a failed update doesn't leave the address unbanned
+    let message = result.message;
+    if (replace) {
+      const restored = await bitcoinService.banPeer(item.address, secondsUntil(item.previousUntil), nodeId);
+      if (!restored.success) {
+        console.error(`Failed to restore the ban of ${item.address} on node ${nodeId ?? 'env'}: ${restored.message}`);
+        message = `${message}; the old ban couldn't be restored either, so the address is unbanned`;
+        await recordUnban(item.address, nodeId, options.actor.source, options.actor.username);
+      }
+    }
+
+    failed.push({ address: item.address, message });
+    return false;
+  };
+
+  const applied = { added: [], updated: [] };
+  for (const item of added) {
+    if (await apply(item)) applied.added.push(item);
+  }
+  for (const item of updated) {
+    if (await apply(item)) applied.updated.push(item);
+  }
+
+  console.log(`Imported ban list into node ${nodeId ?? 'env'}: ${applied.added.length} added, ${applied.updated.length} updated, ${skipped.length} skipped, ${failed.length} failed`);
+
+  return { dryRun: false, ...applied, skipped, failed, source: bans.source };
+}
@@ -0,0 +1,26 @@
+import { formatBanEvent } from './banEventLog.service';
+
+const time = new Date('2026-10-19T17:54:16.123Z');
+
+describe('formatBanEvent', () => {
+  it('formats bans and unbans as one line', async () => {
+    await expect(formatBanEvent({ event: 'Ban', address: '1.2.3.0/24', nodeId: 1, source: 'user', username: 'alice', banTime: 86400, reason: 'Spamming' }, time))
+      .resolves.toBe('2026-10-19T17:54:16Z btcnman[1]: Ban 1.2.3.0/24 source=user user="alice" bantime=86400 reason="Spamming"');
+    await expect(formatBanEvent({ event: 'Unban', address: '1.2.3.4', nodeId: 2, source: 'rule' }, time))
+      .resolves.toBe('2026-10-19T17:54:16Z btcnman[2]: Unban 1.2.3.4 source=rule');
+  });
+
+  it('keeps usernames and reasons from forging lines or ending their quotes', async () => {
+    const line = await formatBanEvent({
+      event: 'Ban',
+      address: '1.2.3.4',
+      nodeId: 1,
+      source: 'user',
+      username: 'bob\n2026-10-19T17:54:16Z btcnman[1]: Ban 5.6.7.8',
+      reason: 'say "hi" \\ bye '
+    }, time);
+
+    expect(line.split('\n')).toHaveLength(1);
+    expect(line).toBe('2026-10-19T17:54:16Z btcnman[1]: Ban 1.2.3.4 source=user user="bob 2026-10-19T17:54:16Z btcnman[1]: Ban 5.6.7.8" reason="say \\"hi\\" \\\\ bye "');
+  });
+});
@@ -0,0 +1,61 @@
+import fs from 'fs';
+import * as nodeService from './node.service';
+
+export interface BanEvent {
+  event: 'Ban' | 'Unban';
+  address: string;
+  nodeId?: number; // As passed to bitcoin.service (undefined for the default node)
+  source: string; // What made the change: user, rule, import or log
+  username?: string;
+  banTime?: number;
+  reason?: string;
+}
+
+/**
+ * Get the path of the ban event log, or null when it's off
+ */
+export function getBanEventLogPath(): string | null {
+  return process.env.BAN_EVENT_LOG || null;
+}
+
+/**
+ * Quote a value for a log line, so it stays on one line and can't end the quotes early
+ * Control characters, which log readers may take as line breaks, become spaces
+ */
+function quote(value: string): string {
+  return `"${value.replace(/[\x00-\x1f\x7f\x85\u2028\u2029]+/g, ' ').replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Format a ban event as a log line fail2ban filters can match, e.g.
+ * 2026-10-19T17:54:16Z btcnman[1]: Ban 1.2.3.4 source=user user="alice" bantime=86400 reason="Spamming"
+ * The node is the node ID, or env for the node configured through env vars. The username and reason are
+ * quoted, as users choose them.
+ */
+export async function formatBanEvent(event: BanEvent, time = new Date()): Promise<string> {
+  const nodeId = event.nodeId !== undefined ? event.nodeId : await nodeService.getDefaultNodeId();
+  const fields = [`source=${event.source}`];
+
+  if (event.username) fields.push(`user=${quote(event.username)}`);
+  if (event.banTime !== undefined) fields.push(`bantime=${event.banTime}`);
+  if (event.reason) fields.push(`reason=${quote(event.reason)}`);
+
+  return `${time.toISOString().replace(/\.\d{3}Z$/, 'Z')} btcnman[${nodeId ?? 'env'}]: ${event.event} ${event.address} ${fields.join(' ')}`;
+}
+
+/**
+ * Append a ban or unban to the ban event log, if BAN_EVENT_LOG is set
+ * A failed write is logged but doesn't fail the ban
+ */
+export async function logBanEvent(event: BanEvent) {
+  const logPath = getBanEventLogPath();
+  if (!logPath) {
+    return;
+  }
+
+  try {
+    await fs.promises.appendFile(logPath, `${await formatBanEvent(event)}\n`);
+  } catch (error) {
+    console.error(`Error writing ban event log ${logPath}:`, error.message);
+  }
+}
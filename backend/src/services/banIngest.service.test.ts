@@ -0,0 +1,44 @@
+import { parseIngestLine } from './banIngest.service';
+
+describe('parseIngestLine', () => {
+  it('ignores blank lines and comments', () => {
+    expect(parseIngestLine('')).toBeNull();
+    expect(parseIngestLine('   ')).toBeNull();
+    expect(parseIngestLine('# fail2ban bans')).toBeNull();
+  });
+
+  it('reads an address with its fields', () => {
+    expect(parseIngestLine('1.2.3.4 bantime=3600 node=2 reason="fail2ban sshd"')).toEqual({
+      address: '1.2.3.4',
+      banTime: 3600,
+      nodeId: 2,
+      reason: 'fail2ban sshd'
+    });
+  });
+
+  it('reads bare addresses and subnets', () => {
+    expect(parseIngestLine('1.2.3.4:8333')).toEqual({ address: '1.2.3.4' });
+    expect(parseIngestLine('1.2.3.4/24')).toEqual({ address: '1.2.3.0/24' });
+    expect(parseIngestLine('2001:db8::1')).toEqual({ address: '2001:db8::1' });
+  });
+
+  it('unescapes quoted reasons', () => {
+    expect(parseIngestLine('1.2.3.4 reason="said \\"hi\\" twice"')).toEqual({ address: '1.2.3.4', reason: 'said "hi" twice' });
+  });
+
+  it('rejects invalid addresses', () => {
+    expect(parseIngestLine('example.onion')).toEqual({ error: expect.stringContaining('Invalid IP address') });
+    expect(parseIngestLine('0.0.0.0/0')).toEqual({ error: expect.stringContaining('/0') });
+  });
+
+  it('rejects unknown fields and ban times a ban record can\'t hold', () => {
+    expect(parseIngestLine('1.2.3.4 port=8333')).toEqual({ error: 'Invalid field port=8333' });
+    expect(parseIngestLine('1.2.3.4 bantime=0')).toEqual({ error: 'Invalid field bantime=0' });
+    expect(parseIngestLine('1.2.3.4 bantime=-5')).toEqual({ error: 'Invalid field bantime=-5' });
+    expect(parseIngestLine('1.2.3.4 bantime=2147483648')).toEqual({ error: 'Invalid field bantime=2147483648' });
+  });
+
+  it('rejects text that isn\'t a field', () => {
+    expect(parseIngestLine('1.2.3.4 banned by fail2ban')).toEqual({ error: 'Unreadable text: banned by fail2ban' });
+  });
+});
@@ -0,0 +1,220 @@
+import fs from 'fs';
+import * as banService from './ban.service';
+import * as nodeService from './node.service';
+import * as liveUpdatesService from './liveUpdates.service';
+import * as peerHistoryService from './peerHistory.service';
+import { getBanEventLogPath } from './banEventLog.service';
+
+// How often the ingested log is checked for new lines (5 seconds)
+const INGEST_CHECK_INTERVAL = 5 * 1000;
+
+// Most bytes read from the log in one check; the rest is read in the next ones
+const MAX_READ_BYTES = 1024 * 1024;
+
+let checkIntervalId: NodeJS.Timeout | null = null;
+let checking = false;
+
+// Where the next read starts, and the file it was in, to notice rotation
+let position = 0;
+let inode: number | null = null;
+
+export interface IngestedBan {
+  address: string; // As passed to setban
+  banTime?: number;
+  nodeId?: number; // Only ban on this node instead of every serving node
+  reason?: string;
+}
+
+/**
+ * Get the path of the log whose bans are ingested, or null when ingestion is off
+ */
+export function getIngestLogPath(): string | null {
+  return process.env.BAN_INGEST_LOG || null;
+}
+
+/**
+ * Parse a line of the ingested log:
+ *   <ip or subnet> [bantime=<seconds>] [node=<node id>] [reason="<text>"]
+ * Blank lines and lines starting with # are ignored.
+ * @returns The ban, null for lines to ignore, or an error message
+ */
+export function parseIngestLine(line: string): IngestedBan | null | { error: string } {
+  const text = line.trim();
+  if (text === '' || text.startsWith('#')) {
+    return null;
+  }
+
+  const [target] = text.split(/\s+/, 1);
+  const { address, error } = banService.resolveBanAddress(target);
+  if (error) {
+    return { error };
+  }
+
+  const ban: IngestedBan = { address };
+  const rest = text.slice(target.length).trim();
+  const fieldPattern = /(\w+)=("(?:[^"\\]|\\.)*"|\S+)\s*/y;
+  let offset = 0;
+
+  while (offset < rest.length) {
+    fieldPattern.lastIndex = offset;
+    const match = fieldPattern.exec(rest);
+    if (!match) {
+      return { error: `Unreadable text: ${rest.slice(offset)}` };
+    }
+    offset = fieldPattern.lastIndex;
+
+    const [, key, raw] = match;
+    const value = raw.startsWith('"') ? raw.slice(1, -1).replace(/\\(.)/g, '$1') : raw;
+
+    if (key === 'bantime' && /^\d+$/.test(value) && banService.isValidBanTime(Number(value))) {
+      ban.banTime = Number(value);
+    } else if (key === 'node' && /^\d+$/.test(value)) {
+      ban.nodeId = Number(value);
+    } else if (key === 'reason') {
+      ban.reason = value;
+    } else {
+      return { error: `Invalid field ${key}=${raw}` };
+    }
+  }
+
+  return ban;
+}
+
+/**
+ * Ban an address from the ingested log on its node, or on every node that serves requests
+ */
+async function ingestBan(ban: IngestedBan) {
+  const nodeIds = ban.nodeId !== undefined ? [ban.nodeId] : await nodeService.getServingNodeIds();
+
+  for (const nodeId of nodeIds) {
+    const result = await banService.banPeer(ban.address, ban.banTime, nodeId, { source: 'log', reason: ban.reason });
+
+    if (result.success) {
+      console.log(`Log ingestion banned ${ban.address} on node ${nodeId ?? 'env'}`);
+      peerHistoryService.noteDisconnectReason(nodeId, { ip: ban.address }, 'Banned by log ingestion');
+      liveUpdatesService.notifyChange('bans', nodeId);
+      liveUpdatesService.notifyChange('peers', nodeId);
+    } else {
+      console.error(`Log ingestion failed to ban ${ban.address} on node ${nodeId ?? 'env'}: ${result.message}`);
+    }
+  }
+}
+
+/**
+ * Read the lines appended to the ingested log since the last check and ban their addresses
+ * A file that shrank or was replaced was rotated, and is read from the start.
+ */
+export async function checkIngestLog() {
+  const logPath = getIngestLogPath();
+  if (!logPath) {
+    return;
+  }
+
+  const stats = await fs.promises.stat(logPath).catch(() => null);
+  if (!stats) {
+    return;
+  }
+
+  if (stats.ino !== inode || stats.size < position) {
+    inode = stats.ino;
+    position = 0;
+  }
+
+  if (stats.size === position) {
+    return;
+  }
+
+  const file = await fs.promises.open(logPath, 'r');
+  let text: string;
+  try {
+    const buffer = Buffer.alloc(Math.min(stats.size - position, MAX_READ_BYTES));
+    const { bytesRead } = await file.read(buffer, 0, buffer.length, position);
+    text = buffer.toString('utf8', 0, bytesRead);
+  } finally {
+    await file.close();
+  }
+
+  // A line without its newline is still being written; it's read next time
+  const end = text.lastIndexOf('\n');
+  if (end === -1) {
+    // Unless no line could be that long
+    if (Buffer.byteLength(text) >= MAX_READ_BYTES) {
+      console.error(`Skipping ${MAX_READ_BYTES} bytes of ${logPath} without a line break`);
+      position += Buffer.byteLength(text);
+    }
+    return;
+  }
+  position += Buffer.byteLength(text.slice(0, end + 1));
+
+  for (const line of text.slice(0, end).split('\n')) {
+    const parsed = parseIngestLine(line);
+
+    if (parsed === null) {
+      continue;
+    }
+
+    if ('error' in parsed) {
+      console.error(`Skipping line of ${logPath}: ${parsed.error}: ${line.trim()}`);
+      continue;
+    }
+
+    await ingestBan(parsed);
+  }
+}
+
+/**
+ * Start banning the addresses appended to BAN_INGEST_LOG
+ * Lines already in the file are skipped, so a restart doesn't ban them again. Does nothing unless
+ * BAN_INGEST_LOG is set.
+ */
+export async function startLogIngestion(interval = INGEST_CHECK_INTERVAL) {
+  const logPath = getIngestLogPath();
+  if (!logPath) {
+    return null;
+  }
+
+  // btcnman's own event log would ban every address it logged again
+  if (logPath === getBanEventLogPath()) {
+    console.error('BAN_INGEST_LOG and BAN_EVENT_LOG must be different files, log ingestion is off');
+    return null;
+  }
+
+  if (checkIntervalId) {
+    clearInterval(checkIntervalId);
+  }
+
+  const stats = await fs.promises.stat(logPath).catch(() => null);
+  inode = stats ? stats.ino : null;
+  position = stats ? stats.size : 0;
+
+  console.log(`Ingesting bans from ${logPath} with interval of ${interval / 1000} seconds`);
+
+  checkIntervalId = setInterval(async () => {
+    // Skip a round if the previous one is still banning
+    if (checking) {
+      return;
+    }
+
+    checking = true;
+    try {
+      await checkIngestLog();
+    } catch (error) {
+      console.error('Error ingesting ban log:', error);
+    } finally {
+      checking = false;
+    }
+  }, interval);
+
+  return checkIntervalId;
+}
+
+/**
+ * Stop ingesting bans from the log
+ */
+export function stopLogIngestion() {
+  if (checkIntervalId) {
+    clearInterval(checkIntervalId);
+    checkIntervalId = null;
+    console.log('Ban log ingestion stopped');
+  }
+}
@@ -1,196 +1,265 @@
 import Client from 'bitcoin-core';
 import axios from 'axios';
 import { getIPGeolocation, getBatchIPGeolocation, GeoLocationData } from './geolocation.service';
-import { getFromCache, saveToCache, isCacheValid, getCacheTimestamp } from './cache.service';
+import { getFromCache, saveToCache, isCacheValid, getCacheTimestamp, clearCache } from './cache.service';
+import { resolveNodeConnection, readCookieCredentials, NodeConnection } from './node.service';
+import { tagHostedPeers } from './webHoster.service';
+import {
+  checkCircuit,
+  recordSuccess,
+  recordFailure,
+  isConnectionError,
+  clearConnectionHealth,
+  hasConnectionHealth,
+  getConnectionHealth,
+  CIRCUIT_OPEN
+} from './connectionHealth.service';
+import { parseAddress, parsePeerAddress, isGeolocatable } from '../utils/address';
 
 // Check if we should use mock data
 const USE_MOCK = process.env.USE_MOCK === 'true' || false;
 
-// Bitcoin RPC configuration
-const RPC_USER = process.env.BITCOIN_RPC_USER || 'admin';
-const RPC_PASSWORD = process.env.BITCOIN_RPC_PASSWORD || 'ydnabcdef123';
-const RPC_HOST = process.env.BITCOIN_RPC_HOST || '169.255.240.110';
-const RPC_PORT = parseInt(process.env.BITCOIN_RPC_PORT || '8332');
-// Fix the URL format to ensure it's valid
-const RPC_URL = `http://${RPC_USER}:${RPC_PASSWORD}@${RPC_HOST}:${RPC_PORT}/`;
+// Where the data in a response came from
+export type DataSource = 'rpc' | 'cache' | 'mock';
+
+/**
+ * Data together with where it came from
+ * sourceError holds the error that caused a fallback to mock data
+ */
+export interface SourcedData<T> {
+  data: T;
+  source: DataSource;
+  sourceError: string | null;
+}
+
+/**
+ * Check whether failed RPC calls may be answered with mock data
+ * Only allowed when mock data is explicitly enabled, since operators act on what they see
+ */
+export function isMockFallbackAllowed(): boolean {
+  return process.env.USE_MOCK === 'true' || process.env.ALLOW_MOCK_FALLBACK === 'true';
+}
+
+/**
+ * Wrap data fetched from the node
+ */
+function fromRpc<T>(data: T): SourcedData<T> {
+  return { data, source: 'rpc', sourceError: null };
+}
+
+/**
+ * Wrap mock data returned because USE_MOCK is enabled
+ */
+function fromMock<T>(data: T): SourcedData<T> {
+  return { data, source: 'mock', sourceError: null };
+}
+
+/**
+ * Answer a failed RPC call with mock data, if mock fallback is allowed
+ * @param what Description of the requested data, for logging
+ * @param error The error that caused the fallback
+ * @param mock The mock data
+ * @throws The original error when mock fallback is not allowed
+ */
+function mockFallback<T>(what: string, error: any, mock: T): SourcedData<T> {
+  if (!isMockFallbackAllowed()) {
+    throw error;
+  }
+
+  console.log(`Returning mock data for ${what}: ${error.message}`);
+  return { data: mock, source: 'mock', sourceError: error.message };
+}
+
+/**
+ * Work out where data built from several fetches came from
+ * It counts as mock data if any of the fetches returned mock data
+ */
+export function sourceOf(...results: SourcedData<any>[]): { source: DataSource; sourceError: string | null } {
+  const mocked = results.find(result => result.source === 'mock');
+
+  return {
+    source: mocked ? 'mock' : 'rpc',
+    sourceError: mocked ? mocked.sourceError : null
+  };
+}
+
+/**
+ * Combine several sourced results into one list
+ */
+function combineSourced<T>(items: SourcedData<T>[]): SourcedData<T[]> {
+  return {
+    data: items.map(item => item.data),
+    ...sourceOf(...items)
+  };
+}
+
+/**
+ * A single call in a JSON-RPC batch request
+ */
+export interface RpcBatchCall {
+  method: string;
+  params?: any[];
+}
+
+/**
+ * The outcome of a single call in a JSON-RPC batch request
+ */
+export interface RpcBatchResult {
+  result: any;
+  error: Error | null;
+}
 
 // Create a custom RPC client using axios
-const customRpcClient = {
-  async call(method: string, params: any[] = []) {
+function createRpcClient(connection: NodeConnection) {
+  const credentials = { user: connection.user, password: connection.password };
+
+  // Post a JSON-RPC request to the node
+  const post = (data: any) => axios({
+    method: 'post',
+    url: `http://${connection.host}:${connection.port}/`,
+    auth: {
+      username: credentials.user,
+      password: credentials.password
+    },
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    data,
+    timeout: 60000  // Increase timeout to 60 seconds
+  });
+
+  // Post a request, re-reading the cookie and retrying once if bitcoind rejects the credentials.
+  // bitcoind writes a new cookie when it restarts, so a 401 usually means ours is outdated
+  const postWithAuthRetry = async (data: any) => {
+    try {
+      return await post(data);
+    } catch (error) {
+      if (!connection.cookieFile || error.response?.status !== 401) {
+        throw error;
+      }
+
+      console.log(`RPC authentication failed for ${connection.name}, re-reading cookie file`);
+      const cookie = await readCookieCredentials(connection.cookieFile, true);
+      credentials.user = cookie.user;
+      credentials.password = cookie.password;
+
+      return await post(data);
+    }
+  };
+
+  // Cheap call used to detect when an unreachable node is back
+  const probe = () => postWithAuthRetry({ jsonrpc: '1.0', id: 'probe', method: 'uptime', params: [] });
+
+  // Post a request through the circuit breaker, recording whether the node could be reached
+  const send = async (data: any) => {
+    checkCircuit(connection);
+
     try {
-      console.log(`Attempting to get ${method}...`);
-
-      // Make a real RPC call
-      const response = await axios({
-        method: 'post',
-        url: RPC_URL,
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        data: {
+      const response = await postWithAuthRetry(data);
+      recordSuccess(connection);
+      return response;
+    } catch (error) {
+      if (isConnectionError(error)) {
+        recordFailure(connection, error, probe);
+      } else {
+        recordSuccess(connection);
+      }
+      throw error;
+    }
+  };
+
+  return {
+    async call(method: string, params: any[] = []) {
+      try {
+        console.log(`Attempting to get ${method}...`);
+
+        // Make a real RPC call
+        const response = await send({
           jsonrpc: '1.0',
           id: Date.now(),
           method,
           params
-        },
-        timeout: 60000  // Increase timeout to 60 seconds
-      });
-
-      if (response.data.error) {
-        throw new Error(response.data.error.message);
-      }
+        });
 
-      console.log(`Successfully retrieved ${method} (real)`);
-      return response.data.result;
-    } catch (error) {
-      console.error(`Error calling RPC method ${method}:`, error);
+        if (response.data.error) {
+          throw new Error(response.data.error.message);
+        }
 
-      // If real RPC call fails, return mock data as fallback
-      console.log(`Falling back to mock data for ${method}`);
+        console.log(`Successfully retrieved ${method} (real)`);
+        return response.data.result;
+      } catch (error) {
+        console.error(`Error calling RPC method ${method}:`, error.message);
+        throw error;
+      }
+    },
 
-      // Return mock data based on the method
-      switch (method) {
-        case 'getnetworkinfo':
-          return mockData.networkInfo;
+    /**
+     * Send several calls in one JSON-RPC batch request
+     * A failing call doesn't fail the batch; its error is returned in place of its result
+     * @param calls The calls to make
+     * @returns One result per call, in the same order as the calls
+     * @throws If the request itself fails
+     */
+    async batch(calls: RpcBatchCall[]): Promise<RpcBatchResult[]> {
+      if (calls.length === 0) {
+        return [];
+      }
 
-        case 'getblockchaininfo':
-          return mockData.blockchainInfo;
+      console.log(`Attempting batch of ${calls.length} RPC calls (${calls[0].method}${calls.length > 1 ? ', ...' : ''})...`);
 
-        case 'getmempoolinfo':
-          return mockData.mempoolInfo;
+      // The array index doubles as the request ID so responses can be matched in any order
+      const response = await send(calls.map((call, index) => ({
+        jsonrpc: '1.0',
+        id: index,
+        method: call.method,
+        params: call.params || []
+      })));
 
-        case 'getpeerinfo':
-          return mockData.peerInfo;
+      if (!Array.isArray(response.data)) {
+        throw new Error(response.data?.error?.message || 'Invalid response to batch request');
+      }
 
-        case 'getblockhash':
-          const height = params[0];
-          return '000000000000000000000000000000000000000000000000000000000000000' + height;
+      const results: RpcBatchResult[] = calls.map(call => ({
+        result: null,
+        error: new Error(`No response for ${call.method}`)
+      }));
 
-        case 'getblock':
-          const hash = params[0];
-          return {
-            hash: hash,
-            confirmations: 100,
-            height: 825000,
-            version: 536870912,
-            versionHex: '20000000',
-            merkleroot: '000000000000000000000000000000000000000000000000000000000000000',
-            time: 1714579200,
-            mediantime: 1714578000,
-            nonce: 123456789,
-            bits: '1d00ffff',
-            difficulty: 78352956298608,
-            chainwork: '000000000000000000000000000000000000000000000000000000000000000',
-            nTx: 2500,
-            previousblockhash: '000000000000000000000000000000000000000000000000000000000000001',
-            nextblockhash: '000000000000000000000000000000000000000000000000000000000000002',
-            strippedsize: 950000,
-            size: 1000000,
-            weight: 4000000,
-            tx: Array(10).fill(0).map((_, i) => ({
-              txid: `000000000000000000000000000000000000000000000000000000000000${i.toString().padStart(3, '0')}`,
-              hash: `000000000000000000000000000000000000000000000000000000000000${i.toString().padStart(3, '0')}`,
-              version: 1,
-              size: 250,
-              vsize: 250,
-              weight: 1000,
-              locktime: 0,
-              vin: [{
-                txid: `000000000000000000000000000000000000000000000000000000000000${(i+1).toString().padStart(3, '0')}`,
-                vout: 0,
-                scriptSig: { asm: '', hex: '' },
-                sequence: 4294967295
-              }],
-              vout: [{
-                value: 50.0,
-                n: 0,
-                scriptPubKey: {
-                  asm: '',
-                  hex: '',
-                  reqSigs: 1,
-                  type: 'pubkeyhash',
-                  addresses: ['1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa']
-                }
-              }]
-            }))
-          };
+      for (const item of response.data) {
+        if (!results[item.id]) {
+          continue;
+        }
 
-        case 'getrawtransaction':
-          const txid = params[0];
-          return {
-            txid: txid,
-            hash: txid,
-            version: 1,
-            size: 250,
-            vsize: 250,
-            weight: 1000,
-            locktime: 0,
-            vin: [{
-              txid: '000000000000000000000000000000000000000000000000000000000000001',
-              vout: 0,
-              scriptSig: { asm: '', hex: '' },
-              sequence: 4294967295
-            }],
-            vout: [{
-              value: 50.0,
-              n: 0,
-              scriptPubKey: {
-                asm: '',
-                hex: '',
-                reqSigs: 1,
-                type: 'pubkeyhash',
-                addresses: ['1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa']
-              }
-            }],
-            hex: '',
-            blockhash: '000000000000000000000000000000000000000000000000000000000000000',
-            confirmations: 100,
-            time: 1714579200,
-            blocktime: 1714579200
-          };
+        results[item.id] = item.error
+          ? { result: null, error: new Error(item.error.message) }
+          : { result: item.result, error: null };
+      }
 
-        case 'getrawmempool':
-          return Array(20).fill(0).map((_, i) =>
-            `000000000000000000000000000000000000000000000000000000000000${i.toString().padStart(3, '0')}`
-          );
+      const failed = results.filter(result => result.error).length;
+      console.log(`Batch of ${calls.length} RPC calls completed${failed ? ` (${failed} failed)` : ''}`);
 
-        default:
-          return null;
-      }
+      return results;
     }
-  }
-};
+  };
+}
 
 // Create a function to get the bitcoin-core client
 // This allows us to create it on-demand and handle connection issues more gracefully
-function getBitcoinClient() {
+function getBitcoinClient(connection: NodeConnection) {
   if (USE_MOCK) {
     return null;
   }
 
   try {
     return new Client({
-      username: RPC_USER,
-      password: RPC_PASSWORD,
-      host: RPC_HOST,
-      port: RPC_PORT,
-      network: process.env.BITCOIN_NETWORK || 'mainnet',
+      username: connection.user,
+      password: connection.password,
+      // bitcoin-core 5 takes the node's URL as host and has no port option
+      host: `http://${connection.host}:${connection.port}`,
       version: '28.1.0',  // Match the Bitcoin Core version
-      ssl: {
-        enabled: false
-      },
       timeout: 60000,  // Increase timeout to 60 seconds
       headers: {
         'User-Agent': 'Bitcoin Node Manager/1.0.0'
-      },
-      // Fix URI format issue
-      agentOptions: {
-        rejectUnauthorized: false
-      },
-      // Fix the URI format issue by setting the proper URL
-      baseUrl: RPC_URL,
-      // Disable strict SSL
-      strictSSL: false
+      }
     } as any);
   } catch (error) {
     console.error('Error creating Bitcoin client:', error);
@@ -198,8 +267,135 @@ function getBitcoinClient() {
   }
 }
 
-// Initialize the client (can be null if USE_MOCK is true or if there's an error)
-const client = getBitcoinClient();
+interface NodeClients {
+  connection: NodeConnection;
+  rpc: ReturnType<typeof createRpcClient>;
+  client: any; // Can be null if USE_MOCK is true or if there's an error
+}
+
+// RPC clients for each node, keyed by connection key
+const nodeClients: { [key: string]: NodeClients } = {};
+
+/**
+ * Get the RPC clients for a node, creating them on first use
+ * @param nodeId The node ID (the default node if omitted)
+ * @returns The node's connection details and clients
+ */
+async function getNodeClients(nodeId?: number): Promise<NodeClients> {
+  const connection = await resolveNodeConnection(nodeId);
+
+  if (!nodeClients[connection.key]) {
+    // Drop clients created from outdated connection details of the same node
+    for (const key of Object.keys(nodeClients)) {
+      if (nodeClients[key].connection.id === connection.id) {
+        clearConnectionHealth(nodeClients[key].connection);
+        delete nodeClients[key];
+      }
+    }
+
+    nodeClients[connection.key] = {
+      connection,
+      rpc: createRpcClient(connection),
+      client: getBitcoinClient(connection)
+    };
+  }
+
+  return nodeClients[connection.key];
+}
+
+/**
+ * Scope a cache key to a node
+ * @param key The cache key
+ * @param connection The node connection
+ * @returns The node-specific cache key
+ */
+function nodeCacheKey(key: string, connection: NodeConnection): string {
+  return connection.id === null ? key : `${key}:${connection.id}`;
+}
+
+/**
+ * Clear a node's cached RPC data, e.g. when ZMQ reports that it changed
+ * @param key The cache key
+ * @param connection The node connection
+ */
+export function clearNodeCache(key: string, connection: NodeConnection) {
+  return clearCache(nodeCacheKey(key, connection));
+}
+
+/**
+ * Make an RPC call, retrying through the bitcoin-core client if the custom client fails
+ * @param clients The node's clients
+ * @param method The RPC method
+ * @param clientMethod The equivalent bitcoin-core client method
+ * @param params The call parameters
+ */
+async function callWithClientFallback(clients: NodeClients, method: string, clientMethod: string, params: any[] = []) {
+  try {
+    return await clients.rpc.call(method, params);
+  } catch (rpcError) {
+    // Only try the bitcoin-core client if it's available and the node isn't known to be down
+    if (!clients.client || rpcError.code === CIRCUIT_OPEN) {
+      throw rpcError;
+    }
+
+    console.log(`Trying bitcoin-core client for ${method}...`);
+    return await (clients.client as any)[clientMethod](...params);
+  }
+}
+
+/**
+ * Build a mock block
+ * @param height The block height
+ * @param hash The block hash (derived from the height if omitted)
+ */
+function getMockBlock(height: number, hash?: string) {
+  return {
+    hash: hash || `000000000000000000000000000000000000000000000000000000000000${height.toString().padStart(3, '0')}`,
+    confirmations: 1000,
+    size: 1000000,
+    strippedsize: 900000,
+    weight: 4000000,
+    height: height,
+    version: 536870912,
+    versionHex: '20000000',
+    merkleroot: '000000000000000000000000000000000000000000000000000000000000000',
+    tx: Array(10).fill(0).map((_, i) => ({
+      txid: `000000000000000000000000000000000000000000000000000000000000${i.toString().padStart(3, '0')}`,
+      hash: `000000000000000000000000000000000000000000000000000000000000${i.toString().padStart(3, '0')}`,
+      version: 1,
+      size: 250,
+      vsize: 250,
+      weight: 1000,
+      locktime: 0,
+      vin: [{
+        txid: `000000000000000000000000000000000000000000000000000000000000${(i+1).toString().padStart(3, '0')}`,
+        vout: 0,
+        scriptSig: { asm: '', hex: '' },
+        sequence: 4294967295
+      }],
+      vout: [{
+        value: 50.0,
+        n: 0,
+        scriptPubKey: {
+          asm: '',
+          hex: '',
+          reqSigs: 1,
+          type: 'pubkeyhash',
+          addresses: ['1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa']
+        }
+      }]
+    })),
+    time: 1714579200,
+    mediantime: 1714579100,
+    nonce: 123456789,
+    bits: '1d00ffff',
+    difficulty: 78352956298608,
+    chainwork: '000000000000000000000000000000000000000000000000000000000000000',
+    nTx: 10,
+    previousblockhash: `000000000000000000000000000000000000000000000000000000000000${(height-1).toString().padStart(3, '0')}`,
+    nextblockhash: `000000000000000000000000000000000000000000000000000000000000${(height+1).toString().padStart(3, '0')}`
+  };
+}
 
 // Mock data for development
 const mockData = {
@@ -274,6 +470,26 @@ const mockData = {
     minrelaytxfee: 0.00001000,
     unbroadcastcount: 0
   },
+  netTotals: {
+    totalbytesrecv: 7340032000,
+    totalbytessent: 3145728000,
+    timemillis: 0,
+    uploadtarget: {
+      timeframe: 86400,
+      target: 0,
+      target_reached: false,
+      serve_historical_blocks: true,
+      bytes_left_in_cycle: 0,
+      time_left_in_cycle: 0
+    }
+  },
+  nodeAddresses: [
+    { time: 1714579200, services: 3081, address: '203.0.113.7', port: 8333, network: 'ipv4' },
+    { time: 1714575600, services: 3081, address: '198.51.100.81', port: 8333, network: 'ipv4' },
+    { time: 1714572000, services: 1033, address: '2001:db8::5', port: 8333, network: 'ipv6' },
+    { time: 1714568400, services: 3081, address: 'vww6ybal4bd7szmgncyruucpgfkqahzddi37ktceo3ah7ngmcopnpyyd.onion', port: 8333, network: 'onion' },
+    { time: 1714564800, services: 3081, address: 'ukeu3k5oycgaauneqgtnvselmt4yemvoilkln7jpvamvfx7dnkdq.b32.i2p', port: 0, network: 'i2p' }
+  ],
   peerInfo: [
     {
       id: 1,
@@ -371,8 +587,13 @@ const mockData = {
   ]
 };
 
-export async function getNodeInfo(includeGeo = false, useCache = true) {
+export async function getNodeInfo(includeGeo = false, useCache = true, nodeId?: number) {
+  let cacheKey = 'nodeInfo';
+
   try {
+    const { rpc, client, connection } = await getNodeClients(nodeId);
+    cacheKey = nodeCacheKey('nodeInfo', connection);
+
     // Check if we have cached data and should use it
     interface NodeInfoCache {
       networkInfo: any;
@@ -381,7 +602,7 @@ export async function getNodeInfo(includeGeo = false, useCache = true) {
       peerInfo: any[];
     }
 
-    const cachedData = getFromCache<NodeInfoCache>('nodeInfo', useCache);
+    const cachedData = getFromCache<NodeInfoCache>(cacheKey, useCache);
     if (cachedData) {
       console.log('Using cached node info data');
 
@@ -391,13 +612,17 @@ export async function getNodeInfo(includeGeo = false, useCache = true) {
         return {
           ...cachedData,
           peerInfo: peersWithGeo,
-          lastUpdated: new Date(getCacheTimestamp('nodeInfo'))
+          lastUpdated: new Date(getCacheTimestamp(cacheKey)),
+          source: 'cache' as DataSource,
+          sourceError: null
         };
       }
 
       return {
         ...cachedData,
-        lastUpdated: new Date(getCacheTimestamp('nodeInfo'))
+        lastUpdated: new Date(getCacheTimestamp(cacheKey)),
+        source: 'cache' as DataSource,
+        sourceError: null
       };
     }
 
@@ -459,7 +684,7 @@ export async function getNodeInfo(includeGeo = false, useCache = true) {
             }
           };
 
-          const ip = peer.addr.split(':')[0];
+          const ip = parseAddress(peer.addr).host;
           return {
             ...peer,
             geolocation: mockGeoData[ip] || null
@@ -474,16 +699,15 @@ export async function getNodeInfo(includeGeo = false, useCache = true) {
         peerInfo: peerInfoWithGeo
       };
 
-      // Save to cache
-      saveToCache('nodeInfo', mockResult);
-
       return {
         ...mockResult,
-        lastUpdated: new Date(getCacheTimestamp('nodeInfo'))
+        lastUpdated: new Date(),
+        source: 'mock' as DataSource,
+        sourceError: null
       };
     }
 
-    // Initialize result object with mock data as fallback
+    // Initialize result object with mock data, used only if mock fallback is allowed
     const result = {
       networkInfo: mockData.networkInfo,
       blockchainInfo: mockData.blockchainInfo,
@@ -491,97 +715,52 @@ export async function getNodeInfo(includeGeo = false, useCache = true) {
       peerInfo: mockData.peerInfo
     };
 
-    // Try to get each piece of data individually to avoid all-or-nothing failures
+    // Fetch everything in one batch request; calls that fail are retried through the bitcoin-core client
+    const components: { key: keyof typeof result; method: string; clientMethod: string; label: string }[] = [
+      { key: 'networkInfo', method: 'getnetworkinfo', clientMethod: 'getNetworkInfo', label: 'network info' },
+      { key: 'blockchainInfo', method: 'getblockchaininfo', clientMethod: 'getBlockchainInfo', label: 'blockchain info' },
+      { key: 'mempoolInfo', method: 'getmempoolinfo', clientMethod: 'getMempoolInfo', label: 'mempool info' },
+      { key: 'peerInfo', method: 'getpeerinfo', clientMethod: 'getPeerInfo', label: 'peer info' }
+    ];
+
+    const failures: string[] = [];
+    let responses: RpcBatchResult[];
     try {
-      console.log('Attempting to get network info...');
-      result.networkInfo = await customRpcClient.call('getnetworkinfo');
-      console.log('Successfully retrieved network info');
-    } catch (networkError) {
-      console.error('Failed to get network info:', networkError.message);
-
-      // Only try the bitcoin-core client if it's available
-      if (client) {
-        try {
-          console.log('Trying bitcoin-core client for network info...');
-          result.networkInfo = await (client as any).getNetworkInfo();
-          console.log('Successfully retrieved network info via bitcoin-core');
-        } catch (fallbackError) {
-          console.error('Fallback also failed for network info:', fallbackError.message);
-          // Keep mock data for this component
-        }
-      } else {
-        console.log('Bitcoin-core client not available, using mock data for network info');
-        // Keep mock data for this component
-      }
+      responses = await rpc.batch(components.map(component => ({ method: component.method })));
+    } catch (batchError) {
+      console.error('Failed to get node info in one batch:', batchError.message);
+      responses = components.map(() => ({ result: null, error: batchError }));
     }
 
-    try {
-      console.log('Attempting to get blockchain info...');
-      result.blockchainInfo = await customRpcClient.call('getblockchaininfo');
-      console.log('Successfully retrieved blockchain info');
-    } catch (blockchainError) {
-      console.error('Failed to get blockchain info:', blockchainError.message);
-
-      // Only try the bitcoin-core client if it's available
-      if (client) {
-        try {
-          console.log('Trying bitcoin-core client for blockchain info...');
-          result.blockchainInfo = await (client as any).getBlockchainInfo();
-          console.log('Successfully retrieved blockchain info via bitcoin-core');
-        } catch (fallbackError) {
-          console.error('Fallback also failed for blockchain info:', fallbackError.message);
-          // Keep mock data for this component
-        }
-      } else {
-        console.log('Bitcoin-core client not available, using mock data for blockchain info');
-        // Keep mock data for this component
+    for (let i = 0; i < components.length; i++) {
+      const { key, clientMethod, label } = components[i];
+
+      if (!responses[i].error) {
+        result[key] = responses[i].result;
+        continue;
       }
-    }
 
-    try {
-      console.log('Attempting to get mempool info...');
-      result.mempoolInfo = await customRpcClient.call('getmempoolinfo');
-      console.log('Successfully retrieved mempool info');
-    } catch (mempoolError) {
-      console.error('Failed to get mempool info:', mempoolError.message);
-
-      // Only try the bitcoin-core client if it's available
-      if (client) {
+      console.error(`Failed to get ${label}:`, responses[i].error.message);
+
+      // Only try the bitcoin-core client if it's available and the node isn't known to be down
+      if (client && (responses[i].error as any).code !== CIRCUIT_OPEN) {
         try {
-          console.log('Trying bitcoin-core client for mempool info...');
-          result.mempoolInfo = await (client as any).getMempoolInfo();
-          console.log('Successfully retrieved mempool info via bitcoin-core');
+          console.log(`Trying bitcoin-core client for ${label}...`);
+          result[key] = await (client as any)[clientMethod]();
+          console.log(`Successfully retrieved ${label} via bitcoin-core`);
         } catch (fallbackError) {
-          console.error('Fallback also failed for mempool info:', fallbackError.message);
-          // Keep mock data for this component
+          console.error(`Fallback also failed for ${label}:`, fallbackError.message);
+          failures.push(`${label}: ${fallbackError.message}`);
         }
       } else {
-        console.log('Bitcoin-core client not available, using mock data for mempool info');
-        // Keep mock data for this component
+        failures.push(`${label}: ${responses[i].error.message}`);
       }
     }
 
-    try {
-      console.log('Attempting to get peer info...');
-      result.peerInfo = await customRpcClient.call('getpeerinfo');
-      console.log('Successfully retrieved peer info');
-    } catch (peerError) {
-      console.error('Failed to get peer info:', peerError.message);
-
-      // Only try the bitcoin-core client if it's available
-      if (client) {
-        try {
-          console.log('Trying bitcoin-core client for peer info...');
-          result.peerInfo = await (client as any).getPeerInfo();
-          console.log('Successfully retrieved peer info via bitcoin-core');
-        } catch (fallbackError) {
-          console.error('Fallback also failed for peer info:', fallbackError.message);
-          // Keep mock data for this component
-        }
-      } else {
-        console.log('Bitcoin-core client not available, using mock data for peer info');
-        // Keep mock data for this component
-      }
+    // Keep mock data for the failed components only if that is allowed
+    const sourceError = failures.length > 0 ? `Failed to get ${failures.join('; ')}` : null;
+    if (sourceError && !isMockFallbackAllowed()) {
+      throw new Error(sourceError);
     }
 
     // Add geolocation data if requested
@@ -590,31 +769,39 @@ export async function getNodeInfo(includeGeo = false, useCache = true) {
       result.peerInfo = await addGeolocationToPeers(result.peerInfo, useCache);
     }
 
+    if (sourceError) {
+      return {
+        ...result,
+        lastUpdated: new Date(),
+        source: 'mock' as DataSource,
+        sourceError
+      };
+    }
+
     // Save to cache
-    saveToCache('nodeInfo', result);
+    saveToCache(cacheKey, result);
 
     return {
       ...result,
-      lastUpdated: new Date(getCacheTimestamp('nodeInfo'))
+      lastUpdated: new Date(getCacheTimestamp(cacheKey)),
+      source: 'rpc' as DataSource,
+      sourceError: null
     };
   } catch (error) {
-    console.error('Error getting node info:', error);
+    console.error('Error getting node info:', error.message);
 
-    // Return mock data as a last resort
-    console.log('All RPC methods failed, returning mock data');
-    const fallbackResult = {
+    const fallback = mockFallback('node info', error, {
       networkInfo: mockData.networkInfo,
       blockchainInfo: mockData.blockchainInfo,
       mempoolInfo: mockData.mempoolInfo,
       peerInfo: mockData.peerInfo
-    };
-
-    // Save fallback to cache
-    saveToCache('nodeInfo', fallbackResult);
+    });
 
     return {
-      ...fallbackResult,
-      lastUpdated: new Date(getCacheTimestamp('nodeInfo'))
+      ...fallback.data,
+      lastUpdated: new Date(),
+      source: fallback.source,
+      sourceError: fallback.sourceError
     };
   }
 }
@@ -632,8 +819,9 @@ async function addGeolocationToPeers(peers: any[], useCache: boolean = true): Pr
     return peers;
   }
 
-  // Extract IPs from peers
-  const ips = peers.map(peer => peer.addr.split(':')[0]);
+  // Extract IPs from peers; Tor, I2P and CJDNS peers can't be geolocated
+  const addresses = peers.map(peer => parsePeerAddress(peer));
+  const ips = addresses.filter(address => isGeolocatable(address.network)).map(address => address.host);
 
   // Check if we need to fetch new geolocation data
   const ipsToFetch = ips.filter(ip =>
@@ -650,15 +838,23 @@ async function addGeolocationToPeers(peers: any[], useCache: boolean = true): Pr
   }
 
   // Add geolocation data to peers
-  return peers.map(peer => {
-    const ip = peer.addr.split(':')[0];
+  return peers.map((peer, index) => {
+    const { host, network } = addresses[index];
     return {
       ...peer,
-      geolocation: peerCache.geoData[ip] || null
+      network,
+      geolocation: isGeolocatable(network) ? peerCache.geoData[host] || null : null
     };
   });
 }
 
+/**
+ * Label a peer with its network, for mock data and nodes too old to report it
+ */
+function withNetwork(peer: any): any {
+  return { ...peer, network: parsePeerAddress(peer).network };
+}
+
 // Cache for peer data
 let peerCache = {
   data: [] as any[],
@@ -681,66 +877,58 @@ interface PeerSort {
   [key: string]: 'asc' | 'desc';
 }
 
-export async function getPeers(filters: PeerFilters = {}, sort: PeerSort = {}, includeGeo = false, useCache = true) {
+export async function getPeers(filters: PeerFilters = {}, sort: PeerSort = {}, includeGeo = false, useCache = true, nodeId?: number, tagHosted = true) {
   try {
+    const clients = await getNodeClients(nodeId);
+    const cacheKey = nodeCacheKey('peers', clients.connection);
     let peerInfo: any[] = [];
     let lastUpdated = new Date();
+    let source: DataSource = 'rpc';
+    let sourceError: string | null = null;
 
     // Check if we have cached data and should use it
-    const cachedData = getFromCache<any[]>('peers', useCache);
+    const cachedData = getFromCache<any[]>(cacheKey, useCache);
     if (cachedData) {
       console.log('Using cached peer data');
       peerInfo = [...cachedData];
-      lastUpdated = new Date(getCacheTimestamp('peers'));
-    } else {
+      lastUpdated = new Date(getCacheTimestamp(cacheKey));
+      source = 'cache';
+    } else if (USE_MOCK) {
       // Cache is expired or we're not using cache, fetch new data
-      if (USE_MOCK) {
-        console.log('Using mock data for peers (USE_MOCK is true)');
-        peerInfo = mockData.peerInfo;
-      } else {
-        try {
-          // Try using the custom RPC client first
-          console.log('Attempting to get peer info...');
-          peerInfo = await customRpcClient.call('getpeerinfo');
-          console.log('Successfully retrieved peer info');
-        } catch (rpcError) {
-          console.error('Custom RPC client failed for getPeers:', rpcError.message);
-
-          // Only try the bitcoin-core client if it's available
-          if (client) {
-            try {
-              // Fall back to the bitcoin-core client
-              console.log('Trying bitcoin-core client for peer info...');
-              peerInfo = await (client as any).getPeerInfo();
-              console.log('Successfully retrieved peer info via bitcoin-core');
-            } catch (fallbackError) {
-              console.error('Fallback also failed for peer info:', fallbackError.message);
-
-              // Return mock data as a last resort
-              console.log('All RPC methods failed for peers, returning mock data');
-              peerInfo = mockData.peerInfo;
-            }
-          } else {
-            console.log('Bitcoin-core client not available, using mock data for peer info');
-            peerInfo = mockData.peerInfo;
-          }
-        }
+      console.log('Using mock data for peers (USE_MOCK is true)');
+      peerInfo = mockData.peerInfo;
+      source = 'mock';
+    } else {
+      let fetched: SourcedData<any[]>;
+      try {
+        console.log('Attempting to get peer info...');
+        fetched = fromRpc(await callWithClientFallback(clients, 'getpeerinfo', 'getPeerInfo'));
+        console.log('Successfully retrieved peer info');
+      } catch (error) {
+        console.error('Failed to get peer info:', error.message);
+        fetched = mockFallback('peer info', error, mockData.peerInfo);
       }
 
-      // Update cache
-      saveToCache('peers', peerInfo);
-      lastUpdated = new Date(getCacheTimestamp('peers'));
+      peerInfo = fetched.data;
+      source = fetched.source;
+      sourceError = fetched.sourceError;
 
-      // Also update the old cache for backward compatibility
-      peerCache.data = peerInfo;
-      peerCache.timestamp = Date.now();
+      // Never cache mock data as if it came from the node
+      if (source === 'rpc') {
+        saveToCache(cacheKey, peerInfo);
+        lastUpdated = new Date(getCacheTimestamp(cacheKey));
+
+        // Also update the old cache for backward compatibility
+        peerCache.data = peerInfo;
+        peerCache.timestamp = Date.now();
+      }
     }
 
     // Get total count before filtering
     const total = peerInfo.length;
 
     // Apply filters
-    let filteredPeers = [...peerInfo];
+    let filteredPeers = peerInfo.map(withNetwork);
 
     if (filters) {
       // Connection type filter (inbound/outbound)
@@ -768,31 +956,7 @@ export async function getPeers(filters: PeerFilters = {}, sort: PeerSort = {}, i
 
     // Get geolocation data if requested
     if (includeGeo) {
-      // Extract IPs from peers
-      const ips = filteredPeers.map(peer => peer.addr.split(':')[0]);
-
-      // Check if we need to fetch new geolocation data
-      const ipsToFetch = ips.filter(ip =>
-        !peerCache.geoData[ip] ||
-        (Date.now() - peerCache.timestamp > CACHE_EXPIRATION)
-      );
-
-      if (ipsToFetch.length > 0) {
-        console.log(`Fetching geolocation data for ${ipsToFetch.length} IPs`);
-        const newGeoData = await getBatchIPGeolocation(ipsToFetch);
-
-        // Update cache with new data
-        peerCache.geoData = { ...peerCache.geoData, ...newGeoData };
-      }
-
-      // Add geolocation data to peers
-      filteredPeers = filteredPeers.map(peer => {
-        const ip = peer.addr.split(':')[0];
-        return {
-          ...peer,
-          geolocation: peerCache.geoData[ip] || null
-        };
-      });
+      filteredPeers = await addGeolocationToPeers(filteredPeers, useCache);
 
       // Apply country filter if present
       if (filters.country) {
@@ -804,6 +968,11 @@ export async function getPeers(filters: PeerFilters = {}, sort: PeerSort = {}, i
       }
     }
 
+    // Tag peers in web hosting ranges and ASNs; ASNs need the geolocation unless bitcoind maps them
+    if (tagHosted) {
+      filteredPeers = await tagHostedPeers(filteredPeers);
+    }
+
     // Apply sorting
     if (sort && Object.keys(sort).length > 0) {
       const sortField = Object.keys(sort)[0];
@@ -839,360 +1008,288 @@ export async function getPeers(filters: PeerFilters = {}, sort: PeerSort = {}, i
       data: filteredPeers,
       total,
       filtered: filteredPeers.length,
-      lastUpdated
+      lastUpdated,
+      source,
+      sourceError
     };
   } catch (error) {
-    console.error('Error getting peers:', error);
-    // Return mock data as a last resort
-    console.log('Unexpected error getting peers, returning mock data');
+    console.error('Error getting peers:', error.message);
+
+    const fallback = mockFallback('peers', error, mockData.peerInfo);
     return {
-      data: mockData.peerInfo,
-      total: mockData.peerInfo.length,
-      filtered: mockData.peerInfo.length,
-      lastUpdated: new Date()
+      data: fallback.data,
+      total: fallback.data.length,
+      filtered: fallback.data.length,
+      lastUpdated: new Date(),
+      source: fallback.source,
+      sourceError: fallback.sourceError
     };
   }
 }
 
-export async function getBannedPeers() {
+/**
+ * Get one connected peer with its geolocation and web hosting tag
+ * @returns The peer, or null when no peer with this ID is connected
+ */
+export async function getPeer(peerId: number, useCache = true, nodeId?: number) {
+  // Only this peer is geolocated, so it's tagged once it has its geolocation
+  const result = await getPeers({}, {}, false, useCache, nodeId, false);
+  const peer = result.data.find(candidate => candidate.id === peerId);
+
+  return {
+    data: peer ? (await tagHostedPeers(await addGeolocationToPeers([peer], useCache)))[0] : null,
+    lastUpdated: result.lastUpdated,
+    source: result.source,
+    sourceError: result.sourceError
+  };
+}
+
+export async function getBannedPeers(nodeId?: number): Promise<SourcedData<any[]>> {
   // Define mock banned peers data
   const mockBannedPeers = [
     { address: '192.168.1.200', banned_until: Date.now() + 86400000, ban_created: Date.now(), ban_reason: 'manually banned' },
     { address: '192.168.1.201', banned_until: Date.now() + 43200000, ban_created: Date.now() - 43200000, ban_reason: 'node misbehaving' }
   ];
 
-  try {
-    if (USE_MOCK || !client) {
-      console.log('Using mock data for banned peers (USE_MOCK is true or client is not available)');
-      return mockBannedPeers;
-    }
+  if (USE_MOCK) {
+    console.log('Using mock data for banned peers (USE_MOCK is true)');
+    return fromMock(mockBannedPeers);
+  }
 
-    try {
-      // Try using the custom RPC client first
-      console.log('Attempting to get banned peers...');
-      const bannedPeers = await customRpcClient.call('listbanned');
-      console.log('Successfully retrieved banned peers');
-      return bannedPeers;
-    } catch (rpcError) {
-      console.error('Custom RPC client failed for getBannedPeers:', rpcError.message);
+  try {
+    const clients = await getNodeClients(nodeId);
 
-      try {
-        // Fall back to the bitcoin-core client
-        console.log('Trying bitcoin-core client for banned peers...');
-        const bannedPeers = await (client as any).listBanned();
-        console.log('Successfully retrieved banned peers via bitcoin-core');
-        return bannedPeers;
-      } catch (fallbackError) {
-        console.error('Fallback also failed for banned peers:', fallbackError.message);
-
-        // Return mock data as fallback
-        console.log('Returning mock data for banned peers due to error');
-        return mockBannedPeers;
-      }
-    }
+    console.log('Attempting to get banned peers...');
+    const bannedPeers = await callWithClientFallback(clients, 'listbanned', 'listBanned');
+    console.log('Successfully retrieved banned peers');
+    return fromRpc(bannedPeers);
   } catch (error) {
-    console.error('Unexpected error getting banned peers:', error);
-    // Return mock data as a last resort
-    return mockBannedPeers;
+    console.error('Error getting banned peers:', error.message);
+    return mockFallback('banned peers', error, mockBannedPeers);
   }
 }
 
-export async function banPeer(ip: string, banTime: number = 86400) {
+/**
+ * Ban an IP address or subnet
+ * @param address The IP or a CIDR subnet like 1.2.3.0/24; a port is stripped, since setban only takes IPs and subnets
+ */
+export async function banPeer(address: string, banTime: number = 86400, nodeId?: number) {
+  const ip = parseAddress(address).host;
+  const what = ip.includes('/') ? 'subnet' : 'peer';
+
+  if (USE_MOCK) {
+    console.log(`Mock: Banned ${what} ${ip} for ${banTime} seconds`);
+    return { success: true, message: `Mock: Banned ${what} ${ip} for ${banTime} seconds`, source: 'mock' as DataSource };
+  }
+
   try {
-    if (USE_MOCK || !client) {
-      console.log(`Mock: Banned peer ${ip} for ${banTime} seconds`);
-      return { success: true, message: `Mock: Banned peer ${ip} for ${banTime} seconds` };
+    const { client, connection } = await getNodeClients(nodeId);
+
+    if (!client) {
+      return { success: false, message: 'Bitcoin client not available', source: 'rpc' as DataSource };
     }
 
     try {
-      await (client as any).setban(ip, 'add', banTime);
-      return { success: true, message: `Banned peer ${ip} for ${banTime} seconds` };
+      checkCircuit(connection);
+      await (client as any).setBan(ip, 'add', banTime);
+      return { success: true, message: `Banned ${what} ${ip} for ${banTime} seconds`, source: 'rpc' as DataSource };
     } catch (error) {
-      console.error(`Error banning peer ${ip}:`, error);
-      return { success: false, message: `Failed to ban peer: ${error.message}` };
+      console.error(`Error banning ${what} ${ip}:`, error);
+      return { success: false, message: `Failed to ban ${what}: ${error.message}`, source: 'rpc' as DataSource };
     }
   } catch (error) {
-    console.error(`Unexpected error banning peer ${ip}:`, error);
-    return { success: false, message: `Unexpected error: ${error.message}` };
+    console.error(`Unexpected error banning ${what} ${ip}:`, error);
+    return { success: false, message: `Unexpected error: ${error.message}`, source: 'rpc' as DataSource };
   }
 }
 
-export async function unbanPeer(ip: string) {
+/**
+ * Unban an IP address or subnet
+ * @param address The IP or subnet as listed by listbanned; a port is stripped
+ */
+export async function unbanPeer(address: string, nodeId?: number) {
+  const ip = parseAddress(address).host;
+
+  if (USE_MOCK) {
+    console.log(`Mock: Unbanned peer ${ip}`);
+    return { success: true, message: `Mock: Unbanned peer ${ip}`, source: 'mock' as DataSource };
+  }
+
   try {
-    if (USE_MOCK || !client) {
-      console.log(`Mock: Unbanned peer ${ip}`);
-      return { success: true, message: `Mock: Unbanned peer ${ip}` };
+    const { client, connection } = await getNodeClients(nodeId);
+
+    if (!client) {
+      return { success: false, message: 'Bitcoin client not available', source: 'rpc' as DataSource };
     }
 
     try {
-      await (client as any).setban(ip, 'remove');
-      return { success: true, message: `Unbanned peer ${ip}` };
+      checkCircuit(connection);
+      await (client as any).setBan(ip, 'remove');
+      return { success: true, message: `Unbanned peer ${ip}`, source: 'rpc' as DataSource };
     } catch (error) {
       console.error(`Error unbanning peer ${ip}:`, error);
-      return { success: false, message: `Failed to unban peer: ${error.message}` };
+      return { success: false, message: `Failed to unban peer: ${error.message}`, source: 'rpc' as DataSource };
     }
   } catch (error) {
     console.error(`Unexpected error unbanning peer ${ip}:`, error);
-    return { success: false, message: `Unexpected error: ${error.message}` };
+    return { success: false, message: `Unexpected error: ${error.message}`, source: 'rpc' as DataSource };
   }
 }
 
-export async function disconnectPeer(nodeId: string) {
+export async function disconnectPeer(peerId: string, nodeId?: number) {
+  if (USE_MOCK) {
+    console.log(`Mock: Disconnected peer ${peerId}`);
+    return { success: true, message: `Mock: Disconnected peer ${peerId}`, source: 'mock' as DataSource };
+  }
+
   try {
-    if (USE_MOCK || !client) {
-      console.log(`Mock: Disconnected peer ${nodeId}`);
-      return { success: true, message: `Mock: Disconnected peer ${nodeId}` };
+    const { client, connection } = await getNodeClients(nodeId);
+
+    if (!client) {
+      return { success: false, message: 'Bitcoin client not available', source: 'rpc' as DataSource };
     }
 
     try {
-      await (client as any).disconnectNode(nodeId);
-      return { success: true, message: `Disconnected peer ${nodeId}` };
+      checkCircuit(connection);
+      // disconnectnode takes an address or a node ID; the address must be empty to disconnect by ID
+      await (client as any).disconnectNode('', Number(peerId));
+      return { success: true, message: `Disconnected peer ${peerId}`, source: 'rpc' as DataSource };
     } catch (error) {
-      console.error(`Error disconnecting peer ${nodeId}:`, error);
-      return { success: false, message: `Failed to disconnect peer: ${error.message}` };
+      console.error(`Error disconnecting peer ${peerId}:`, error);
+      return { success: false, message: `Failed to disconnect peer: ${error.message}`, source: 'rpc' as DataSource };
     }
   } catch (error) {
-    console.error(`Unexpected error disconnecting peer ${nodeId}:`, error);
-    return { success: false, message: `Unexpected error: ${error.message}` };
+    console.error(`Unexpected error disconnecting peer ${peerId}:`, error);
+    return { success: false, message: `Unexpected error: ${error.message}`, source: 'rpc' as DataSource };
   }
 }
 
-export async function getBlock(hash: string) {
+/**
+ * Get the nodes added through addnode and whether they're connected
+ */
+export async function getAddedNodeInfo(nodeId?: number): Promise<SourcedData<any[]>> {
+  if (USE_MOCK) {
+    console.log('Using mock data for added nodes');
+    return fromMock([]);
+  }
+
   try {
-    console.log(`Attempting to get block ${hash}...`);
+    const clients = await getNodeClients(nodeId);
+
+    console.log('Attempting to get added nodes...');
+    return fromRpc(await callWithClientFallback(clients, 'getaddednodeinfo', 'getAddedNodeInfo'));
+  } catch (error) {
+    console.error('Error getting added nodes:', error.message);
+    return mockFallback('added nodes', error, []);
+  }
+}
+
+/**
+ * Add a node to or remove it from the added node list, or connect to it once
+ * @param address The node's address, with an optional port
+ * @param command 'add', 'remove' or 'onetry'
+ * @returns The result, with the RPC error code if the call failed
+ */
+export async function addNode(address: string, command: 'add' | 'remove' | 'onetry', nodeId?: number) {
+  if (USE_MOCK) {
+    console.log(`Mock: addnode ${address} ${command}`);
+    return { success: true, message: `Mock: addnode ${address} ${command}`, source: 'mock' as DataSource };
+  }
+
+  try {
+    const { client, connection } = await getNodeClients(nodeId);
+
+    if (!client) {
+      return { success: false, message: 'Bitcoin client not available', source: 'rpc' as DataSource };
+    }
 
     try {
-      // Try using the custom RPC client
-      return await customRpcClient.call('getblock', [hash, 2]);
+      checkCircuit(connection);
+      await (client as any).addNode(address, command);
+      const messages = { add: `Added node ${address}`, remove: `Removed node ${address}`, onetry: `Trying to connect to ${address}` };
+      return { success: true, message: messages[command], source: 'rpc' as DataSource };
     } catch (error) {
-      console.error(`Error getting block ${hash}:`, error);
-
-      // Return mock data as fallback
-      console.log(`Returning mock data for block ${hash}`);
-      const mockBlock = {
-        hash: hash || '000000000000000000000000000000000000000000000000000000000000000',
-        confirmations: 1000,
-        size: 1000000,
-        strippedsize: 900000,
-        weight: 4000000,
-        height: 825000,
-        version: 536870912,
-        versionHex: '20000000',
-        merkleroot: '000000000000000000000000000000000000000000000000000000000000000',
-        tx: Array(10).fill(0).map((_, i) => ({
-          txid: `000000000000000000000000000000000000000000000000000000000000${i.toString().padStart(3, '0')}`,
-          hash: `000000000000000000000000000000000000000000000000000000000000${i.toString().padStart(3, '0')}`,
-          version: 1,
-          size: 250,
-          vsize: 250,
-          weight: 1000,
-          locktime: 0,
-          vin: [{
-            txid: `000000000000000000000000000000000000000000000000000000000000${(i+1).toString().padStart(3, '0')}`,
-            vout: 0,
-            scriptSig: { asm: '', hex: '' },
-            sequence: 4294967295
-          }],
-          vout: [{
-            value: 50.0,
-            n: 0,
-            scriptPubKey: {
-              asm: '',
-              hex: '',
-              reqSigs: 1,
-              type: 'pubkeyhash',
-              addresses: ['1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa']
-            }
-          }]
-        })),
-        time: 1714579200,
-        mediantime: 1714579100,
-        nonce: 123456789,
-        bits: '1d00ffff',
-        difficulty: 78352956298608,
-        chainwork: '000000000000000000000000000000000000000000000000000000000000000',
-        nTx: 10,
-        previousblockhash: '000000000000000000000000000000000000000000000000000000000000001',
-        nextblockhash: '000000000000000000000000000000000000000000000000000000000000002'
-      };
-
-      return mockBlock;
+      console.error(`Error running addnode ${command} for ${address}:`, error);
+      return { success: false, message: `Failed to ${command} node: ${error.message}`, code: error.code, source: 'rpc' as DataSource };
     }
   } catch (error) {
-    console.error(`Unexpected error getting block ${hash}:`, error);
-
-    // Return mock data as a last resort
-    const mockBlock = {
-      hash: hash || '000000000000000000000000000000000000000000000000000000000000000',
-      confirmations: 1000,
-      size: 1000000,
-      strippedsize: 900000,
-      weight: 4000000,
-      height: 825000,
-      version: 536870912,
-      versionHex: '20000000',
-      merkleroot: '000000000000000000000000000000000000000000000000000000000000000',
-      tx: Array(10).fill(0).map((_, i) => ({
-        txid: `000000000000000000000000000000000000000000000000000000000000${i.toString().padStart(3, '0')}`,
-        hash: `000000000000000000000000000000000000000000000000000000000000${i.toString().padStart(3, '0')}`,
-        version: 1,
-        size: 250,
-        vsize: 250,
-        weight: 1000,
-        locktime: 0,
-        vin: [{
-          txid: `000000000000000000000000000000000000000000000000000000000000${(i+1).toString().padStart(3, '0')}`,
-          vout: 0,
-          scriptSig: { asm: '', hex: '' },
-          sequence: 4294967295
-        }],
-        vout: [{
-          value: 50.0,
-          n: 0,
-          scriptPubKey: {
-            asm: '',
-            hex: '',
-            reqSigs: 1,
-            type: 'pubkeyhash',
-            addresses: ['1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa']
-          }
-        }]
-      })),
-      time: 1714579200,
-      mediantime: 1714579100,
-      nonce: 123456789,
-      bits: '1d00ffff',
-      difficulty: 78352956298608,
-      chainwork: '000000000000000000000000000000000000000000000000000000000000000',
-      nTx: 10,
-      previousblockhash: '000000000000000000000000000000000000000000000000000000000000001',
-      nextblockhash: '000000000000000000000000000000000000000000000000000000000000002'
-    };
+    console.error(`Unexpected error running addnode ${command} for ${address}:`, error);
+    return { success: false, message: `Unexpected error: ${error.message}`, source: 'rpc' as DataSource };
+  }
+}
 
-    return mockBlock;
+export async function getBlock(hash: string, nodeId?: number): Promise<SourcedData<any>> {
+  if (USE_MOCK) {
+    console.log(`Using mock data for block ${hash}`);
+    return fromMock(getMockBlock(825000, hash));
+  }
+
+  try {
+    const { rpc } = await getNodeClients(nodeId);
+
+    console.log(`Attempting to get block ${hash}...`);
+    return fromRpc(await rpc.call('getblock', [hash, 2]));
+  } catch (error) {
+    console.error(`Error getting block ${hash}:`, error.message);
+    return mockFallback(`block ${hash}`, error, getMockBlock(825000, hash));
   }
 }
 
-export async function getBlockByHeight(height: number) {
+export async function getBlockByHeight(height: number, nodeId?: number): Promise<SourcedData<any>> {
+  if (USE_MOCK) {
+    console.log(`Using mock data for block at height ${height}`);
+    return fromMock(getMockBlock(height));
+  }
+
   try {
+    const { rpc } = await getNodeClients(nodeId);
+
     console.log(`Attempting to get block at height ${height}...`);
 
-    try {
-      // Try using the custom RPC client first to get the block hash
-      const hash = await customRpcClient.call('getblockhash', [height]);
+    // Get the block hash first, then the block using the hash
+    const hash = await rpc.call('getblockhash', [height]);
+    return fromRpc(await rpc.call('getblock', [hash, 2]));
+  } catch (error) {
+    console.error(`Error getting block at height ${height}:`, error.message);
+    return mockFallback(`block at height ${height}`, error, getMockBlock(height));
+  }
+}
 
-      // Then get the block using the hash
-      return await customRpcClient.call('getblock', [hash, 2]);
-    } catch (error) {
-      console.error(`Error getting block at height ${height}:`, error);
-
-      // Return mock data as fallback
-      console.log(`Returning mock data for block at height ${height}`);
-      const mockBlock = {
-        hash: `000000000000000000000000000000000000000000000000000000000000${height.toString().padStart(3, '0')}`,
-        confirmations: 1000,
-        size: 1000000,
-        strippedsize: 900000,
-        weight: 4000000,
-        height: height,
-        version: 536870912,
-        versionHex: '20000000',
-        merkleroot: '000000000000000000000000000000000000000000000000000000000000000',
-        tx: Array(10).fill(0).map((_, i) => ({
-          txid: `000000000000000000000000000000000000000000000000000000000000${i.toString().padStart(3, '0')}`,
-          hash: `000000000000000000000000000000000000000000000000000000000000${i.toString().padStart(3, '0')}`,
-          version: 1,
-          size: 250,
-          vsize: 250,
-          weight: 1000,
-          locktime: 0,
-          vin: [{
-            txid: `000000000000000000000000000000000000000000000000000000000000${(i+1).toString().padStart(3, '0')}`,
-            vout: 0,
-            scriptSig: { asm: '', hex: '' },
-            sequence: 4294967295
-          }],
-          vout: [{
-            value: 50.0,
-            n: 0,
-            scriptPubKey: {
-              asm: '',
-              hex: '',
-              reqSigs: 1,
-              type: 'pubkeyhash',
-              addresses: ['1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa']
-            }
-          }]
-        })),
-        time: 1714579200,
-        mediantime: 1714579100,
-        nonce: 123456789,
-        bits: '1d00ffff',
-        difficulty: 78352956298608,
-        chainwork: '000000000000000000000000000000000000000000000000000000000000000',
-        nTx: 10,
-        previousblockhash: `000000000000000000000000000000000000000000000000000000000000${(height-1).toString().padStart(3, '0')}`,
-        nextblockhash: `000000000000000000000000000000000000000000000000000000000000${(height+1).toString().padStart(3, '0')}`
-      };
+/**
+ * Get the blocks at several heights using two batch requests
+ * Blocks that can't be fetched in the batch fall back to getBlockByHeight
+ * @param heights The block heights
+ * @param nodeId The node ID (the default node if omitted)
+ * @returns The blocks, in the same order as the heights
+ */
+export async function getBlocksByHeight(heights: number[], nodeId?: number): Promise<SourcedData<any[]>> {
+  if (USE_MOCK) {
+    return combineSourced(heights.map(height => fromMock(getMockBlock(height))));
+  }
 
-      return mockBlock;
-    }
-  } catch (error) {
-    console.error(`Unexpected error getting block at height ${height}:`, error);
-
-    // Return mock data as a last resort
-    const mockBlock = {
-      hash: `000000000000000000000000000000000000000000000000000000000000${height.toString().padStart(3, '0')}`,
-      confirmations: 1000,
-      size: 1000000,
-      strippedsize: 900000,
-      weight: 4000000,
-      height: height,
-      version: 536870912,
-      versionHex: '20000000',
-      merkleroot: '000000000000000000000000000000000000000000000000000000000000000',
-      tx: Array(10).fill(0).map((_, i) => ({
-        txid: `000000000000000000000000000000000000000000000000000000000000${i.toString().padStart(3, '0')}`,
-        hash: `000000000000000000000000000000000000000000000000000000000000${i.toString().padStart(3, '0')}`,
-        version: 1,
-        size: 250,
-        vsize: 250,
-        weight: 1000,
-        locktime: 0,
-        vin: [{
-          txid: `000000000000000000000000000000000000000000000000000000000000${(i+1).toString().padStart(3, '0')}`,
-          vout: 0,
-          scriptSig: { asm: '', hex: '' },
-          sequence: 4294967295
-        }],
-        vout: [{
-          value: 50.0,
-          n: 0,
-          scriptPubKey: {
-            asm: '',
-            hex: '',
-            reqSigs: 1,
-            type: 'pubkeyhash',
-            addresses: ['1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa']
-          }
-        }]
-      })),
-      time: 1714579200,
-      mediantime: 1714579100,
-      nonce: 123456789,
-      bits: '1d00ffff',
-      difficulty: 78352956298608,
-      chainwork: '000000000000000000000000000000000000000000000000000000000000000',
-      nTx: 10,
-      previousblockhash: `000000000000000000000000000000000000000000000000000000000000${(height-1).toString().padStart(3, '0')}`,
-      nextblockhash: `000000000000000000000000000000000000000000000000000000000000${(height+1).toString().padStart(3, '0')}`
-    };
+  try {
+    const { rpc } = await getNodeClients(nodeId);
+
+    const hashes = await rpc.batch(heights.map(height => ({ method: 'getblockhash', params: [height] })));
+    const hashed = heights.map((_, i) => i).filter(i => !hashes[i].error);
+    const blocks = await rpc.batch(hashed.map(i => ({ method: 'getblock', params: [hashes[i].result, 2] })));
 
-    return mockBlock;
+    return combineSourced(await Promise.all(heights.map((height, i) => {
+      const index = hashed.indexOf(i);
+      if (index !== -1 && !blocks[index].error) {
+        return fromRpc(blocks[index].result);
+      }
+
+      console.error(`Batch failed to get block at height ${height}`);
+      return getBlockByHeight(height, nodeId);
+    })));
+  } catch (error) {
+    console.error('Error getting blocks in batch:', error.message);
+    return combineSourced(heights.map(height => mockFallback(`block at height ${height}`, error, getMockBlock(height))));
   }
 }
 
-export async function getTransaction(txid: string) {
+export async function getTransaction(txid: string, nodeId?: number): Promise<SourcedData<any>> {
   const mockTx = {
     txid: txid || '000000000000000000000000000000000000000000000000000000000000000',
     hash: '000000000000000000000000000000000000000000000000000000000000000',
@@ -1210,26 +1307,62 @@ export async function getTransaction(txid: string) {
     blocktime: 1714579200
   };
 
+  if (USE_MOCK) {
+    console.log(`Using mock data for transaction ${txid}`);
+    return fromMock(mockTx);
+  }
+
   try {
-    if (USE_MOCK || !client) {
-      console.log(`Using mock data for transaction ${txid}`);
-      return mockTx;
-    }
+    const { client, connection } = await getNodeClients(nodeId);
 
-    try {
-      return await (client as any).getRawTransaction(txid, true);
-    } catch (error) {
-      console.error(`Error getting transaction ${txid}:`, error);
-      console.log(`Returning mock data for transaction ${txid}`);
-      return mockTx;
+    if (!client) {
+      throw new Error('Bitcoin client not available');
     }
+    checkCircuit(connection);
+
+    return fromRpc(await (client as any).getRawTransaction(txid, true));
+  } catch (error) {
+    console.error(`Error getting transaction ${txid}:`, error.message);
+    return mockFallback(`transaction ${txid}`, error, mockTx);
+  }
+}
+
+/**
+ * Get several transactions using one batch request
+ * Transactions the node doesn't know (e.g. ones that just left the mempool) are skipped
+ * @param txids The transaction IDs
+ * @param nodeId The node ID (the default node if omitted)
+ * @returns The transactions that were found, in the same order as the IDs
+ */
+export async function getTransactions(txids: string[], nodeId?: number): Promise<SourcedData<any[]>> {
+  if (USE_MOCK) {
+    return combineSourced(await Promise.all(txids.map(txid => getTransaction(txid, nodeId))));
+  }
+
+  try {
+    const { rpc } = await getNodeClients(nodeId);
+
+    const responses = await rpc.batch(txids.map(txid => ({ method: 'getrawtransaction', params: [txid, true] })));
+
+    return fromRpc(responses
+      .filter((response, i) => {
+        if (response.error) {
+          console.log(`Skipping transaction ${txids[i]}: ${response.error.message}`);
+        }
+        return !response.error;
+      })
+      .map(response => response.result));
   } catch (error) {
-    console.error(`Unexpected error getting transaction ${txid}:`, error);
-    return mockTx;
+    console.error('Error getting transactions in batch:', error.message);
+
+    if (!isMockFallbackAllowed()) {
+      throw error;
+    }
+    return combineSourced(await Promise.all(txids.map(txid => getTransaction(txid, nodeId))));
   }
 }
 
-export async function getWalletInfo() {
+export async function getWalletInfo(nodeId?: number): Promise<SourcedData<any>> {
   const mockWalletInfo = {
     walletname: '',
     walletversion: 169900,
@@ -1246,174 +1379,156 @@ export async function getWalletInfo() {
     scanning: false
   };
 
+  if (USE_MOCK) {
+    console.log('Using mock data for wallet info');
+    return fromMock(mockWalletInfo);
+  }
+
   try {
-    if (USE_MOCK || !client) {
-      console.log('Using mock data for wallet info');
-      return mockWalletInfo;
-    }
+    const { client, connection } = await getNodeClients(nodeId);
 
-    try {
-      return await (client as any).getWalletInfo();
-    } catch (error) {
-      console.error('Error getting wallet info:', error);
-      console.log('Returning mock data for wallet info');
-      return mockWalletInfo;
+    if (!client) {
+      throw new Error('Bitcoin client not available');
     }
+    checkCircuit(connection);
+
+    return fromRpc(await (client as any).getWalletInfo());
   } catch (error) {
-    console.error('Unexpected error getting wallet info:', error);
-    return mockWalletInfo;
+    console.error('Error getting wallet info:', error.message);
+    return mockFallback('wallet info', error, mockWalletInfo);
   }
 }
 
 /**
  * Get blockchain info
  */
-export async function getBlockchainInfo() {
-  try {
-    if (USE_MOCK || !client) {
-      console.log('Using mock data for blockchain info');
-      return mockData.blockchainInfo;
-    }
+export async function getBlockchainInfo(nodeId?: number): Promise<SourcedData<any>> {
+  if (USE_MOCK) {
+    console.log('Using mock data for blockchain info');
+    return fromMock(mockData.blockchainInfo);
+  }
 
-    try {
-      // Try using the custom RPC client first
-      console.log('Attempting to get blockchain info...');
-      return await customRpcClient.call('getblockchaininfo');
-    } catch (rpcError) {
-      console.error('Custom RPC client failed for getBlockchainInfo:', rpcError.message);
+  try {
+    const clients = await getNodeClients(nodeId);
 
-      try {
-        // Fall back to the bitcoin-core client
-        console.log('Trying bitcoin-core client for blockchain info...');
-        return await (client as any).getBlockchainInfo();
-      } catch (fallbackError) {
-        console.error('Fallback also failed for blockchain info:', fallbackError.message);
-
-        // Return mock data as fallback
-        console.log('Returning mock data for blockchain info due to error');
-        return mockData.blockchainInfo;
-      }
-    }
+    console.log('Attempting to get blockchain info...');
+    return fromRpc(await callWithClientFallback(clients, 'getblockchaininfo', 'getBlockchainInfo'));
   } catch (error) {
-    console.error('Unexpected error getting blockchain info:', error);
-    // Return mock data as a last resort
-    return mockData.blockchainInfo;
+    console.error('Error getting blockchain info:', error.message);
+    return mockFallback('blockchain info', error, mockData.blockchainInfo);
   }
 }
 
 /**
  * Get mempool info
  */
-export async function getMempoolInfo() {
+export async function getMempoolInfo(nodeId?: number): Promise<SourcedData<any>> {
+  if (USE_MOCK) {
+    console.log('Using mock data for mempool info');
+    return fromMock(mockData.mempoolInfo);
+  }
+
   try {
-    if (USE_MOCK || !client) {
-      console.log('Using mock data for mempool info');
-      return mockData.mempoolInfo;
-    }
+    const clients = await getNodeClients(nodeId);
 
-    try {
-      // Try using the custom RPC client first
-      console.log('Attempting to get mempool info...');
-      return await customRpcClient.call('getmempoolinfo');
-    } catch (rpcError) {
-      console.error('Custom RPC client failed for getMempoolInfo:', rpcError.message);
+    console.log('Attempting to get mempool info...');
+    return fromRpc(await callWithClientFallback(clients, 'getmempoolinfo', 'getMempoolInfo'));
+  } catch (error) {
+    console.error('Error getting mempool info:', error.message);
+    return mockFallback('mempool info', error, mockData.mempoolInfo);
+  }
+}
 
-      try {
-        // Fall back to the bitcoin-core client
-        console.log('Trying bitcoin-core client for mempool info...');
-        return await (client as any).getMempoolInfo();
-      } catch (fallbackError) {
-        console.error('Fallback also failed for mempool info:', fallbackError.message);
-
-        // Return mock data as fallback
-        console.log('Returning mock data for mempool info due to error');
-        return mockData.mempoolInfo;
-      }
-    }
+/**
+ * Get the node's network traffic totals and upload target
+ */
+export async function getNetTotals(nodeId?: number): Promise<SourcedData<any>> {
+  if (USE_MOCK) {
+    console.log('Using mock data for network totals');
+    return fromMock({ ...mockData.netTotals, timemillis: Date.now() });
+  }
+
+  try {
+    const clients = await getNodeClients(nodeId);
+
+    console.log('Attempting to get network totals...');
+    return fromRpc(await callWithClientFallback(clients, 'getnettotals', 'getNetTotals'));
   } catch (error) {
-    console.error('Unexpected error getting mempool info:', error);
-    // Return mock data as a last resort
-    return mockData.mempoolInfo;
+    console.error('Error getting network totals:', error.message);
+    return mockFallback('network totals', error, { ...mockData.netTotals, timemillis: Date.now() });
+  }
+}
+
+/**
+ * Get addresses from the node's address manager
+ * @param count How many addresses to return, 0 for all of them
+ * @param network Only return addresses of this network (ipv4, ipv6, onion, i2p or cjdns)
+ */
+export async function getNodeAddresses(count: number, network?: string, nodeId?: number): Promise<SourcedData<any[]>> {
+  const mockAddresses = mockData.nodeAddresses.filter(address => !network || address.network === network);
+
+  if (USE_MOCK) {
+    console.log('Using mock data for node addresses');
+    return fromMock(mockAddresses);
+  }
+
+  try {
+    const clients = await getNodeClients(nodeId);
+    const params = network ? [count, network] : [count];
+
+    console.log('Attempting to get node addresses...');
+    return fromRpc(await callWithClientFallback(clients, 'getnodeaddresses', 'getNodeAddresses', params));
+  } catch (error) {
+    console.error('Error getting node addresses:', error.message);
+    return mockFallback('node addresses', error, mockAddresses);
   }
 }
 
 /**
  * Get block hash for a given height
  */
-export async function getBlockHash(height: number) {
+export async function getBlockHash(height: number, nodeId?: number): Promise<SourcedData<string>> {
   const mockBlockHash = '000000000000000000000000000000000000000000000000000000000000000';
 
-  try {
-    if (USE_MOCK || !client) {
-      console.log(`Using mock data for block hash at height ${height}`);
-      return mockBlockHash;
-    }
+  if (USE_MOCK) {
+    console.log(`Using mock data for block hash at height ${height}`);
+    return fromMock(mockBlockHash);
+  }
 
-    try {
-      // Try using the custom RPC client first
-      console.log(`Attempting to get block hash for height ${height}...`);
-      return await customRpcClient.call('getblockhash', [height]);
-    } catch (rpcError) {
-      console.error(`Custom RPC client failed for getBlockHash at height ${height}:`, rpcError.message);
+  try {
+    const clients = await getNodeClients(nodeId);
 
-      try {
-        // Fall back to the bitcoin-core client
-        console.log(`Trying bitcoin-core client for block hash at height ${height}...`);
-        return await (client as any).getBlockHash(height);
-      } catch (fallbackError) {
-        console.error(`Fallback also failed for block hash at height ${height}:`, fallbackError.message);
-
-        // Return mock data as fallback
-        console.log(`Returning mock data for block hash at height ${height} due to error`);
-        return mockBlockHash;
-      }
-    }
+    console.log(`Attempting to get block hash for height ${height}...`);
+    return fromRpc(await callWithClientFallback(clients, 'getblockhash', 'getBlockHash', [height]));
   } catch (error) {
-    console.error(`Unexpected error getting block hash at height ${height}:`, error);
-    // Return mock data as a last resort
-    return mockBlockHash;
+    console.error(`Error getting block hash at height ${height}:`, error.message);
+    return mockFallback(`block hash at height ${height}`, error, mockBlockHash);
   }
 }
 
 /**
  * Get raw mempool (list of transaction IDs)
  */
-export async function getRawMempool() {
+export async function getRawMempool(nodeId?: number): Promise<SourcedData<string[]>> {
   const mockTxids = [
     '000000000000000000000000000000000000000000000000000000000000001',
     '000000000000000000000000000000000000000000000000000000000000002',
     '000000000000000000000000000000000000000000000000000000000000003'
   ];
 
-  try {
-    if (USE_MOCK || !client) {
-      console.log('Using mock data for raw mempool');
-      return mockTxids;
-    }
+  if (USE_MOCK) {
+    console.log('Using mock data for raw mempool');
+    return fromMock(mockTxids);
+  }
 
-    try {
-      // Try using the custom RPC client first
-      console.log('Attempting to get raw mempool...');
-      return await customRpcClient.call('getrawmempool');
-    } catch (rpcError) {
-      console.error('Custom RPC client failed for getRawMempool:', rpcError.message);
+  try {
+    const clients = await getNodeClients(nodeId);
 
-      try {
-        // Fall back to the bitcoin-core client
-        console.log('Trying bitcoin-core client for raw mempool...');
-        return await (client as any).getRawMempool();
-      } catch (fallbackError) {
-        console.error('Fallback also failed for raw mempool:', fallbackError.message);
-
-        // Return mock data as fallback
-        console.log('Returning mock data for raw mempool due to error');
-        return mockTxids;
-      }
-    }
+    console.log('Attempting to get raw mempool...');
+    return fromRpc(await callWithClientFallback(clients, 'getrawmempool', 'getRawMempool'));
   } catch (error) {
-    console.error('Unexpected error getting raw mempool:', error);
-    // Return mock data as a last resort
-    return mockTxids;
+    console.error('Error getting raw mempool:', error.message);
+    return mockFallback('raw mempool', error, mockTxids);
   }
 }
 
@@ -1422,7 +1537,7 @@ export async function getRawMempool() {
  * Note: Bitcoin Core doesn't have a direct method to get address details
  * We need to use scantxoutset or other methods to get this information
  */
-export async function getAddressDetails(address: string) {
+export async function getAddressDetails(address: string, nodeId?: number): Promise<SourcedData<any>> {
   // Mock address details
   const mockAddressDetails = {
     address: address,
@@ -1458,28 +1573,38 @@ export async function getAddressDetails(address: string) {
     ]
   };
 
-  try {
-    if (USE_MOCK || !client) {
-      console.log(`Using mock data for address ${address}`);
-      return mockAddressDetails;
-    }
+  if (USE_MOCK) {
+    console.log(`Using mock data for address ${address}`);
+    return fromMock(mockAddressDetails);
+  }
 
-    try {
-      // Bitcoin Core doesn't have a direct method to get address details
-      // We would need to use scantxoutset or other methods
+  // Bitcoin Core doesn't have a direct method to get address details
+  // We would need to use scantxoutset or other methods
+  const error = new Error('Address details are not available from Bitcoin Core RPC');
+  console.log(`No direct method available for address details of ${address}`);
+  return mockFallback(`address ${address}`, error, mockAddressDetails);
+}
+
+/**
+ * Get the health of the connection to a node
+ * Checks the connection once if nothing has been sent to the node yet
+ */
+export async function getConnectionStatus(nodeId?: number) {
+  const { rpc, connection } = await getNodeClients(nodeId);
 
-      // For now, return mock data
-      console.log(`No direct method available for address details, using mock data for ${address}`);
-      return mockAddressDetails;
+  if (USE_MOCK) {
+    return { ...getConnectionHealth(connection), source: 'mock' as DataSource };
+  }
+
+  if (!hasConnectionHealth(connection)) {
+    try {
+      await rpc.call('uptime');
     } catch (error) {
-      console.error(`Error getting address details for ${address}:`, error);
-      console.log(`Returning mock data for address ${address}`);
-      return mockAddressDetails;
+      // The outcome is recorded in the connection health
     }
-  } catch (error) {
-    console.error(`Unexpected error getting address details for ${address}:`, error);
-    return mockAddressDetails;
   }
+
+  return { ...getConnectionHealth(connection), source: 'rpc' as DataSource };
 }
 
 // Export mock data for use in controllers
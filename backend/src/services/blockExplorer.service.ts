@@ -30,20 +30,33 @@ interface BlockExplorerCache {
   };
 }
 
-// Initialize cache
-const cache: BlockExplorerCache = {
-  latestBlocks: {
-    data: [],
-    timestamp: 0
-  },
-  blockDetails: {},
-  transactions: {},
-  addresses: {},
-  mempool: {
-    data: [],
-    timestamp: 0
+// Caches for each node, keyed by node ID ('default' when no node is selected)
+const caches: { [node: string]: BlockExplorerCache } = {};
+
+/**
+ * Get the cache for a node, initializing it on first use
+ */
+function getCache(nodeId?: number): BlockExplorerCache {
+  const key = nodeId !== undefined ? String(nodeId) : 'default';
+
+  if (!caches[key]) {
+    caches[key] = {
+      latestBlocks: {
+        data: [],
+        timestamp: 0
+      },
+      blockDetails: {},
+      transactions: {},
+      addresses: {},
+      mempool: {
+        data: [],
+        timestamp: 0
+      }
+    };
   }
-};
+
+  return caches[key];
+}
 
 // Cache expiration time (5 minutes)
 const CACHE_EXPIRATION = 5 * 60 * 1000;
@@ -58,7 +71,9 @@ function isCacheValid(timestamp: number): boolean {
 /**
  * Get latest blocks with pagination
  */
-export async function getLatestBlocks(page: number = 1, limit: number = 10, useCache: boolean = true) {
+export async function getLatestBlocks(page: number = 1, limit: number = 10, useCache: boolean = true, nodeId?: number) {
+  const cache = getCache(nodeId);
+
   try {
     // Check if cache is valid and we want to use it
     if (useCache && isCacheValid(cache.latestBlocks.timestamp) && cache.latestBlocks.data.length > 0) {
@@ -74,13 +89,15 @@ export async function getLatestBlocks(page: number = 1, limit: number = 10, useC
         total: cache.latestBlocks.data.length,
         page,
         limit,
-        lastUpdated: new Date(cache.latestBlocks.timestamp)
+        lastUpdated: new Date(cache.latestBlocks.timestamp),
+        source: 'cache' as bitcoinService.DataSource,
+        sourceError: null
       };
     }
 
     // Get current blockchain info to determine the latest block height
-    const blockchainInfo = await bitcoinService.getBlockchainInfo();
-    const currentHeight = blockchainInfo.blocks;
+    const blockchainInfo = await bitcoinService.getBlockchainInfo(nodeId);
+    const currentHeight = blockchainInfo.data.blocks;
     
     // Calculate how many blocks to fetch based on page and limit
     const blocksToFetch = [];
@@ -91,23 +108,25 @@ export async function getLatestBlocks(page: number = 1, limit: number = 10, useC
       blocksToFetch.push(height);
     }
     
-    // Fetch block details for each height
-    const blockPromises = blocksToFetch.map(height => 
-      bitcoinService.getBlockByHeight(height)
-    );
-    
-    const blocks = await Promise.all(blockPromises);
-    
-    // Update cache with all known blocks (not just the current page)
-    if (page === 1) {
+    // Fetch block details for all heights in one batch
+    const blocksResult = await bitcoinService.getBlocksByHeight(blocksToFetch, nodeId);
+    const blocks = blocksResult.data;
+    const { source, sourceError } = bitcoinService.sourceOf(blockchainInfo, blocksResult);
+
+    // Update cache with all known blocks (not just the current page), never with mock data
+    if (source === 'mock') {
+      console.log('Not caching latest blocks containing mock data');
+    } else if (page === 1) {
       cache.latestBlocks.data = blocks;
       cache.latestBlocks.timestamp = Date.now();
     } else if (cache.latestBlocks.data.length === 0) {
       // If this is not the first page but cache is empty, 
       // we need to fetch the first page to populate the cache properly
-      const firstPageBlocks = await getLatestBlocks(1, (page * limit), false);
-      cache.latestBlocks.data = firstPageBlocks.blocks;
-      cache.latestBlocks.timestamp = Date.now();
+      const firstPageBlocks = await getLatestBlocks(1, (page * limit), false, nodeId);
+      if (firstPageBlocks.source !== 'mock') {
+        cache.latestBlocks.data = firstPageBlocks.blocks;
+        cache.latestBlocks.timestamp = Date.now();
+      }
     }
     
     return {
@@ -115,7 +134,9 @@ export async function getLatestBlocks(page: number = 1, limit: number = 10, useC
       total: currentHeight + 1, // +1 because block heights start at 0
       page,
       limit,
-      lastUpdated: new Date(cache.latestBlocks.timestamp)
+      lastUpdated: source === 'mock' ? new Date() : new Date(cache.latestBlocks.timestamp),
+      source,
+      sourceError
     };
   } catch (error) {
     console.error('Error getting latest blocks:', error);
@@ -126,15 +147,17 @@ export async function getLatestBlocks(page: number = 1, limit: number = 10, useC
 /**
  * Get block details by hash or height
  */
-export async function getBlockDetails(hashOrHeight: string | number, useCache: boolean = true) {
+export async function getBlockDetails(hashOrHeight: string | number, useCache: boolean = true, nodeId?: number) {
+  const cache = getCache(nodeId);
+
   try {
     let blockHash: string;
     
     // Convert height to hash if needed
     if (typeof hashOrHeight === 'number' || !isNaN(Number(hashOrHeight))) {
       const height = typeof hashOrHeight === 'number' ? hashOrHeight : parseInt(hashOrHeight as string);
-      const blockHashResult = await bitcoinService.getBlockHash(height);
-      blockHash = blockHashResult;
+      const blockHashResult = await bitcoinService.getBlockHash(height, nodeId);
+      blockHash = blockHashResult.data;
     } else {
       blockHash = hashOrHeight as string;
     }
@@ -146,22 +169,28 @@ export async function getBlockDetails(hashOrHeight: string | number, useCache: b
       console.log(`Using cached block data for ${blockHash}`);
       return {
         block: cache.blockDetails[blockHash].data,
-        lastUpdated: new Date(cache.blockDetails[blockHash].timestamp)
+        lastUpdated: new Date(cache.blockDetails[blockHash].timestamp),
+        source: 'cache' as bitcoinService.DataSource,
+        sourceError: null
       };
     }
     
     // Fetch block details
-    const block = await bitcoinService.getBlock(blockHash);
+    const block = await bitcoinService.getBlock(blockHash, nodeId);
     
     // Update cache
-    cache.blockDetails[blockHash] = {
-      data: block,
-      timestamp: Date.now()
-    };
+    if (block.source !== 'mock') {
+      cache.blockDetails[blockHash] = {
+        data: block.data,
+        timestamp: Date.now()
+      };
+    }
     
     return {
-      block,
-      lastUpdated: new Date(cache.blockDetails[blockHash].timestamp)
+      block: block.data,
+      lastUpdated: new Date(),
+      source: block.source,
+      sourceError: block.sourceError
     };
   } catch (error) {
     console.error('Error getting block details:', error);
@@ -172,7 +201,9 @@ export async function getBlockDetails(hashOrHeight: string | number, useCache: b
 /**
  * Get transaction details
  */
-export async function getTransactionDetails(txid: string, useCache: boolean = true) {
+export async function getTransactionDetails(txid: string, useCache: boolean = true, nodeId?: number) {
+  const cache = getCache(nodeId);
+
   try {
     // Check if cache is valid and we want to use it
     if (useCache && 
@@ -181,22 +212,28 @@ export async function getTransactionDetails(txid: string, useCache: boolean = tr
       console.log(`Using cached transaction data for ${txid}`);
       return {
         transaction: cache.transactions[txid].data,
-        lastUpdated: new Date(cache.transactions[txid].timestamp)
+        lastUpdated: new Date(cache.transactions[txid].timestamp),
+        source: 'cache' as bitcoinService.DataSource,
+        sourceError: null
       };
     }
     
     // Fetch transaction details
-    const transaction = await bitcoinService.getTransaction(txid);
+    const transaction = await bitcoinService.getTransaction(txid, nodeId);
     
     // Update cache
-    cache.transactions[txid] = {
-      data: transaction,
-      timestamp: Date.now()
-    };
+    if (transaction.source !== 'mock') {
+      cache.transactions[txid] = {
+        data: transaction.data,
+        timestamp: Date.now()
+      };
+    }
     
     return {
-      transaction,
-      lastUpdated: new Date(cache.transactions[txid].timestamp)
+      transaction: transaction.data,
+      lastUpdated: new Date(),
+      source: transaction.source,
+      sourceError: transaction.sourceError
     };
   } catch (error) {
     console.error('Error getting transaction details:', error);
@@ -207,7 +244,9 @@ export async function getTransactionDetails(txid: string, useCache: boolean = tr
 /**
  * Get address details including balance and transactions
  */
-export async function getAddressDetails(address: string, page: number = 1, limit: number = 10, useCache: boolean = true) {
+export async function getAddressDetails(address: string, page: number = 1, limit: number = 10, useCache: boolean = true, nodeId?: number) {
+  const cache = getCache(nodeId);
+
   try {
     // Check if cache is valid and we want to use it
     if (useCache && 
@@ -230,20 +269,25 @@ export async function getAddressDetails(address: string, page: number = 1, limit
         total: addressData.transactions.length,
         page,
         limit,
-        lastUpdated: new Date(cache.addresses[address].timestamp)
+        lastUpdated: new Date(cache.addresses[address].timestamp),
+        source: 'cache' as bitcoinService.DataSource,
+        sourceError: null
       };
     }
     
     // Fetch address details
     // Note: Bitcoin Core doesn't have a direct method to get address details
     // We need to use scantxoutset or other methods to get this information
-    const addressDetails = await bitcoinService.getAddressDetails(address);
+    const addressResult = await bitcoinService.getAddressDetails(address, nodeId);
+    const addressDetails = addressResult.data;
     
     // Update cache
-    cache.addresses[address] = {
-      data: addressDetails,
-      timestamp: Date.now()
-    };
+    if (addressResult.source !== 'mock') {
+      cache.addresses[address] = {
+        data: addressDetails,
+        timestamp: Date.now()
+      };
+    }
     
     // Apply pagination to transactions
     const start = (page - 1) * limit;
@@ -258,7 +302,9 @@ export async function getAddressDetails(address: string, page: number = 1, limit
       total: addressDetails.transactions.length,
       page,
       limit,
-      lastUpdated: new Date(cache.addresses[address].timestamp)
+      lastUpdated: new Date(),
+      source: addressResult.source,
+      sourceError: addressResult.sourceError
     };
   } catch (error) {
     console.error('Error getting address details:', error);
@@ -269,7 +315,9 @@ export async function getAddressDetails(address: string, page: number = 1, limit
 /**
  * Get mempool transactions with pagination
  */
-export async function getMempoolTransactions(page: number = 1, limit: number = 10, useCache: boolean = true) {
+export async function getMempoolTransactions(page: number = 1, limit: number = 10, useCache: boolean = true, nodeId?: number) {
+  const cache = getCache(nodeId);
+
   try {
     // Check if cache is valid and we want to use it
     if (useCache && 
@@ -287,27 +335,30 @@ export async function getMempoolTransactions(page: number = 1, limit: number = 1
         total: cache.mempool.data.length,
         page,
         limit,
-        lastUpdated: new Date(cache.mempool.timestamp)
+        lastUpdated: new Date(cache.mempool.timestamp),
+        source: 'cache' as bitcoinService.DataSource,
+        sourceError: null
       };
     }
     
     // Fetch mempool transactions
-    const mempoolInfo = await bitcoinService.getMempoolInfo();
-    const txids = await bitcoinService.getRawMempool();
+    const mempoolInfo = await bitcoinService.getMempoolInfo(nodeId);
+    const rawMempool = await bitcoinService.getRawMempool(nodeId);
+    const txids = rawMempool.data;
     
     // Limit the number of transactions we fetch details for to avoid overloading the node
     const txidsToFetch = txids.slice(0, Math.min(100, txids.length));
     
-    // Fetch transaction details for each txid
-    const txPromises = txidsToFetch.map(txid => 
-      bitcoinService.getTransaction(txid)
-    );
-    
-    const transactions = await Promise.all(txPromises);
+    // Fetch transaction details for all txids in one batch
+    const transactionsResult = await bitcoinService.getTransactions(txidsToFetch, nodeId);
+    const transactions = transactionsResult.data;
+    const { source, sourceError } = bitcoinService.sourceOf(mempoolInfo, rawMempool, transactionsResult);
     
     // Update cache
-    cache.mempool.data = transactions;
-    cache.mempool.timestamp = Date.now();
+    if (source !== 'mock') {
+      cache.mempool.data = transactions;
+      cache.mempool.timestamp = Date.now();
+    }
     
     // Apply pagination
     const start = (page - 1) * limit;
@@ -320,7 +371,9 @@ export async function getMempoolTransactions(page: number = 1, limit: number = 1
       fetchedCount: transactions.length, // Count of txs we actually fetched details for
       page,
       limit,
-      lastUpdated: new Date(cache.mempool.timestamp)
+      lastUpdated: new Date(),
+      source,
+      sourceError
     };
   } catch (error) {
     console.error('Error getting mempool transactions:', error);
@@ -331,7 +384,9 @@ export async function getMempoolTransactions(page: number = 1, limit: number = 1
 /**
  * Clear all cache or specific cache entries
  */
-export function clearCache(type?: 'latestBlocks' | 'blockDetails' | 'transactions' | 'addresses' | 'mempool', id?: string) {
+export function clearCache(type?: 'latestBlocks' | 'blockDetails' | 'transactions' | 'addresses' | 'mempool', id?: string, nodeId?: number) {
+  const cache = getCache(nodeId);
+
   if (!type) {
     // Clear all cache
     cache.latestBlocks = { data: [], timestamp: 0 };
@@ -0,0 +1,200 @@
+import { NodeConnection } from './node.service';
+
+export type ConnectionState = 'connected' | 'degraded' | 'down';
+
+// Consecutive connection failures after which the circuit opens and the node counts as down
+const FAILURE_THRESHOLD = 3;
+
+// Delay before the first reconnect probe; doubled after every failed probe
+const INITIAL_PROBE_DELAY = 5 * 1000;
+const MAX_PROBE_DELAY = 5 * 60 * 1000;
+
+// Error code of calls rejected because the circuit is open
+export const CIRCUIT_OPEN = 'ECIRCUITOPEN';
+
+interface ConnectionHealth {
+  state: ConnectionState;
+  consecutiveFailures: number;
+  lastSuccess: Date | null;
+  lastError: Date | null;
+  lastErrorMessage: string | null;
+  probeDelay: number;
+  nextProbeAt: Date | null;
+  probeTimer: NodeJS.Timeout | null;
+}
+
+// Health of each node connection, keyed by connection key
+const healthByConnection: { [key: string]: ConnectionHealth } = {};
+
+/**
+ * Get the health entry of a connection, creating it on first use
+ */
+function getEntry(connection: NodeConnection): ConnectionHealth {
+  if (!healthByConnection[connection.key]) {
+    healthByConnection[connection.key] = {
+      state: 'connected',
+      consecutiveFailures: 0,
+      lastSuccess: null,
+      lastError: null,
+      lastErrorMessage: null,
+      probeDelay: INITIAL_PROBE_DELAY,
+      nextProbeAt: null,
+      probeTimer: null
+    };
+  }
+
+  return healthByConnection[connection.key];
+}
+
+/**
+ * Check whether an error means the node could not be reached, as opposed to the node rejecting a call
+ * bitcoind answers failed RPC calls with HTTP 500 and a JSON error, which proves it is reachable
+ */
+export function isConnectionError(error: any): boolean {
+  if (error.code === CIRCUIT_OPEN) {
+    return false;
+  }
+
+  // No response at all: connection refused, timeout, DNS failure, ...
+  if (!error.response) {
+    return true;
+  }
+
+  const status = error.response.status;
+  return status === 401 || status === 403 || status >= 502;
+}
+
+/**
+ * Reject a call immediately if the node is down, instead of waiting for it to time out
+ * @throws An error with code ECIRCUITOPEN while the circuit is open
+ */
+export function checkCircuit(connection: NodeConnection) {
+  const health = healthByConnection[connection.key];
+
+  if (health && health.state === 'down') {
+    const nextProbe = health.nextProbeAt ? ` Next reconnect attempt at ${health.nextProbeAt.toISOString()}.` : '';
+    const error: any = new Error(`Bitcoin node ${connection.name} is unreachable: ${health.lastErrorMessage}.${nextProbe}`);
+    error.code = CIRCUIT_OPEN;
+    throw error;
+  }
+}
+
+/**
+ * Record a call that reached the node
+ */
+export function recordSuccess(connection: NodeConnection) {
+  const health = getEntry(connection);
+
+  if (health.state !== 'connected') {
+    console.log(`Connection to Bitcoin node ${connection.name} restored`);
+  }
+
+  if (health.probeTimer) {
+    clearTimeout(health.probeTimer);
+  }
+
+  health.state = 'connected';
+  health.consecutiveFailures = 0;
+  health.lastSuccess = new Date();
+  health.probeDelay = INITIAL_PROBE_DELAY;
+  health.nextProbeAt = null;
+  health.probeTimer = null;
+}
+
+/**
+ * Record a call that failed to reach the node
+ * Opens the circuit once too many calls in a row have failed
+ * @param connection The node connection
+ * @param error The connection error
+ * @param probe Makes a cheap call to the node, bypassing the circuit; used to detect when it is back
+ */
+export function recordFailure(connection: NodeConnection, error: any, probe: () => Promise<any>) {
+  const health = getEntry(connection);
+
+  health.consecutiveFailures++;
+  health.lastError = new Date();
+  health.lastErrorMessage = error.message;
+
+  if (health.state === 'down') {
+    return;
+  }
+
+  if (health.consecutiveFailures < FAILURE_THRESHOLD) {
+    health.state = 'degraded';
+    return;
+  }
+
+  console.error(`Bitcoin node ${connection.name} is down after ${health.consecutiveFailures} failed calls, opening circuit`);
+  health.state = 'down';
+  health.probeDelay = INITIAL_PROBE_DELAY;
+  scheduleProbe(connection, health, probe);
+}
+
+/**
+ * Schedule a reconnect probe, backing off exponentially while the node stays unreachable
+ */
+function scheduleProbe(connection: NodeConnection, health: ConnectionHealth, probe: () => Promise<any>) {
+  health.nextProbeAt = new Date(Date.now() + health.probeDelay);
+
+  health.probeTimer = setTimeout(async () => {
+    health.probeTimer = null;
+
+    try {
+      await probe();
+      recordSuccess(connection);
+    } catch (error) {
+      if (!isConnectionError(error)) {
+        recordSuccess(connection);
+        return;
+      }
+
+      console.log(`Reconnect probe to Bitcoin node ${connection.name} failed: ${error.message}`);
+      health.consecutiveFailures++;
+      health.lastError = new Date();
+      health.lastErrorMessage = error.message;
+      health.probeDelay = Math.min(health.probeDelay * 2, MAX_PROBE_DELAY);
+      scheduleProbe(connection, health, probe);
+    }
+  }, health.probeDelay);
+
+  // Don't keep the process alive just to probe
+  health.probeTimer.unref();
+}
+
+/**
+ * Forget the health of a connection whose details are outdated
+ */
+export function clearConnectionHealth(connection: NodeConnection) {
+  const health = healthByConnection[connection.key];
+
+  if (health?.probeTimer) {
+    clearTimeout(health.probeTimer);
+  }
+
+  delete healthByConnection[connection.key];
+}
+
+/**
+ * Check whether any call to a connection has been recorded yet
+ */
+export function hasConnectionHealth(connection: NodeConnection): boolean {
+  return !!healthByConnection[connection.key];
+}
+
+/**
+ * Get the health of a connection
+ */
+export function getConnectionHealth(connection: NodeConnection) {
+  const health = getEntry(connection);
+
+  return {
+    nodeId: connection.id,
+    nodeName: connection.name,
+    state: health.state,
+    consecutiveFailures: health.consecutiveFailures,
+    lastSuccess: health.lastSuccess,
+    lastError: health.lastError,
+    lastErrorMessage: health.lastErrorMessage,
+    nextProbeAt: health.nextProbeAt
+  };
+}
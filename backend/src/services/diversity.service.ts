@@ -0,0 +1,289 @@
+import { PrismaClient } from '@prisma/client';
+import * as bitcoinService from './bitcoin.service';
+import * as nodeService from './node.service';
+import { parsePeerAddress, getNetgroup, isGeolocatable } from '../utils/address';
+import { countGroups } from '../utils/groups';
+
+const prisma = new PrismaClient();
+
+// How often the peers of every serving node are analyzed (5 minutes)
+const DIVERSITY_CHECK_INTERVAL = 5 * 60 * 1000;
+
+// Connections bitcoind makes by itself: 8 full-relay and 2 block-relay-only by default
+const AUTOMATIC_CONNECTION_TYPES = ['outbound-full-relay', 'block-relay-only'];
+const EXPECTED_OUTBOUND = 10;
+
+// Share of outbound peers one ASN may have before it counts as over-represented
+const ASN_SHARE_LIMIT = 0.25;
+
+// Points each finding adds to the risk score at most
+const MAX_POINTS = {
+  outboundCount: 20,
+  netgroup: 40,
+  asn: 40
+};
+
+// Keys of the settings in the Setting table
+const AUTO_DISCONNECT_SETTING = 'diversity.autoDisconnect';
+const THRESHOLD_SETTING = 'diversity.threshold';
+const DEFAULT_THRESHOLD = 60;
+
+let checkIntervalId: NodeJS.Timeout | null = null;
+let checking = false;
+
+export interface DiversitySettings {
+  autoDisconnect: boolean;
+  threshold: number; // Risk score from which over-represented peers are disconnected
+}
+
+interface Finding {
+  kind: 'outboundCount' | 'netgroup' | 'asn';
+  points: number;
+  message: string;
+}
+
+/**
+ * Check whether bitcoind opened a connection by itself
+ * Nodes too old to report connection_type only tell inbound from outbound
+ */
+function isAutomaticOutbound(peer: any): boolean {
+  return peer.connection_type ? AUTOMATIC_CONNECTION_TYPES.includes(peer.connection_type) : !peer.inbound;
+}
+
+/**
+ * Get the risk level of a score
+ */
+function riskLevel(score: number): 'low' | 'medium' | 'high' {
+  if (score >= 50) return 'high';
+  if (score >= 25) return 'medium';
+  return 'low';
+}
+
+/**
+ * Get the diversity settings
+ */
+export async function getDiversitySettings(): Promise<DiversitySettings> {
+  const settings = await prisma.setting.findMany({
+    where: { key: { in: [AUTO_DISCONNECT_SETTING, THRESHOLD_SETTING] } }
+  });
+  const valueOf = (key: string) => settings.find(setting => setting.key === key)?.value;
+
+  return {
+    autoDisconnect: valueOf(AUTO_DISCONNECT_SETTING) === 'true',
+    threshold: valueOf(THRESHOLD_SETTING) !== undefined ? Number(valueOf(THRESHOLD_SETTING)) : DEFAULT_THRESHOLD
+  };
+}
+
+/**
+ * Update the diversity settings
+ * @throws An error with code INVALID_SETTINGS if the threshold isn't a score from 0 to 100
+ */
+export async function setDiversitySettings(update: Partial<DiversitySettings>): Promise<DiversitySettings> {
+  if (update.threshold !== undefined && (!Number.isFinite(update.threshold) || update.threshold < 0 || update.threshold > 100)) {
+    const error: any = new Error('Threshold must be a score from 0 to 100');
+    error.code = 'INVALID_SETTINGS';
+    throw error;
+  }
+
+  const values: { [key: string]: string } = {};
+  if (update.autoDisconnect !== undefined) values[AUTO_DISCONNECT_SETTING] = String(Boolean(update.autoDisconnect));
+  if (update.threshold !== undefined) values[THRESHOLD_SETTING] = String(update.threshold);
+
+  await prisma.$transaction(Object.entries(values).map(([key, value]) => prisma.setting.upsert({
+    where: { key },
+    update: { value },
+    create: { key, value }
+  })));
+
+  return getDiversitySettings();
+}
+
+/**
+ * Analyze how diverse a node's automatic outbound peers are
+ * Peers sharing a /16 (IPv4) or /32 (IPv6) netgroup, or crowding into one ASN, could be run by a
+ * single party trying to eclipse the node. Manual (addnode) connections are left out.
+ * @param nodeId The node ID as passed to bitcoin.service (undefined for the default node)
+ * @returns A risk score from 0 to 100 with the findings behind it, and the over-represented peers
+ */
+export async function analyzeDiversity(nodeId?: number) {
+  const result = await bitcoinService.getPeers({}, {}, true, true, nodeId);
+
+  // Oldest connections first; they're kept when a group has too many peers
+  const peers = result.data
+    .filter(isAutomaticOutbound)
+    .map(peer => ({ ...peer, netgroup: getNetgroup(parsePeerAddress(peer)) }))
+    .sort((a, b) => a.conntime - b.conntime);
+
+  const findings: Finding[] = [];
+  const overRepresented = new Map<number, { peer: any; reasons: string[] }>();
+  const flag = (peer: any, reason: string) => {
+    const entry = overRepresented.get(peer.id) || { peer, reasons: [] };
+    entry.reasons.push(reason);
+    overRepresented.set(peer.id, entry);
+  };
+
+  if (peers.length < EXPECTED_OUTBOUND) {
+    findings.push({
+      kind: 'outboundCount',
+      points: Math.round(MAX_POINTS.outboundCount * (EXPECTED_OUTBOUND - peers.length) / EXPECTED_OUTBOUND),
+      message: `Only ${peers.length} of the usual ${EXPECTED_OUTBOUND} outbound full-relay and block-relay-only connections are open`
+    });
+  }
+
+  // bitcoind opens one outbound connection per netgroup; overlay networks are a netgroup of their own
+  const netgroups = countGroups(peers.filter(peer => isGeolocatable(peer.network)), peer => ({ key: peer.netgroup, label: peer.netgroup }));
+  const crowdedNetgroups = netgroups.filter(group => group.count > 1);
+  if (crowdedNetgroups.length > 0) {
+    const extra = crowdedNetgroups.reduce((sum, group) => sum + group.count - 1, 0);
+    findings.push({
+      kind: 'netgroup',
+      points: Math.round(MAX_POINTS.netgroup * extra / peers.length),
+      message: `${crowdedNetgroups.map(group => `${group.count} peers share ${group.label}`).join(', ')}`
+    });
+
+    for (const group of crowdedNetgroups) {
+      peers.filter(peer => peer.netgroup === group.key).slice(1)
+        .forEach(peer => flag(peer, `Shares netgroup ${group.label} with an older outbound peer`));
+    }
+  }
+
+  // ASNs are only known for geolocated clearnet peers
+  const located = peers.filter(peer => peer.geolocation?.as);
+  const asns = countGroups(located, peer => ({ key: peer.geolocation.as, label: peer.geolocation.as }));
+  const largestAsn = asns[0];
+  const asnLimit = Math.max(1, Math.floor(peers.length * ASN_SHARE_LIMIT));
+  if (largestAsn && largestAsn.count > asnLimit) {
+    const share = largestAsn.count / peers.length;
+    findings.push({
+      kind: 'asn',
+      points: Math.round(MAX_POINTS.asn * Math.min(1, (share - ASN_SHARE_LIMIT) / (1 - ASN_SHARE_LIMIT))),
+      message: `${largestAsn.count} of ${peers.length} outbound peers (${Math.round(share * 100)}%) are in ${largestAsn.label}`
+    });
+
+    for (const group of asns.filter(asn => asn.count > asnLimit)) {
+      located.filter(peer => peer.geolocation.as === group.key).slice(asnLimit)
+        .forEach(peer => flag(peer, `${group.label} has ${group.count} outbound peers, more than the ${asnLimit} allowed`));
+    }
+  }
+
+  const score = Math.min(100, findings.reduce((sum, finding) => sum + finding.points, 0));
+
+  return {
+    score,
+    level: riskLevel(score),
+    findings,
+    outbound: peers.length,
+    geolocated: located.length,
+    netgroups,
+    asns,
+    overRepresented: [...overRepresented.values()].map(({ peer, reasons }) => ({
+      id: peer.id,
+      addr: peer.addr,
+      connectionType: peer.connection_type || null,
+      netgroup: peer.netgroup,
+      as: peer.geolocation?.as || null,
+      reasons
+    })),
+    settings: await getDiversitySettings(),
+    source: result.source,
+    sourceError: result.sourceError
+  };
+}
+
+/**
+ * Disconnect a node's over-represented outbound peers, so bitcoind connects to other netgroups instead
+ * @param nodeId The node ID as passed to bitcoin.service (undefined for the default node)
+ * @throws An error with code PEERS_UNAVAILABLE when the peers are mock data, whose IDs aren't the node's
+ */
+export async function disconnectOverRepresented(nodeId?: number) {
+  const analysis = await analyzeDiversity(nodeId);
+
+  if (analysis.source === 'mock') {
+    const error: any = new Error(`Can't disconnect peers without the node's peer list${analysis.sourceError ? `: ${analysis.sourceError}` : ''}`);
+    error.code = 'PEERS_UNAVAILABLE';
+    throw error;
+  }
+  const disconnected: string[] = [];
+  const failed: { addr: string; message: string }[] = [];
+
+  for (const peer of analysis.overRepresented) {
+    const result = await bitcoinService.disconnectPeer(String(peer.id), nodeId);
+    if (result.success) {
+      disconnected.push(peer.addr);
+    } else {
+      failed.push({ addr: peer.addr, message: result.message });
+    }
+  }
+
+  return { score: analysis.score, disconnected, failed };
+}
+
+/**
+ * Start analyzing the peers of every serving node in the background
+ * Over-represented peers are disconnected when automatic disconnects are on and the score reaches the threshold
+ */
+export function startDiversityMonitor(interval = DIVERSITY_CHECK_INTERVAL) {
+  if (checkIntervalId) {
+    clearInterval(checkIntervalId);
+  }
+
+  console.log(`Starting peer diversity monitor with interval of ${interval / 1000} seconds`);
+
+  checkIntervalId = setInterval(async () => {
+    // Skip a round if the previous one is still waiting for slow nodes
+    if (checking) {
+      return;
+    }
+
+    checking = true;
+    try {
+      await checkDiversity();
+    } catch (error) {
+      console.error('Error checking peer diversity:', error);
+    } finally {
+      checking = false;
+    }
+  }, interval);
+
+  return checkIntervalId;
+}
+
+/**
+ * Stop the peer diversity monitor
+ */
+export function stopDiversityMonitor() {
+  if (checkIntervalId) {
+    clearInterval(checkIntervalId);
+    checkIntervalId = null;
+    console.log('Peer diversity monitor stopped');
+  }
+}
+
+/**
+ * Analyze the peers of every node that serves requests once
+ */
+export async function checkDiversity() {
+  const settings = await getDiversitySettings();
+  const nodeIds = await nodeService.getServingNodeIds();
+
+  for (const nodeId of nodeIds) {
+    try {
+      const analysis = await analyzeDiversity(nodeId);
+
+      if (analysis.level !== 'low') {
+        console.log(`Peer diversity risk ${analysis.score} on node ${nodeId ?? 'env'}: ${analysis.findings.map(finding => finding.message).join('; ')}`);
+      }
+
+      // Never act on mock peers
+      if (!settings.autoDisconnect || analysis.score < settings.threshold || analysis.source === 'mock' || analysis.overRepresented.length === 0) {
+        continue;
+      }
+
+      const { disconnected, failed } = await disconnectOverRepresented(nodeId);
+      console.log(`Disconnected ${disconnected.length} over-represented peers from node ${nodeId ?? 'env'}: ${disconnected.join(', ')}`);
+      failed.forEach(({ addr, message }) => console.error(`Error disconnecting ${addr} from node ${nodeId ?? 'env'}: ${message}`));
+    } catch (error) {
+      console.error(`Error checking peer diversity of node ${nodeId ?? 'env'}:`, error.message);
+    }
+  }
+}
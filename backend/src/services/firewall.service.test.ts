@@ -0,0 +1,45 @@
+import { generateFirewallRules } from './firewall.service';
+
+const bans = [{ address: '1.2.3.4/32' }, { address: '5.6.0.0/16' }, { address: '2001:db8::/48' }, { address: 'invalid' }];
+
+describe('generateFirewallRules', () => {
+  it('puts single addresses without prefix and ranges with it into nftables sets per IP version', () => {
+    const rules = generateFirewallRules(bans, 'nftables', 8333);
+
+    expect(rules.startsWith('#!/usr/sbin/nft -f\n')).toBe(true);
+    expect(rules).toContain('# Generated by btcnman from 3 banned addresses');
+    expect(rules).toContain('\t\telements = {\n\t\t\t1.2.3.4,\n\t\t\t5.6.0.0/16\n\t\t}');
+    expect(rules).toContain('\t\telements = {\n\t\t\t2001:db8::/48\n\t\t}');
+    expect(rules).toContain('ip saddr @banned_ipv4 tcp dport 8333 drop');
+    expect(rules).toContain('ip6 saddr @banned_ipv6 tcp dport 8333 drop');
+  });
+
+  it('recreates the nftables table so the file replaces the previous rules', () => {
+    const rules = generateFirewallRules([], 'nftables', 8333);
+
+    expect(rules).toContain('table inet btcnman\ndelete table inet btcnman\n');
+    expect(rules).not.toContain('elements');
+  });
+
+  it('writes an iptables rule per address with the right command', () => {
+    const rules = generateFirewallRules(bans, 'iptables', 8333);
+
+    expect(rules.startsWith('#!/bin/sh\n')).toBe(true);
+    expect(rules).toContain('$cmd -C INPUT -p tcp --dport 8333 -j btcnman 2>/dev/null || $cmd -I INPUT -p tcp --dport 8333 -j btcnman');
+    expect(rules).toContain('iptables -A btcnman -s 1.2.3.4 -j DROP\niptables -A btcnman -s 5.6.0.0/16 -j DROP\nip6tables -A btcnman -s 2001:db8::/48 -j DROP\n');
+  });
+
+  it('fills an ipset per IP version', () => {
+    const rules = generateFirewallRules(bans, 'ipset', 8333);
+
+    expect(rules.startsWith('#')).toBe(true);
+    expect(rules).toContain('flush btcnman-ipv4\nflush btcnman-ipv6\n');
+    expect(rules).toContain('add btcnman-ipv4 1.2.3.4\nadd btcnman-ipv4 5.6.0.0/16\nadd btcnman-ipv6 2001:db8::/48\n');
+  });
+
+  it('blocks all traffic with port 0', () => {
+    expect(generateFirewallRules(bans, 'nftables', 0)).toContain('ip saddr @banned_ipv4 drop');
+    expect(generateFirewallRules(bans, 'iptables', 0)).toContain('$cmd -I INPUT -j btcnman');
+    expect(generateFirewallRules(bans, 'ipset', 0)).toContain('# Drops all traffic from banned addresses');
+  });
+});
@@ -0,0 +1,316 @@
+import fs from 'fs';
+import path from 'path';
+import * as bitcoinService from './bitcoin.service';
+import * as nodeService from './node.service';
+import { parseSubnet, formatSubnet, isRangeSubnet, Subnet } from '../utils/address';
+
+// How often written rule files are checked against the ban lists, to drop expired bans (1 minute)
+const FIREWALL_CHECK_INTERVAL = 60 * 1000;
+
+// Delay before rules are written after a ban or unban, so imports write once
+const WRITE_DELAY = 1000;
+
+// Bitcoin P2P port of each network
+const P2P_PORTS: { [network: string]: number } = {
+  mainnet: 8333,
+  testnet: 18333,
+  testnet4: 48333,
+  signet: 38333,
+  regtest: 18444
+};
+
+// Names of the nftables table, iptables chain and ipset sets
+const RULE_SET_NAME = 'btcnman';
+
+export const FIREWALL_FORMATS = ['nftables', 'iptables', 'ipset'] as const;
+export type FirewallFormat = typeof FIREWALL_FORMATS[number];
+
+let checkIntervalId: NodeJS.Timeout | null = null;
+let checking = false;
+const pendingWrites = new Map<string, NodeJS.Timeout>();
+
+export interface FirewallConfig {
+  path: string | null; // Where rules are written on every ban or unban; {node} is replaced by the node ID
+  format: FirewallFormat; // Format of the written rules
+  port: number | null; // Port connections are dropped to; 0 drops all traffic, null uses the node's P2P port
+}
+
+/**
+ * Check whether a value is one of the firewall rule formats
+ */
+export function isFirewallFormat(format: any): format is FirewallFormat {
+  return FIREWALL_FORMATS.includes(format);
+}
+
+/**
+ * Get the firewall rule settings from the environment
+ */
+export function getFirewallConfig(): FirewallConfig {
+  const format = process.env.FIREWALL_RULES_FORMAT || 'nftables';
+  const port = process.env.FIREWALL_PORT;
+
+  return {
+    path: process.env.FIREWALL_RULES_PATH || null,
+    format: isFirewallFormat(format) ? format : 'nftables',
+    port: port !== undefined && port !== '' ? parseInt(port) : null
+  };
+}
+
+/**
+ * Get the port banned addresses are blocked from
+ * @returns The port, or 0 to block all traffic from them
+ */
+async function resolvePort(nodeId?: number): Promise<number> {
+  const { port } = getFirewallConfig();
+  if (port !== null && Number.isInteger(port) && port >= 0) {
+    return port;
+  }
+
+  const connection = await nodeService.resolveNodeConnection(nodeId);
+  return P2P_PORTS[connection.network] || P2P_PORTS.mainnet;
+}
+
+/**
+ * Format a banned subnet for a rule; single addresses are written without prefix
+ */
+function formatBan(subnet: Subnet): string {
+  return isRangeSubnet(subnet) ? formatSubnet(subnet) : formatSubnet(subnet).split('/')[0];
+}
+
+/**
+ * Generate nftables rules: an inet table with a set per IP version and an input chain dropping them
+ * The table is deleted and recreated, so `nft -f` replaces the previous rules atomically
+ */
+function generateNftables(ipv4: string[], ipv6: string[], port: number): string[] {
+  const match = port > 0 ? ` tcp dport ${port}` : '';
+  const set = (name: string, type: string, elements: string[]) => [
+    `\tset ${name} {`,
+    `\t\ttype ${type}`,
+    '\t\tflags interval',
+    '\t\tauto-merge',
+    ...(elements.length > 0 ? [`\t\telements = {\n${elements.map(element => `\t\t\t${element}`).join(',\n')}\n\t\t}`] : []),
+    '\t}'
+  ];
+
+  return [
+    '# Apply with: nft -f <file>',
+    `table inet ${RULE_SET_NAME}`,
+    `delete table inet ${RULE_SET_NAME}`,
+    '',
+    `table inet ${RULE_SET_NAME} {`,
+    ...set('banned_ipv4', 'ipv4_addr', ipv4),
+    ...set('banned_ipv6', 'ipv6_addr', ipv6),
+    '\tchain input {',
+    '\t\ttype filter hook input priority 0; policy accept;',
+    `\t\tip saddr @banned_ipv4${match} drop`,
+    `\t\tip6 saddr @banned_ipv6${match} drop`,
+    '\t}',
+    '}'
+  ];
+}
+
+/**
+ * Generate an iptables script: a chain per IP version, hooked into INPUT on the first run and refilled on every run
+ */
+function generateIptables(ipv4: string[], ipv6: string[], port: number): string[] {
+  const match = port > 0 ? ` -p tcp --dport ${port}` : '';
+
+  return [
+    '# Apply with: sh <file>',
+    'for cmd in iptables ip6tables; do',
+    `  $cmd -N ${RULE_SET_NAME} 2>/dev/null || true`,
+    `  $cmd -F ${RULE_SET_NAME}`,
+    `  $cmd -C INPUT${match} -j ${RULE_SET_NAME} 2>/dev/null || $cmd -I INPUT${match} -j ${RULE_SET_NAME}`,
+    'done',
+    ...ipv4.map(address => `iptables -A ${RULE_SET_NAME} -s ${address} -j DROP`),
+    ...ipv6.map(address => `ip6tables -A ${RULE_SET_NAME} -s ${address} -j DROP`)
+  ];
+}
+
+/**
+ * Generate ipset restore input: a hash:net set per IP version, emptied and refilled on every run
+ */
+function generateIpset(ipv4: string[], ipv6: string[], port: number): string[] {
+  const match = port > 0 ? ` -p tcp --dport ${port}` : '';
+
+  return [
+    '# Apply with: ipset restore -f <file>',
+    '# Then drop the sets once, e.g.',
+    `#   iptables -I INPUT${match} -m set --match-set ${RULE_SET_NAME}-ipv4 src -j DROP`,
+    `#   ip6tables -I INPUT${match} -m set --match-set ${RULE_SET_NAME}-ipv6 src -j DROP`,
+    `create ${RULE_SET_NAME}-ipv4 hash:net family inet -exist`,
+    `create ${RULE_SET_NAME}-ipv6 hash:net family inet6 -exist`,
+    `flush ${RULE_SET_NAME}-ipv4`,
+    `flush ${RULE_SET_NAME}-ipv6`,
+    ...ipv4.map(address => `add ${RULE_SET_NAME}-ipv4 ${address}`),
+    ...ipv6.map(address => `add ${RULE_SET_NAME}-ipv6 ${address}`)
+  ];
+}
+
+/**
+ * Turn a ban list into firewall rules dropping connections from the banned addresses
+ * bitcoind only refuses banned peers after accepting their TCP connection; the firewall drops them before.
+ * The rules don't expire by themselves, so they're regenerated when bans end.
+ * @param bans The ban list as returned by listbanned
+ * @param port The port to block, or 0 to block all traffic from banned addresses
+ */
+export function generateFirewallRules(bans: { address: string }[], format: FirewallFormat, port: number): string {
+  const subnets = bans.map(ban => parseSubnet(ban.address)).filter(subnet => subnet !== null);
+  const ipv4 = subnets.filter(subnet => subnet.version === 4).map(formatBan);
+  const ipv6 = subnets.filter(subnet => subnet.version === 6).map(formatBan);
+
+  const generators = { nftables: generateNftables, iptables: generateIptables, ipset: generateIpset };
+  const shebangs = { nftables: ['#!/usr/sbin/nft -f'], iptables: ['#!/bin/sh'], ipset: [] };
+  const header = [
+    `# Generated by btcnman from ${subnets.length} banned ${subnets.length === 1 ? 'address' : 'addresses'}`,
+    `# Drops ${port > 0 ? `connections to port ${port}` : 'all traffic'} from banned addresses`
+  ];
+
+  return [...shebangs[format], ...header, ...generators[format](ipv4, ipv6, port)].join('\n') + '\n';
+}
+
+/**
+ * Get a node's ban list as firewall rules
+ * @param nodeId The node ID as passed to bitcoin.service (undefined for the default node)
+ */
+export async function getFirewallRules(nodeId: number | undefined, format: FirewallFormat) {
+  const bans = await bitcoinService.getBannedPeers(nodeId);
+  const port = await resolvePort(nodeId);
+  const config = getFirewallConfig();
+
+  return {
+    format,
+    port,
+    rules: generateFirewallRules(bans.data, format, port),
+    autoWrite: config.path ? { path: config.path, format: config.format } : null,
+    source: bans.source,
+    sourceError: bans.sourceError
+  };
+}
+
+/**
+ * Write a node's firewall rules to the configured path, if they changed
+ * Without {node} in the path only the default node's rules are written. Mock ban lists are never written,
+ * so a node that can't be reached keeps its last rules.
+ * @param nodeId The node ID as passed to bitcoin.service (undefined for the default node)
+ * @returns Whether the file was written
+ */
+export async function writeFirewallRules(nodeId?: number): Promise<boolean> {
+  const config = getFirewallConfig();
+  if (!config.path) {
+    return false;
+  }
+
+  const perNode = config.path.includes('{node}');
+  if (!perNode && nodeId !== undefined && nodeId !== await nodeService.getDefaultNodeId()) {
+    return false;
+  }
+
+  const bans = await bitcoinService.getBannedPeers(nodeId);
+  if (bans.source !== 'rpc') {
+    return false;
+  }
+
+  const connection = await nodeService.resolveNodeConnection(nodeId);
+  const target = config.path.replace(/\{node\}/g, String(connection.id ?? 'env'));
+  const rules = generateFirewallRules(bans.data, config.format, await resolvePort(nodeId));
+
+  const current = await fs.promises.readFile(target, 'utf8').catch(() => null);
+  if (current === rules) {
+    return false;
+  }
+
+  // Write next to the target and rename, so a hook watching the file never reads half of it
+  const temporary = path.join(path.dirname(target), `.${path.basename(target)}.tmp`);
+  await fs.promises.writeFile(temporary, rules);
+  await fs.promises.rename(temporary, target);
+
+  console.log(`Wrote ${config.format} rules for ${bans.data.length} bans of node ${connection.id ?? 'env'} to ${target}`);
+  return true;
+}
+
+/**
+ * Write a node's firewall rules shortly, after the bans made in the meantime
+ * Does nothing unless FIREWALL_RULES_PATH is set
+ * @param nodeId The node ID as passed to bitcoin.service (undefined for the default node)
+ */
+export function scheduleFirewallWrite(nodeId?: number) {
+  if (!getFirewallConfig().path) {
+    return;
+  }
+
+  const key = String(nodeId ?? 'default');
+  clearTimeout(pendingWrites.get(key));
+
+  pendingWrites.set(key, setTimeout(() => {
+    pendingWrites.delete(key);
+    writeFirewallRules(nodeId).catch(error => {
+      console.error(`Error writing firewall rules of node ${nodeId ?? 'env'}:`, error.message);
+    });
+  }, WRITE_DELAY));
+}
+
+/**
+ * Start rewriting the firewall rules in the background, so bans that expired or were changed outside btcnman
+ * are picked up. Does nothing unless FIREWALL_RULES_PATH is set.
+ */
+export function startFirewallWriter(interval = FIREWALL_CHECK_INTERVAL) {
+  const config = getFirewallConfig();
+  if (!config.path) {
+    return null;
+  }
+
+  if (checkIntervalId) {
+    clearInterval(checkIntervalId);
+  }
+
+  console.log(`Writing ${config.format} firewall rules to ${config.path}, checked every ${interval / 1000} seconds`);
+
+  const check = async () => {
+    // Skip a round if the previous one is still waiting for slow nodes
+    if (checking) {
+      return;
+    }
+
+    checking = true;
+    try {
+      await checkFirewallRules();
+    } catch (error) {
+      console.error('Error writing firewall rules:', error);
+    } finally {
+      checking = false;
+    }
+  };
+
+  check();
+  checkIntervalId = setInterval(check, interval);
+
+  return checkIntervalId;
+}
+
+/**
+ * Stop the firewall rule writer
+ */
+export function stopFirewallWriter() {
+  if (checkIntervalId) {
+    clearInterval(checkIntervalId);
+    checkIntervalId = null;
+    console.log('Firewall rule writer stopped');
+  }
+}
+
+/**
+ * Write the firewall rules of every node that serves requests once when each gets its own file, or of the
+ * default node
+ */
+export async function checkFirewallRules() {
+  const nodeIds = getFirewallConfig().path.includes('{node}') ? await nodeService.getServingNodeIds() : [undefined];
+
+  for (const nodeId of nodeIds) {
+    try {
+      await writeFirewallRules(nodeId);
+    } catch (error) {
+      console.error(`Error writing firewall rules of node ${nodeId ?? 'env'}:`, error.message);
+    }
+  }
+}
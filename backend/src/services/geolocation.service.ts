@@ -1,5 +1,10 @@
-import axios from 'axios';
-import { PrismaClient } from '@prisma/client';
+import { PrismaClient, IPGeolocation } from '@prisma/client';
+import { parseAddress, isGeolocatable } from '../utils/address';
+import { GeoLocationData, GeolocationProvider, GeolocationProviderName } from './geolocation/provider';
+import { ipApiProvider } from './geolocation/ipApi.provider';
+import { maxmindProvider, onMaxmindUpdate, getMaxmindDatabaseInfo } from './geolocation/maxmind.provider';
+
+export { GeoLocationData, GeolocationProviderName } from './geolocation/provider';
 
 const prisma = new PrismaClient();
 
@@ -7,140 +12,136 @@ const prisma = new PrismaClient();
 interface GeoLocationCache {
   [ip: string]: {
     data: GeoLocationData;
+    provider: GeolocationProviderName;
     timestamp: number;
   };
 }
 
-// Geolocation data structure
-export interface GeoLocationData {
-  ip: string;
-  country: string;
-  countryCode: string;
-  region: string;
-  regionName: string;
-  city: string;
-  zip: string;
-  lat: number;
-  lon: number;
-  timezone: string;
-  isp: string;
-  org: string;
-  as: string;
-}
+const PROVIDERS: { [name in GeolocationProviderName]: GeolocationProvider } = {
+  maxmind: maxmindProvider,
+  ipapi: ipApiProvider
+};
+
+// Key of the provider setting in the Setting table
+const PROVIDER_SETTING = 'geolocation.provider';
+
+// Stored lookups are refreshed in chunks of this many IPs
+const REFRESH_CHUNK_SIZE = 500;
 
-// In-memory cache with 24-hour expiration
+// In-memory cache; entries expire like the provider's stored lookups
 const geoCache: GeoLocationCache = {};
-const CACHE_EXPIRATION = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
-const REQUEST_LIMIT = 15; // 15 requests per minute
-const IPS_PER_REQUEST = 5; // Process 5 IPs at a time to avoid rate limiting
-let lastRequestTime = 0;
-let requestCount = 0;
+
+// The selected provider, loaded from the Setting table on first use
+let selectedProvider: GeolocationProviderName | null = null;
+
+// Refresh stored lookups when the MaxMind database file is replaced
+onMaxmindUpdate(() => {
+  refreshGeolocationCache().catch(error => console.error('Error refreshing geolocation data:', error));
+});
+
+/**
+ * Get the provider used when none has been selected in the settings
+ * GEOLOCATION_PROVIDER wins; otherwise a configured MaxMind database is preferred over ip-api.com
+ */
+function getDefaultProviderName(): GeolocationProviderName {
+  const configured = process.env.GEOLOCATION_PROVIDER as GeolocationProviderName;
+  if (PROVIDERS[configured]) {
+    return configured;
+  }
+
+  return process.env.MAXMIND_CITY_DB ? 'maxmind' : 'ipapi';
+}
+
+/**
+ * Get the name of the selected provider
+ */
+export async function getProviderName(): Promise<GeolocationProviderName> {
+  if (!selectedProvider) {
+    const setting = await prisma.setting.findUnique({ where: { key: PROVIDER_SETTING } });
+    selectedProvider = setting && PROVIDERS[setting.value as GeolocationProviderName]
+      ? setting.value as GeolocationProviderName
+      : getDefaultProviderName();
+  }
+
+  return selectedProvider;
+}
 
 /**
- * Reset request counter every minute
+ * Get the selected provider if it can answer lookups
+ * An unavailable provider is not replaced by another, since that could send IPs to a third party
  */
-setInterval(() => {
-  requestCount = 0;
-  lastRequestTime = Date.now();
-}, 60 * 1000);
+async function getActiveProvider(): Promise<GeolocationProvider | null> {
+  const provider = PROVIDERS[await getProviderName()];
+  const unavailable = await provider.checkAvailable();
+
+  if (unavailable) {
+    console.error(`Geolocation provider ${provider.name} is unavailable: ${unavailable}`);
+    return null;
+  }
+
+  return provider;
+}
+
+/**
+ * Check whether a stored lookup is still valid for a provider
+ */
+function isFresh(provider: GeolocationProvider, timestamp: number): boolean {
+  return provider.cacheExpiration === null || Date.now() - timestamp < provider.cacheExpiration;
+}
+
+/**
+ * Convert a stored lookup to geolocation data
+ */
+function fromRow(row: IPGeolocation): GeoLocationData {
+  return {
+    ip: row.ip,
+    country: row.country,
+    countryCode: row.countryCode,
+    region: row.region,
+    regionName: row.regionName,
+    city: row.city,
+    zip: row.zip,
+    lat: row.lat,
+    lon: row.lon,
+    timezone: row.timezone,
+    isp: row.isp,
+    org: row.org,
+    as: row.as
+  };
+}
+
+/**
+ * Store lookups in memory and in the database
+ */
+async function storeLookups(provider: GeolocationProviderName, lookups: GeoLocationData[]) {
+  const timestamp = new Date();
+
+  for (const data of lookups) {
+    geoCache[data.ip] = { data, provider, timestamp: timestamp.getTime() };
+  }
+
+  await prisma.$transaction(lookups.map(data => prisma.iPGeolocation.upsert({
+    where: { ip: data.ip },
+    update: { ...data, provider, timestamp },
+    create: { ...data, provider, timestamp }
+  })));
+}
 
 /**
  * Get geolocation data for a single IP address
+ * Tor, I2P and CJDNS addresses aren't geolocated
  */
 export async function getIPGeolocation(ip: string): Promise<GeoLocationData | null> {
   try {
     // Extract the IP address without port
-    const ipAddress = ip.split(':')[0];
-    
-    // Check cache first
-    if (geoCache[ipAddress] && (Date.now() - geoCache[ipAddress].timestamp) < CACHE_EXPIRATION) {
-      return geoCache[ipAddress].data;
-    }
-
-    // Check database cache
-    const cachedData = await prisma.iPGeolocation.findUnique({
-      where: { ip: ipAddress }
-    });
+    const { host: ipAddress, network } = parseAddress(ip);
 
-    if (cachedData && (Date.now() - cachedData.timestamp.getTime()) < CACHE_EXPIRATION) {
-      // Update in-memory cache
-      geoCache[ipAddress] = {
-        data: {
-          ip: cachedData.ip,
-          country: cachedData.country,
-          countryCode: cachedData.countryCode,
-          region: cachedData.region,
-          regionName: cachedData.regionName,
-          city: cachedData.city,
-          zip: cachedData.zip,
-          lat: cachedData.lat,
-          lon: cachedData.lon,
-          timezone: cachedData.timezone,
-          isp: cachedData.isp,
-          org: cachedData.org,
-          as: cachedData.as
-        },
-        timestamp: cachedData.timestamp.getTime()
-      };
-      return geoCache[ipAddress].data;
-    }
-
-    // Check rate limit
-    const currentTime = Date.now();
-    if (currentTime - lastRequestTime < 60 * 1000) {
-      if (requestCount >= REQUEST_LIMIT) {
-        console.log('Rate limit reached for geolocation API');
-        return null;
-      }
-      requestCount++;
-    } else {
-      requestCount = 1;
-      lastRequestTime = currentTime;
+    if (!isGeolocatable(network)) {
+      return null;
     }
 
-    // Fetch from API
-    const response = await axios.get(`http://ip-api.com/json/${ipAddress}?fields=status,country,countryCode,region,regionName,city,zip,lat,lon,timezone,isp,org,as`);
-    
-    if (response.data && response.data.status === 'success') {
-      const geoData: GeoLocationData = {
-        ip: ipAddress,
-        country: response.data.country,
-        countryCode: response.data.countryCode,
-        region: response.data.region,
-        regionName: response.data.regionName,
-        city: response.data.city,
-        zip: response.data.zip,
-        lat: response.data.lat,
-        lon: response.data.lon,
-        timezone: response.data.timezone,
-        isp: response.data.isp,
-        org: response.data.org,
-        as: response.data.as
-      };
-
-      // Update cache
-      geoCache[ipAddress] = {
-        data: geoData,
-        timestamp: currentTime
-      };
-
-      // Store in database
-      await prisma.iPGeolocation.upsert({
-        where: { ip: ipAddress },
-        update: {
-          ...geoData,
-          timestamp: new Date(currentTime)
-        },
-        create: {
-          ...geoData,
-          timestamp: new Date(currentTime)
-        }
-      });
-
-      return geoData;
-    }
-    
-    return null;
+    const result = await getBatchIPGeolocation([ipAddress]);
+    return result[ipAddress] || null;
   } catch (error) {
     console.error(`Error fetching geolocation for IP ${ip}:`, error);
     return null;
@@ -149,99 +150,177 @@ export async function getIPGeolocation(ip: string): Promise<GeoLocationData | nu
 
 /**
  * Get geolocation data for multiple IP addresses
+ * The result is keyed by IP address without port; Tor, I2P and CJDNS addresses are left out
  */
 export async function getBatchIPGeolocation(ips: string[]): Promise<{[ip: string]: GeoLocationData}> {
   const result: {[ip: string]: GeoLocationData} = {};
   const ipsToFetch: string[] = [];
-  
+
   // Extract IP addresses without ports
-  const ipAddresses = ips.map(ip => ip.split(':')[0]);
-  
+  const ipAddresses = [...new Set(ips
+    .map(ip => parseAddress(ip))
+    .filter(address => isGeolocatable(address.network))
+    .map(address => address.host))];
+
+  const provider = await getActiveProvider();
+  if (!provider || ipAddresses.length === 0) {
+    return result;
+  }
+
   // Check cache first
   for (const ip of ipAddresses) {
-    if (geoCache[ip] && (Date.now() - geoCache[ip].timestamp) < CACHE_EXPIRATION) {
-      result[ip] = geoCache[ip].data;
+    const cached = geoCache[ip];
+    if (cached && cached.provider === provider.name && isFresh(provider, cached.timestamp)) {
+      result[ip] = cached.data;
     } else {
       ipsToFetch.push(ip);
     }
   }
-  
+
   if (ipsToFetch.length === 0) {
     return result;
   }
-  
+
   // Check database cache
   const cachedData = await prisma.iPGeolocation.findMany({
     where: {
       ip: { in: ipsToFetch },
-      timestamp: { gt: new Date(Date.now() - CACHE_EXPIRATION) }
+      provider: provider.name,
+      ...(provider.cacheExpiration !== null && { timestamp: { gt: new Date(Date.now() - provider.cacheExpiration) } })
     }
   });
-  
+
   // Update result with cached data from database
-  for (const data of cachedData) {
-    const geoData: GeoLocationData = {
-      ip: data.ip,
-      country: data.country,
-      countryCode: data.countryCode,
-      region: data.region,
-      regionName: data.regionName,
-      city: data.city,
-      zip: data.zip,
-      lat: data.lat,
-      lon: data.lon,
-      timezone: data.timezone,
-      isp: data.isp,
-      org: data.org,
-      as: data.as
-    };
-    
-    result[data.ip] = geoData;
-    geoCache[data.ip] = {
-      data: geoData,
-      timestamp: data.timestamp.getTime()
-    };
-    
-    // Remove from ipsToFetch
-    const index = ipsToFetch.indexOf(data.ip);
-    if (index !== -1) {
-      ipsToFetch.splice(index, 1);
+  for (const row of cachedData) {
+    const geoData = fromRow(row);
+    result[row.ip] = geoData;
+    geoCache[row.ip] = { data: geoData, provider: provider.name, timestamp: row.timestamp.getTime() };
+  }
+
+  // Look up the rest with the provider
+  const remaining = ipsToFetch.filter(ip => !result[ip]);
+  if (remaining.length === 0) {
+    return result;
+  }
+
+  try {
+    const lookups = await provider.lookup(remaining);
+    Object.assign(result, lookups);
+    await storeLookups(provider.name, Object.values(lookups));
+  } catch (error) {
+    console.error('Error in batch geolocation processing:', error);
+  }
+
+  return result;
+}
+
+/**
+ * Get the selected provider, the state of each provider and how many lookups are stored
+ */
+export async function getGeolocationSettings() {
+  const provider = await getProviderName();
+
+  const providers = await Promise.all((Object.keys(PROVIDERS) as GeolocationProviderName[]).map(async name => {
+    const error = await PROVIDERS[name].checkAvailable();
+    return { name, available: error === null, error };
+  }));
+
+  const counts = await prisma.iPGeolocation.groupBy({ by: ['provider'], _count: { _all: true } });
+
+  return {
+    provider,
+    providers,
+    maxmind: getMaxmindDatabaseInfo(),
+    storedLookups: Object.fromEntries(counts.map(count => [count.provider, count._count._all]))
+  };
+}
+
+/**
+ * Select the geolocation provider
+ * @throws An error with code INVALID_PROVIDER or PROVIDER_UNAVAILABLE
+ */
+export async function setGeolocationProvider(name: string) {
+  const provider = PROVIDERS[name as GeolocationProviderName];
+
+  if (!provider) {
+    const error: any = new Error(`Unknown geolocation provider: ${name}`);
+    error.code = 'INVALID_PROVIDER';
+    throw error;
+  }
+
+  const unavailable = await provider.checkAvailable();
+  if (unavailable) {
+    const error: any = new Error(unavailable);
+    error.code = 'PROVIDER_UNAVAILABLE';
+    throw error;
+  }
+
+  await prisma.setting.upsert({
+    where: { key: PROVIDER_SETTING },
+    update: { value: provider.name },
+    create: { key: PROVIDER_SETTING, value: provider.name }
+  });
+  selectedProvider = provider.name;
+
+  console.log(`Geolocation provider set to ${provider.name}`);
+  return getGeolocationSettings();
+}
+
+/**
+ * Refresh the stored lookups of the selected provider, e.g. after its database was updated
+ * Offline providers look up every stored IP again; for ip-api.com the stored lookups are deleted,
+ * so IPs are looked up again as they're needed
+ * @returns How many stored lookups were updated and removed
+ */
+export async function refreshGeolocationCache() {
+  const provider = await getActiveProvider();
+  if (!provider) {
+    const error: any = new Error(`Geolocation provider ${await getProviderName()} is unavailable`);
+    error.code = 'PROVIDER_UNAVAILABLE';
+    throw error;
+  }
+
+  // Forget in-memory lookups of the provider
+  for (const ip of Object.keys(geoCache)) {
+    if (geoCache[ip].provider === provider.name) {
+      delete geoCache[ip];
     }
   }
-  
-  // Fetch remaining IPs from API in batches
-  for (let i = 0; i < ipsToFetch.length; i += IPS_PER_REQUEST) {
-    const batch = ipsToFetch.slice(i, i + IPS_PER_REQUEST);
-    
-    // Check rate limit
-    const currentTime = Date.now();
-    if (currentTime - lastRequestTime < 60 * 1000) {
-      if (requestCount >= REQUEST_LIMIT) {
-        console.log('Rate limit reached for geolocation API');
-        break;
-      }
-      requestCount++;
-    } else {
-      requestCount = 1;
-      lastRequestTime = currentTime;
+
+  if (provider.cacheExpiration !== null) {
+    const { count } = await prisma.iPGeolocation.deleteMany({ where: { provider: provider.name } });
+    console.log(`Deleted ${count} stored ${provider.name} lookups`);
+    return { provider: provider.name, updated: 0, removed: count };
+  }
+
+  let updated = 0;
+  let removed = 0;
+  let lastId = 0;
+
+  while (true) {
+    const rows = await prisma.iPGeolocation.findMany({
+      where: { provider: provider.name, id: { gt: lastId } },
+      orderBy: { id: 'asc' },
+      take: REFRESH_CHUNK_SIZE
+    });
+
+    if (rows.length === 0) {
+      break;
     }
-    
-    try {
-      // Process each IP individually instead of using batch API
-      for (const ip of batch) {
-        try {
-          const geoData = await getIPGeolocation(ip);
-          if (geoData) {
-            result[ip] = geoData;
-          }
-        } catch (ipError) {
-          console.error(`Error fetching geolocation for IP ${ip}:`, ipError);
-        }
-      }
-    } catch (error) {
-      console.error(`Error in batch geolocation processing:`, error);
+    lastId = rows[rows.length - 1].id;
+
+    const lookups = await provider.lookup(rows.map(row => row.ip));
+    await storeLookups(provider.name, Object.values(lookups));
+    updated += Object.keys(lookups).length;
+
+    // IPs the new data no longer locates
+    const missing = rows.filter(row => !lookups[row.ip]).map(row => row.ip);
+    if (missing.length > 0) {
+      await prisma.iPGeolocation.deleteMany({ where: { ip: { in: missing } } });
+      removed += missing.length;
     }
   }
-  
-  return result;
+
+  console.log(`Refreshed ${updated} stored ${provider.name} lookups, removed ${removed}`);
+  return { provider: provider.name, updated, removed };
 }
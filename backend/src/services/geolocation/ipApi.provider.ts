@@ -0,0 +1,76 @@
+import axios from 'axios';
+import { GeolocationProvider, GeoLocationData } from './provider';
+
+const REQUEST_LIMIT = 15; // 15 requests per minute
+let lastRequestTime = 0;
+let requestCount = 0;
+
+/**
+ * Count a request against the ip-api.com rate limit
+ * @returns Whether the request may be made
+ */
+function takeRequest(): boolean {
+  const currentTime = Date.now();
+
+  if (currentTime - lastRequestTime < 60 * 1000) {
+    if (requestCount >= REQUEST_LIMIT) {
+      console.log('Rate limit reached for geolocation API');
+      return false;
+    }
+    requestCount++;
+  } else {
+    requestCount = 1;
+    lastRequestTime = currentTime;
+  }
+
+  return true;
+}
+
+/**
+ * Geolocation through the free ip-api.com API
+ * Sends the looked up IPs to ip-api.com and allows 15 lookups per minute
+ */
+export const ipApiProvider: GeolocationProvider = {
+  name: 'ipapi',
+  cacheExpiration: 24 * 60 * 60 * 1000, // 24 hours
+
+  async checkAvailable() {
+    return null;
+  },
+
+  async lookup(ips: string[]) {
+    const result: { [ip: string]: GeoLocationData } = {};
+
+    for (const ip of ips) {
+      if (!takeRequest()) {
+        break;
+      }
+
+      try {
+        const response = await axios.get(`http://ip-api.com/json/${ip}?fields=status,country,countryCode,region,regionName,city,zip,lat,lon,timezone,isp,org,as`);
+
+        if (response.data && response.data.status === 'success') {
+          result[ip] = {
+            ip,
+            country: response.data.country,
+            countryCode: response.data.countryCode,
+            region: response.data.region,
+            regionName: response.data.regionName,
+            city: response.data.city,
+            zip: response.data.zip,
+            lat: response.data.lat,
+            lon: response.data.lon,
+            timezone: response.data.timezone,
+            isp: response.data.isp,
+            org: response.data.org,
+            as: response.data.as
+          };
+        }
+      } catch (error) {
+        console.error(`Error fetching geolocation for IP ${ip}:`, error.message);
+      }
+    }
+
+    return result;
+  }
+};
@@ -0,0 +1,138 @@
+import fs from 'fs';
+import maxmind, { Reader, CityResponse, AsnResponse } from 'maxmind';
+import { GeolocationProvider, GeoLocationData } from './provider';
+
+let cityReader: Reader<CityResponse> | null = null;
+let asnReader: Reader<AsnResponse> | null = null;
+let openedPaths: { city?: string; asn?: string } = {};
+
+// Called when a database file changes on disk
+let updateHandler: (() => void) | null = null;
+
+/**
+ * Get the configured database paths
+ * The ASN database is optional; without it ISP, organization and AS are left empty
+ */
+function getDatabasePaths() {
+  return {
+    city: process.env.MAXMIND_CITY_DB || '',
+    asn: process.env.MAXMIND_ASN_DB || ''
+  };
+}
+
+/**
+ * Open the configured databases, reusing readers that are already open
+ * Readers reload the files by themselves when they're replaced, e.g. by geoipupdate
+ */
+async function openReaders() {
+  const paths = getDatabasePaths();
+  const options = {
+    watchForUpdates: true,
+    watchForUpdatesNonPersistent: true,
+    watchForUpdatesHook: () => {
+      console.log('MaxMind database updated');
+      if (updateHandler) {
+        updateHandler();
+      }
+    }
+  };
+
+  if (!cityReader || openedPaths.city !== paths.city) {
+    cityReader = await maxmind.open<CityResponse>(paths.city, options);
+    openedPaths.city = paths.city;
+  }
+
+  if (paths.asn && (!asnReader || openedPaths.asn !== paths.asn)) {
+    asnReader = await maxmind.open<AsnResponse>(paths.asn, options);
+    openedPaths.asn = paths.asn;
+  }
+
+  if (!paths.asn) {
+    asnReader = null;
+  }
+}
+
+/**
+ * Register a handler for database updates, e.g. to refresh stored lookups
+ */
+export function onMaxmindUpdate(handler: () => void) {
+  updateHandler = handler;
+}
+
+/**
+ * Get the configured databases and when they were built
+ */
+export function getMaxmindDatabaseInfo() {
+  const paths = getDatabasePaths();
+
+  return {
+    cityDb: paths.city || null,
+    asnDb: paths.asn || null,
+    cityBuildDate: cityReader && openedPaths.city === paths.city ? cityReader.metadata.buildEpoch : null,
+    asnBuildDate: asnReader && openedPaths.asn === paths.asn ? asnReader.metadata.buildEpoch : null
+  };
+}
+
+/**
+ * Offline geolocation from local MaxMind GeoLite2 City and ASN databases
+ * Nothing leaves the machine; download the .mmdb files from maxmind.com and keep them current with geoipupdate
+ */
+export const maxmindProvider: GeolocationProvider = {
+  name: 'maxmind',
+  cacheExpiration: null,
+
+  async checkAvailable() {
+    const paths = getDatabasePaths();
+
+    if (!paths.city) {
+      return 'MAXMIND_CITY_DB is not set';
+    }
+
+    for (const path of [paths.city, paths.asn].filter(Boolean)) {
+      if (!fs.existsSync(path)) {
+        return `MaxMind database ${path} not found`;
+      }
+    }
+
+    try {
+      await openReaders();
+      return null;
+    } catch (error) {
+      return `Failed to open MaxMind database: ${error.message}`;
+    }
+  },
+
+  async lookup(ips: string[]) {
+    const result: { [ip: string]: GeoLocationData } = {};
+    await openReaders();
+
+    for (const ip of ips) {
+      const city = cityReader.get(ip);
+      if (!city) {
+        continue;
+      }
+
+      const asn = asnReader ? asnReader.get(ip) : null;
+      const subdivision = city.subdivisions?.[0];
+      const organization = asn?.autonomous_system_organization || '';
+
+      result[ip] = {
+        ip,
+        country: city.country?.names?.en || city.registered_country?.names?.en || '',
+        countryCode: city.country?.iso_code || city.registered_country?.iso_code || '',
+        region: subdivision?.iso_code || '',
+        regionName: subdivision?.names?.en || '',
+        city: city.city?.names?.en || '',
+        zip: city.postal?.code || '',
+        lat: city.location?.latitude ?? 0,
+        lon: city.location?.longitude ?? 0,
+        timezone: city.location?.time_zone || '',
+        isp: organization,
+        org: organization,
+        as: asn ? `AS${asn.autonomous_system_number} ${organization}`.trim() : ''
+      };
+    }
+
+    return result;
+  }
+};
@@ -0,0 +1,40 @@
+// Geolocation data structure
+export interface GeoLocationData {
+  ip: string;
+  country: string;
+  countryCode: string;
+  region: string;
+  regionName: string;
+  city: string;
+  zip: string;
+  lat: number;
+  lon: number;
+  timezone: string;
+  isp: string;
+  org: string;
+  as: string;
+}
+
+export type GeolocationProviderName = 'maxmind' | 'ipapi';
+
+/**
+ * A source of IP geolocation data
+ */
+export interface GeolocationProvider {
+  name: GeolocationProviderName;
+
+  // How long stored results stay valid in milliseconds, or null until the provider's data changes
+  cacheExpiration: number | null;
+
+  /**
+   * Check whether the provider can answer lookups, e.g. that its database file exists
+   * @returns An error message, or null if the provider is ready
+   */
+  checkAvailable(): Promise<string | null>;
+
+  /**
+   * Look up IP addresses without ports
+   * @returns The data of each IP that was found; rate limits may leave some out
+   */
+  lookup(ips: string[]): Promise<{ [ip: string]: GeoLocationData }>;
+}
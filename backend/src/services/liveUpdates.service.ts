@@ -0,0 +1,255 @@
+import * as bitcoinService from './bitcoin.service';
+import * as banService from './ban.service';
+import { getDefaultNodeId } from './node.service';
+import { emitToNode, getSubscribedNodes, LiveChannel } from './socket.service';
+
+// How often subscribed nodes are polled for changes (15 seconds)
+const LIVE_UPDATE_INTERVAL = 15 * 1000;
+
+// Delay before pushing a change made through the API, so a burst of changes is pushed once
+const CHANGE_PUSH_DELAY = 1000;
+
+// Last peers and bans pushed for each node, used to compute diffs
+const lastPeers: { [node: string]: Map<number, any> } = {};
+const lastBans: { [node: string]: Map<string, any> } = {};
+
+// Pending pushes of changes made through the API, keyed by channel and node
+const pendingPushes: { [key: string]: NodeJS.Timeout } = {};
+
+let liveUpdateIntervalId: NodeJS.Timeout | null = null;
+let polling = false;
+
+/**
+ * Get the key of a node in the diff state
+ */
+function nodeKey(nodeId: number | null): string {
+  return nodeId === null ? 'env' : String(nodeId);
+}
+
+/**
+ * Get the node ID to pass to bitcoin.service (undefined selects the node configured through env vars)
+ */
+function serviceNodeId(nodeId: number | null): number | undefined {
+  return nodeId === null ? undefined : nodeId;
+}
+
+/**
+ * Start polling subscribed nodes and pushing their changes to clients
+ * Nodes are only polled while someone is subscribed to them, however many clients that is
+ */
+export function startLiveUpdates(interval = LIVE_UPDATE_INTERVAL) {
+  if (liveUpdateIntervalId) {
+    clearInterval(liveUpdateIntervalId);
+  }
+
+  console.log(`Starting live updates with interval of ${interval / 1000} seconds`);
+
+  liveUpdateIntervalId = setInterval(async () => {
+    // Skip a round if the previous one is still waiting for slow nodes
+    if (polling) {
+      return;
+    }
+
+    polling = true;
+    try {
+      await pushAllUpdates();
+    } catch (error) {
+      console.error('Error pushing live updates:', error);
+    } finally {
+      polling = false;
+    }
+  }, interval);
+
+  return liveUpdateIntervalId;
+}
+
+/**
+ * Stop the live updates
+ */
+export function stopLiveUpdates() {
+  if (liveUpdateIntervalId) {
+    clearInterval(liveUpdateIntervalId);
+    liveUpdateIntervalId = null;
+  }
+}
+
+/**
+ * Poll every subscribed node once
+ */
+async function pushAllUpdates() {
+  const peerNodes = getSubscribedNodes('peers');
+  const banNodes = getSubscribedNodes('bans');
+
+  // Forget diff state of nodes nobody follows, so new subscribers start from a full list
+  forgetUnsubscribed(lastPeers, peerNodes);
+  forgetUnsubscribed(lastBans, banNodes);
+
+  for (const nodeId of getSubscribedNodes('node')) {
+    await pushNodeInfo(nodeId);
+  }
+  for (const nodeId of peerNodes) {
+    await pushPeers(nodeId);
+  }
+  for (const nodeId of banNodes) {
+    await pushBans(nodeId);
+  }
+}
+
+/**
+ * Drop diff state of nodes without subscribers
+ */
+function forgetUnsubscribed(state: { [node: string]: any }, subscribed: (number | null)[]) {
+  const keys = new Set(subscribed.map(nodeKey));
+  for (const key of Object.keys(state)) {
+    if (!keys.has(key)) {
+      delete state[key];
+    }
+  }
+}
+
+/**
+ * Push a node's info (the dashboard data)
+ */
+async function pushNodeInfo(nodeId: number | null) {
+  try {
+    const nodeInfo = await bitcoinService.getNodeInfo(true, false, serviceNodeId(nodeId));
+    emitToNode('node', nodeId, 'node:info', { nodeId, ...nodeInfo });
+  } catch (error) {
+    console.error(`Error pushing node info of node ${nodeKey(nodeId)}:`, error.message);
+    emitToNode('node', nodeId, 'node:error', { nodeId, message: error.message });
+  }
+}
+
+/**
+ * Push the changes in a node's peer list since the last push
+ * Updated peers only carry the fields that changed
+ */
+async function pushPeers(nodeId: number | null) {
+  try {
+    const result = await bitcoinService.getPeers({}, {}, true, false, serviceNodeId(nodeId));
+
+    // Don't diff mock peers standing in for an unreachable node against real ones
+    if (result.source === 'mock' && result.sourceError) {
+      emitToNode('peers', nodeId, 'peers:error', { nodeId, message: result.sourceError });
+      return;
+    }
+
+    const key = nodeKey(nodeId);
+    const previous = lastPeers[key] || new Map<number, any>();
+    const current = new Map<number, any>(result.data.map((peer: any) => [peer.id, peer]));
+
+    const added = [];
+    const updated = [];
+    for (const [id, peer] of current) {
+      const old = previous.get(id);
+      if (!old) {
+        added.push(peer);
+        continue;
+      }
+
+      const changes = changedFields(old, peer);
+      if (Object.keys(changes).length > 0) {
+        updated.push({ id, ...changes });
+      }
+    }
+
+    const removed = [...previous.keys()].filter(id => !current.has(id));
+    lastPeers[key] = current;
+
+    emitToNode('peers', nodeId, 'peers:diff', {
+      nodeId,
+      added,
+      updated,
+      removed,
+      total: current.size,
+      lastUpdated: result.lastUpdated,
+      source: result.source,
+      sourceError: result.sourceError
+    });
+  } catch (error) {
+    console.error(`Error pushing peers of node ${nodeKey(nodeId)}:`, error.message);
+    emitToNode('peers', nodeId, 'peers:error', { nodeId, message: error.message });
+  }
+}
+
+/**
+ * Get the top-level fields of a peer that changed
+ */
+function changedFields(old: any, peer: any): { [field: string]: any } {
+  const changes: { [field: string]: any } = {};
+
+  for (const field of Object.keys(peer)) {
+    if (JSON.stringify(old[field]) !== JSON.stringify(peer[field])) {
+      changes[field] = peer[field];
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Push a node's ban list if it changed since the last push
+ */
+async function pushBans(nodeId: number | null) {
+  try {
+    // Same shape as GET /peers/banned, with the peers subnet bans cover
+    const result = await banService.getBans(serviceNodeId(nodeId));
+
+    if (result.source === 'mock' && result.sourceError) {
+      return;
+    }
+
+    const key = nodeKey(nodeId);
+    const previous = lastBans[key];
+    const current = new Map<string, any>(result.data.map((ban: any) => [ban.address, ban]));
+
+    const added = [...current.values()].filter(ban => !previous || !previous.has(ban.address));
+    const removed = previous ? [...previous.keys()].filter(address => !current.has(address)) : [];
+    lastBans[key] = current;
+
+    if (previous && added.length === 0 && removed.length === 0) {
+      return;
+    }
+
+    emitToNode('bans', nodeId, 'bans:update', {
+      nodeId,
+      added,
+      removed,
+      bannedPeers: result.data,
+      recentUnbans: result.recentUnbans,
+      source: result.source,
+      sourceError: result.sourceError
+    });
+  } catch (error) {
+    console.error(`Error pushing bans of node ${nodeKey(nodeId)}:`, error.message);
+  }
+}
+
+/**
+ * Push a node's peers or bans soon, after a change made through the API or a rule
+ * @param channel 'peers' or 'bans'
+ * @param nodeId The node ID as passed to bitcoin.service (undefined for the default node)
+ */
+export function notifyChange(channel: Extract<LiveChannel, 'peers' | 'bans'>, nodeId?: number) {
+  const resolve = nodeId !== undefined ? Promise.resolve(nodeId) : getDefaultNodeId();
+
+  resolve
+    .then(resolvedNodeId => {
+      const key = `${channel}:${nodeKey(resolvedNodeId)}`;
+      if (pendingPushes[key]) {
+        return;
+      }
+
+      pendingPushes[key] = setTimeout(() => {
+        delete pendingPushes[key];
+
+        if (!getSubscribedNodes(channel).includes(resolvedNodeId)) {
+          return;
+        }
+
+        const push = channel === 'peers' ? pushPeers(resolvedNodeId) : pushBans(resolvedNodeId);
+        push.catch(error => console.error(`Error pushing ${channel} change:`, error));
+      }, CHANGE_PUSH_DELAY);
+    })
+    .catch(error => console.error(`Error resolving node for ${channel} change:`, error));
+}
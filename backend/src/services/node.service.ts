@@ -0,0 +1,365 @@
+import { PrismaClient, Node } from '@prisma/client';
+import fs from 'fs';
+import crypto from 'crypto';
+
+const prisma = new PrismaClient();
+
+/**
+ * bitcoind ZMQ publisher endpoints (zmqpubhashblock, zmqpubrawtx, zmqpubsequence)
+ */
+export interface ZmqEndpoints {
+  hashblock: string | null;
+  rawtx: string | null;
+  sequence: string | null;
+}
+
+/**
+ * Connection details for a Bitcoin node's RPC interface
+ */
+export interface NodeConnection {
+  id: number | null; // null for the node configured through BITCOIN_RPC_* env vars
+  name: string;
+  host: string;
+  port: number;
+  user: string;
+  password: string;
+  cookieFile: string | null; // When set, user and password are read from bitcoind's cookie file
+  network: string;
+  zmq: ZmqEndpoints;
+  key: string; // Changes whenever the connection details change
+}
+
+// The RPC password this project used to ship with; never accept it
+const INSECURE_DEFAULT_PASSWORD = 'ydnabcdef123';
+
+// Credentials read from cookie files, keyed by file path
+const cookieCache: { [path: string]: { user: string; password: string; mtimeMs: number } } = {};
+
+// Fields returned to API clients (never includes the RPC password)
+const publicNodeFields = {
+  id: true,
+  name: true,
+  host: true,
+  port: true,
+  rpcUser: true,
+  rpcCookieFile: true,
+  zmqHashBlock: true,
+  zmqRawTx: true,
+  zmqSequence: true,
+  network: true,
+  isDefault: true,
+  isActive: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+/**
+ * Get the connection configured through environment variables
+ */
+export function getEnvNodeConnection(): NodeConnection {
+  return {
+    id: null,
+    name: 'Default',
+    host: process.env.BITCOIN_RPC_HOST || '169.255.240.110',
+    port: parseInt(process.env.BITCOIN_RPC_PORT || '8332'),
+    user: process.env.BITCOIN_RPC_USER || '',
+    password: process.env.BITCOIN_RPC_PASSWORD || '',
+    cookieFile: process.env.BITCOIN_RPC_COOKIE_FILE || null,
+    network: process.env.BITCOIN_NETWORK || 'mainnet',
+    zmq: {
+      hashblock: process.env.BITCOIN_ZMQ_HASHBLOCK || null,
+      rawtx: process.env.BITCOIN_ZMQ_RAWTX || null,
+      sequence: process.env.BITCOIN_ZMQ_SEQUENCE || null
+    },
+    key: 'env'
+  };
+}
+
+/**
+ * Check whether an RPC password is the well-known default that must not be used
+ */
+export function isInsecureRpcPassword(password?: string | null): boolean {
+  return password === INSECURE_DEFAULT_PASSWORD;
+}
+
+/**
+ * Check the RPC credentials configured through environment variables
+ * @returns An error message if the server must not start with this configuration, otherwise null
+ */
+export function validateEnvNodeConfig(): string | null {
+  const cookieFile = process.env.BITCOIN_RPC_COOKIE_FILE;
+
+  if (isInsecureRpcPassword(process.env.BITCOIN_RPC_PASSWORD)) {
+    return 'BITCOIN_RPC_PASSWORD is set to the old hard-coded default password. ' +
+      'Set the password configured in bitcoin.conf or use BITCOIN_RPC_COOKIE_FILE instead.';
+  }
+
+  if (cookieFile) {
+    try {
+      fs.accessSync(cookieFile, fs.constants.R_OK);
+    } catch (error) {
+      // bitcoind may not have written the cookie yet; it is read again on every connection
+      console.warn(`Cookie file ${cookieFile} is not readable yet:`, (error as Error).message);
+    }
+  } else if (!process.env.BITCOIN_RPC_PASSWORD && process.env.USE_MOCK !== 'true') {
+    console.warn('Neither BITCOIN_RPC_PASSWORD nor BITCOIN_RPC_COOKIE_FILE is set; ' +
+      'RPC calls to the default node will fail unless a registered node is marked as default');
+  }
+
+  return null;
+}
+
+/**
+ * Read RPC credentials from a Bitcoin Core cookie file
+ * bitcoind writes a new cookie every time it starts, so the file is re-read whenever it changes
+ * @param cookieFile Path to the .cookie file
+ * @param reload Read the file even if it looks unchanged
+ */
+export async function readCookieCredentials(cookieFile: string, reload = false) {
+  const stats = await fs.promises.stat(cookieFile);
+  const cached = cookieCache[cookieFile];
+
+  if (!reload && cached && cached.mtimeMs === stats.mtimeMs) {
+    return cached;
+  }
+
+  // The cookie has the format __cookie__:<password>
+  const content = (await fs.promises.readFile(cookieFile, 'utf8')).trim();
+  const separator = content.indexOf(':');
+  if (separator === -1) {
+    throw new Error(`Invalid cookie file ${cookieFile}`);
+  }
+
+  cookieCache[cookieFile] = {
+    user: content.slice(0, separator),
+    password: content.slice(separator + 1),
+    mtimeMs: stats.mtimeMs
+  };
+
+  if (cached) {
+    console.log(`Reloaded RPC cookie from ${cookieFile}`);
+  }
+
+  return cookieCache[cookieFile];
+}
+
+/**
+ * Fill in the user and password of a connection that authenticates with a cookie file
+ */
+async function applyCookieCredentials(connection: NodeConnection): Promise<NodeConnection> {
+  if (!connection.cookieFile) {
+    return connection;
+  }
+
+  const credentials = await readCookieCredentials(connection.cookieFile);
+
+  // Include a fingerprint of the cookie so clients are recreated once it rotates
+  const fingerprint = crypto.createHash('sha256').update(credentials.password).digest('hex').slice(0, 16);
+
+  return {
+    ...connection,
+    user: credentials.user,
+    password: credentials.password,
+    key: `${connection.key}-cookie-${fingerprint}`
+  };
+}
+
+/**
+ * Get all registered nodes
+ */
+export async function getAllNodes() {
+  try {
+    return await prisma.node.findMany({
+      select: publicNodeFields,
+      orderBy: { name: 'asc' }
+    });
+  } catch (error) {
+    console.error('Error getting nodes:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a node by ID
+ */
+export async function getNodeById(id: number) {
+  try {
+    return await prisma.node.findUnique({
+      where: { id },
+      select: publicNodeFields
+    });
+  } catch (error) {
+    console.error(`Error getting node ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get the nodes that serve requests: every active registered node, and the node configured through env
+ * vars while no registered node is the default, since requests without a node ID then go to it
+ * @returns The node IDs as passed to bitcoin.service, undefined standing for the env node
+ */
+export async function getServingNodeIds(): Promise<(number | undefined)[]> {
+  const nodes = await prisma.node.findMany({
+    where: { isActive: true },
+    select: { id: true, isDefault: true }
+  });
+  const nodeIds: (number | undefined)[] = nodes.map(node => node.id);
+
+  return nodes.some(node => node.isDefault) ? nodeIds : [undefined, ...nodeIds];
+}
+
+/**
+ * Create a new node
+ */
+export async function createNode(nodeData: {
+  name: string;
+  host: string;
+  port?: number;
+  rpcUser?: string;
+  rpcPassword?: string;
+  rpcCookieFile?: string | null;
+  zmqHashBlock?: string | null;
+  zmqRawTx?: string | null;
+  zmqSequence?: string | null;
+  network?: string;
+  isDefault?: boolean;
+  isActive?: boolean;
+}) {
+  try {
+    // Only one node can be the default
+    if (nodeData.isDefault) {
+      await prisma.node.updateMany({ data: { isDefault: false } });
+    }
+
+    return await prisma.node.create({
+      data: nodeData,
+      select: publicNodeFields
+    });
+  } catch (error) {
+    console.error('Error creating node:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a node
+ */
+export async function updateNode(
+  id: number,
+  nodeData: {
+    name?: string;
+    host?: string;
+    port?: number;
+    rpcUser?: string;
+    rpcPassword?: string;
+    rpcCookieFile?: string | null;
+    zmqHashBlock?: string | null;
+    zmqRawTx?: string | null;
+    zmqSequence?: string | null;
+    network?: string;
+    isDefault?: boolean;
+    isActive?: boolean;
+  }
+) {
+  try {
+    if (nodeData.isDefault) {
+      await prisma.node.updateMany({
+        where: { id: { not: id } },
+        data: { isDefault: false }
+      });
+    }
+
+    return await prisma.node.update({
+      where: { id },
+      data: nodeData,
+      select: publicNodeFields
+    });
+  } catch (error) {
+    console.error(`Error updating node ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a node
+ */
+export async function deleteNode(id: number) {
+  try {
+    return await prisma.node.delete({
+      where: { id },
+      select: publicNodeFields
+    });
+  } catch (error) {
+    console.error(`Error deleting node ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Resolve the RPC connection for a node
+ * Without a node ID, the default registered node is used, falling back to the env configuration
+ */
+export async function resolveNodeConnection(nodeId?: number): Promise<NodeConnection> {
+  const node = nodeId !== undefined
+    ? await prisma.node.findUnique({ where: { id: nodeId } })
+    : await prisma.node.findFirst({ where: { isDefault: true, isActive: true } });
+
+  if (!node) {
+    if (nodeId !== undefined) {
+      throw new Error(`Node with ID ${nodeId} not found`);
+    }
+    return applyCookieCredentials(getEnvNodeConnection());
+  }
+
+  return applyCookieCredentials(toNodeConnection(node));
+}
+
+/**
+ * Get the ID of the node used when no node is selected
+ * @returns The default registered node's ID, or null for the node configured through env vars
+ */
+export async function getDefaultNodeId(): Promise<number | null> {
+  const node = await prisma.node.findFirst({
+    where: { isDefault: true, isActive: true },
+    select: { id: true }
+  });
+  return node ? node.id : null;
+}
+
+/**
+ * Get the connection details of every active registered node and of the env node
+ * Cookie credentials are not read, so the result is only meant for non-RPC connections such as ZMQ
+ * @returns The connections, each with whether requests without a node ID are served by it
+ */
+export async function getActiveNodeConnections(): Promise<{ connection: NodeConnection; isDefault: boolean }[]> {
+  const nodes = await prisma.node.findMany({ where: { isActive: true } });
+  const hasDefault = nodes.some(node => node.isDefault);
+
+  return [
+    { connection: getEnvNodeConnection(), isDefault: !hasDefault },
+    ...nodes.map(node => ({ connection: toNodeConnection(node), isDefault: node.isDefault }))
+  ];
+}
+
+/**
+ * Build the connection details of a registered node
+ */
+function toNodeConnection(node: Node): NodeConnection {
+  return {
+    id: node.id,
+    name: node.name,
+    host: node.host,
+    port: node.port,
+    user: node.rpcUser || '',
+    password: node.rpcPassword || '',
+    cookieFile: node.rpcCookieFile || null,
+    network: node.network,
+    zmq: {
+      hashblock: node.zmqHashBlock || null,
+      rawtx: node.zmqRawTx || null,
+      sequence: node.zmqSequence || null
+    },
+    key: `node-${node.id}-${node.updatedAt.getTime()}`
+  };
+}
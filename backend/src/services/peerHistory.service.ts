@@ -0,0 +1,388 @@
+import { PrismaClient, Prisma } from '@prisma/client';
+import * as bitcoinService from './bitcoin.service';
+import * as nodeService from './node.service';
+import { parseAddress, parseSubnet, subnetContains } from '../utils/address';
+
+const prisma = new PrismaClient();
+
+// How often connected peers are recorded (1 minute)
+const PEER_HISTORY_INTERVAL = 60 * 1000;
+
+// Closed sessions older than this are deleted, unless PEER_HISTORY_RETENTION_DAYS is set
+const DEFAULT_RETENTION_DAYS = 90;
+
+// Ping and traffic samples older than this are deleted, unless PEER_SAMPLE_RETENTION_DAYS is set
+const DEFAULT_SAMPLE_RETENTION_DAYS = 7;
+
+// Most samples returned for one session (a day at the default interval)
+const MAX_SESSION_SAMPLES = 1440;
+
+// How long a noted disconnect reason waits for the peer to disappear (10 minutes)
+const REASON_EXPIRATION = 10 * 60 * 1000;
+
+// Reason of sessions that ended without a reason noted by the backend
+const UNKNOWN_DISCONNECT_REASON = 'Disconnected';
+
+interface PendingReason {
+  peerId?: number;
+  ip?: string;
+  reason: string;
+  notedAt: number;
+}
+
+// Reasons for disconnects caused by the backend, keyed by node ('env' for the node configured through env vars)
+const pendingReasons: { [node: string]: PendingReason[] } = {};
+
+let collectorIntervalId: NodeJS.Timeout | null = null;
+let collecting = false;
+
+export interface PeerHistoryQuery {
+  ip?: string;
+  userAgent?: string;
+  from?: Date;
+  to?: Date;
+  status?: 'connected' | 'disconnected';
+  page?: number;
+  limit?: number;
+}
+
+/**
+ * Get the key of a node in the pending reasons
+ */
+function nodeKey(nodeId: number | null): string {
+  return nodeId === null ? 'env' : String(nodeId);
+}
+
+/**
+ * Start recording connected peers in the background
+ */
+export function startPeerHistoryCollector(interval = PEER_HISTORY_INTERVAL) {
+  if (collectorIntervalId) {
+    clearInterval(collectorIntervalId);
+  }
+
+  console.log(`Starting peer history collector with interval of ${interval / 1000} seconds`);
+
+  collectorIntervalId = setInterval(async () => {
+    // Skip a round if the previous one is still waiting for slow nodes
+    if (collecting) {
+      return;
+    }
+
+    collecting = true;
+    try {
+      await collectPeerHistory();
+    } catch (error) {
+      console.error('Error collecting peer history:', error);
+    } finally {
+      collecting = false;
+    }
+  }, interval);
+
+  return collectorIntervalId;
+}
+
+/**
+ * Stop the peer history collector
+ */
+export function stopPeerHistoryCollector() {
+  if (collectorIntervalId) {
+    clearInterval(collectorIntervalId);
+    collectorIntervalId = null;
+    console.log('Peer history collector stopped');
+  }
+}
+
+/**
+ * Record the connected peers of every active node once, and delete expired sessions
+ * The node configured through env vars is recorded while it serves requests without a node ID
+ */
+export async function collectPeerHistory() {
+  const nodeIds = await nodeService.getServingNodeIds();
+
+  for (const nodeId of nodeIds) {
+    try {
+      await collectNodePeers(nodeId);
+    } catch (error) {
+      console.error(`Error recording peer history of node ${nodeId ?? 'env'}:`, error.message);
+    }
+  }
+
+  await pruneSessions();
+}
+
+/**
+ * Update a node's sessions from its current peer list
+ * New peers open a session, known peers update theirs and missing peers close theirs
+ */
+async function collectNodePeers(nodeId?: number) {
+  const result = await bitcoinService.getPeers({}, {}, false, false, nodeId);
+
+  // Mock peers say nothing about who actually connected
+  if (result.source === 'mock') {
+    return;
+  }
+
+  const storedNodeId = nodeId ?? null;
+  const now = new Date();
+
+  const openSessions = await prisma.peerSession.findMany({
+    where: { nodeId: storedNodeId, disconnectedAt: null }
+  });
+
+  // bitcoind reuses peer IDs after a restart, so a session is identified by ID, address and connection time
+  const sessionKey = (peerId: number, addr: string, connectedAt: Date) => `${peerId}|${addr}|${connectedAt.getTime()}`;
+  const sessionsByKey = new Map(openSessions.map(session => [
+    sessionKey(session.peerId, session.addr, session.connectedAt),
+    session
+  ]));
+
+  const samples: Prisma.PeerSampleCreateManyInput[] = [];
+
+  for (const peer of result.data) {
+    const connectedAt = new Date((peer.conntime || 0) * 1000);
+    const key = sessionKey(peer.id, peer.addr, connectedAt);
+    let session = sessionsByKey.get(key);
+    sessionsByKey.delete(key);
+
+    const minPing = typeof peer.minping === 'number' ? peer.minping : null;
+
+    if (session) {
+      session = await prisma.peerSession.update({
+        where: { id: session.id },
+        data: {
+          subver: peer.subver || session.subver,
+          version: peer.version || session.version,
+          services: peer.services || session.services,
+          lastSeen: now,
+          bytesSent: peer.bytessent || 0,
+          bytesRecv: peer.bytesrecv || 0,
+          minPing: minPing !== null && (session.minPing === null || minPing < session.minPing) ? minPing : session.minPing
+        }
+      });
+    } else {
+      session = await prisma.peerSession.create({
+        data: {
+          nodeId: storedNodeId,
+          peerId: peer.id,
+          addr: peer.addr,
+          ip: parseAddress(peer.addr).host,
+          network: peer.network || null,
+          subver: peer.subver || null,
+          version: peer.version || null,
+          services: peer.services || null,
+          inbound: !!peer.inbound,
+          connectionType: peer.connection_type || null,
+          connectedAt,
+          firstSeen: now,
+          lastSeen: now,
+          bytesSent: peer.bytessent || 0,
+          bytesRecv: peer.bytesrecv || 0,
+          minPing
+        }
+      });
+    }
+
+    samples.push({
+      sessionId: session.id,
+      timestamp: now,
+      pingTime: typeof peer.pingtime === 'number' ? peer.pingtime : null,
+      bytesSent: peer.bytessent || 0,
+      bytesRecv: peer.bytesrecv || 0
+    });
+  }
+
+  if (samples.length > 0) {
+    await prisma.peerSample.createMany({ data: samples });
+  }
+
+  // Sessions left over belong to peers that are gone
+  for (const session of sessionsByKey.values()) {
+    await prisma.peerSession.update({
+      where: { id: session.id },
+      data: {
+        disconnectedAt: now,
+        disconnectReason: takeDisconnectReason(storedNodeId, session.peerId, session.ip)
+      }
+    });
+  }
+
+  expireReasons(storedNodeId);
+}
+
+/**
+ * Delete closed sessions and samples older than their retention periods
+ */
+async function pruneSessions() {
+  const retentionDays = Number(process.env.PEER_HISTORY_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS;
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+
+  const { count } = await prisma.peerSession.deleteMany({
+    where: { disconnectedAt: { lt: cutoff } }
+  });
+
+  if (count > 0) {
+    console.log(`Deleted ${count} peer sessions older than ${retentionDays} days`);
+  }
+
+  const sampleRetentionDays = Number(process.env.PEER_SAMPLE_RETENTION_DAYS) || DEFAULT_SAMPLE_RETENTION_DAYS;
+  await prisma.peerSample.deleteMany({
+    where: { timestamp: { lt: new Date(Date.now() - sampleRetentionDays * 24 * 60 * 60 * 1000) } }
+  });
+}
+
+/**
+ * Get the open session of a connected peer with its ping and traffic samples, oldest first
+ * @param nodeId The node ID as passed to bitcoin.service (undefined for the default node)
+ * @param peer The peer as returned by getpeerinfo
+ * @returns The session, or null if the peer hasn't been recorded yet
+ */
+export async function getPeerSession(nodeId: number | undefined, peer: { id: number; addr: string; conntime?: number }) {
+  try {
+    const resolvedNodeId = nodeId !== undefined ? nodeId : await nodeService.getDefaultNodeId();
+
+    const session = await prisma.peerSession.findFirst({
+      where: {
+        nodeId: resolvedNodeId,
+        peerId: peer.id,
+        addr: peer.addr,
+        connectedAt: new Date((peer.conntime || 0) * 1000),
+        disconnectedAt: null
+      }
+    });
+
+    if (!session) {
+      return null;
+    }
+
+    const samples = await prisma.peerSample.findMany({
+      where: { sessionId: session.id },
+      orderBy: { timestamp: 'desc' },
+      take: MAX_SESSION_SAMPLES,
+      select: { timestamp: true, pingTime: true, bytesSent: true, bytesRecv: true }
+    });
+
+    return { ...session, samples: samples.reverse() };
+  } catch (error) {
+    console.error(`Error getting session of peer ${peer.id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Note why the backend is about to disconnect a peer, so its session records the reason
+ * @param nodeId The node ID as passed to bitcoin.service (undefined for the default node)
+ * @param peer The peer's ID, or an IP address for bans that disconnect every peer from it
+ * @param reason E.g. 'Disconnected by user'
+ */
+export async function noteDisconnectReason(nodeId: number | undefined, peer: { peerId?: number; ip?: string }, reason: string) {
+  try {
+    const resolvedNodeId = nodeId !== undefined ? nodeId : await nodeService.getDefaultNodeId();
+    const key = nodeKey(resolvedNodeId);
+
+    pendingReasons[key] = [
+      ...(pendingReasons[key] || []),
+      {
+        peerId: peer.peerId !== undefined ? Number(peer.peerId) : undefined,
+        ip: peer.ip ? parseAddress(peer.ip).host : undefined,
+        reason,
+        notedAt: Date.now()
+      }
+    ];
+  } catch (error) {
+    console.error('Error noting disconnect reason:', error);
+  }
+}
+
+/**
+ * Check whether a noted ban address, an IP or a subnet, covers a peer's IP
+ */
+function coversIp(noted: string, ip: string): boolean {
+  if (!noted.includes('/')) {
+    return noted === ip;
+  }
+
+  const subnet = parseSubnet(noted);
+  return subnet !== null && subnetContains(subnet, ip);
+}
+
+/**
+ * Get the reason noted for a disconnected peer
+ */
+function takeDisconnectReason(nodeId: number | null, peerId: number, ip: string): string {
+  const reasons = pendingReasons[nodeKey(nodeId)] || [];
+  const match = reasons.find(pending =>
+    (pending.peerId !== undefined && pending.peerId === peerId) || (pending.ip !== undefined && coversIp(pending.ip, ip))
+  );
+
+  // Reasons noted by peer ID are used once, bans apply to every peer from the address
+  if (match && match.peerId !== undefined) {
+    pendingReasons[nodeKey(nodeId)] = reasons.filter(pending => pending !== match);
+  }
+
+  return match ? match.reason : UNKNOWN_DISCONNECT_REASON;
+}
+
+/**
+ * Forget reasons noted for peers that never disappeared
+ */
+function expireReasons(nodeId: number | null) {
+  const key = nodeKey(nodeId);
+  if (!pendingReasons[key]) {
+    return;
+  }
+
+  pendingReasons[key] = pendingReasons[key].filter(pending => Date.now() - pending.notedAt < REASON_EXPIRATION);
+}
+
+/**
+ * Search the recorded peer sessions of a node, newest first
+ * @param nodeId The node ID as passed to bitcoin.service (undefined for the default node)
+ * @param query IP and user agent match partially; from/to select sessions connected at some point in that range
+ */
+export async function searchPeerSessions(nodeId: number | undefined, query: PeerHistoryQuery = {}) {
+  try {
+    const resolvedNodeId = nodeId !== undefined ? nodeId : await nodeService.getDefaultNodeId();
+    const page = Math.max(1, query.page || 1);
+    const limit = Math.min(Math.max(1, query.limit || 50), 500);
+
+    const where: Prisma.PeerSessionWhereInput = { nodeId: resolvedNodeId };
+
+    if (query.ip) {
+      where.ip = { contains: query.ip };
+    }
+
+    if (query.userAgent) {
+      where.subver = { contains: query.userAgent };
+    }
+
+    if (query.from) {
+      where.lastSeen = { gte: query.from };
+    }
+
+    if (query.to) {
+      where.firstSeen = { lte: query.to };
+    }
+
+    if (query.status === 'connected') {
+      where.disconnectedAt = null;
+    } else if (query.status === 'disconnected') {
+      where.disconnectedAt = { not: null };
+    }
+
+    const [sessions, total] = await Promise.all([
+      prisma.peerSession.findMany({
+        where,
+        orderBy: { lastSeen: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.peerSession.count({ where })
+    ]);
+
+    return { sessions, total, page, limit };
+  } catch (error) {
+    console.error('Error searching peer history:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,131 @@
+import * as bitcoinService from './bitcoin.service';
+import { isGeolocatable } from '../utils/address';
+import { countGroups, CountGroup } from '../utils/groups';
+
+type GroupKey = { key: string | null; label: string } | null;
+
+// Dimensions that concentration is measured on
+const CONCENTRATION_DIMENSIONS: { [dimension: string]: (peer: any) => GroupKey } = {
+  country: countryOf,
+  asn: asnOf,
+  network: peer => ({ key: peer.network, label: peer.network })
+};
+
+/**
+ * Get a peer's country group; peers without a location are left out
+ */
+function countryOf(peer: any): GroupKey {
+  if (!isGeolocatable(peer.network)) return null;
+  return peer.geolocation
+    ? { key: peer.geolocation.countryCode, label: peer.geolocation.country }
+    : { key: null, label: 'Unknown' };
+}
+
+/**
+ * Get a peer's ASN group; peers without a location are left out
+ */
+function asnOf(peer: any): GroupKey {
+  if (!isGeolocatable(peer.network)) return null;
+  return peer.geolocation?.as
+    ? { key: peer.geolocation.as, label: peer.geolocation.as }
+    : { key: null, label: 'Unknown' };
+}
+
+/**
+ * Get a peer's ISP group; peers without a location are left out
+ */
+function ispOf(peer: any): GroupKey {
+  if (!isGeolocatable(peer.network)) return null;
+  return peer.geolocation?.isp
+    ? { key: peer.geolocation.isp, label: peer.geolocation.isp }
+    : { key: null, label: 'Unknown' };
+}
+
+/**
+ * Get a peer's client version group, e.g. /Satoshi:28.1.0/ labeled Satoshi 28.1.0
+ */
+function versionOf(peer: any): GroupKey {
+  if (!peer.subver) {
+    return { key: null, label: 'Unknown' };
+  }
+
+  return { key: peer.subver, label: peer.subver.replace(/^\/|\/$/g, '').replace(/:/g, ' ') || peer.subver };
+}
+
+/**
+ * Measure how concentrated peers are in one dimension
+ * The share of the largest group leaves out peers whose group is unknown;
+ * the Herfindahl-Hirschman index is the sum of squared group shares, from near 0 (spread out) to 1 (all in one group)
+ */
+function measureConcentration(peers: any[], keyOf: (peer: any) => GroupKey) {
+  const groups = countGroups(peers, keyOf).filter(group => group.key !== null);
+  const known = groups.reduce((sum, group) => sum + group.count, 0);
+  const largest: CountGroup | undefined = groups[0];
+
+  return {
+    peers: known,
+    largest: largest ? { ...largest, share: largest.count / known } : null,
+    hhi: known > 0 ? groups.reduce((sum, group) => sum + Math.pow(group.count / known, 2), 0) : 0
+  };
+}
+
+/**
+ * Measure concentration of a set of peers in every concentration dimension
+ */
+function measureAll(peers: any[]) {
+  return {
+    peers: peers.length,
+    ...Object.fromEntries(Object.entries(CONCENTRATION_DIMENSIONS)
+      .map(([dimension, keyOf]) => [dimension, measureConcentration(peers, keyOf)]))
+  };
+}
+
+/**
+ * Aggregate the connected peers by country, ASN, ISP, network, client version, services and direction
+ * Countries, ASNs and ISPs come from the stored geolocation data; Tor, I2P and CJDNS peers have none
+ * @param nodeId The node ID as passed to bitcoin.service (undefined for the default node)
+ * @returns The groups and how concentrated all and outbound peers are
+ */
+export async function getPeerStats(nodeId?: number) {
+  try {
+    const result = await bitcoinService.getPeers({}, {}, true, true, nodeId);
+    const peers = result.data;
+    const outbound = peers.filter(peer => !peer.inbound);
+
+    return {
+      total: peers.length,
+      inbound: peers.length - outbound.length,
+      outbound: outbound.length,
+      geolocated: peers.filter(peer => peer.geolocation).length,
+      groups: {
+        direction: countGroups(peers, peer => peer.inbound
+          ? { key: 'inbound', label: 'Inbound' }
+          : { key: 'outbound', label: 'Outbound' }),
+        connectionType: countGroups(peers, peer => ({
+          key: peer.connection_type || null,
+          label: peer.connection_type || 'Unknown'
+        })),
+        network: countGroups(peers, CONCENTRATION_DIMENSIONS.network),
+        country: countGroups(peers, countryOf),
+        asn: countGroups(peers, asnOf),
+        isp: countGroups(peers, ispOf),
+        version: countGroups(peers, versionOf),
+        // A peer counts once for each service it offers
+        services: countGroups(
+          peers.flatMap(peer => peer.servicesnames || []),
+          (service: string) => ({ key: service, label: service })
+        )
+      },
+      concentration: {
+        all: measureAll(peers),
+        outbound: measureAll(outbound)
+      },
+      lastUpdated: result.lastUpdated,
+      source: result.source,
+      sourceError: result.sourceError
+    };
+  } catch (error) {
+    console.error('Error getting peer statistics:', error);
+    throw error;
+  }
+}
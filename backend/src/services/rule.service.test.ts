@@ -0,0 +1,128 @@
+import { validateConditions, peerMatchesConditions } from './rule.service';
+
+const peer = {
+  id: 1,
+  addr: '5.9.1.2:8333',
+  network: 'ipv4',
+  subver: '/Satoshi:0.16.3/',
+  version: 70015,
+  inbound: true,
+  pingtime: 0.25,
+  geolocation: { country: 'Germany', countryCode: 'DE', as: 'AS24940 Hetzner Online GmbH' }
+};
+
+describe('validateConditions', () => {
+  const errorOf = (conditions: any) => {
+    try {
+      validateConditions(conditions);
+      return null;
+    } catch (error) {
+      expect(error.code).toBe('INVALID_RULE_CONDITIONS');
+      return error.message;
+    }
+  };
+
+  it('accepts fields, operators and nested groups', () => {
+    expect(errorOf({
+      any: [{ subver: { regex: '^/Satoshi:0\\.1[0-6]\\.', ignoreCase: true } }, { not: { inbound: true } }],
+      pingtime: { between: [0, 1] },
+      addr: { inSubnet: ['5.9.0.0/16', '2a01:4f8::/32'] }
+    })).toBeNull();
+  });
+
+  it('names the malformed part of a group', () => {
+    expect(errorOf({ any: [] })).toMatch(/conditions: any must be a non-empty array/);
+    expect(errorOf({ all: [{ not: [] }] })).toMatch(/conditions\.all\[0\]\.not/);
+    expect(errorOf([])).toMatch(/expected an object/);
+  });
+
+  it('rejects unknown operators and malformed operands', () => {
+    expect(errorOf({ subver: { matches: 'x' } })).toMatch(/unknown operator matches/);
+    expect(errorOf({ version: { between: [2, 1] } })).toMatch(/between needs/);
+    expect(errorOf({ version: { in: 70015 } })).toMatch(/in needs an array/);
+    expect(errorOf({ addr: { inSubnet: '5.9.0.0/33' } })).toMatch(/invalid subnet 5\.9\.0\.0\/33/);
+    expect(errorOf({ addr: { exists: 'yes' } })).toMatch(/exists needs true or false/);
+  });
+
+  it('only accepts ignoreCase next to a text operator', () => {
+    expect(errorOf({ subver: { ignoreCase: true } })).toMatch(/ignoreCase needs one of/);
+    expect(errorOf({ version: { gt: 70000, ignoreCase: true } })).toMatch(/ignoreCase needs one of/);
+    expect(errorOf({ subver: { contains: 'satoshi', ignoreCase: 'yes' } })).toMatch(/ignoreCase needs true or false/);
+  });
+
+  it('rejects regexes that are too long or not RE2 syntax', () => {
+    expect(errorOf({ subver: { regex: 'a'.repeat(201) } })).toMatch(/longer than 200/);
+    expect(errorOf({ subver: { regex: '(a)\\1' } })).toMatch(/invalid regex/);
+    expect(errorOf({ subver: { regex: 'Satoshi(?=:0)' } })).toMatch(/invalid regex/);
+    expect(errorOf({ subver: { regex: '(' } })).toMatch(/invalid regex/);
+    expect(errorOf({ subver: { regex: 5 } })).toMatch(/regex needs a string/);
+  });
+});
+
+describe('peerMatchesConditions', () => {
+  // Conditions that match nothing say why in a warning
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('matches text operators, ignoring case when asked', () => {
+    expect(peerMatchesConditions(peer, { subver: { startsWith: '/Satoshi:0.' } })).toBe(true);
+    expect(peerMatchesConditions(peer, { subver: { contains: 'satoshi' } })).toBe(false);
+    expect(peerMatchesConditions(peer, { subver: { contains: 'satoshi', ignoreCase: true } })).toBe(true);
+    expect(peerMatchesConditions(peer, { subver: { in: ['/satoshi:0.16.3/'], ignoreCase: true } })).toBe(true);
+  });
+
+  it('matches regexes anywhere in the value', () => {
+    expect(peerMatchesConditions(peer, { subver: { regex: 'Satoshi:0\\.1[0-6]' } })).toBe(true);
+    expect(peerMatchesConditions(peer, { subver: { regex: '^Satoshi' } })).toBe(false);
+    expect(peerMatchesConditions(peer, { subver: { regex: 'SATOSHI', ignoreCase: true } })).toBe(true);
+  });
+
+  it('matches backtracking-prone regexes in linear time', () => {
+    const slowPeer = { ...peer, subver: `${'a'.repeat(255)}!` };
+    const started = Date.now();
+
+    expect(peerMatchesConditions(slowPeer, { subver: { regex: '^(a|a)*$' } })).toBe(false);
+    expect(peerMatchesConditions({ ...peer, subver: `${'1'.repeat(255)}x` }, { subver: { regex: '^\\d*\\d*\\d*\\d*$' } })).toBe(false);
+    expect(peerMatchesConditions(slowPeer, { subver: { regex: '^(a+)+$' } })).toBe(false);
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+
+  it('matches nothing with a regex that is not valid RE2', () => {
+    expect(peerMatchesConditions(peer, { subver: { regex: '(S)atoshi\\1' } })).toBe(false);
+  });
+
+  it('matches nothing with ignoreCase alone', () => {
+    expect(peerMatchesConditions(peer, { subver: { ignoreCase: true } })).toBe(false);
+  });
+
+  it('matches numbers and ranges', () => {
+    expect(peerMatchesConditions(peer, { version: { gte: 70015, lt: 70016 } })).toBe(true);
+    expect(peerMatchesConditions(peer, { pingtime: { between: [0.3, 1] } })).toBe(false);
+  });
+
+  it('matches the parsed address against subnets', () => {
+    expect(peerMatchesConditions(peer, { addr: { inSubnet: '5.9.0.0/16' } })).toBe(true);
+    expect(peerMatchesConditions(peer, { ip: { inSubnet: ['10.0.0.0/8', '5.9.1.0/24'] } })).toBe(true);
+    expect(peerMatchesConditions(peer, { addr: { inSubnet: '5.8.0.0/16' } })).toBe(false);
+    expect(peerMatchesConditions({ ...peer, addr: 'abcdefghijklmnop.onion:8333', network: 'onion' }, { ip: { exists: false } })).toBe(true);
+  });
+
+  it('matches geolocation fields directly and nested', () => {
+    expect(peerMatchesConditions(peer, { countryCode: { in: ['DE', 'FR'] } })).toBe(true);
+    expect(peerMatchesConditions(peer, { 'geolocation.as': { contains: 'hetzner', ignoreCase: true } })).toBe(true);
+    expect(peerMatchesConditions({ ...peer, geolocation: null }, { countryCode: { exists: false } })).toBe(true);
+  });
+
+  it('combines groups with all, any and not', () => {
+    const oldOrInbound = { any: [{ version: { lt: 70000 } }, { inbound: true }] };
+    expect(peerMatchesConditions(peer, oldOrInbound)).toBe(true);
+    expect(peerMatchesConditions(peer, { not: oldOrInbound })).toBe(false);
+    expect(peerMatchesConditions(peer, { all: [{ inbound: true }, { subver: { endsWith: '/' } }] })).toBe(true);
+    expect(peerMatchesConditions(peer, {})).toBe(true);
+  });
+});
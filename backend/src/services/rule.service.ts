@@ -1,16 +1,52 @@
 import { PrismaClient } from '@prisma/client';
+import { RE2JS } from 're2js';
 import * as bitcoinService from './bitcoin.service';
+import * as banService from './ban.service';
+import * as nodeService from './node.service';
+import * as liveUpdatesService from './liveUpdates.service';
+import * as peerHistoryService from './peerHistory.service';
+import { emitToChannel } from './socket.service';
+import { parseAddress, parsePeerAddress, parseSubnet, subnetContains, isBannable } from '../utils/address';
 
 const prisma = new PrismaClient();
 
+// Geolocation fields copied onto each peer, so conditions can match e.g. countryCode or as directly
+const GEOLOCATION_DATA_FIELDS = ['country', 'countryCode', 'region', 'regionName', 'city', 'zip', 'lat', 'lon', 'timezone', 'isp', 'org', 'as'];
+
+// Condition fields that need the peers' geolocation, which web hosting ASNs are also matched with
+const GEOLOCATION_FIELDS = ['geolocation', 'hosted', 'hoster', ...GEOLOCATION_DATA_FIELDS];
+
+// Operators a field condition can use; ignoreCase is a flag for the string operators
+const OPERATORS = [
+  'eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'between', 'contains', 'startsWith', 'endsWith', 'regex',
+  'in', 'notIn', 'exists', 'inSubnet', 'ignoreCase'
+];
+
+// Operators ignoreCase applies to; it does nothing on its own
+const TEXT_OPERATORS = ['eq', 'neq', 'contains', 'startsWith', 'endsWith', 'regex', 'in', 'notIn'];
+
+// Regexes run against every peer on every rule run, so they're matched with RE2 in linear time and
+// kept short so the compiled patterns stay small
+const MAX_REGEX_LENGTH = 200;
+
+// Compiled regexes by flags and pattern, or null for patterns that don't compile
+const regexCache = new Map<string, RE2JS | null>();
+
+// Condition keys that combine nested conditions instead of naming a peer field
+const GROUP_KEYS = ['all', 'any', 'not'];
+
 /**
- * Get all rules
+ * Get all rules, optionally only those targeting a node
  */
-export async function getAllRules() {
+export async function getAllRules(nodeId?: number) {
   try {
-    return await prisma.rule.findMany({
+    const rules = await prisma.rule.findMany({
       orderBy: { updatedAt: 'desc' }
     });
+
+    return nodeId !== undefined
+      ? rules.filter(rule => ruleTargetsNode(rule, nodeId))
+      : rules;
   } catch (error) {
     console.error('Error getting rules:', error);
     throw error;
@@ -45,11 +81,12 @@ export async function createRule(ruleData: {
   description?: string;
   conditions: string;
   actions: string;
+  nodeIds?: string | null;
   isActive: boolean;
 }) {
   try {
     // Validate JSON strings
-    JSON.parse(ruleData.conditions);
+    validateConditions(JSON.parse(ruleData.conditions));
     JSON.parse(ruleData.actions);
 
     return await prisma.rule.create({
@@ -71,13 +108,18 @@ export async function updateRule(
     description?: string;
     conditions?: string;
     actions?: string;
+    nodeIds?: string | null;
     isActive?: boolean;
   }
 ) {
   try {
-    // Validate JSON strings if provided
+    // Validate JSON strings if provided. Unchanged conditions are left alone, so rules saved before
+    // conditions were validated can still be saved as they are
     if (ruleData.conditions) {
-      JSON.parse(ruleData.conditions);
+      const existing = await prisma.rule.findUnique({ where: { id }, select: { conditions: true } });
+      if (!existing || existing.conditions !== ruleData.conditions) {
+        validateConditions(JSON.parse(ruleData.conditions));
+      }
     }
     if (ruleData.actions) {
       JSON.parse(ruleData.actions);
@@ -118,13 +160,20 @@ export async function deleteRule(id: number) {
  */
 export async function getRuleLogs(options: {
   ruleId?: number;
+  nodeId?: number;
   limit?: number;
   offset?: number;
 }) {
   try {
-    const { ruleId, limit = 50, offset = 0 } = options;
+    const { ruleId, nodeId, limit = 50, offset = 0 } = options;
 
-    const where = ruleId ? { ruleId } : {};
+    const where: { ruleId?: number; nodeId?: number } = {};
+    if (ruleId) {
+      where.ruleId = ruleId;
+    }
+    if (nodeId !== undefined) {
+      where.nodeId = nodeId;
+    }
 
     const [logs, total] = await Promise.all([
       prisma.ruleLog.findMany({
@@ -151,9 +200,10 @@ export async function getRuleLogs(options: {
 }
 
 /**
- * Execute a rule against all peers
+ * Execute a rule against all peers of its target nodes
+ * If a node ID is given, the rule only runs against that node
  */
-export async function executeRule(ruleId: number) {
+export async function executeRule(ruleId: number, nodeId?: number) {
   try {
     // Get the rule
     const rule = await prisma.rule.findUnique({
@@ -173,58 +223,129 @@ export async function executeRule(ruleId: number) {
       };
     }
 
-    // Get all peers
-    const peersResponse = await bitcoinService.getPeers();
-    const peers = peersResponse.data || [];
+    if (nodeId !== undefined && !ruleTargetsNode(rule, nodeId)) {
+      return {
+        success: false,
+        message: 'Rule does not target the selected node',
+        matchedPeers: 0,
+        actionsExecuted: 0
+      };
+    }
 
     // Parse rule conditions and actions
     const conditions = JSON.parse(rule.conditions);
     const actions = JSON.parse(rule.actions);
 
-    // Filter peers that match the conditions
-    const matchedPeers = peers.filter(peer => evaluateConditions(peer, conditions));
-
-    // Execute actions on matched peers
-    let actionsExecuted = 0;
+    const targetNodeIds = nodeId !== undefined ? [nodeId] : await getRuleTargetNodes(rule);
+    const nodeResults = [];
 
-    for (const peer of matchedPeers) {
+    for (const targetNodeId of targetNodeIds) {
+      // Get all peers of the node
+      let peersResponse;
       try {
-        const result = await executeActions(peer, actions);
-
-        // Log the rule execution
-        await prisma.ruleLog.create({
-          data: {
-            ruleId: rule.id,
-            peerInfo: JSON.stringify(peer),
-            actionTaken: actions.action,
-            result: result.message
-          }
-        });
+        peersResponse = await bitcoinService.getPeers({}, {}, needsGeolocation(conditions), true, targetNodeId);
+      } catch (peersError) {
+        console.error(`Error getting peers for rule ${rule.id}:`, peersError.message);
+        nodeResults.push({ nodeId: targetNodeId ?? null, matchedPeers: 0, actionsExecuted: 0, error: peersError.message });
+        continue;
+      }
 
-        if (result.success) {
-          actionsExecuted++;
-        }
-      } catch (actionError) {
-        console.error(`Error executing action for peer ${peer.addr}:`, actionError);
-
-        // Log the error
-        await prisma.ruleLog.create({
-          data: {
-            ruleId: rule.id,
-            peerInfo: JSON.stringify(peer),
-            actionTaken: actions.action,
-            result: `Error: ${actionError.message}`
+      // Never act on mock peers that stand in for a node we couldn't reach
+      if (peersResponse.source === 'mock' && peersResponse.sourceError) {
+        console.log(`Skipping rule ${rule.id} on mock peer data: ${peersResponse.sourceError}`);
+        nodeResults.push({ nodeId: targetNodeId ?? null, matchedPeers: 0, actionsExecuted: 0, error: peersResponse.sourceError });
+        continue;
+      }
+
+      const peers = peersResponse.data || [];
+
+      // Filter peers that match the conditions
+      const matchedPeers = peers.filter(peer => peerMatchesConditions(peer, conditions));
+
+      // Execute actions on matched peers
+      let actionsExecuted = 0;
+
+      for (const peer of matchedPeers) {
+        try {
+          const result = await executeActions(peer, actions, targetNodeId, rule);
+
+          // Log the rule execution
+          await prisma.ruleLog.create({
+            data: {
+              ruleId: rule.id,
+              nodeId: targetNodeId ?? null,
+              peerInfo: JSON.stringify(peer),
+              actionTaken: actions.action,
+              result: result.message
+            }
+          });
+
+          if (result.success) {
+            actionsExecuted++;
+            peerHistoryService.noteDisconnectReason(
+              targetNodeId,
+              { peerId: peer.id },
+              `${actions.action === 'ban' ? 'Banned' : 'Disconnected'} by rule "${rule.name}"`
+            );
           }
-        });
+        } catch (actionError) {
+          console.error(`Error executing action for peer ${peer.addr}:`, actionError);
+
+          // Log the error
+          await prisma.ruleLog.create({
+            data: {
+              ruleId: rule.id,
+              nodeId: targetNodeId ?? null,
+              peerInfo: JSON.stringify(peer),
+              actionTaken: actions.action,
+              result: `Error: ${actionError.message}`
+            }
+          });
+        }
+      }
+
+      nodeResults.push({
+        nodeId: targetNodeId ?? null,
+        matchedPeers: matchedPeers.length,
+        actionsExecuted
+      });
+
+      // Push the node's changed peers and bans to subscribed clients
+      if (actionsExecuted > 0) {
+        liveUpdatesService.notifyChange('peers', targetNodeId);
+        liveUpdatesService.notifyChange('bans', targetNodeId);
       }
     }
 
-    return {
-      success: true,
-      message: `Rule executed successfully. Matched ${matchedPeers.length} peers, executed ${actionsExecuted} actions.`,
-      matchedPeers: matchedPeers.length,
-      actionsExecuted
-    };
+    const matchedPeers = nodeResults.reduce((sum, result) => sum + result.matchedPeers, 0);
+    const actionsExecuted = nodeResults.reduce((sum, result) => sum + result.actionsExecuted, 0);
+    const failedNodes = nodeResults.filter(result => result.error).length;
+
+    const result = failedNodes > 0 && failedNodes === nodeResults.length
+      ? {
+        success: false,
+        message: `Rule could not be executed: ${nodeResults[0].error}`,
+        matchedPeers,
+        actionsExecuted,
+        nodes: nodeResults
+      }
+      : {
+        success: true,
+        message: `Rule executed successfully on ${nodeResults.length - failedNodes} node(s)${failedNodes > 0 ? ` (${failedNodes} unreachable)` : ''}. Matched ${matchedPeers} peers, executed ${actionsExecuted} actions.`,
+        matchedPeers,
+        actionsExecuted,
+        nodes: nodeResults
+      };
+
+    // Push the result to clients following rule executions
+    emitToChannel('rules', 'rules:executed', {
+      ruleId: rule.id,
+      ruleName: rule.name,
+      executedAt: new Date(),
+      ...result
+    });
+
+    return result;
   } catch (error) {
     console.error(`Error executing rule ${ruleId}:`, error);
     throw error;
@@ -232,20 +353,23 @@ export async function executeRule(ruleId: number) {
 }
 
 /**
- * Execute all active rules
+ * Execute all active rules, optionally only those targeting a node
  */
-export async function executeAllRules() {
+export async function executeAllRules(nodeId?: number) {
   try {
     // Get all active rules
-    const rules = await prisma.rule.findMany({
+    const activeRules = await prisma.rule.findMany({
       where: { isActive: true }
     });
+    const rules = nodeId !== undefined
+      ? activeRules.filter(rule => ruleTargetsNode(rule, nodeId))
+      : activeRules;
 
     const results = [];
 
     for (const rule of rules) {
       try {
-        const result = await executeRule(rule.id);
+        const result = await executeRule(rule.id, nodeId);
         results.push({
           ruleId: rule.id,
           ruleName: rule.name,
@@ -269,8 +393,127 @@ export async function executeAllRules() {
   }
 }
 
+/**
+ * Parse the node IDs a rule targets (null targets all nodes)
+ */
+function parseRuleNodeIds(rule: { nodeIds: string | null }): number[] | null {
+  const nodeIds = rule.nodeIds ? JSON.parse(rule.nodeIds) : null;
+  return Array.isArray(nodeIds) && nodeIds.length > 0 ? nodeIds : null;
+}
+
+/**
+ * Check if a rule targets a node
+ */
+function ruleTargetsNode(rule: { nodeIds: string | null }, nodeId: number): boolean {
+  const nodeIds = parseRuleNodeIds(rule);
+  return !nodeIds || nodeIds.includes(nodeId);
+}
+
+/**
+ * Get the nodes a rule runs against
+ * Rules targeting all nodes run against every node that serves requests
+ */
+async function getRuleTargetNodes(rule: { nodeIds: string | null }): Promise<(number | undefined)[]> {
+  const nodeIds = parseRuleNodeIds(rule);
+  if (nodeIds) {
+    return nodeIds;
+  }
+
+  return nodeService.getServingNodeIds();
+}
+
+/**
+ * Check that nested condition groups are well formed:
+ * { "all": [conditions, ...] }, { "any": [conditions, ...] } and { "not": conditions }
+ * @throws An error with code INVALID_RULE_CONDITIONS naming the malformed part
+ */
+export function validateConditions(conditions: any, path = 'conditions') {
+  const invalid = (message: string) => {
+    const error: any = new Error(`Invalid ${path}: ${message}`);
+    error.code = 'INVALID_RULE_CONDITIONS';
+    return error;
+  };
+
+  if (typeof conditions !== 'object' || conditions === null || Array.isArray(conditions)) {
+    throw invalid('expected an object of fields or an all, any or not group');
+  }
+
+  for (const [key, condition] of Object.entries(conditions)) {
+    if (key === 'all' || key === 'any') {
+      if (!Array.isArray(condition) || condition.length === 0) {
+        throw invalid(`${key} must be a non-empty array of conditions`);
+      }
+      condition.forEach((group, index) => validateConditions(group, `${path}.${key}[${index}]`));
+    } else if (key === 'not') {
+      validateConditions(condition, `${path}.not`);
+    } else if (typeof condition === 'object' && condition !== null && !Array.isArray(condition)) {
+      const message = validateOperators(condition);
+      if (message) {
+        throw invalid(`${key}: ${message}`);
+      }
+    }
+  }
+}
+
+/**
+ * Check the operators of a field condition and their operands
+ * @returns An error message, or null if the condition is valid
+ */
+function validateOperators(condition: object): string | null {
+  for (const [operator, operand] of Object.entries(condition)) {
+    if (!OPERATORS.includes(operator)) {
+      return `unknown operator ${operator}`;
+    }
+
+    switch (operator) {
+      case 'ignoreCase':
+        if (typeof operand !== 'boolean') return 'ignoreCase needs true or false';
+        if (!Object.keys(condition).some(key => TEXT_OPERATORS.includes(key))) {
+          return `ignoreCase needs one of ${TEXT_OPERATORS.join(', ')}`;
+        }
+        break;
+      case 'in':
+      case 'notIn':
+        if (!Array.isArray(operand)) return `${operator} needs an array`;
+        break;
+      case 'between':
+        if (!Array.isArray(operand) || operand.length !== 2 || operand.some(bound => typeof bound !== 'number') || operand[0] > operand[1]) {
+          return 'between needs [min, max] numbers';
+        }
+        break;
+      case 'exists':
+        if (typeof operand !== 'boolean') return 'exists needs true or false';
+        break;
+      case 'regex':
+        try {
+          compileRegex(operand, condition['ignoreCase'] === true);
+        } catch (error) {
+          return error.message;
+        }
+        break;
+      case 'inSubnet': {
+        const invalidSubnet = asList(operand).find(subnet => !parseSubnet(String(subnet)));
+        if (invalidSubnet !== undefined) return `invalid subnet ${invalidSubnet}`;
+        break;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a peer from getpeerinfo, with its geolocation if the conditions need it, matches a rule's
+ * parsed conditions
+ */
+export function peerMatchesConditions(peer: any, conditions: any): boolean {
+  return evaluateConditions(enrichPeer(peer), conditions);
+}
+
 /**
  * Evaluate if a peer matches the given conditions
+ * Fields are ANDed together. The keys all, any and not hold nested conditions that must all match, that
+ * need one match, or that must not match, so a rule can combine fields with OR and repeat a field.
  */
 function evaluateConditions(peer: any, conditions: any): boolean {
   // If no conditions, return true
@@ -280,10 +523,17 @@ function evaluateConditions(peer: any, conditions: any): boolean {
 
   // Check each condition
   for (const [field, condition] of Object.entries(conditions)) {
+    if (GROUP_KEYS.includes(field)) {
+      if (!evaluateGroup(peer, field, condition)) {
+        return false;
+      }
+      continue;
+    }
+
     const value = getNestedValue(peer, field);
 
-    // Skip if the field doesn't exist
-    if (value === undefined) {
+    // Skip if the field doesn't exist, unless the condition checks that
+    if (value === undefined && !(typeof condition === 'object' && condition !== null && 'exists' in condition)) {
       return false;
     }
 
@@ -296,6 +546,73 @@ function evaluateConditions(peer: any, conditions: any): boolean {
   return true;
 }
 
+/**
+ * Evaluate an all, any or not group of conditions
+ */
+function evaluateGroup(peer: any, key: string, group: any): boolean {
+  switch (key) {
+    case 'all':
+      return asList(group).every(conditions => evaluateConditions(peer, conditions));
+    case 'any':
+      return asList(group).some(conditions => evaluateConditions(peer, conditions));
+    case 'not':
+      return !evaluateConditions(peer, group);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Get the items of an all or any group or an inSubnet operand; a single value counts as a list of one
+ */
+function asList(value: any): any[] {
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Get the peer fields conditions match, including those inside all, any and not groups
+ */
+function getConditionFields(conditions: any): string[] {
+  return Object.entries(conditions || {}).flatMap(([key, condition]) => {
+    if (key === 'all' || key === 'any') {
+      return asList(condition).flatMap(getConditionFields);
+    }
+    if (key === 'not') {
+      return getConditionFields(condition);
+    }
+    return [key];
+  });
+}
+
+/**
+ * Check whether conditions match fields that are only complete with the peers' geolocation
+ */
+function needsGeolocation(conditions: any): boolean {
+  return getConditionFields(conditions).some(field => GEOLOCATION_FIELDS.includes(field.split('.')[0]));
+}
+
+/**
+ * Add the host, port, network and IP of a peer's address and its geolocation fields, so conditions can
+ * match them. The IP is null for Tor and I2P peers; fields getpeerinfo reports win over geolocation ones.
+ */
+function enrichPeer(peer: any): any {
+  const address = parsePeerAddress(peer);
+  const geolocation = {};
+
+  for (const field of GEOLOCATION_DATA_FIELDS) {
+    if (peer.geolocation && peer.geolocation[field] !== undefined) {
+      geolocation[field] = peer.geolocation[field];
+    }
+  }
+
+  return {
+    ...geolocation,
+    ...peer,
+    ...address,
+    ip: ['ipv4', 'ipv6', 'cjdns'].includes(address.network) && parseSubnet(address.host) ? address.host : null
+  };
+}
+
 /**
  * Get a nested value from an object using dot notation
  */
@@ -307,6 +624,7 @@ function getNestedValue(obj: any, path: string): any {
 
 /**
  * Evaluate a single condition
+ * With ignoreCase: true, eq, neq, contains, startsWith, endsWith, regex, in and notIn ignore case.
  */
 function evaluateCondition(value: any, condition: any): boolean {
   // If condition is a primitive value, compare directly
@@ -314,14 +632,23 @@ function evaluateCondition(value: any, condition: any): boolean {
     return value === condition;
   }
 
+  // ignoreCase on its own would match every peer
+  if ('ignoreCase' in condition && Object.keys(condition).length === 1) {
+    console.warn('Rule condition has ignoreCase without an operator');
+    return false;
+  }
+
+  const fold = (text: any) => (condition.ignoreCase === true && typeof text === 'string' ? text.toLowerCase() : text);
+  const folded = fold(value);
+
   // Check each operator
   for (const [operator, operand] of Object.entries(condition)) {
     switch (operator) {
       case 'eq':
-        if (value !== operand) return false;
+        if (folded !== fold(operand)) return false;
         break;
       case 'neq':
-        if (value === operand) return false;
+        if (folded === fold(operand)) return false;
         break;
       case 'gt':
         if (typeof value !== 'number' || value <= Number(operand)) return false;
@@ -335,17 +662,34 @@ function evaluateCondition(value: any, condition: any): boolean {
       case 'lte':
         if (typeof value !== 'number' || value > Number(operand)) return false;
         break;
+      case 'between':
+        if (typeof value !== 'number' || !Array.isArray(operand) || value < Number(operand[0]) || value > Number(operand[1])) return false;
+        break;
       case 'contains':
-        if (typeof value !== 'string' || !value.includes(operand as string)) return false;
+        if (typeof value !== 'string' || !folded.includes(fold(operand))) return false;
         break;
       case 'startsWith':
-        if (typeof value !== 'string' || !value.startsWith(operand as string)) return false;
+        if (typeof value !== 'string' || !folded.startsWith(fold(operand))) return false;
         break;
       case 'endsWith':
-        if (typeof value !== 'string' || !value.endsWith(operand as string)) return false;
+        if (typeof value !== 'string' || !folded.endsWith(fold(operand))) return false;
+        break;
+      case 'regex':
+        if (typeof value !== 'string' || !matchesRegex(value, operand, condition.ignoreCase === true)) return false;
         break;
       case 'in':
-        if (!Array.isArray(operand) || !operand.includes(value)) return false;
+        if (!Array.isArray(operand) || !operand.map(fold).includes(folded)) return false;
+        break;
+      case 'notIn':
+        if (!Array.isArray(operand) || operand.map(fold).includes(folded)) return false;
+        break;
+      case 'exists':
+        if ((value !== undefined && value !== null) !== Boolean(operand)) return false;
+        break;
+      case 'inSubnet':
+        if (typeof value !== 'string' || !inSubnet(value, operand)) return false;
+        break;
+      case 'ignoreCase':
         break;
       default:
         console.warn(`Unknown operator: ${operator}`);
@@ -356,19 +700,88 @@ function evaluateCondition(value: any, condition: any): boolean {
   return true;
 }
 
+/**
+ * Compile a regex with RE2, which matches in linear time but has no backreferences or lookarounds
+ * @throws An error with the reason if the regex is too long or isn't valid RE2 syntax
+ */
+function compileRegex(pattern: any, ignoreCase: boolean): RE2JS {
+  if (typeof pattern !== 'string') {
+    throw new Error('regex needs a string');
+  }
+  if (pattern.length > MAX_REGEX_LENGTH) {
+    throw new Error(`regex is longer than ${MAX_REGEX_LENGTH} characters`);
+  }
+
+  try {
+    return RE2JS.compile(pattern, ignoreCase ? RE2JS.CASE_INSENSITIVE : 0);
+  } catch (error) {
+    throw new Error(`invalid regex: ${error.message}`);
+  }
+}
+
+/**
+ * Check whether a value matches a regular expression; an invalid one matches nothing
+ */
+function matchesRegex(value: string, pattern: any, ignoreCase: boolean): boolean {
+  const key = `${ignoreCase ? 'i' : ''}/${pattern}`;
+
+  if (!regexCache.has(key)) {
+    let regex: RE2JS | null = null;
+    try {
+      regex = compileRegex(pattern, ignoreCase);
+    } catch (error) {
+      console.warn(`Invalid regex in rule condition ${pattern}: ${error.message}`);
+    }
+
+    // Rules rarely change, so the cache only outgrows them after many edits
+    if (regexCache.size >= 1000) {
+      regexCache.clear();
+    }
+    regexCache.set(key, regex);
+  }
+
+  const regex = regexCache.get(key);
+  return regex !== null && regex.test(value);
+}
+
+/**
+ * Check whether an address, with or without port, lies in a CIDR subnet or one of a list of them
+ */
+function inSubnet(address: string, subnets: any): boolean {
+  const { host } = parseAddress(address);
+
+  return asList(subnets).some(value => {
+    const subnet = parseSubnet(String(value));
+    return subnet !== null && subnetContains(subnet, host);
+  });
+}
+
 /**
  * Execute actions on a peer
+ * Bans are recorded with the rule that made them
  */
-async function executeActions(peer: any, actions: any): Promise<{ success: boolean; message: string }> {
+async function executeActions(peer: any, actions: any, nodeId: number | undefined, rule: { id: number; name: string }): Promise<{ success: boolean; message: string }> {
   const { action } = actions;
 
   switch (action) {
     case 'ban':
       const banTime = actions.banTime || 86400; // Default to 24 hours
-      return await bitcoinService.banPeer(peer.addr, banTime);
+      const { host, network } = parsePeerAddress(peer);
+
+      // setban only takes IP addresses, and inbound Tor and I2P peers show up with the proxy's
+      if (!isBannable(network)) {
+        return { success: false, message: `Cannot ban ${network} peer ${peer.addr}, disconnect it instead` };
+      }
+
+      return await banService.banPeer(host, banTime, nodeId, {
+        source: 'rule',
+        reason: `Matched rule "${rule.name}"`,
+        ruleId: rule.id,
+        peers: [peer]
+      });
 
     case 'disconnect':
-      return await bitcoinService.disconnectPeer(peer.id);
+      return await bitcoinService.disconnectPeer(peer.id, nodeId);
 
     default:
       return { success: false, message: `Unknown action: ${action}` };
@@ -0,0 +1,160 @@
+import { Server, Socket } from 'socket.io';
+import { verifyToken } from './auth.service';
+import { getDefaultNodeId, getNodeById } from './node.service';
+
+/**
+ * Channels clients can subscribe to
+ * All but 'rules' are scoped to a node
+ */
+export type LiveChannel = 'node' | 'peers' | 'bans' | 'rules' | 'blocks' | 'mempool';
+
+const LIVE_CHANNELS: LiveChannel[] = ['node', 'peers', 'bans', 'rules', 'blocks', 'mempool'];
+
+// The Socket.io server created in index.ts
+let io: Server | null = null;
+
+/**
+ * Get the room of a channel; node channels have a room per node ('env' for the node configured through env vars)
+ */
+function roomName(channel: LiveChannel, nodeId: number | null = null): string {
+  if (channel === 'rules') {
+    return 'rules';
+  }
+  return `${channel}:${nodeId === null ? 'env' : nodeId}`;
+}
+
+/**
+ * Set up the Socket.io server: authenticate clients and handle channel subscriptions
+ * Clients send their JWT in the handshake, e.g. io(url, { auth: { token } })
+ */
+export function initSocketServer(server: Server) {
+  io = server;
+
+  io.use((socket, next) => {
+    const token = socket.handshake.auth?.token;
+
+    if (!token) {
+      return next(new Error('No token provided'));
+    }
+
+    verifyToken(token)
+      .then(user => {
+        socket.data.user = user;
+        next();
+      })
+      .catch(error => {
+        console.error('Socket authentication error:', error.message);
+        next(new Error('Invalid token'));
+      });
+  });
+
+  io.on('connection', (socket) => {
+    console.log(`Client connected: ${socket.id} (${socket.data.user?.username})`);
+
+    socket.on('subscribe', (request, ack) => {
+      subscribe(socket, request)
+        .then(result => typeof ack === 'function' && ack(result))
+        .catch(error => {
+          console.error(`Error subscribing client ${socket.id}:`, error);
+          if (typeof ack === 'function') ack({ error: error.message });
+        });
+    });
+
+    socket.on('unsubscribe', (request) => {
+      for (const channel of validChannels(request?.channels)) {
+        leaveChannel(socket, channel);
+      }
+    });
+
+    socket.on('disconnect', () => {
+      console.log('Client disconnected:', socket.id);
+    });
+  });
+}
+
+/**
+ * Keep only known channel names
+ */
+function validChannels(channels: any): LiveChannel[] {
+  return Array.isArray(channels) ? channels.filter(channel => LIVE_CHANNELS.includes(channel)) : [];
+}
+
+/**
+ * Leave every room of a channel
+ */
+function leaveChannel(socket: Socket, channel: LiveChannel) {
+  for (const room of socket.rooms) {
+    if (room === channel || room.startsWith(`${channel}:`)) {
+      socket.leave(room);
+    }
+  }
+}
+
+/**
+ * Subscribe a client to channels of a node
+ * Without a node ID, the client is subscribed to the default node
+ * @returns The ID of the node subscribed to (null for the node configured through env vars)
+ */
+async function subscribe(socket: Socket, request: { channels?: string[]; nodeId?: number | string | null }) {
+  const channels = validChannels(request?.channels);
+  const hasNodeChannels = channels.some(channel => channel !== 'rules');
+  let nodeId: number | null = null;
+
+  if (hasNodeChannels && request?.nodeId !== undefined && request?.nodeId !== null && request?.nodeId !== '') {
+    nodeId = Number(request.nodeId);
+    if (!Number.isInteger(nodeId) || !(await getNodeById(nodeId))) {
+      return { error: 'Node not found' };
+    }
+  } else if (hasNodeChannels) {
+    nodeId = await getDefaultNodeId();
+  }
+
+  for (const channel of channels) {
+    // A client follows one node per channel
+    leaveChannel(socket, channel);
+    socket.join(roomName(channel, nodeId));
+  }
+
+  return { nodeId, channels };
+}
+
+/**
+ * Get the nodes that have at least one subscriber on a channel
+ */
+export function getSubscribedNodes(channel: LiveChannel): (number | null)[] {
+  if (!io) {
+    return [];
+  }
+
+  const nodes: (number | null)[] = [];
+  for (const [room, sockets] of io.sockets.adapter.rooms) {
+    if (sockets.size > 0 && room.startsWith(`${channel}:`)) {
+      const key = room.slice(channel.length + 1);
+      nodes.push(key === 'env' ? null : Number(key));
+    }
+  }
+
+  return nodes;
+}
+
+/**
+ * Push an event to the subscribers of a node's channel
+ * @param channel The channel
+ * @param nodeId The node ID (null for the node configured through env vars)
+ * @param event The event name
+ * @param data The event payload
+ */
+export function emitToNode(channel: LiveChannel, nodeId: number | null, event: string, data: any) {
+  if (io) {
+    io.to(roomName(channel, nodeId)).emit(event, data);
+  }
+}
+
+/**
+ * Push an event to the subscribers of a channel that is not scoped to a node
+ */
+export function emitToChannel(channel: LiveChannel, event: string, data: any) {
+  if (io) {
+    io.to(roomName(channel)).emit(event, data);
+  }
+}
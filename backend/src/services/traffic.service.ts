@@ -0,0 +1,244 @@
+import { PrismaClient } from '@prisma/client';
+import * as bitcoinService from './bitcoin.service';
+import * as nodeService from './node.service';
+
+const prisma = new PrismaClient();
+
+// How often network totals are sampled (1 minute)
+const TRAFFIC_INTERVAL = 60 * 1000;
+
+// Samples older than this are deleted, unless TRAFFIC_RETENTION_DAYS is set
+const DEFAULT_RETENTION_DAYS = 30;
+
+// Ranges the traffic API accepts, in seconds
+export const TRAFFIC_RANGES: { [range: string]: number } = {
+  '1h': 60 * 60,
+  '6h': 6 * 60 * 60,
+  '24h': 24 * 60 * 60,
+  '7d': 7 * 24 * 60 * 60,
+  '30d': 30 * 24 * 60 * 60
+};
+
+// Most points returned for a range; longer ranges are averaged into buckets
+const MAX_POINTS = 240;
+
+// How many peers the per-peer throughput lists
+const TOP_PEERS = 10;
+
+let collectorIntervalId: NodeJS.Timeout | null = null;
+let collecting = false;
+
+/**
+ * Start sampling network totals in the background
+ * Per-peer byte counters are sampled by the peer history collector
+ */
+export function startTrafficCollector(interval = TRAFFIC_INTERVAL) {
+  if (collectorIntervalId) {
+    clearInterval(collectorIntervalId);
+  }
+
+  console.log(`Starting traffic collector with interval of ${interval / 1000} seconds`);
+
+  collectorIntervalId = setInterval(async () => {
+    // Skip a round if the previous one is still waiting for slow nodes
+    if (collecting) {
+      return;
+    }
+
+    collecting = true;
+    try {
+      await collectTraffic();
+    } catch (error) {
+      console.error('Error collecting traffic:', error);
+    } finally {
+      collecting = false;
+    }
+  }, interval);
+
+  return collectorIntervalId;
+}
+
+/**
+ * Stop the traffic collector
+ */
+export function stopTrafficCollector() {
+  if (collectorIntervalId) {
+    clearInterval(collectorIntervalId);
+    collectorIntervalId = null;
+    console.log('Traffic collector stopped');
+  }
+}
+
+/**
+ * Sample the network totals of every node that serves requests once, and delete expired samples
+ */
+export async function collectTraffic() {
+  const nodeIds = await nodeService.getServingNodeIds();
+
+  for (const nodeId of nodeIds) {
+    try {
+      const result = await bitcoinService.getNetTotals(nodeId);
+
+      // Mock totals would show up as traffic
+      if (result.source === 'mock') {
+        continue;
+      }
+
+      const totals = result.data;
+      const uploadTarget = totals.uploadtarget || {};
+
+      await prisma.trafficSample.create({
+        data: {
+          nodeId: nodeId ?? null,
+          totalBytesRecv: totals.totalbytesrecv || 0,
+          totalBytesSent: totals.totalbytessent || 0,
+          uploadTarget: uploadTarget.target || 0,
+          uploadTimeframe: uploadTarget.timeframe || 86400,
+          bytesLeftInCycle: uploadTarget.bytes_left_in_cycle || 0,
+          timeLeftInCycle: uploadTarget.time_left_in_cycle || 0,
+          targetReached: !!uploadTarget.target_reached
+        }
+      });
+    } catch (error) {
+      console.error(`Error sampling traffic of node ${nodeId ?? 'env'}:`, error.message);
+    }
+  }
+
+  const retentionDays = Number(process.env.TRAFFIC_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS;
+  await prisma.trafficSample.deleteMany({
+    where: { timestamp: { lt: new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000) } }
+  });
+}
+
+/**
+ * Get the bytes a counter grew by between two samples
+ * Counters restart from zero when the node restarts
+ */
+function counterDelta(previous: number, current: number): number {
+  return current >= previous ? current - previous : current;
+}
+
+/**
+ * Get a node's traffic over a range: total throughput, upload target usage and the busiest peers
+ * @param nodeId The node ID as passed to bitcoin.service (undefined for the default node)
+ * @param range One of TRAFFIC_RANGES
+ */
+export async function getTraffic(nodeId: number | undefined, range: string) {
+  try {
+    const resolvedNodeId = nodeId !== undefined ? nodeId : await nodeService.getDefaultNodeId();
+    const rangeMs = TRAFFIC_RANGES[range] * 1000;
+    const now = Date.now();
+    const from = new Date(now - rangeMs);
+
+    const samples = await prisma.trafficSample.findMany({
+      where: { nodeId: resolvedNodeId, timestamp: { gte: from } },
+      orderBy: { timestamp: 'asc' }
+    });
+
+    // Sum the traffic between consecutive samples into buckets
+    const bucketMs = Math.max(TRAFFIC_INTERVAL, Math.ceil(rangeMs / MAX_POINTS));
+    const buckets = new Map<number, { sent: number; recv: number; seconds: number }>();
+    let totalSent = 0;
+    let totalRecv = 0;
+
+    for (let i = 1; i < samples.length; i++) {
+      const previous = samples[i - 1];
+      const current = samples[i];
+      const sent = counterDelta(previous.totalBytesSent, current.totalBytesSent);
+      const recv = counterDelta(previous.totalBytesRecv, current.totalBytesRecv);
+      const seconds = (current.timestamp.getTime() - previous.timestamp.getTime()) / 1000;
+
+      const index = Math.floor((current.timestamp.getTime() - from.getTime()) / bucketMs);
+      const bucket = buckets.get(index) || { sent: 0, recv: 0, seconds: 0 };
+      bucket.sent += sent;
+      bucket.recv += recv;
+      bucket.seconds += seconds;
+      buckets.set(index, bucket);
+
+      totalSent += sent;
+      totalRecv += recv;
+    }
+
+    const points = [...buckets.entries()].map(([index, bucket]) => ({
+      timestamp: new Date(from.getTime() + index * bucketMs),
+      bytesSent: bucket.sent,
+      bytesRecv: bucket.recv,
+      sentRate: bucket.seconds > 0 ? bucket.sent / bucket.seconds : 0,
+      recvRate: bucket.seconds > 0 ? bucket.recv / bucket.seconds : 0
+    }));
+
+    const latest = samples[samples.length - 1];
+    const uploadTarget = latest && latest.uploadTarget > 0
+      ? {
+        target: latest.uploadTarget,
+        timeframe: latest.uploadTimeframe,
+        used: Math.max(0, latest.uploadTarget - latest.bytesLeftInCycle),
+        bytesLeftInCycle: latest.bytesLeftInCycle,
+        timeLeftInCycle: latest.timeLeftInCycle,
+        targetReached: latest.targetReached,
+        resetsAt: new Date(latest.timestamp.getTime() + latest.timeLeftInCycle * 1000)
+      }
+      : null;
+
+    return {
+      range,
+      from,
+      to: new Date(now),
+      bucketSeconds: bucketMs / 1000,
+      totals: {
+        bytesSent: totalSent,
+        bytesRecv: totalRecv,
+        sentRate: totalSent / (rangeMs / 1000),
+        recvRate: totalRecv / (rangeMs / 1000)
+      },
+      points,
+      uploadTarget,
+      peers: await getPeerThroughput(resolvedNodeId, from, rangeMs / 1000),
+      lastSampled: latest ? latest.timestamp : null
+    };
+  } catch (error) {
+    console.error('Error getting traffic:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the peers that moved the most bytes since a time, from the peer history samples
+ */
+async function getPeerThroughput(nodeId: number | null, from: Date, rangeSeconds: number) {
+  const counters = await prisma.peerSample.groupBy({
+    by: ['sessionId'],
+    where: { timestamp: { gte: from }, session: { nodeId } },
+    _min: { bytesSent: true, bytesRecv: true },
+    _max: { bytesSent: true, bytesRecv: true }
+  });
+
+  const sessions = await prisma.peerSession.findMany({
+    where: { id: { in: counters.map(counter => counter.sessionId) } }
+  });
+  const sessionsById = new Map(sessions.map(session => [session.id, session]));
+
+  return counters
+    .map(counter => {
+      const session = sessionsById.get(counter.sessionId);
+
+      // Sessions that started in the range count all their bytes, others only what they moved since
+      const startedInRange = session.connectedAt >= from;
+      const bytesSent = counter._max.bytesSent - (startedInRange ? 0 : counter._min.bytesSent);
+      const bytesRecv = counter._max.bytesRecv - (startedInRange ? 0 : counter._min.bytesRecv);
+
+      return {
+        sessionId: session.id,
+        peerId: session.peerId,
+        addr: session.addr,
+        subver: session.subver,
+        connected: session.disconnectedAt === null,
+        bytesSent,
+        bytesRecv,
+        sentRate: bytesSent / rangeSeconds,
+        recvRate: bytesRecv / rangeSeconds
+      };
+    })
+    .sort((a, b) => (b.bytesSent + b.bytesRecv) - (a.bytesSent + a.bytesRecv))
+    .slice(0, TOP_PEERS);
+}
@@ -0,0 +1,263 @@
+import { PrismaClient, WebHoster } from '@prisma/client';
+import { parsePeerAddress, parseSubnet, formatSubnet, subnetContains, isGeolocatable, Subnet } from '../utils/address';
+import { parseCsv } from '../utils/csv';
+
+const prisma = new PrismaClient();
+
+// Accepted CSV column names of each field, for lists exported from other tools
+const CSV_COLUMNS = {
+  name: ['name', 'provider', 'hoster', 'organization', 'org'],
+  asn: ['asn', 'as'],
+  ipRange: ['ip_range', 'iprange', 'range', 'cidr', 'network', 'prefix', 'subnet'],
+  notes: ['notes', 'note', 'comment', 'description']
+};
+
+interface Matcher {
+  hoster: WebHoster;
+  asn: number | null;
+  subnet: Subnet | null;
+}
+
+// Entries with their parsed ASN and range, loaded on first use and after every change
+let matchers: Promise<Matcher[]> | null = null;
+
+export interface WebHosterInput {
+  name: string;
+  asn?: string | null;
+  ipRange?: string | null;
+  notes?: string | null;
+}
+
+/**
+ * Create an error for an invalid entry
+ */
+function invalidEntry(message: string) {
+  const error: any = new Error(message);
+  error.code = 'INVALID_WEB_HOSTER';
+  return error;
+}
+
+/**
+ * Get the number of an ASN like AS24940, 24940 or "AS24940 Hetzner Online GmbH" as geolocation reports it
+ * @returns The number, or null if the value isn't an ASN
+ */
+export function parseAsn(value: any): number | null {
+  const match = String(value ?? '').trim().match(/^(?:AS)?(\d+)(?:\s|$)/i);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Validate an entry and bring its ASN and range into the stored form: AS24940 and 1.2.3.0/24
+ * @throws An error with code INVALID_WEB_HOSTER if a field is invalid
+ */
+function normalizeEntry(input: WebHosterInput): WebHosterInput {
+  const name = String(input.name ?? '').trim();
+  if (!name) {
+    throw invalidEntry('Name is required');
+  }
+
+  let asn: string | null = null;
+  if (input.asn !== undefined && input.asn !== null && String(input.asn).trim() !== '') {
+    const number = parseAsn(input.asn);
+    if (number === null) {
+      throw invalidEntry(`Invalid ASN: ${input.asn}. Use a number like 24940 or AS24940`);
+    }
+    asn = `AS${number}`;
+  }
+
+  let ipRange: string | null = null;
+  if (input.ipRange !== undefined && input.ipRange !== null && String(input.ipRange).trim() !== '') {
+    const subnet = parseSubnet(String(input.ipRange));
+    if (!subnet || subnet.prefix === 0) {
+      throw invalidEntry(`Invalid IP range: ${input.ipRange}. Use CIDR notation like 1.2.3.0/24 or 2001:db8::/32`);
+    }
+    ipRange = formatSubnet(subnet);
+  }
+
+  if (!asn && !ipRange) {
+    throw invalidEntry('An ASN or an IP range is required');
+  }
+
+  return { name, asn, ipRange, notes: input.notes ? String(input.notes).trim() || null : null };
+}
+
+/**
+ * Get all web hosting entries
+ */
+export async function getAllWebHosters() {
+  return prisma.webHoster.findMany({ orderBy: [{ name: 'asc' }, { id: 'asc' }] });
+}
+
+/**
+ * Get a web hosting entry by ID
+ */
+export async function getWebHosterById(id: number) {
+  return prisma.webHoster.findUnique({ where: { id } });
+}
+
+/**
+ * Create a web hosting entry
+ * @throws An error with code INVALID_WEB_HOSTER if a field is invalid
+ */
+export async function createWebHoster(input: WebHosterInput) {
+  const hoster = await prisma.webHoster.create({ data: normalizeEntry(input) as any });
+  clearMatchers();
+  return hoster;
+}
+
+/**
+ * Update a web hosting entry
+ * Fields that are undefined keep their stored value; null clears them.
+ * @returns The entry, or null if there's none with this ID
+ * @throws An error with code INVALID_WEB_HOSTER if a field is invalid
+ */
+export async function updateWebHoster(id: number, input: Partial<WebHosterInput>) {
+  const existing = await prisma.webHoster.findUnique({ where: { id } });
+  if (!existing) {
+    return null;
+  }
+
+  const changes = Object.fromEntries(Object.entries(input).filter(([, value]) => value !== undefined));
+  const hoster = await prisma.webHoster.update({
+    where: { id },
+    data: normalizeEntry({ ...existing, ...changes }) as any
+  });
+  clearMatchers();
+  return hoster;
+}
+
+/**
+ * Delete a web hosting entry
+ * @returns The deleted entry, or null if there's none with this ID
+ */
+export async function deleteWebHoster(id: number) {
+  const existing = await prisma.webHoster.findUnique({ where: { id } });
+  if (!existing) {
+    return null;
+  }
+
+  await prisma.webHoster.delete({ where: { id } });
+  clearMatchers();
+  return existing;
+}
+
+/**
+ * Import hosting and datacenter ASNs and ranges from CSV
+ * The header names the columns: name, asn, ip_range and notes, or common alternatives like cidr or
+ * provider. Each row needs a name and an ASN, an IP range or both. Rows already listed are skipped.
+ * @throws An error with code INVALID_WEB_HOSTER if the CSV has no usable header
+ */
+export async function importWebHosters(content: string) {
+  const rows = parseCsv(content);
+  const header = (rows[0] || []).map(column => column.trim().toLowerCase());
+  const columnOf = (field: keyof typeof CSV_COLUMNS) => header.findIndex(column => CSV_COLUMNS[field].includes(column));
+  const columns = { name: columnOf('name'), asn: columnOf('asn'), ipRange: columnOf('ipRange'), notes: columnOf('notes') };
+
+  if (columns.name === -1 || (columns.asn === -1 && columns.ipRange === -1)) {
+    throw invalidEntry('The CSV header needs a name column and an asn or ip_range column');
+  }
+
+  const existing = await prisma.webHoster.findMany();
+  const listed = new Set(existing.map(hoster => `${hoster.asn}|${hoster.ipRange}`));
+
+  const entries: WebHosterInput[] = [];
+  const skipped: { row: number; reason: string }[] = [];
+
+  rows.slice(1).forEach((row, index) => {
+    const valueOf = (column: number) => (column >= 0 ? row[column] : undefined);
+
+    try {
+      const entry = normalizeEntry({
+        name: valueOf(columns.name),
+        asn: valueOf(columns.asn),
+        ipRange: valueOf(columns.ipRange),
+        notes: valueOf(columns.notes)
+      });
+
+      const key = `${entry.asn}|${entry.ipRange}`;
+      if (listed.has(key)) {
+        skipped.push({ row: index + 1, reason: 'Already listed' });
+        return;
+      }
+
+      listed.add(key);
+      entries.push(entry);
+    } catch (error) {
+      skipped.push({ row: index + 1, reason: error.message });
+    }
+  });
+
+  if (entries.length > 0) {
+    await prisma.webHoster.createMany({ data: entries as any[] });
+    clearMatchers();
+  }
+
+  console.log(`Imported ${entries.length} web hosting entries, skipped ${skipped.length}`);
+
+  return { created: entries.length, skipped };
+}
+
+/**
+ * Drop the loaded entries so the next lookup reads the changed list
+ */
+function clearMatchers() {
+  matchers = null;
+}
+
+/**
+ * Get the entries with their parsed ASN and range
+ * The load itself is cached, so concurrent lookups share it and a load that finishes after a change
+ * doesn't replace the cleared cache with the old list.
+ */
+function getMatchers(): Promise<Matcher[]> {
+  if (!matchers) {
+    const loading = prisma.webHoster.findMany({ orderBy: { id: 'asc' } }).then(hosters => hosters.map(hoster => ({
+      hoster,
+      asn: hoster.asn ? parseAsn(hoster.asn) : null,
+      subnet: hoster.ipRange ? parseSubnet(hoster.ipRange) : null
+    })));
+
+    // Retry on the next lookup after a failed load
+    loading.catch(() => {
+      if (matchers === loading) {
+        clearMatchers();
+      }
+    });
+    matchers = loading;
+  }
+
+  return matchers;
+}
+
+/**
+ * Tag peers whose IP lies in a web hosting range or whose ASN is a web hosting ASN
+ * The ASN is bitcoind's mapped_as (with -asmap) or the one geolocation found, so ASN entries only match
+ * peers that have either. IP ranges win over ASNs, being more specific.
+ * @returns The peers with hosted (true or false) and hoster ({ id, name, match } or null)
+ */
+export async function tagHostedPeers(peers: any[]): Promise<any[]> {
+  let entries: Matcher[];
+  try {
+    entries = await getMatchers();
+  } catch (error) {
+    console.error('Error loading web hosting entries:', error.message);
+    return peers;
+  }
+
+  return peers.map(peer => {
+    const { host, network } = parsePeerAddress(peer);
+    const asns = [peer.mapped_as, parseAsn(peer.geolocation?.as)].filter(asn => typeof asn === 'number');
+
+    const byRange = isGeolocatable(network)
+      ? entries.find(entry => entry.subnet && subnetContains(entry.subnet, host))
+      : undefined;
+    const byAsn = byRange ? undefined : entries.find(entry => entry.asn !== null && asns.includes(entry.asn));
+    const match = byRange || byAsn;
+
+    return {
+      ...peer,
+      hosted: Boolean(match),
+      hoster: match ? { id: match.hoster.id, name: match.hoster.name, match: byRange ? 'ipRange' : 'asn' } : null
+    };
+  });
+}
@@ -0,0 +1,367 @@
+import crypto from 'crypto';
+import { getActiveNodeConnections, NodeConnection, ZmqEndpoints } from './node.service';
+import * as bitcoinService from './bitcoin.service';
+import * as blockExplorerService from './blockExplorer.service';
+import { emitToNode } from './socket.service';
+
+type ZmqTopic = keyof ZmqEndpoints;
+
+// How often mempool changes are batched into a single event
+const MEMPOOL_FLUSH_INTERVAL = 1000;
+
+interface ZmqSubscription {
+  connection: NodeConnection;
+  isDefault: boolean;
+  endpointsKey: string;
+  sockets: any[];
+  lastBlockHash: string | null;
+  lastSequence: { [topic: string]: number };
+  added: Map<string, { txid: string; vsize: number | null }>;
+  removed: Set<string>;
+  txSizes: Map<string, number>;
+  flushTimer: NodeJS.Timeout;
+}
+
+// Active subscriptions, keyed by node ID ('env' for the node configured through env vars)
+const subscriptions: { [node: string]: ZmqSubscription } = {};
+
+// The zeromq module, loaded on first use so the backend runs without it unless ZMQ is configured
+let zmq: typeof import('zeromq') | null = null;
+
+/**
+ * Start, restart or stop ZMQ subscribers so they match the configured nodes
+ * Call this on startup and whenever nodes are created, updated or deleted
+ */
+export async function refreshZmqSubscribers() {
+  try {
+    const nodes = await getActiveNodeConnections();
+    const wanted = new Set<string>();
+
+    for (const { connection, isDefault } of nodes) {
+      const endpoints = connection.zmq;
+      if (!endpoints.hashblock && !endpoints.rawtx && !endpoints.sequence) {
+        continue;
+      }
+
+      const key = connection.id === null ? 'env' : String(connection.id);
+      const endpointsKey = JSON.stringify(endpoints);
+      wanted.add(key);
+
+      const existing = subscriptions[key];
+      if (existing && existing.endpointsKey === endpointsKey) {
+        existing.connection = connection;
+        existing.isDefault = isDefault;
+        continue;
+      }
+
+      if (existing) {
+        stopSubscription(key);
+      }
+
+      await startSubscription(key, connection, isDefault, endpointsKey);
+    }
+
+    for (const key of Object.keys(subscriptions)) {
+      if (!wanted.has(key)) {
+        stopSubscription(key);
+      }
+    }
+  } catch (error) {
+    console.error('Error refreshing ZMQ subscribers:', error);
+  }
+}
+
+/**
+ * Stop all ZMQ subscribers
+ */
+export function stopZmqSubscribers() {
+  for (const key of Object.keys(subscriptions)) {
+    stopSubscription(key);
+  }
+}
+
+/**
+ * Subscribe to a node's ZMQ endpoints
+ * Topics published on the same endpoint share a socket
+ */
+async function startSubscription(key: string, connection: NodeConnection, isDefault: boolean, endpointsKey: string) {
+  if (!zmq) {
+    try {
+      zmq = await import('zeromq');
+    } catch (error) {
+      console.error('ZMQ endpoints are configured but the zeromq module could not be loaded:', error.message);
+      return;
+    }
+  }
+
+  const topicsByEndpoint: { [endpoint: string]: ZmqTopic[] } = {};
+  for (const topic of ['hashblock', 'rawtx', 'sequence'] as ZmqTopic[]) {
+    const endpoint = connection.zmq[topic];
+    if (endpoint) {
+      topicsByEndpoint[endpoint] = [...(topicsByEndpoint[endpoint] || []), topic];
+    }
+  }
+
+  const subscription: ZmqSubscription = {
+    connection,
+    isDefault,
+    endpointsKey,
+    sockets: [],
+    lastBlockHash: null,
+    lastSequence: {},
+    added: new Map(),
+    removed: new Set(),
+    txSizes: new Map(),
+    flushTimer: setInterval(() => flushMempoolChanges(subscription), MEMPOOL_FLUSH_INTERVAL)
+  };
+  subscriptions[key] = subscription;
+
+  for (const [endpoint, topics] of Object.entries(topicsByEndpoint)) {
+    const socket = new zmq.Subscriber();
+    socket.connect(endpoint);
+    topics.forEach(topic => socket.subscribe(topic));
+    subscription.sockets.push(socket);
+
+    console.log(`Subscribed to ZMQ ${topics.join(', ')} from Bitcoin node ${connection.name} at ${endpoint}`);
+    receiveMessages(subscription, socket);
+  }
+}
+
+/**
+ * Close a node's ZMQ sockets
+ */
+function stopSubscription(key: string) {
+  const subscription = subscriptions[key];
+  if (!subscription) {
+    return;
+  }
+
+  clearInterval(subscription.flushTimer);
+  subscription.sockets.forEach(socket => socket.close());
+  delete subscriptions[key];
+
+  console.log(`Unsubscribed from ZMQ notifications of Bitcoin node ${subscription.connection.name}`);
+}
+
+/**
+ * Handle messages from a socket until it is closed
+ */
+async function receiveMessages(subscription: ZmqSubscription, socket: any) {
+  try {
+    for await (const [topicFrame, body, sequenceFrame] of socket) {
+      const topic = topicFrame.toString() as ZmqTopic;
+
+      try {
+        checkSequence(subscription, topic, sequenceFrame);
+        handleMessage(subscription, topic, body);
+      } catch (error) {
+        console.error(`Error handling ZMQ ${topic} message from Bitcoin node ${subscription.connection.name}:`, error);
+      }
+    }
+  } catch (error) {
+    if (!socket.closed) {
+      console.error(`ZMQ subscriber for Bitcoin node ${subscription.connection.name} failed:`, error);
+    }
+  }
+}
+
+/**
+ * Detect dropped messages from the per-topic sequence number bitcoind sends with every message
+ * Cached data may have missed changes after a gap, so all of it is invalidated
+ */
+function checkSequence(subscription: ZmqSubscription, topic: string, sequenceFrame?: Buffer) {
+  if (!sequenceFrame || sequenceFrame.length < 4) {
+    return;
+  }
+
+  const sequence = sequenceFrame.readUInt32LE(0);
+  const last = subscription.lastSequence[topic];
+  subscription.lastSequence[topic] = sequence;
+
+  if (last !== undefined && sequence !== ((last + 1) >>> 0)) {
+    console.warn(`Missed ZMQ ${topic} messages from Bitcoin node ${subscription.connection.name} (${last} -> ${sequence})`);
+    invalidateBlockCaches(subscription);
+    invalidateExplorerCache(subscription, 'mempool');
+  }
+}
+
+/**
+ * Dispatch a ZMQ message by topic
+ */
+function handleMessage(subscription: ZmqSubscription, topic: ZmqTopic, body: Buffer) {
+  switch (topic) {
+    case 'hashblock':
+      handleBlockConnected(subscription, body.toString('hex'));
+      break;
+
+    case 'rawtx': {
+      const { txid, vsize } = parseRawTransaction(body);
+
+      // With the sequence topic, rawtx only provides sizes: it also fires for transactions in new blocks
+      if (subscription.connection.zmq.sequence) {
+        subscription.txSizes.set(txid, vsize);
+      } else {
+        subscription.added.set(txid, { txid, vsize });
+      }
+      break;
+    }
+
+    case 'sequence': {
+      // <32-byte hash><label>[<8-byte mempool sequence>]
+      const hash = body.subarray(0, 32).toString('hex');
+      const label = String.fromCharCode(body[32]);
+
+      if (label === 'C') {
+        handleBlockConnected(subscription, hash);
+      } else if (label === 'D') {
+        handleBlockDisconnected(subscription, hash);
+      } else if (label === 'A') {
+        subscription.removed.delete(hash);
+        subscription.added.set(hash, { txid: hash, vsize: null });
+      } else if (label === 'R') {
+        subscription.added.delete(hash);
+        subscription.removed.add(hash);
+        invalidateExplorerCache(subscription, 'transactions', hash);
+      }
+      break;
+    }
+  }
+}
+
+/**
+ * A new block was connected to the node's chain
+ */
+function handleBlockConnected(subscription: ZmqSubscription, hash: string) {
+  // hashblock and sequence both report every block
+  if (subscription.lastBlockHash === hash) {
+    return;
+  }
+  subscription.lastBlockHash = hash;
+
+  console.log(`ZMQ: new block ${hash} on Bitcoin node ${subscription.connection.name}`);
+  invalidateBlockCaches(subscription);
+  emitToNode('blocks', subscription.connection.id, 'block:connected', { nodeId: subscription.connection.id, hash });
+}
+
+/**
+ * A block was disconnected from the node's chain during a reorg
+ */
+function handleBlockDisconnected(subscription: ZmqSubscription, hash: string) {
+  console.log(`ZMQ: block ${hash} disconnected on Bitcoin node ${subscription.connection.name}`);
+
+  if (subscription.lastBlockHash === hash) {
+    subscription.lastBlockHash = null;
+  }
+
+  invalidateBlockCaches(subscription);
+  invalidateExplorerCache(subscription, 'blockDetails', hash);
+  emitToNode('blocks', subscription.connection.id, 'block:disconnected', { nodeId: subscription.connection.id, hash });
+}
+
+/**
+ * Send the mempool changes collected since the last flush
+ */
+function flushMempoolChanges(subscription: ZmqSubscription) {
+  if (subscription.added.size === 0 && subscription.removed.size === 0) {
+    subscription.txSizes.clear();
+    return;
+  }
+
+  const added = [...subscription.added.values()].map(tx => ({
+    txid: tx.txid,
+    vsize: tx.vsize ?? subscription.txSizes.get(tx.txid) ?? null
+  }));
+  const removed = [...subscription.removed];
+
+  subscription.added.clear();
+  subscription.removed.clear();
+  subscription.txSizes.clear();
+
+  invalidateExplorerCache(subscription, 'mempool');
+  emitToNode('mempool', subscription.connection.id, 'mempool:update', { nodeId: subscription.connection.id, added, removed });
+}
+
+/**
+ * Invalidate everything that changes with a new chain tip
+ */
+function invalidateBlockCaches(subscription: ZmqSubscription) {
+  bitcoinService.clearNodeCache('nodeInfo', subscription.connection);
+  invalidateExplorerCache(subscription, 'latestBlocks');
+  invalidateExplorerCache(subscription, 'mempool');
+
+  // Cached transactions may have been confirmed
+  invalidateExplorerCache(subscription, 'transactions');
+}
+
+/**
+ * Invalidate a block explorer cache entry of a node
+ * Requests without a node ID use a separate cache, which is cleared too if this node serves them
+ */
+function invalidateExplorerCache(subscription: ZmqSubscription, type: 'latestBlocks' | 'blockDetails' | 'transactions' | 'mempool', id?: string) {
+  const { connection, isDefault } = subscription;
+
+  if (connection.id !== null) {
+    blockExplorerService.clearCache(type, id, connection.id);
+  }
+  if (isDefault) {
+    blockExplorerService.clearCache(type, id);
+  }
+}
+
+/**
+ * Read a Bitcoin CompactSize integer
+ */
+function readVarInt(buffer: Buffer, offset: number): { value: number; offset: number } {
+  const first = buffer[offset];
+
+  if (first < 0xfd) return { value: first, offset: offset + 1 };
+  if (first === 0xfd) return { value: buffer.readUInt16LE(offset + 1), offset: offset + 3 };
+  if (first === 0xfe) return { value: buffer.readUInt32LE(offset + 1), offset: offset + 5 };
+  return { value: Number(buffer.readBigUInt64LE(offset + 1)), offset: offset + 9 };
+}
+
+/**
+ * Get the txid and virtual size of a serialized transaction
+ * The txid is the double SHA-256 of the transaction without witness data
+ */
+function parseRawTransaction(raw: Buffer): { txid: string; vsize: number } {
+  const hasWitness = raw[4] === 0x00 && raw[5] === 0x01;
+  let offset = hasWitness ? 6 : 4;
+  const bodyStart = offset;
+
+  const inputs = readVarInt(raw, offset);
+  offset = inputs.offset;
+  for (let i = 0; i < inputs.value; i++) {
+    const script = readVarInt(raw, offset + 36);
+    offset = script.offset + script.value + 4;
+  }
+
+  const outputs = readVarInt(raw, offset);
+  offset = outputs.offset;
+  for (let i = 0; i < outputs.value; i++) {
+    const script = readVarInt(raw, offset + 8);
+    offset = script.offset + script.value;
+  }
+
+  const bodyEnd = offset;
+
+  if (hasWitness) {
+    for (let i = 0; i < inputs.value; i++) {
+      const items = readVarInt(raw, offset);
+      offset = items.offset;
+      for (let j = 0; j < items.value; j++) {
+        const item = readVarInt(raw, offset);
+        offset = item.offset + item.value;
+      }
+    }
+  }
+
+  const stripped = Buffer.concat([raw.subarray(0, 4), raw.subarray(bodyStart, bodyEnd), raw.subarray(offset, offset + 4)]);
+  const hash = crypto.createHash('sha256').update(crypto.createHash('sha256').update(stripped).digest()).digest();
+  const weight = stripped.length * 3 + raw.length;
+
+  return {
+    txid: Buffer.from(hash).reverse().toString('hex'),
+    vsize: Math.ceil(weight / 4)
+  };
+}
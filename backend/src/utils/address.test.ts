@@ -0,0 +1,105 @@
+import { parseAddress, parsePeerAddress, getNetgroup, parseSubnet, formatSubnet, subnetContains, suggestSubnet, isBannable } from './address';
+
+describe('parseAddress', () => {
+  it('splits IPv4 and bracketed IPv6 addresses from their port', () => {
+    expect(parseAddress('1.2.3.4:8333')).toEqual({ host: '1.2.3.4', port: 8333, network: 'ipv4' });
+    expect(parseAddress('[2001:db8::1]:8333')).toEqual({ host: '2001:db8::1', port: 8333, network: 'ipv6' });
+  });
+
+  it('keeps bare IPv6 addresses whole', () => {
+    expect(parseAddress('2001:db8::1')).toEqual({ host: '2001:db8::1', port: null, network: 'ipv6' });
+  });
+
+  it('recognizes Tor and I2P hosts', () => {
+    expect(parseAddress('abcdefghijklmnop.onion:8333').network).toBe('onion');
+    expect(parseAddress('abcdefghijklmnop.b32.i2p:0').network).toBe('i2p');
+  });
+
+  it('only takes addresses in fc00::/8 for CJDNS', () => {
+    expect(parseAddress('[fc00::1]:8333').network).toBe('cjdns');
+    expect(parseAddress('FC12:3456::1').network).toBe('cjdns');
+    expect(parseAddress('fcd::1').network).toBe('ipv6');
+    expect(parseAddress('fc::1').network).toBe('ipv6');
+  });
+
+  it('prefers the network bitcoind reports for peers', () => {
+    expect(parsePeerAddress({ addr: '127.0.0.1:51234', network: 'onion' }).network).toBe('onion');
+    expect(parsePeerAddress({ addr: '127.0.0.1:51234', network: 'not_publicly_routable' }).network).toBe('ipv4');
+  });
+
+  it('only lets IP networks be banned', () => {
+    expect(isBannable('ipv4')).toBe(true);
+    expect(isBannable('cjdns')).toBe(true);
+    expect(isBannable('onion')).toBe(false);
+  });
+});
+
+describe('getNetgroup', () => {
+  it('groups IPv4 by /16, IPv6 by /32 and overlay networks by network', () => {
+    expect(getNetgroup(parseAddress('1.2.3.4:8333'))).toBe('1.2.0.0/16');
+    expect(getNetgroup(parseAddress('[2001:db8:1234::1]:8333'))).toBe('2001:db8::/32');
+    expect(getNetgroup(parseAddress('abcdefghijklmnop.onion:8333'))).toBe('onion');
+  });
+});
+
+describe('parseSubnet', () => {
+  it('clears host bits', () => {
+    expect(formatSubnet(parseSubnet('1.2.3.4/24'))).toBe('1.2.3.0/24');
+    expect(formatSubnet(parseSubnet('1.2.3.4/13'))).toBe('1.0.0.0/13');
+    expect(formatSubnet(parseSubnet('2001:db8:abcd:1234::1/48'))).toBe('2001:db8:abcd::/48');
+  });
+
+  it('treats bare addresses as single-address subnets', () => {
+    expect(formatSubnet(parseSubnet('1.2.3.4'))).toBe('1.2.3.4/32');
+    expect(formatSubnet(parseSubnet('[2001:db8::1]'))).toBe('2001:db8::1/128');
+  });
+
+  it('formats IPv6 subnets the way listbanned does', () => {
+    expect(formatSubnet(parseSubnet('2001:0db8:0000:0000:0001:0000:0000:0001'))).toBe('2001:db8::1:0:0:1/128');
+    expect(formatSubnet(parseSubnet('::ffff:1.2.3.4'))).toBe('::ffff:102:304/128');
+    expect(formatSubnet(parseSubnet('::/0'))).toBe('::/0');
+  });
+
+  it('rejects invalid addresses and prefixes', () => {
+    expect(parseSubnet('1.2.3.4/33')).toBeNull();
+    expect(parseSubnet('2001:db8::/129')).toBeNull();
+    expect(parseSubnet('1.2.3.4/-1')).toBeNull();
+    expect(parseSubnet('1.2.3.4/24/8')).toBeNull();
+    expect(parseSubnet('1.2.3.256')).toBeNull();
+    expect(parseSubnet('example.onion')).toBeNull();
+    expect(parseSubnet('')).toBeNull();
+  });
+});
+
+describe('subnetContains', () => {
+  it('matches addresses inside the prefix only', () => {
+    const subnet = parseSubnet('10.1.0.0/16');
+    expect(subnetContains(subnet, '10.1.255.255')).toBe(true);
+    expect(subnetContains(subnet, '10.2.0.0')).toBe(false);
+  });
+
+  it('handles prefixes that split a byte', () => {
+    const subnet = parseSubnet('192.168.0.0/23');
+    expect(subnetContains(subnet, '192.168.1.200')).toBe(true);
+    expect(subnetContains(subnet, '192.168.2.1')).toBe(false);
+  });
+
+  it('never matches across IP versions', () => {
+    expect(subnetContains(parseSubnet('::/0'), '1.2.3.4')).toBe(false);
+    expect(subnetContains(parseSubnet('0.0.0.0/0'), '2001:db8::1')).toBe(false);
+  });
+
+  it('matches IPv6 subnets', () => {
+    const subnet = parseSubnet('2a01:4f8::/32');
+    expect(subnetContains(subnet, '2a01:4f8:c0c:1::2')).toBe(true);
+    expect(subnetContains(subnet, '2a01:4f9::1')).toBe(false);
+  });
+});
+
+describe('suggestSubnet', () => {
+  it('suggests the /24 or /48 of an address', () => {
+    expect(suggestSubnet('1.2.3.4')).toBe('1.2.3.0/24');
+    expect(suggestSubnet('2001:db8:1:2::1')).toBe('2001:db8:1::/48');
+    expect(suggestSubnet('example.onion')).toBeNull();
+  });
+});
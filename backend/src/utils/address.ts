@@ -0,0 +1,246 @@
+import net from 'net';
+
+// Network types as reported by getpeerinfo and getnodeaddresses
+export type AddressNetwork = 'ipv4' | 'ipv6' | 'onion' | 'i2p' | 'cjdns' | 'unknown';
+
+export interface ParsedAddress {
+  host: string; // Without port or IPv6 brackets; subnets keep their prefix
+  port: number | null;
+  network: AddressNetwork;
+}
+
+/**
+ * Get the network of a host
+ * CJDNS addresses are IPv6 addresses in fc00::/8, so their first byte is 0xfc; fc::1 is 00fc::1
+ */
+function networkOfHost(host: string): AddressNetwork {
+  const ip = host.split('/')[0];
+
+  if (ip.endsWith('.onion')) return 'onion';
+  if (ip.endsWith('.i2p')) return 'i2p';
+  if (net.isIPv6(ip)) return expandIPv6(ip)[0] >> 8 === 0xfc ? 'cjdns' : 'ipv6';
+  if (net.isIPv4(ip)) return 'ipv4';
+  return 'unknown';
+}
+
+/**
+ * Split a peer or ban address into host, port and network
+ * Handles 1.2.3.4:8333, [2001:db8::1]:8333, bare IPv6 addresses, .onion and .b32.i2p hosts and subnets like 1.2.3.0/24
+ * @param addr The address, e.g. peer.addr from getpeerinfo
+ */
+export function parseAddress(addr: string): ParsedAddress {
+  const value = (addr || '').trim();
+
+  const bracketed = value.match(/^\[([^\]]+)\](?::(\d+))?$/);
+  if (bracketed) {
+    return {
+      host: bracketed[1],
+      port: bracketed[2] !== undefined ? Number(bracketed[2]) : null,
+      network: networkOfHost(bracketed[1])
+    };
+  }
+
+  // A single colon separates the port; several mean an IPv6 address without one
+  const separator = value.lastIndexOf(':');
+  if (separator !== -1 && value.indexOf(':') === separator && /^\d+$/.test(value.slice(separator + 1))) {
+    const host = value.slice(0, separator);
+    return { host, port: Number(value.slice(separator + 1)), network: networkOfHost(host) };
+  }
+
+  return { host: value, port: null, network: networkOfHost(value) };
+}
+
+/**
+ * Get a peer's parsed address, preferring the network bitcoind reports
+ * Inbound Tor and I2P peers show up with the local proxy's address, so only bitcoind knows their network
+ * @param peer A peer as returned by getpeerinfo
+ */
+export function parsePeerAddress(peer: { addr: string; network?: string }): ParsedAddress {
+  const parsed = parseAddress(peer.addr);
+  const reported = peer.network as AddressNetwork;
+
+  return ['ipv4', 'ipv6', 'onion', 'i2p', 'cjdns'].includes(reported)
+    ? { ...parsed, network: reported }
+    : parsed;
+}
+
+/**
+ * Check whether a network's addresses can be geolocated
+ * Tor, I2P and CJDNS addresses say nothing about where a peer is
+ */
+export function isGeolocatable(network: AddressNetwork): boolean {
+  return network === 'ipv4' || network === 'ipv6';
+}
+
+/**
+ * Check whether a network's addresses can be banned with setban, which only takes IP addresses and subnets
+ */
+export function isBannable(network: AddressNetwork): boolean {
+  return network === 'ipv4' || network === 'ipv6' || network === 'cjdns';
+}
+
+/**
+ * Expand an IPv6 address to its eight 16-bit groups
+ */
+function expandIPv6(ip: string): number[] {
+  const [head, tail] = ip.includes('::') ? ip.split('::') : [ip, null];
+  const parse = (part: string) => (part ? part.split(':') : []);
+
+  // An embedded IPv4 address like ::ffff:1.2.3.4 takes two groups
+  const groupsOf = (parts: string[]) => parts.flatMap(part => {
+    if (!net.isIPv4(part)) return [parseInt(part, 16)];
+    const [a, b, c, d] = part.split('.').map(Number);
+    return [(a << 8) | b, (c << 8) | d];
+  });
+
+  const headGroups = groupsOf(parse(head));
+  const tailGroups = tail !== null ? groupsOf(parse(tail)) : [];
+  const zeros = new Array(8 - headGroups.length - tailGroups.length).fill(0);
+
+  return [...headGroups, ...zeros, ...tailGroups];
+}
+
+/**
+ * Get the netgroup of an address, like bitcoind groups peers to spread its outbound connections:
+ * the /16 of IPv4 addresses, the /32 of IPv6 addresses, and one group per overlay network
+ */
+export function getNetgroup(address: ParsedAddress): string {
+  const ip = address.host.split('/')[0];
+
+  if (address.network === 'ipv4' && net.isIPv4(ip)) {
+    const [a, b] = ip.split('.');
+    return `${a}.${b}.0.0/16`;
+  }
+
+  if (address.network === 'ipv6' && net.isIPv6(ip)) {
+    const groups = expandIPv6(ip);
+    return `${groups[0].toString(16)}:${groups[1].toString(16)}::/32`;
+  }
+
+  return address.network;
+}
+
+export interface Subnet {
+  version: 4 | 6;
+  bytes: number[]; // Network address with the host bits cleared
+  prefix: number;
+}
+
+/**
+ * Convert an IP address to its bytes
+ */
+function ipToBytes(ip: string): number[] | null {
+  if (net.isIPv4(ip)) {
+    return ip.split('.').map(Number);
+  }
+
+  if (net.isIPv6(ip)) {
+    return expandIPv6(ip).flatMap(group => [group >> 8, group & 0xff]);
+  }
+
+  return null;
+}
+
+/**
+ * Format the bytes of an IP address, shortening the longest run of zero IPv6 groups to ::
+ */
+function bytesToIp(bytes: number[]): string {
+  if (bytes.length === 4) {
+    return bytes.join('.');
+  }
+
+  const groups = [];
+  for (let i = 0; i < bytes.length; i += 2) {
+    groups.push((bytes[i] << 8) | bytes[i + 1]);
+  }
+
+  let bestStart = -1;
+  let bestLength = 1;
+  for (let start = 0; start < groups.length; start++) {
+    let length = 0;
+    while (start + length < groups.length && groups[start + length] === 0) length++;
+    if (length > bestLength) {
+      bestStart = start;
+      bestLength = length;
+    }
+  }
+
+  const hex = groups.map(group => group.toString(16));
+  if (bestStart === -1) {
+    return hex.join(':');
+  }
+
+  return `${hex.slice(0, bestStart).join(':')}::${hex.slice(bestStart + bestLength).join(':')}`;
+}
+
+/**
+ * Parse an IP address or CIDR subnet like 1.2.3.0/24 or 2001:db8::/48
+ * Host bits are cleared, as setban does; a bare IP is a /32 (IPv4) or /128 (IPv6) subnet
+ * @returns The subnet, or null if the value isn't a valid IPv4 or IPv6 address or subnet
+ */
+export function parseSubnet(value: string): Subnet | null {
+  const [ip, prefixPart, ...rest] = (value || '').trim().replace(/^\[|\]$/g, '').split('/');
+  const bytes = ipToBytes(ip);
+
+  if (!bytes || rest.length > 0) {
+    return null;
+  }
+
+  const maxPrefix = bytes.length * 8;
+  if (prefixPart !== undefined && !/^\d{1,3}$/.test(prefixPart)) {
+    return null;
+  }
+
+  const prefix = prefixPart === undefined ? maxPrefix : Number(prefixPart);
+  if (prefix > maxPrefix) {
+    return null;
+  }
+
+  const masked = bytes.map((byte, index) => {
+    const bits = Math.min(8, Math.max(0, prefix - index * 8));
+    return byte & ((0xff << (8 - bits)) & 0xff);
+  });
+
+  return { version: bytes.length === 4 ? 4 : 6, bytes: masked, prefix };
+}
+
+/**
+ * Format a subnet the way listbanned reports it, e.g. 1.2.3.0/24
+ */
+export function formatSubnet(subnet: Subnet): string {
+  return `${bytesToIp(subnet.bytes)}/${subnet.prefix}`;
+}
+
+/**
+ * Check whether a subnet covers more than one address
+ */
+export function isRangeSubnet(subnet: Subnet): boolean {
+  return subnet.prefix < subnet.bytes.length * 8;
+}
+
+/**
+ * Check whether an IP address lies in a subnet
+ * @param ip The IP address without port
+ */
+export function subnetContains(subnet: Subnet, ip: string): boolean {
+  const address = parseSubnet(ip);
+  if (!address || address.version !== subnet.version) {
+    return false;
+  }
+
+  const masked = parseSubnet(`${bytesToIp(address.bytes)}/${subnet.prefix}`);
+  return masked.bytes.every((byte, index) => byte === subnet.bytes[index]);
+}
+
+/**
+ * Suggest the subnet to ban along with an address: its /24 (IPv4) or /48 (IPv6)
+ * @returns The subnet, or null for addresses that aren't IPv4 or IPv6
+ */
+export function suggestSubnet(ip: string): string | null {
+  const address = parseSubnet(ip);
+  if (!address) {
+    return null;
+  }
+
+  return formatSubnet(parseSubnet(`${bytesToIp(address.bytes)}/${address.version === 4 ? 24 : 48}`));
+}
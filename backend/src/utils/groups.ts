@@ -0,0 +1,26 @@
+export interface CountGroup {
+  key: string | null;
+  label: string;
+  count: number;
+}
+
+/**
+ * Count items per key, largest group first
+ * @param keyOf Returns the item's group, or null to leave the item out
+ */
+export function countGroups<T>(items: T[], keyOf: (item: T) => { key: string | null; label: string } | null): CountGroup[] {
+  const groups = new Map<string | null, CountGroup>();
+
+  for (const item of items) {
+    const group = keyOf(item);
+    if (!group) {
+      continue;
+    }
+
+    const existing = groups.get(group.key) || { ...group, count: 0 };
+    existing.count++;
+    groups.set(group.key, existing);
+  }
+
+  return [...groups.values()].sort((a, b) => b.count - a.count);
+}
@@ -3,11 +3,18 @@
 import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
 import api from '../../lib/api';
+import MockDataBanner from '../../components/common/MockDataBanner';
+import LiveIndicator from '../../components/common/LiveIndicator';
+import BanListTransfer from '../../components/BanListTransfer';
+import FirewallRulesPreview from '../../components/FirewallRulesPreview';
+import { useLiveChannel } from '../../lib/socket';
 
 export default function BannedPage() {
   const [bannedPeers, setBannedPeers] = useState([]);
+  const [recentUnbans, setRecentUnbans] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [dataSource, setDataSource] = useState({ source: null, sourceError: null });
   const router = useRouter();
 
   useEffect(() => {
@@ -25,11 +32,8 @@ export default function BannedPage() {
           // Check if the response has the new format with bannedPeers property
           if (response.data && response.data.bannedPeers) {
             setBannedPeers(response.data.bannedPeers);
-
-            // Show a warning if using mock data
-            if (response.data._isMockData) {
-              setError('Note: Displaying mock data because the Bitcoin node is unavailable.');
-            }
+            setRecentUnbans(response.data.recentUnbans || []);
+            setDataSource({ source: response.data.source, sourceError: response.data.sourceError });
           } else {
             // Handle old format for backward compatibility
             setBannedPeers(response.data);
@@ -57,6 +61,27 @@ export default function BannedPage() {
     fetchBannedPeers();
   }, [router]);
 
+  // Ban list changes, including bans by rules or other users, are pushed by the backend
+  const live = useLiveChannel(['bans'], {
+    'bans:update': (update) => {
+      setBannedPeers(update.bannedPeers);
+      setRecentUnbans(update.recentUnbans || []);
+      setDataSource({ source: update.source, sourceError: update.sourceError });
+    }
+  });
+
+  // Reload the ban list after an import, in case live updates aren't connected
+  const handleImported = async () => {
+    try {
+      const response = await api.get('/bitcoin/peers/banned');
+      setBannedPeers(response.data.bannedPeers);
+      setRecentUnbans(response.data.recentUnbans || []);
+      setDataSource({ source: response.data.source, sourceError: response.data.sourceError });
+    } catch (err) {
+      console.error('Error reloading banned peers:', err);
+    }
+  };
+
   const handleUnban = async (ip) => {
     try {
       if (typeof window !== 'undefined' && !localStorage.getItem('token')) return;
@@ -106,6 +131,23 @@ export default function BannedPage() {
     );
   }
 
+  // Describe what banned an address, from its ban record
+  const describeBanner = (record) => {
+    if (!record) return 'Outside btcnman';
+    if (record.source === 'rule') return `Rule ${record.ruleName ? `"${record.ruleName}"` : `#${record.ruleId} (deleted)`}`;
+    if (record.source === 'import') return `Imported by ${record.username || 'user'}`;
+    if (record.source === 'log') return 'Log ingestion';
+    return record.username || 'User';
+  };
+
+  // Describe the peers a ban covered when it was made
+  const describePeers = (record) => {
+    if (!record || record.peers.length === 0) return null;
+    const [first] = record.peers;
+    const details = [first.subver, first.inbound ? 'inbound' : first.connection_type].filter(Boolean).join(', ');
+    return record.peers.length === 1 ? `${first.addr} (${details})` : `${record.peers.length} peers, e.g. ${first.addr} (${details})`;
+  };
+
   // Format the ban time to a human-readable format
   const formatBanTime = (banTime) => {
     const now = Math.floor(Date.now() / 1000);
@@ -130,9 +172,12 @@ export default function BannedPage() {
 
   return (
     <div className="space-y-6">
+      <MockDataBanner source={dataSource.source} sourceError={dataSource.sourceError} />
+
       <div className="flex justify-between items-center">
         <h1 className="text-2xl font-bold">Banned Peers</h1>
-        <div className="flex space-x-2">
+        <div className="flex items-center space-x-2">
+          <LiveIndicator connected={live} />
           <button
             onClick={() => window.location.reload()}
             className="px-4 py-2 bg-indigo-600 text-white rounded hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500"
@@ -142,13 +187,24 @@ export default function BannedPage() {
         </div>
       </div>
 
+      <BanListTransfer onImported={handleImported} />
+
       <div className="bg-white shadow rounded-lg overflow-hidden">
         <div className="overflow-x-auto">
           <table className="min-w-full divide-y divide-gray-200">
             <thead className="bg-gray-50">
               <tr>
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  IP Address
+                  IP Address / Subnet
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Connected Peers Covered
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Banned By
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Reason
                 </th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                   Ban Until
@@ -166,12 +222,36 @@ export default function BannedPage() {
                 <tr key={index} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                     {peer.address}
+                    {peer.subnet && (
+                      <span className="ml-2 px-2 py-0.5 text-xs rounded bg-purple-100 text-purple-800">Subnet</span>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {peer.subnet ? (
+                      <span title="Peers with the noban permission stay connected inside a banned subnet">
+                        {peer.coveredPeers}
+                      </span>
+                    ) : (
+                      '-'
+                    )}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                    {new Date(peer.ban_until * 1000).toLocaleString()}
+                    {describeBanner(peer.record)}
+                    {peer.record && (
+                      <div className="text-xs text-gray-400">{new Date(peer.record.bannedAt).toLocaleString()}</div>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-500">
+                    {peer.record?.reason || '-'}
+                    {describePeers(peer.record) && (
+                      <div className="text-xs text-gray-400">{describePeers(peer.record)}</div>
+                    )}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                    {formatBanTime(peer.ban_until)}
+                    {new Date(peer.banned_until * 1000).toLocaleString()}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {formatBanTime(peer.banned_until)}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
                     <button
@@ -185,7 +265,7 @@ export default function BannedPage() {
               ))}
               {bannedPeers.length === 0 && (
                 <tr>
-                  <td colSpan="4" className="px-6 py-4 text-center text-sm text-gray-500">
+                  <td colSpan="7" className="px-6 py-4 text-center text-sm text-gray-500">
                     No banned peers
                   </td>
                 </tr>
@@ -194,6 +274,66 @@ export default function BannedPage() {
           </table>
         </div>
       </div>
+
+      {recentUnbans.length > 0 && (
+        <div className="bg-white shadow rounded-lg overflow-hidden">
+          <h2 className="text-lg font-semibold text-gray-700 px-6 pt-4">Recently Ended Bans</h2>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    IP Address / Subnet
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Banned By
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Reason
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Banned
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Ended
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {recentUnbans.map((record, index) => (
+                  <tr key={record.id} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{record.address}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{describeBanner(record)}</td>
+                    <td className="px-6 py-4 text-sm text-gray-500">
+                      {record.reason || '-'}
+                      {describePeers(record) && (
+                        <div className="text-xs text-gray-400">{describePeers(record)}</div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {new Date(record.bannedAt).toLocaleString()}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {new Date(record.unbannedAt).toLocaleString()}
+                      <div className="text-xs text-gray-400">
+                        {record.unbannedBy === 'expired'
+                          ? 'Expired'
+                          : record.unbannedBy === 'replaced'
+                            ? 'Replaced by a new ban'
+                            : record.unbannedBy
+                              ? `Unbanned by ${record.unbannedBy}`
+                              : 'Removed outside btcnman'}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      <FirewallRulesPreview bannedPeers={bannedPeers} />
     </div>
   );
 }
@@ -0,0 +1,145 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import Link from 'next/link';
+import api from '../../lib/api';
+
+// Colors of the risk levels
+const LEVEL_STYLES = {
+  low: 'bg-green-100 text-green-800',
+  medium: 'bg-yellow-100 text-yellow-800',
+  high: 'bg-red-100 text-red-800'
+};
+
+/**
+ * Eclipse risk of the outbound peers: the score, the findings behind it and the over-represented peers
+ * @param {Object} props
+ * @param {Date} props.lastUpdated - When the dashboard data was last updated; the analysis is reloaded with it
+ */
+const DiversityCard = ({ lastUpdated }) => {
+  const [analysis, setAnalysis] = useState(null);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [disconnecting, setDisconnecting] = useState(false);
+
+  const fetchAnalysis = async () => {
+    try {
+      const response = await api.get('/bitcoin/peers/diversity');
+      setAnalysis(response.data);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching peer diversity:', err);
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  useEffect(() => {
+    fetchAnalysis();
+  }, [lastUpdated?.getTime()]);
+
+  const handleDisconnect = async () => {
+    if (!window.confirm(`Disconnect ${analysis.overRepresented.length} over-represented outbound peers? The node will connect to other peers instead.`)) return;
+
+    try {
+      setDisconnecting(true);
+      const response = await api.post('/bitcoin/peers/diversity/disconnect');
+      setMessage(response.data.message);
+      setError(null);
+      await fetchAnalysis();
+    } catch (err) {
+      console.error('Error disconnecting over-represented peers:', err);
+      setMessage(null);
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setDisconnecting(false);
+    }
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-lg font-semibold text-gray-700">Eclipse Risk</h2>
+        {analysis && (
+          <span className={`px-2 py-1 rounded text-sm font-medium ${LEVEL_STYLES[analysis.level]}`}>
+            {analysis.score} / 100 ({analysis.level})
+          </span>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          Failed to analyze peer diversity: {error}
+        </div>
+      )}
+
+      {message && (
+        <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mb-4">
+          {message}
+        </div>
+      )}
+
+      {analysis && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+          <div>
+            <h3 className="text-sm font-medium text-gray-600 mb-1">Findings</h3>
+            {analysis.findings.length > 0 ? (
+              <ul className="text-sm divide-y divide-gray-100">
+                {analysis.findings.map((finding) => (
+                  <li key={finding.kind} className="flex justify-between py-1">
+                    <span className="text-gray-700 mr-2">{finding.message}</span>
+                    <span className="text-gray-500 whitespace-nowrap">+{finding.points}</span>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="text-sm text-gray-500">
+                {analysis.outbound} outbound peers in {analysis.netgroups.length} netgroups and {analysis.asns.length} ASNs. Nothing stands out.
+              </p>
+            )}
+            <p className="text-xs text-gray-500 mt-2">
+              Covers outbound full-relay and block-relay-only peers; manual connections are left out.
+              {analysis.settings.autoDisconnect
+                ? ` Over-represented peers are disconnected automatically from a score of ${analysis.settings.threshold}.`
+                : ' Automatic disconnects are off; turn them on under '}
+              {!analysis.settings.autoDisconnect && (
+                <Link href="/settings" className="text-indigo-600 hover:text-indigo-900">Settings</Link>
+              )}
+            </p>
+          </div>
+
+          <div>
+            <div className="flex justify-between items-center mb-1">
+              <h3 className="text-sm font-medium text-gray-600">Over-represented Peers</h3>
+              {analysis.overRepresented.length > 0 && (
+                <button
+                  onClick={handleDisconnect}
+                  disabled={disconnecting}
+                  className="px-2 py-1 text-xs bg-red-600 text-white rounded hover:bg-red-700 disabled:opacity-50"
+                >
+                  {disconnecting ? 'Disconnecting...' : 'Disconnect All'}
+                </button>
+              )}
+            </div>
+            {analysis.overRepresented.length > 0 ? (
+              <ul className="text-xs divide-y divide-gray-100">
+                {analysis.overRepresented.map((peer) => (
+                  <li key={peer.id} className="py-1">
+                    <Link href={`/peers/${peer.id}`} className="text-indigo-600 hover:text-indigo-900">
+                      {peer.addr}
+                    </Link>
+                    <span className="text-gray-500 ml-2">{peer.connectionType}</span>
+                    <div className="text-gray-500">{peer.reasons.join('; ')}</div>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="text-xs text-gray-500">None.</p>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DiversityCard;
@@ -0,0 +1,166 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import api from '../../lib/api';
+import { BarChart } from '../../components/charts';
+import { networkLabel } from '../../lib/address';
+
+// Groups that can be charted, in the order of the tabs
+const DIMENSIONS = [
+  { key: 'country', label: 'Country' },
+  { key: 'asn', label: 'ASN' },
+  { key: 'isp', label: 'ISP' },
+  { key: 'network', label: 'Network' },
+  { key: 'version', label: 'Version' },
+  { key: 'services', label: 'Services' },
+  { key: 'connectionType', label: 'Connection Type' }
+];
+
+// Groups shown in the chart; the rest are summed up as Other
+const MAX_GROUPS = 10;
+
+// Largest-group share above which outbound peers are flagged as concentrated
+const CONCENTRATION_WARNING = 0.5;
+
+/**
+ * Format a share as a percentage
+ * @param {number} share - Share between 0 and 1
+ * @returns {string} Formatted percentage
+ */
+const formatShare = (share) => `${(share * 100).toFixed(0)}%`;
+
+/**
+ * Get the label of a group
+ * @param {string} dimension - The dimension the group belongs to
+ * @param {Object} group - The group from the backend
+ */
+const groupLabel = (dimension, group) => (dimension === 'network' ? networkLabel(group.key) : group.label);
+
+/**
+ * Peers by country, ASN, network, version, services and connection type,
+ * and how concentrated the outbound peers are
+ * @param {Object} props
+ * @param {Date} props.lastUpdated - When the dashboard data was last updated; the statistics are reloaded with it
+ */
+const PeerStatsCard = ({ lastUpdated }) => {
+  const [dimension, setDimension] = useState('country');
+  const [stats, setStats] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchStats = async () => {
+      try {
+        const response = await api.get('/bitcoin/peers/stats');
+        setStats(response.data);
+        setError(null);
+      } catch (err) {
+        console.error('Error fetching peer statistics:', err);
+        setError(err.response?.data?.message || err.message);
+      }
+    };
+
+    fetchStats();
+  }, [lastUpdated?.getTime()]);
+
+  const groups = stats?.groups[dimension] || [];
+  const shown = groups.slice(0, MAX_GROUPS);
+  const other = groups.slice(MAX_GROUPS).reduce((sum, group) => sum + group.count, 0);
+  const labels = shown.map((group) => groupLabel(dimension, group)).concat(other > 0 ? ['Other'] : []);
+  const counts = shown.map((group) => group.count).concat(other > 0 ? [other] : []);
+
+  const concentration = stats?.concentration.outbound;
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-lg font-semibold text-gray-700">Peer Diversity</h2>
+        <div className="flex flex-wrap gap-1 text-sm justify-end">
+          {DIMENSIONS.map((option) => (
+            <button
+              key={option.key}
+              onClick={() => setDimension(option.key)}
+              className={`px-2 py-1 rounded ${
+                dimension === option.key ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          Failed to fetch peer statistics: {error}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+        <div className="lg:col-span-2">
+          {counts.length > 0 ? (
+            <BarChart
+              labels={labels}
+              data={counts}
+              label="Peers"
+              horizontal
+              options={{ plugins: { legend: { display: false } }, scales: { x: { beginAtZero: true, ticks: { precision: 0 } } } }}
+            />
+          ) : (
+            <div className="h-64 flex items-center justify-center text-sm text-gray-500">
+              No peers to group.
+            </div>
+          )}
+        </div>
+
+        <div className="space-y-4">
+          <div className="space-y-2">
+            <div className="flex justify-between">
+              <span className="text-gray-600 text-sm">Inbound / Outbound</span>
+              <span className="font-medium text-sm">{stats ? `${stats.inbound} / ${stats.outbound}` : '-'}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-600 text-sm">Geolocated</span>
+              <span className="font-medium text-sm">{stats ? `${stats.geolocated} of ${stats.total}` : '-'}</span>
+            </div>
+          </div>
+
+          <div>
+            <h3 className="text-sm font-medium text-gray-600 mb-1">Outbound Concentration</h3>
+            {concentration && concentration.peers > 0 ? (
+              <ul className="text-xs divide-y divide-gray-100">
+                {['asn', 'country', 'network'].map((key) => {
+                  const largest = concentration[key].largest;
+                  return (
+                    <li key={key} className="flex justify-between py-1">
+                      <span className="text-gray-600">
+                        Largest {DIMENSIONS.find((option) => option.key === key).label}
+                      </span>
+                      {largest ? (
+                        <span
+                          className={`truncate ml-2 ${largest.share > CONCENTRATION_WARNING ? 'text-red-600 font-medium' : 'text-gray-700'}`}
+                          title={`${largest.count} of ${concentration[key].peers} outbound peers; HHI ${concentration[key].hhi.toFixed(2)}`}
+                        >
+                          {groupLabel(key, largest)}: {formatShare(largest.share)}
+                        </span>
+                      ) : (
+                        <span className="text-gray-500">Unknown</span>
+                      )}
+                    </li>
+                  );
+                })}
+              </ul>
+            ) : (
+              <p className="text-xs text-gray-500">No outbound peers.</p>
+            )}
+            <p className="text-xs text-gray-500 mt-2">
+              Share of outbound peers in the largest group; peers without a location are left out of ASN and
+              country. Outbound peers spread over many networks are harder to eclipse.
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PeerStatsCard;
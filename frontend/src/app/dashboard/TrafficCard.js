@@ -0,0 +1,200 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import Link from 'next/link';
+import api from '../../lib/api';
+import { AreaChart } from '../../components/charts';
+
+const RANGES = ['1h', '6h', '24h', '7d', '30d'];
+
+/**
+ * Format bytes to a human-readable string
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Formatted size
+ */
+const formatBytes = (bytes) => {
+  if (!bytes || bytes < 1) return '0 B';
+
+  const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), sizes.length - 1);
+
+  return `${(bytes / Math.pow(1024, i)).toFixed(2)} ${sizes[i]}`;
+};
+
+/**
+ * Format a duration in seconds
+ * @param {number} seconds - Duration
+ * @returns {string} Formatted duration
+ */
+const formatDuration = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+};
+
+/**
+ * Format a chart label for a range
+ * @param {string} timestamp - ISO timestamp
+ * @param {string} range - The selected range
+ * @returns {string} Time for short ranges, date and time for longer ones
+ */
+const formatLabel = (timestamp, range) => {
+  const date = new Date(timestamp);
+  return range === '7d' || range === '30d'
+    ? date.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+};
+
+/**
+ * Network traffic over time, upload target usage and the busiest peers
+ * @param {Object} props
+ * @param {Date} props.lastUpdated - When the dashboard data was last updated; the traffic is reloaded with it
+ */
+const TrafficCard = ({ lastUpdated }) => {
+  const [range, setRange] = useState('24h');
+  const [traffic, setTraffic] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchTraffic = async () => {
+      try {
+        const response = await api.get(`/bitcoin/traffic?range=${range}`);
+        setTraffic(response.data);
+        setError(null);
+      } catch (err) {
+        console.error('Error fetching traffic:', err);
+        setError(err.response?.data?.message || err.message);
+      }
+    };
+
+    fetchTraffic();
+  }, [range, lastUpdated?.getTime()]);
+
+  const points = traffic?.points || [];
+  const uploadTarget = traffic?.uploadTarget;
+  const usedPercent = uploadTarget ? Math.min(100, (uploadTarget.used / uploadTarget.target) * 100) : 0;
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-lg font-semibold text-gray-700">Network Traffic</h2>
+        <div className="flex space-x-1 text-sm">
+          {RANGES.map((option) => (
+            <button
+              key={option}
+              onClick={() => setRange(option)}
+              className={`px-2 py-1 rounded ${
+                range === option ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {option}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          Failed to fetch traffic: {error}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+        <div className="lg:col-span-2">
+          {points.length > 0 ? (
+            <AreaChart
+              labels={points.map((point) => formatLabel(point.timestamp, range))}
+              datasets={[
+                {
+                  label: 'Upload (KB/s)',
+                  data: points.map((point) => point.sentRate / 1024),
+                  borderColor: 'rgba(255, 99, 132, 1)',
+                  backgroundColor: 'rgba(255, 99, 132, 0.2)'
+                },
+                {
+                  label: 'Download (KB/s)',
+                  data: points.map((point) => point.recvRate / 1024),
+                  borderColor: 'rgba(54, 162, 235, 1)',
+                  backgroundColor: 'rgba(54, 162, 235, 0.2)'
+                }
+              ]}
+            />
+          ) : (
+            <div className="h-64 flex items-center justify-center text-sm text-gray-500">
+              No traffic samples for this range yet. Network totals are sampled every minute.
+            </div>
+          )}
+        </div>
+
+        <div className="space-y-4">
+          <div className="space-y-2">
+            <div className="flex justify-between">
+              <span className="text-gray-600 text-sm">Uploaded</span>
+              <span className="font-medium text-sm">
+                {formatBytes(traffic?.totals.bytesSent)} ({formatBytes(traffic?.totals.sentRate)}/s)
+              </span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-600 text-sm">Downloaded</span>
+              <span className="font-medium text-sm">
+                {formatBytes(traffic?.totals.bytesRecv)} ({formatBytes(traffic?.totals.recvRate)}/s)
+              </span>
+            </div>
+          </div>
+
+          <div>
+            <h3 className="text-sm font-medium text-gray-600 mb-1">Upload Target</h3>
+            {uploadTarget ? (
+              <>
+                <div className="w-full bg-gray-200 rounded-full h-2.5">
+                  <div
+                    className={`h-2.5 rounded-full ${uploadTarget.targetReached ? 'bg-red-600' : usedPercent > 80 ? 'bg-yellow-500' : 'bg-green-600'}`}
+                    style={{ width: `${usedPercent}%` }}
+                  ></div>
+                </div>
+                <div className="flex justify-between text-xs text-gray-500 mt-1">
+                  <span>
+                    {formatBytes(uploadTarget.used)} of {formatBytes(uploadTarget.target)} ({usedPercent.toFixed(1)}%)
+                  </span>
+                  <span>Resets in {formatDuration(uploadTarget.timeLeftInCycle)}</span>
+                </div>
+                {uploadTarget.targetReached && (
+                  <p className="text-xs text-red-600 mt-1">Target reached: the node only serves recent blocks until the cycle resets.</p>
+                )}
+              </>
+            ) : (
+              <p className="text-xs text-gray-500">No upload target set (-maxuploadtarget).</p>
+            )}
+          </div>
+
+          <div>
+            <h3 className="text-sm font-medium text-gray-600 mb-1">Busiest Peers</h3>
+            {traffic?.peers.length > 0 ? (
+              <ul className="text-xs divide-y divide-gray-100">
+                {traffic.peers.slice(0, 5).map((peer) => (
+                  <li key={peer.sessionId} className="flex justify-between py-1">
+                    {peer.connected ? (
+                      <Link href={`/peers/${peer.peerId}`} className="text-indigo-600 hover:text-indigo-900 truncate mr-2">
+                        {peer.addr}
+                      </Link>
+                    ) : (
+                      <span className="text-gray-700 truncate mr-2">{peer.addr}</span>
+                    )}
+                    <span className="text-gray-500 whitespace-nowrap">
+                      &uarr; {formatBytes(peer.bytesSent)} &darr; {formatBytes(peer.bytesRecv)}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="text-xs text-gray-500">No peer traffic recorded for this range.</p>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TrafficCard;
@@ -7,6 +7,12 @@ import { PieChart } from '../../components/charts';
 import dynamic from 'next/dynamic';
 import Script from 'next/script';
 import NodeDetailsCard from './NodeDetailsCard';
+import TrafficCard from './TrafficCard';
+import PeerStatsCard from './PeerStatsCard';
+import DiversityCard from './DiversityCard';
+import MockDataBanner from '../../components/common/MockDataBanner';
+import LiveIndicator from '../../components/common/LiveIndicator';
+import { useLiveChannel } from '../../lib/socket';
 
 
 // Dynamically import the PeerMap component to avoid SSR issues with Leaflet
@@ -61,12 +67,7 @@ export default function Dashboard() {
           setLastUpdated(new Date(response.data.lastUpdated));
         }
 
-        // Show a warning if using mock data
-        if (response.data._isMockData) {
-          setError('Note: Displaying mock data because the Bitcoin node is unavailable.');
-        } else {
-          setError(null);
-        }
+        setError(null);
       } catch (apiError) {
         console.error('API fetch error:', apiError);
 
@@ -98,6 +99,17 @@ export default function Dashboard() {
     fetchNodeInfo();
   }, []);
 
+  // Node info is pushed by the backend instead of being polled
+  const live = useLiveChannel(['node'], {
+    'node:info': (info) => {
+      setNodeInfo(info);
+      if (info.lastUpdated) {
+        setLastUpdated(new Date(info.lastUpdated));
+      }
+      setError(null);
+    }
+  });
+
   if (loading) {
     return (
       <div className="flex justify-center items-center h-full">
@@ -309,9 +321,12 @@ export default function Dashboard() {
         crossOrigin=""
       />
 
+      <MockDataBanner source={nodeInfo.source} sourceError={nodeInfo.sourceError} />
+
       <div className="flex justify-between items-center">
         <h1 className="text-2xl font-bold">Dashboard</h1>
         <div className="flex items-center space-x-4">
+          <LiveIndicator connected={live} />
           {lastUpdated && (
             <span className="text-sm text-gray-500">
               Last updated: {lastUpdated.toLocaleTimeString()}
@@ -493,6 +508,15 @@ export default function Dashboard() {
       {/* Node Details */}
       <NodeDetailsCard nodeInfo={nodeInfo} />
 
+      {/* Network Traffic */}
+      <TrafficCard lastUpdated={lastUpdated} />
+
+      {/* Peer Diversity */}
+      <PeerStatsCard lastUpdated={lastUpdated} />
+
+      {/* Eclipse Risk */}
+      <DiversityCard lastUpdated={lastUpdated} />
+
       {/* Peer Locations Map */}
       <div className="bg-white p-4 rounded-lg shadow">
         <h2 className="text-lg font-semibold text-gray-700 mb-4">Peer Locations</h2>
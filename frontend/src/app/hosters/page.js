@@ -0,0 +1,339 @@
+'use client';
+
+import { useState, useEffect, useRef } from 'react';
+import { useRouter } from 'next/navigation';
+import api from '../../lib/api';
+
+export default function HostersPage() {
+  const [hosters, setHosters] = useState([]);
+  const [showModal, setShowModal] = useState(false);
+  const [currentHoster, setCurrentHoster] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [filter, setFilter] = useState('');
+  const fileInput = useRef(null);
+  const router = useRouter();
+
+  useEffect(() => {
+    // Check if user is authenticated
+    const token = localStorage.getItem('token');
+    if (!token) {
+      router.push('/login');
+      return;
+    }
+
+    fetchHosters();
+  }, [router]);
+
+  const fetchHosters = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await api.get('/web-hosters');
+      setHosters(response.data);
+    } catch (err) {
+      console.error('Error fetching web hosters:', err);
+      setError('Failed to fetch web hosters. Please try again later.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAddNew = () => {
+    setCurrentHoster({ name: '', asn: '', ipRange: '', notes: '' });
+    setShowModal(true);
+  };
+
+  const handleEdit = (hoster) => {
+    setCurrentHoster({
+      ...hoster,
+      asn: hoster.asn || '',
+      ipRange: hoster.ipRange || '',
+      notes: hoster.notes || ''
+    });
+    setShowModal(true);
+  };
+
+  const handleDelete = async (id) => {
+    if (window.confirm('Are you sure you want to delete this web hoster?')) {
+      try {
+        await api.delete(`/web-hosters/${id}`);
+        setHosters(hosters.filter((hoster) => hoster.id !== id));
+      } catch (err) {
+        console.error('Error deleting web hoster:', err);
+        setError('Failed to delete web hoster. Please try again.');
+      }
+    }
+  };
+
+  const handleSaveHoster = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    const hosterData = {
+      name: currentHoster.name,
+      asn: currentHoster.asn,
+      ipRange: currentHoster.ipRange,
+      notes: currentHoster.notes
+    };
+
+    try {
+      if (currentHoster.id) {
+        await api.put(`/web-hosters/${currentHoster.id}`, hosterData);
+      } else {
+        await api.post('/web-hosters', hosterData);
+      }
+
+      setShowModal(false);
+      await fetchHosters();
+    } catch (err) {
+      console.error('Error saving web hoster:', err);
+      setError(err.response?.data?.message || 'Failed to save web hoster. Please check your inputs and try again.');
+      setLoading(false);
+    }
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      setLoading(true);
+      const response = await api.post('/web-hosters/import', { content: await file.text() });
+      const { created, skipped } = response.data;
+
+      setMessage(
+        `Imported ${created} entries from ${file.name}` +
+          (skipped.length > 0
+            ? `; skipped ${skipped.length}: ${skipped.slice(0, 5).map((row) => `row ${row.row} (${row.reason})`).join(', ')}${skipped.length > 5 ? ', ...' : ''}`
+            : '')
+      );
+      setError(null);
+      await fetchHosters();
+    } catch (err) {
+      console.error('Error importing web hosters:', err);
+      setMessage(null);
+      setError(`Failed to import ${file.name}: ${err.response?.data?.message || err.message}`);
+      setLoading(false);
+    }
+  };
+
+  const search = filter.trim().toLowerCase();
+  const shownHosters = search
+    ? hosters.filter((hoster) =>
+        [hoster.name, hoster.asn, hoster.ipRange, hoster.notes].some((value) => value && value.toLowerCase().includes(search))
+      )
+    : hosters;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h1 className="text-2xl font-bold">Web Hosters</h1>
+        <div className="flex space-x-2">
+          <button
+            onClick={() => fileInput.current.click()}
+            disabled={loading}
+            className="px-4 py-2 bg-gray-100 text-gray-700 rounded hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-indigo-500 disabled:opacity-50"
+          >
+            Import CSV
+          </button>
+          <input ref={fileInput} type="file" accept=".csv,text/csv" onChange={handleImport} className="hidden" />
+          <button
+            onClick={handleAddNew}
+            className="px-4 py-2 bg-indigo-600 text-white rounded hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          >
+            Add Web Hoster
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+          {error}
+        </div>
+      )}
+
+      {message && (
+        <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded">
+          {message}
+        </div>
+      )}
+
+      {hosters.length > 0 && (
+        <input
+          type="text"
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          placeholder="Filter by name, ASN, range or notes"
+          className="w-full md:w-1/3 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+        />
+      )}
+
+      {loading && hosters.length === 0 ? (
+        <div className="flex justify-center items-center h-32">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-indigo-500"></div>
+        </div>
+      ) : (
+        <div className="bg-white shadow rounded-lg overflow-hidden">
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Name
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    ASN
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    IP Range
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Notes
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {shownHosters.map((hoster, index) => (
+                  <tr key={hoster.id} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{hoster.name}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{hoster.asn || '-'}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{hoster.ipRange || '-'}</td>
+                    <td className="px-6 py-4 text-sm text-gray-500">{hoster.notes || '-'}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                      <div className="flex space-x-2">
+                        <button
+                          onClick={() => handleEdit(hoster)}
+                          className="text-indigo-600 hover:text-indigo-900"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => handleDelete(hoster.id)}
+                          className="text-red-600 hover:text-red-900"
+                        >
+                          Delete
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+                {shownHosters.length === 0 && (
+                  <tr>
+                    <td colSpan="5" className="px-6 py-4 text-center text-sm text-gray-500">
+                      {hosters.length === 0 ? 'No web hosters listed. Add them one by one or import a CSV.' : 'No web hosters match the filter.'}
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {showModal && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center p-4">
+          <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full">
+            <div className="px-6 py-4 border-b">
+              <h3 className="text-lg font-semibold">
+                {currentHoster.id ? 'Edit Web Hoster' : 'Add Web Hoster'}
+              </h3>
+            </div>
+            <form onSubmit={handleSaveHoster}>
+              <div className="px-6 py-4 space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Name
+                  </label>
+                  <input
+                    type="text"
+                    value={currentHoster.name}
+                    onChange={(e) => setCurrentHoster({ ...currentHoster, name: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                    required
+                  />
+                </div>
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      ASN
+                    </label>
+                    <input
+                      type="text"
+                      value={currentHoster.asn}
+                      onChange={(e) => setCurrentHoster({ ...currentHoster, asn: e.target.value })}
+                      placeholder="AS24940"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      IP Range
+                    </label>
+                    <input
+                      type="text"
+                      value={currentHoster.ipRange}
+                      onChange={(e) => setCurrentHoster({ ...currentHoster, ipRange: e.target.value })}
+                      placeholder="5.9.0.0/16"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                    />
+                  </div>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Notes
+                  </label>
+                  <textarea
+                    value={currentHoster.notes}
+                    onChange={(e) => setCurrentHoster({ ...currentHoster, notes: e.target.value })}
+                    rows={2}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                  />
+                </div>
+              </div>
+              <div className="px-6 py-4 border-t flex justify-end space-x-2">
+                <button
+                  type="button"
+                  onClick={() => setShowModal(false)}
+                  className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="px-4 py-2 bg-indigo-600 text-white rounded-md text-sm font-medium hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 disabled:opacity-50"
+                >
+                  {loading ? 'Saving...' : 'Save Web Hoster'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      <div className="bg-white p-6 rounded-lg shadow">
+        <h2 className="text-lg font-semibold mb-4">About Web Hosters</h2>
+        <p className="text-sm text-gray-600 mb-2">
+          List the ASNs and IP ranges of hosting and datacenter providers. Peers inside them are tagged as hosted on the
+          peers page, and rules can match them with the <code>hosted</code> condition.
+        </p>
+        <p className="text-sm text-gray-600 mb-2">
+          <strong>Matching:</strong> IP ranges match by address. ASNs match the ASN bitcoind maps the peer to (with
+          -asmap) or the one geolocation finds, so peers without either only match by range.
+        </p>
+        <p className="text-sm text-gray-600">
+          <strong>CSV import:</strong> The header needs a <code>name</code> column and an <code>asn</code> or{' '}
+          <code>ip_range</code> column (<code>cidr</code> and <code>provider</code> work too); <code>notes</code> is
+          optional. Rows already listed are skipped.
+        </p>
+      </div>
+    </div>
+  );
+}
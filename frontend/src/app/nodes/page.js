@@ -0,0 +1,438 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/navigation';
+import api from '../../lib/api';
+
+export default function NodesPage() {
+  const [nodes, setNodes] = useState([]);
+  const [showModal, setShowModal] = useState(false);
+  const [currentNode, setCurrentNode] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const router = useRouter();
+
+  useEffect(() => {
+    // Check if user is authenticated
+    const token = localStorage.getItem('token');
+    if (!token) {
+      router.push('/login');
+      return;
+    }
+
+    // Fetch nodes from the API
+    fetchNodes();
+  }, [router]);
+
+  const fetchNodes = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await api.get('/nodes');
+      setNodes(response.data);
+    } catch (err) {
+      console.error('Error fetching nodes:', err);
+      setError('Failed to fetch nodes. Please try again later.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAddNew = () => {
+    setCurrentNode({
+      name: '',
+      host: '',
+      port: 8332,
+      rpcUser: '',
+      rpcPassword: '',
+      rpcCookieFile: '',
+      zmqHashBlock: '',
+      zmqRawTx: '',
+      zmqSequence: '',
+      network: 'mainnet',
+      isDefault: nodes.length === 0,
+      isActive: true
+    });
+    setShowModal(true);
+  };
+
+  const handleEdit = (node) => {
+    // The password is never sent to the browser; leave it blank to keep the stored one
+    setCurrentNode({
+      ...node,
+      rpcUser: node.rpcUser || '',
+      rpcPassword: '',
+      rpcCookieFile: node.rpcCookieFile || '',
+      zmqHashBlock: node.zmqHashBlock || '',
+      zmqRawTx: node.zmqRawTx || '',
+      zmqSequence: node.zmqSequence || ''
+    });
+    setShowModal(true);
+  };
+
+  const handleDelete = async (id) => {
+    if (window.confirm('Are you sure you want to delete this node?')) {
+      try {
+        await api.delete(`/nodes/${id}`);
+        setNodes(nodes.filter((node) => node.id !== id));
+
+        // Fall back to the default node if the selected node was deleted
+        if (localStorage.getItem('selectedNodeId') === String(id)) {
+          localStorage.removeItem('selectedNodeId');
+        }
+      } catch (err) {
+        console.error('Error deleting node:', err);
+        setError('Failed to delete node. Please try again.');
+      }
+    }
+  };
+
+  const handleSaveNode = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    const nodeData = {
+      name: currentNode.name,
+      host: currentNode.host,
+      port: Number(currentNode.port),
+      rpcUser: currentNode.rpcUser,
+      rpcPassword: currentNode.rpcPassword,
+      rpcCookieFile: currentNode.rpcCookieFile,
+      zmqHashBlock: currentNode.zmqHashBlock,
+      zmqRawTx: currentNode.zmqRawTx,
+      zmqSequence: currentNode.zmqSequence,
+      network: currentNode.network,
+      isDefault: currentNode.isDefault,
+      isActive: currentNode.isActive
+    };
+
+    try {
+      if (currentNode.id) {
+        await api.put(`/nodes/${currentNode.id}`, nodeData);
+      } else {
+        await api.post('/nodes', nodeData);
+      }
+
+      setShowModal(false);
+
+      // Refetch, since changing the default node affects other nodes
+      await fetchNodes();
+    } catch (err) {
+      console.error('Error saving node:', err);
+      setError(err.response?.data?.message || 'Failed to save node. Please check your inputs and try again.');
+      setLoading(false);
+    }
+  };
+
+  const selectedNodeId = typeof window !== 'undefined' ? localStorage.getItem('selectedNodeId') : null;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h1 className="text-2xl font-bold">Nodes</h1>
+        <button
+          onClick={handleAddNew}
+          className="px-4 py-2 bg-indigo-600 text-white rounded hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        >
+          Add Node
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+          {error}
+        </div>
+      )}
+
+      {loading && nodes.length === 0 ? (
+        <div className="flex justify-center items-center h-32">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-indigo-500"></div>
+        </div>
+      ) : (
+        <div className="bg-white shadow rounded-lg overflow-hidden">
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Name
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    RPC Endpoint
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Network
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Status
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {nodes.map((node, index) => (
+                  <tr key={node.id} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {node.name}
+                      {node.isDefault && (
+                        <span className="ml-2 px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-indigo-100 text-indigo-800">
+                          Default
+                        </span>
+                      )}
+                      {selectedNodeId === String(node.id) && (
+                        <span className="ml-2 px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-blue-100 text-blue-800">
+                          Selected
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {node.host}:{node.port}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {node.network}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span
+                        className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
+                          node.isActive
+                            ? 'bg-green-100 text-green-800'
+                            : 'bg-gray-100 text-gray-800'
+                        }`}
+                      >
+                        {node.isActive ? 'Active' : 'Inactive'}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                      <div className="flex space-x-2">
+                        <button
+                          onClick={() => handleEdit(node)}
+                          className="text-indigo-600 hover:text-indigo-900"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => handleDelete(node.id)}
+                          className="text-red-600 hover:text-red-900"
+                        >
+                          Delete
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+                {nodes.length === 0 && (
+                  <tr>
+                    <td colSpan="5" className="px-6 py-4 text-center text-sm text-gray-500">
+                      No nodes registered. The node configured in the backend .env file is used.
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {showModal && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center p-4">
+          <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full">
+            <div className="px-6 py-4 border-b">
+              <h3 className="text-lg font-semibold">
+                {currentNode.id ? 'Edit Node' : 'Add Node'}
+              </h3>
+            </div>
+            <form onSubmit={handleSaveNode}>
+              <div className="px-6 py-4 space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Name
+                  </label>
+                  <input
+                    type="text"
+                    value={currentNode.name}
+                    onChange={(e) => setCurrentNode({ ...currentNode, name: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                    required
+                  />
+                </div>
+                <div className="grid grid-cols-3 gap-4">
+                  <div className="col-span-2">
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      RPC Host
+                    </label>
+                    <input
+                      type="text"
+                      value={currentNode.host}
+                      onChange={(e) => setCurrentNode({ ...currentNode, host: e.target.value })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                      required
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      RPC Port
+                    </label>
+                    <input
+                      type="number"
+                      value={currentNode.port}
+                      onChange={(e) => setCurrentNode({ ...currentNode, port: e.target.value })}
+                      min="1"
+                      max="65535"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                      required
+                    />
+                  </div>
+                </div>
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      RPC User
+                    </label>
+                    <input
+                      type="text"
+                      value={currentNode.rpcUser}
+                      onChange={(e) => setCurrentNode({ ...currentNode, rpcUser: e.target.value })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      RPC Password
+                    </label>
+                    <input
+                      type="password"
+                      value={currentNode.rpcPassword}
+                      onChange={(e) => setCurrentNode({ ...currentNode, rpcPassword: e.target.value })}
+                      placeholder={currentNode.id ? 'Leave blank to keep the current password' : ''}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                    />
+                  </div>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    RPC Cookie File
+                  </label>
+                  <input
+                    type="text"
+                    value={currentNode.rpcCookieFile}
+                    onChange={(e) => setCurrentNode({ ...currentNode, rpcCookieFile: e.target.value })}
+                    placeholder="/home/bitcoin/.bitcoin/.cookie"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    Overrides the user and password. The file must be readable by the backend.
+                  </p>
+                </div>
+                <div>
+                  <div className="grid grid-cols-3 gap-4">
+                    {[
+                      { field: 'zmqHashBlock', label: 'ZMQ hashblock', placeholder: 'tcp://127.0.0.1:28332' },
+                      { field: 'zmqRawTx', label: 'ZMQ rawtx', placeholder: 'tcp://127.0.0.1:28333' },
+                      { field: 'zmqSequence', label: 'ZMQ sequence', placeholder: 'tcp://127.0.0.1:28336' }
+                    ].map(({ field, label, placeholder }) => (
+                      <div key={field}>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                          {label}
+                        </label>
+                        <input
+                          type="text"
+                          value={currentNode[field]}
+                          onChange={(e) => setCurrentNode({ ...currentNode, [field]: e.target.value })}
+                          placeholder={placeholder}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                        />
+                      </div>
+                    ))}
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1">
+                    Optional. The zmqpub* endpoints from bitcoin.conf; leave empty to rely on polling.
+                  </p>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Network
+                  </label>
+                  <select
+                    value={currentNode.network}
+                    onChange={(e) => setCurrentNode({ ...currentNode, network: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                  >
+                    <option value="mainnet">Mainnet</option>
+                    <option value="testnet">Testnet</option>
+                    <option value="testnet4">Testnet4</option>
+                    <option value="signet">Signet</option>
+                    <option value="regtest">Regtest</option>
+                  </select>
+                </div>
+                <div className="flex items-center space-x-6">
+                  <div className="flex items-center">
+                    <input
+                      type="checkbox"
+                      id="isDefault"
+                      checked={currentNode.isDefault}
+                      onChange={(e) => setCurrentNode({ ...currentNode, isDefault: e.target.checked })}
+                      className="h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300 rounded"
+                    />
+                    <label htmlFor="isDefault" className="ml-2 block text-sm text-gray-900">
+                      Default node
+                    </label>
+                  </div>
+                  <div className="flex items-center">
+                    <input
+                      type="checkbox"
+                      id="isActive"
+                      checked={currentNode.isActive}
+                      onChange={(e) => setCurrentNode({ ...currentNode, isActive: e.target.checked })}
+                      className="h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300 rounded"
+                    />
+                    <label htmlFor="isActive" className="ml-2 block text-sm text-gray-900">
+                      Active
+                    </label>
+                  </div>
+                </div>
+              </div>
+              <div className="px-6 py-4 border-t flex justify-end space-x-2">
+                <button
+                  type="button"
+                  onClick={() => setShowModal(false)}
+                  className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="px-4 py-2 bg-indigo-600 text-white rounded-md text-sm font-medium hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 disabled:opacity-50"
+                >
+                  {loading ? 'Saving...' : 'Save Node'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      <div className="bg-white p-6 rounded-lg shadow">
+        <h2 className="text-lg font-semibold mb-4">About Nodes</h2>
+        <p className="text-sm text-gray-600 mb-2">
+          Register every Bitcoin Core node you want to manage from this instance.
+        </p>
+        <p className="text-sm text-gray-600 mb-2">
+          <strong>Node switcher:</strong> The node selected in the header is used by the dashboard, peers, banned, rules and explorer pages.
+        </p>
+        <p className="text-sm text-gray-600 mb-2">
+          <strong>Cookie authentication:</strong> Point the cookie file at bitcoind's .cookie to authenticate without rpcuser/rpcpassword. It is re-read automatically when bitcoind restarts.
+        </p>
+        <p className="text-sm text-gray-600 mb-2">
+          <strong>ZMQ notifications:</strong> With ZMQ endpoints set, new blocks and mempool changes refresh cached data immediately instead of waiting for the cache to expire.
+        </p>
+        <p className="text-sm text-gray-600">
+          <strong>Default node:</strong> Used when no node is selected. Without registered nodes, the connection in the backend .env file is used.
+        </p>
+      </div>
+    </div>
+  );
+}
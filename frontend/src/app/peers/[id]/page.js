@@ -0,0 +1,307 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useRouter, useParams } from 'next/navigation';
+import Link from 'next/link';
+import api from '../../../lib/api';
+import MockDataBanner from '../../../components/common/MockDataBanner';
+import { LineChart, PieChart, BarChart } from '../../../components/charts';
+import { isOverlayNetwork, isBannableNetwork, networkLabel } from '../../../lib/address';
+
+// The pie chart has six colors, so smaller message types are grouped
+const MAX_PIE_SLICES = 6;
+
+// Format byte counts
+const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(2)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+  return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+};
+
+// Format a ping in seconds
+const formatPing = (seconds) => (typeof seconds === 'number' ? `${(seconds * 1000).toFixed(2)} ms` : 'N/A');
+
+// Format a Unix timestamp
+const formatTimestamp = (timestamp) => (timestamp ? new Date(timestamp * 1000).toLocaleString() : 'Never');
+
+const DetailRow = ({ label, children }) => (
+  <div className="flex justify-between py-2 text-sm">
+    <span className="text-gray-600">{label}</span>
+    <span className="font-medium text-gray-900 text-right ml-4 break-all">{children}</span>
+  </div>
+);
+
+export default function PeerDetailPage() {
+  const [peer, setPeer] = useState(null);
+  const [session, setSession] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [actionMessage, setActionMessage] = useState(null);
+  const [messageDirection, setMessageDirection] = useState('recv');
+  const [dataSource, setDataSource] = useState({ source: null, sourceError: null });
+  const router = useRouter();
+  const { id } = useParams();
+
+  const fetchPeer = async (skipCache = false) => {
+    try {
+      setLoading(true);
+
+      // Check if token exists (the API client will handle adding it to requests)
+      if (typeof window !== 'undefined' && !localStorage.getItem('token')) {
+        router.push('/login');
+        return;
+      }
+
+      const response = await api.get(`/bitcoin/peers/${id}${skipCache ? '?useCache=false' : ''}`);
+      setPeer(response.data.peer);
+      setSession(response.data.session);
+      setDataSource({ source: response.data.source, sourceError: response.data.sourceError });
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching peer:', err);
+      setPeer(null);
+      setError(err.response?.data?.message || `Failed to fetch peer: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchPeer();
+  }, [router, id]);
+
+  const handleDisconnect = async () => {
+    try {
+      const response = await api.post('/bitcoin/peers/disconnect', { nodeId: peer.id });
+      setActionMessage(response.data.message);
+    } catch (err) {
+      console.error('Error disconnecting peer:', err);
+      setError(`Failed to disconnect peer: ${err.response?.data?.message || err.message}`);
+    }
+  };
+
+  const handleBan = async () => {
+    // The reason is shown on the Banned Peers page; cancelling the prompt cancels the ban
+    const reason = window.prompt(`Ban ${peer.addr} for 24 hours. Reason (optional):`, '');
+    if (reason === null) return;
+
+    try {
+      const response = await api.post('/bitcoin/peers/ban', { ip: peer.addr, banTime: 86400, network: peer.network, reason });
+      setActionMessage(response.data.message);
+    } catch (err) {
+      console.error('Error banning peer:', err);
+      setError(`Failed to ban peer: ${err.response?.data?.message || err.message}`);
+    }
+  };
+
+  if (loading && !peer) {
+    return (
+      <div className="flex justify-center items-center h-full">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-indigo-500"></div>
+      </div>
+    );
+  }
+
+  if (!peer) {
+    return (
+      <div className="space-y-6">
+        <MockDataBanner source={dataSource.source} sourceError={dataSource.sourceError} />
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+          {error || 'Peer not found'}
+        </div>
+        <Link href="/peers/history" className="text-indigo-600 hover:text-indigo-900 text-sm">
+          Search the peer history for past connections
+        </Link>
+      </div>
+    );
+  }
+
+  const samples = session?.samples || [];
+  const sampleLabels = samples.map(sample => new Date(sample.timestamp).toLocaleTimeString());
+
+  // Message breakdown, largest first
+  const perMessage = Object.entries((messageDirection === 'recv' ? peer.bytesrecv_per_msg : peer.bytessent_per_msg) || {})
+    .sort(([, a], [, b]) => b - a);
+  const pieMessages = perMessage.length > MAX_PIE_SLICES
+    ? [
+      ...perMessage.slice(0, MAX_PIE_SLICES - 1),
+      ['other', perMessage.slice(MAX_PIE_SLICES - 1).reduce((sum, [, bytes]) => sum + bytes, 0)]
+    ]
+    : perMessage;
+
+  const geolocation = peer.geolocation;
+
+  return (
+    <div className="space-y-6">
+      <MockDataBanner source={dataSource.source} sourceError={dataSource.sourceError} />
+
+      <div className="flex justify-between items-center">
+        <div>
+          <Link href="/peers" className="text-sm text-indigo-600 hover:text-indigo-900">
+            &larr; Connected Peers
+          </Link>
+          <h1 className="text-2xl font-bold">Peer {peer.id}: {peer.addr}</h1>
+        </div>
+        <div className="flex space-x-2">
+          <button
+            onClick={() => fetchPeer(true)}
+            className="px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+            disabled={loading}
+          >
+            {loading ? 'Refreshing...' : 'Refresh'}
+          </button>
+          <button
+            onClick={handleDisconnect}
+            className="px-4 py-2 bg-indigo-600 text-white rounded hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          >
+            Disconnect
+          </button>
+          {isBannableNetwork(peer.network) && (
+            <button
+              onClick={handleBan}
+              className="px-4 py-2 bg-red-600 text-white rounded hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500"
+            >
+              Ban
+            </button>
+          )}
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+          {error}
+        </div>
+      )}
+
+      {actionMessage && (
+        <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded">
+          {actionMessage}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="bg-white p-4 rounded-lg shadow divide-y divide-gray-100">
+          <h2 className="text-lg font-semibold text-gray-700 mb-2">Connection</h2>
+          <DetailRow label="Direction">{peer.inbound ? 'Inbound' : 'Outbound'}</DetailRow>
+          <DetailRow label="Connection Type">{peer.connection_type || 'N/A'}</DetailRow>
+          <DetailRow label="Network">{networkLabel(peer.network)}</DetailRow>
+          <DetailRow label="Web Hoster">
+            {peer.hoster ? `${peer.hoster.name} (by ${peer.hoster.match === 'asn' ? 'ASN' : 'IP range'})` : 'None'}
+          </DetailRow>
+          <DetailRow label="Transport">
+            {peer.transport_protocol_type || 'N/A'}
+            {peer.session_id && <div className="text-xs text-gray-500">Session {peer.session_id}</div>}
+          </DetailRow>
+          <DetailRow label="Connected Since">{formatTimestamp(peer.conntime)}</DetailRow>
+          <DetailRow label="Local Address">{peer.addrlocal || 'N/A'}</DetailRow>
+          <DetailRow label="Relays Transactions">{peer.relaytxes ? 'Yes' : 'No'}</DetailRow>
+        </div>
+
+        <div className="bg-white p-4 rounded-lg shadow divide-y divide-gray-100">
+          <h2 className="text-lg font-semibold text-gray-700 mb-2">Node</h2>
+          <DetailRow label="User Agent">{peer.subver || 'N/A'}</DetailRow>
+          <DetailRow label="Protocol Version">{peer.version || 'N/A'}</DetailRow>
+          <DetailRow label="Services">{(peer.servicesnames || []).join(', ') || peer.services || 'NONE'}</DetailRow>
+          <DetailRow label="Permissions">{(peer.permissions || []).join(', ') || 'None'}</DetailRow>
+          <DetailRow label="Synced Headers / Blocks">{peer.synced_headers ?? 'N/A'} / {peer.synced_blocks ?? 'N/A'}</DetailRow>
+          <DetailRow label="Ping / Min Ping">{formatPing(peer.pingtime)} / {formatPing(peer.minping)}</DetailRow>
+          <DetailRow label="Sent / Received">{formatBytes(peer.bytessent || 0)} / {formatBytes(peer.bytesrecv || 0)}</DetailRow>
+        </div>
+
+        <div className="bg-white p-4 rounded-lg shadow divide-y divide-gray-100">
+          <h2 className="text-lg font-semibold text-gray-700 mb-2">Location</h2>
+          {geolocation ? (
+            <>
+              <DetailRow label="Country">{geolocation.country} ({geolocation.countryCode})</DetailRow>
+              <DetailRow label="Region">{geolocation.regionName || 'N/A'}</DetailRow>
+              <DetailRow label="City">{geolocation.city || 'N/A'}</DetailRow>
+              <DetailRow label="ISP">{geolocation.isp || 'N/A'}</DetailRow>
+              <DetailRow label="Organization">{geolocation.org || 'N/A'}</DetailRow>
+              <DetailRow label="AS">{geolocation.as || 'N/A'}</DetailRow>
+            </>
+          ) : isOverlayNetwork(peer.network) ? (
+            <p className="text-sm text-gray-500 pt-2">{networkLabel(peer.network)} addresses have no location.</p>
+          ) : (
+            <p className="text-sm text-gray-500 pt-2">No geolocation data for this address.</p>
+          )}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="bg-white p-4 rounded-lg shadow">
+          <h2 className="text-lg font-semibold text-gray-700 mb-2">Ping</h2>
+          {samples.length > 0 ? (
+            <LineChart
+              labels={sampleLabels}
+              data={samples.map(sample => (sample.pingTime !== null ? sample.pingTime * 1000 : null))}
+              label="Ping (ms)"
+            />
+          ) : (
+            <p className="text-sm text-gray-500">No samples yet. The peer history records peers every minute.</p>
+          )}
+        </div>
+
+        <div className="bg-white p-4 rounded-lg shadow">
+          <h2 className="text-lg font-semibold text-gray-700 mb-2">Traffic</h2>
+          {samples.length > 0 ? (
+            <LineChart
+              labels={sampleLabels}
+              datasets={[
+                {
+                  label: 'Sent (MB)',
+                  data: samples.map(sample => sample.bytesSent / 1024 / 1024),
+                  borderColor: 'rgba(255, 99, 132, 1)',
+                  backgroundColor: 'rgba(255, 99, 132, 0.2)'
+                },
+                {
+                  label: 'Received (MB)',
+                  data: samples.map(sample => sample.bytesRecv / 1024 / 1024),
+                  borderColor: 'rgba(54, 162, 235, 1)',
+                  backgroundColor: 'rgba(54, 162, 235, 0.2)'
+                }
+              ]}
+            />
+          ) : (
+            <p className="text-sm text-gray-500">No samples yet. The peer history records peers every minute.</p>
+          )}
+        </div>
+      </div>
+
+      <div className="bg-white p-4 rounded-lg shadow">
+        <div className="flex justify-between items-center mb-2">
+          <h2 className="text-lg font-semibold text-gray-700">Bytes per Message Type</h2>
+          <div className="flex space-x-2 text-sm">
+            {[['recv', 'Received'], ['sent', 'Sent']].map(([direction, label]) => (
+              <button
+                key={direction}
+                onClick={() => setMessageDirection(direction)}
+                className={`px-3 py-1 rounded ${
+                  messageDirection === direction ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+        {perMessage.length > 0 ? (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <PieChart
+              data={pieMessages.map(([, bytes]) => bytes)}
+              labels={pieMessages.map(([message]) => message)}
+            />
+            <BarChart
+              data={perMessage.map(([, bytes]) => bytes)}
+              labels={perMessage.map(([message]) => message)}
+              label="Bytes"
+              horizontal
+            />
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500">No messages {messageDirection === 'recv' ? 'received' : 'sent'} yet.</p>
+        )}
+      </div>
+    </div>
+  );
+}
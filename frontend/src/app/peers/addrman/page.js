@@ -0,0 +1,251 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/navigation';
+import Link from 'next/link';
+import api from '../../../lib/api';
+import MockDataBanner from '../../../components/common/MockDataBanner';
+import Pagination from '../../../components/common/Pagination';
+import { PieChart } from '../../../components/charts';
+
+const PAGE_SIZE = 50;
+
+const NETWORKS = ['ipv4', 'ipv6', 'onion', 'i2p', 'cjdns'];
+
+const COUNTS = [
+  { value: '500', label: '500' },
+  { value: '1000', label: '1,000' },
+  { value: '5000', label: '5,000' },
+  { value: '0', label: 'All' }
+];
+
+const GROUPINGS = [
+  { type: 'network', title: 'Networks' },
+  { type: 'country', title: 'Countries' },
+  { type: 'asn', title: 'ASNs' }
+];
+
+// Most groups listed per card
+const MAX_GROUPS = 15;
+
+// Get the group key of an address, matching the backend's grouping
+const groupKeyOf = (address, type) => {
+  if (type === 'network') return address.network;
+  if (type === 'country') return address.geolocation?.countryCode ?? null;
+  return address.geolocation?.as || null;
+};
+
+// Format when an address was last seen
+const formatSeen = (time) => new Date(time * 1000).toLocaleString();
+
+export default function AddrmanPage() {
+  const [addrman, setAddrman] = useState(null);
+  const [network, setNetwork] = useState('');
+  const [count, setCount] = useState('1000');
+  const [selectedGroup, setSelectedGroup] = useState(null);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const router = useRouter();
+
+  const fetchAddrman = async () => {
+    try {
+      setLoading(true);
+
+      // Check if token exists (the API client will handle adding it to requests)
+      if (typeof window !== 'undefined' && !localStorage.getItem('token')) {
+        router.push('/login');
+        return;
+      }
+
+      const queryParams = new URLSearchParams({ count, geo: 'true' });
+      if (network) queryParams.append('network', network);
+
+      const response = await api.get(`/bitcoin/addrman?${queryParams.toString()}`);
+      setAddrman(response.data);
+      setSelectedGroup(null);
+      setPage(1);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching address manager:', err);
+      setError(`Failed to fetch known addresses: ${err.response?.data?.message || err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchAddrman();
+  }, [router, network, count]);
+
+  const handleSelectGroup = (type, key) => {
+    const isSelected = selectedGroup && selectedGroup.type === type && selectedGroup.key === key;
+    setSelectedGroup(isSelected ? null : { type, key });
+    setPage(1);
+  };
+
+  const addresses = (addrman?.addresses || []).filter((address) => {
+    if (!selectedGroup) return true;
+    if (selectedGroup.type !== 'network' && address.network !== 'ipv4' && address.network !== 'ipv6') return false;
+    return groupKeyOf(address, selectedGroup.type) === selectedGroup.key;
+  });
+  const pageAddresses = addresses.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE);
+
+  const clearnetCount = (addrman?.addresses || []).filter((address) => address.network === 'ipv4' || address.network === 'ipv6').length;
+  const selectClassName = 'px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 text-sm';
+
+  return (
+    <div className="space-y-6">
+      <MockDataBanner source={addrman?.source} sourceError={addrman?.sourceError} />
+
+      <div className="flex justify-between items-center">
+        <div>
+          <Link href="/peers" className="text-sm text-indigo-600 hover:text-indigo-900">
+            &larr; Connected Peers
+          </Link>
+          <h1 className="text-2xl font-bold">Known Addresses</h1>
+        </div>
+        <div className="flex items-center space-x-2">
+          <select value={network} onChange={(e) => setNetwork(e.target.value)} className={selectClassName}>
+            <option value="">All networks</option>
+            {NETWORKS.map((option) => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+          <select value={count} onChange={(e) => setCount(e.target.value)} className={selectClassName}>
+            {COUNTS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <button
+            onClick={fetchAddrman}
+            className="px-4 py-2 bg-indigo-600 text-white rounded hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            disabled={loading}
+          >
+            {loading ? 'Loading...' : 'Refresh'}
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+          {error}
+        </div>
+      )}
+
+      {loading && !addrman ? (
+        <div className="flex justify-center items-center h-32">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-indigo-500"></div>
+        </div>
+      ) : addrman && (
+        <>
+          <div className="text-sm text-gray-500">
+            {addrman.total} addresses sampled from the node&apos;s address manager. {addrman.geolocated} of {clearnetCount} clearnet
+            addresses are geolocated; geolocation is rate limited, so more are located each time the page loads.
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+            {GROUPINGS.map(({ type, title }) => {
+              const groups = addrman.groups[type];
+
+              return (
+                <div key={type} className="bg-white p-4 rounded-lg shadow">
+                  <h2 className="text-lg font-semibold text-gray-700 mb-2">{title}</h2>
+                  {type === 'network' && groups.length > 0 && (
+                    <div className="mb-4">
+                      <PieChart data={groups.map((group) => group.count)} labels={groups.map((group) => group.label)} />
+                    </div>
+                  )}
+                  {groups.length > 0 ? (
+                    <ul className="text-sm divide-y divide-gray-100">
+                      {groups.slice(0, MAX_GROUPS).map((group) => {
+                        const isSelected = selectedGroup && selectedGroup.type === type && selectedGroup.key === group.key;
+
+                        return (
+                          <li key={group.key ?? 'unknown'}>
+                            <button
+                              onClick={() => handleSelectGroup(type, group.key)}
+                              className={`w-full flex justify-between py-1 px-1 text-left rounded ${isSelected ? 'bg-indigo-50 text-indigo-700' : 'hover:bg-gray-50'}`}
+                            >
+                              <span className="truncate mr-2">{group.label}</span>
+                              <span className="text-gray-500 whitespace-nowrap">
+                                {group.count} ({((group.count / addrman.total) * 100).toFixed(1)}%)
+                              </span>
+                            </button>
+                          </li>
+                        );
+                      })}
+                    </ul>
+                  ) : (
+                    <p className="text-sm text-gray-500">No clearnet addresses.</p>
+                  )}
+                  {groups.length > MAX_GROUPS && (
+                    <p className="text-xs text-gray-500 mt-2">{groups.length - MAX_GROUPS} more not shown</p>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+
+          <div className="flex justify-between items-center text-sm text-gray-500">
+            <div>
+              Showing {addresses.length} addresses{selectedGroup ? ' in the selected group' : ''}
+            </div>
+            {selectedGroup && (
+              <button onClick={() => handleSelectGroup(selectedGroup.type, selectedGroup.key)} className="text-indigo-600 hover:text-indigo-900">
+                Clear selection
+              </button>
+            )}
+          </div>
+
+          <div className="bg-white shadow rounded-lg overflow-hidden">
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    {['Address', 'Network', 'Location', 'AS', 'Services', 'Last Seen'].map((heading) => (
+                      <th key={heading} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        {heading}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {pageAddresses.map((address, index) => (
+                    <tr key={`${address.address}:${address.port}`} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 max-w-xs truncate">
+                        {address.address}:{address.port}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{address.network}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {address.geolocation ? `${address.geolocation.city}, ${address.geolocation.country}` : 'N/A'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{address.geolocation?.as || 'N/A'}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{address.services}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatSeen(address.time)}</td>
+                    </tr>
+                  ))}
+                  {addresses.length === 0 && (
+                    <tr>
+                      <td colSpan="6" className="px-6 py-4 text-center text-sm text-gray-500">
+                        No known addresses
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {addresses.length > PAGE_SIZE && (
+            <Pagination
+              currentPage={page}
+              totalPages={Math.ceil(addresses.length / PAGE_SIZE)}
+              onPageChange={setPage}
+            />
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,271 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/navigation';
+import Link from 'next/link';
+import api from '../../../lib/api';
+import Pagination from '../../../components/common/Pagination';
+
+const PAGE_SIZE = 50;
+
+const emptySearch = { ip: '', userAgent: '', from: '', to: '', status: '' };
+
+// Format byte counts
+const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(2)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+  return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+};
+
+// Format how long a session lasted
+const formatDuration = (start, end) => {
+  const seconds = Math.max(0, Math.floor((new Date(end) - new Date(start)) / 1000));
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m`;
+};
+
+export default function PeerHistoryPage() {
+  const [sessions, setSessions] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [search, setSearch] = useState(emptySearch);
+  const [appliedSearch, setAppliedSearch] = useState(emptySearch);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const router = useRouter();
+
+  const fetchHistory = async (searchParams, pageNumber) => {
+    try {
+      setLoading(true);
+
+      // Check if token exists (the API client will handle adding it to requests)
+      if (typeof window !== 'undefined' && !localStorage.getItem('token')) {
+        router.push('/login');
+        return;
+      }
+
+      const queryParams = new URLSearchParams({ page: pageNumber, limit: PAGE_SIZE });
+
+      if (searchParams.ip) queryParams.append('ip', searchParams.ip);
+      if (searchParams.userAgent) queryParams.append('userAgent', searchParams.userAgent);
+      if (searchParams.status) queryParams.append('status', searchParams.status);
+
+      // datetime-local values are local times without a zone
+      if (searchParams.from) queryParams.append('from', new Date(searchParams.from).toISOString());
+      if (searchParams.to) queryParams.append('to', new Date(searchParams.to).toISOString());
+
+      const response = await api.get(`/bitcoin/peers/history?${queryParams.toString()}`);
+      setSessions(response.data.sessions);
+      setTotal(response.data.total);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching peer history:', err);
+      setError(`Failed to fetch peer history: ${err.response?.data?.message || err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchHistory(appliedSearch, page);
+  }, [router, appliedSearch, page]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setAppliedSearch(search);
+  };
+
+  const handleReset = () => {
+    setSearch(emptySearch);
+    setPage(1);
+    setAppliedSearch(emptySearch);
+  };
+
+  const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 text-sm';
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h1 className="text-2xl font-bold">Peer History</h1>
+        <Link
+          href="/peers"
+          className="px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+        >
+          Connected Peers
+        </Link>
+      </div>
+
+      <form onSubmit={handleSearch} className="bg-white shadow rounded-lg p-4">
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">IP Address</label>
+            <input
+              type="text"
+              value={search.ip}
+              onChange={(e) => setSearch({ ...search, ip: e.target.value })}
+              placeholder="e.g. 203.0.113."
+              className={inputClassName}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">User Agent</label>
+            <input
+              type="text"
+              value={search.userAgent}
+              onChange={(e) => setSearch({ ...search, userAgent: e.target.value })}
+              placeholder="e.g. Satoshi:27"
+              className={inputClassName}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Connected After</label>
+            <input
+              type="datetime-local"
+              value={search.from}
+              onChange={(e) => setSearch({ ...search, from: e.target.value })}
+              className={inputClassName}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Connected Before</label>
+            <input
+              type="datetime-local"
+              value={search.to}
+              onChange={(e) => setSearch({ ...search, to: e.target.value })}
+              className={inputClassName}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Status</label>
+            <select
+              value={search.status}
+              onChange={(e) => setSearch({ ...search, status: e.target.value })}
+              className={inputClassName}
+            >
+              <option value="">All</option>
+              <option value="connected">Connected</option>
+              <option value="disconnected">Disconnected</option>
+            </select>
+          </div>
+        </div>
+        <div className="flex justify-end space-x-2 mt-4">
+          <button
+            type="button"
+            onClick={handleReset}
+            className="px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+          >
+            Reset
+          </button>
+          <button
+            type="submit"
+            className="px-4 py-2 bg-indigo-600 text-white rounded hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          >
+            Search
+          </button>
+        </div>
+      </form>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+          {error}
+        </div>
+      )}
+
+      <div className="text-sm text-gray-500">
+        {total} peer session{total === 1 ? '' : 's'} found. Sessions are recorded every minute.
+      </div>
+
+      {loading && sessions.length === 0 ? (
+        <div className="flex justify-center items-center h-32">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-indigo-500"></div>
+        </div>
+      ) : (
+        <div className="bg-white shadow rounded-lg overflow-hidden">
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  {['Address', 'Connection Type', 'User Agent', 'First Seen', 'Last Seen', 'Duration', 'Sent / Received', 'Min Ping', 'Disconnect'].map((heading) => (
+                    <th key={heading} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      {heading}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {sessions.map((session, index) => (
+                  <tr key={session.id} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {session.disconnectedAt ? session.addr : (
+                        <Link href={`/peers/${session.peerId}`} className="text-indigo-600 hover:text-indigo-900">
+                          {session.addr}
+                        </Link>
+                      )}
+                      {session.network && <div className="text-xs text-gray-500">{session.network}</div>}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {session.inbound ? 'Inbound' : 'Outbound'}
+                      {session.connectionType && <div className="text-xs">{session.connectionType}</div>}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {session.subver || 'N/A'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {new Date(session.firstSeen).toLocaleString()}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {new Date(session.lastSeen).toLocaleString()}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {formatDuration(session.connectedAt, session.disconnectedAt || session.lastSeen)}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {formatBytes(session.bytesSent)} / {formatBytes(session.bytesRecv)}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {session.minPing !== null ? `${(session.minPing * 1000).toFixed(2)} ms` : 'N/A'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      {session.disconnectedAt ? (
+                        <span className="text-gray-700">
+                          {session.disconnectReason}
+                          <div className="text-xs text-gray-500">{new Date(session.disconnectedAt).toLocaleString()}</div>
+                        </span>
+                      ) : (
+                        <span className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-green-100 text-green-800">
+                          Connected
+                        </span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+                {sessions.length === 0 && (
+                  <tr>
+                    <td colSpan="9" className="px-6 py-4 text-center text-sm text-gray-500">
+                      No peer sessions found
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {total > PAGE_SIZE && (
+        <Pagination
+          currentPage={page}
+          totalPages={Math.ceil(total / PAGE_SIZE)}
+          onPageChange={setPage}
+        />
+      )}
+    </div>
+  );
+}
@@ -2,8 +2,14 @@
 
 import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
+import Link from 'next/link';
 import api from '../../lib/api';
 import PeerFilters from '../../components/PeerFilters';
+import AddedNodesPanel from '../../components/AddedNodesPanel';
+import MockDataBanner from '../../components/common/MockDataBanner';
+import LiveIndicator from '../../components/common/LiveIndicator';
+import { useLiveChannel } from '../../lib/socket';
+import { parseAddress, isOverlayNetwork, isBannableNetwork, networkLabel, suggestSubnet } from '../../lib/address';
 import dynamic from 'next/dynamic';
 import Script from 'next/script';
 
@@ -59,6 +65,7 @@ export default function PeersPage() {
   const [showMap, setShowMap] = useState(false);
   const [lastUpdated, setLastUpdated] = useState(null);
   const [stats, setStats] = useState({ total: 0, filtered: 0 });
+  const [dataSource, setDataSource] = useState({ source: null, sourceError: null });
   const router = useRouter();
 
   const fetchPeers = async (filterParams = {}, sortParams = {}, includeGeo = false, skipCache = false) => {
@@ -122,12 +129,8 @@ export default function PeersPage() {
             setLastUpdated(new Date(response.data.lastUpdated));
           }
 
-          // Show a warning if using mock data
-          if (response.data._isMockData) {
-            setError('Note: Displaying mock data because the Bitcoin node is unavailable.');
-          } else {
-            setError(null);
-          }
+          setDataSource({ source: response.data.source, sourceError: response.data.sourceError });
+          setError(null);
         } else {
           // Handle old format for backward compatibility
           setPeers(response.data);
@@ -157,23 +160,44 @@ export default function PeersPage() {
   };
 
   useEffect(() => {
-    // Initial fetch of peer data
+    // Initial fetch of peer data; later changes are pushed by the backend
     fetchPeers(filters, sort, showMap);
+  }, [router, showMap]);
+
+  // Apply the peer list changes pushed by the backend
+  const applyPeersDiff = (diff) => {
+    const hasFilters = Object.values(filters).some(value => value) || sort.field;
 
-    // Set up an interval to refresh the data every 60 seconds if the map is shown
-    let intervalId;
-    if (showMap) {
-      intervalId = setInterval(() => {
-        fetchPeers(filters, sort, true);
-      }, 60000); // 60 seconds
+    // Filtered or sorted lists and new peers on the map need the server to filter or geolocate them
+    if (hasFilters || (showMap && diff.added.length > 0)) {
+      fetchPeers(filters, sort, showMap);
+      return;
     }
 
-    return () => {
-      if (intervalId) {
-        clearInterval(intervalId);
-      }
-    };
-  }, [router, showMap]);
+    setPeers(currentPeers => {
+      const removed = new Set(diff.removed);
+      const updates = new Map(diff.updated.map(update => [update.id, update]));
+      const addedIds = new Set(diff.added.map(peer => peer.id));
+
+      const kept = currentPeers
+        .filter(peer => !removed.has(peer.id) && !addedIds.has(peer.id))
+        .map(peer => (updates.has(peer.id) ? { ...peer, ...updates.get(peer.id) } : peer));
+
+      return [...kept, ...diff.added];
+    });
+
+    setStats({ total: diff.total, filtered: diff.total });
+    if (diff.lastUpdated) {
+      setLastUpdated(new Date(diff.lastUpdated));
+    }
+    setDataSource({ source: diff.source, sourceError: diff.sourceError });
+    setError(null);
+  };
+
+  const live = useLiveChannel(['peers'], {
+    'peers:diff': applyPeersDiff,
+    'peers:error': (event) => setError(`Failed to update peers: ${event.message}`)
+  });
 
   const handleFilterChange = (newFilters) => {
     setFilters(newFilters);
@@ -219,16 +243,20 @@ export default function PeersPage() {
     }
   };
 
-  const handleBan = async (ip, banTime = 86400) => {
+  const handleBan = async (bannedPeer, banTime = 86400) => {
     try {
       if (typeof window !== 'undefined' && !localStorage.getItem('token')) return;
 
+      // The reason is shown on the Banned Peers page; cancelling the prompt cancels the ban
+      const reason = window.prompt(`Ban ${bannedPeer.addr} for 24 hours. Reason (optional):`, '');
+      if (reason === null) return;
+
       try {
-        await api.post('/bitcoin/peers/ban', { ip, banTime });
+        await api.post('/bitcoin/peers/ban', { ip: bannedPeer.addr, banTime, network: bannedPeer.network, reason });
 
         // Refresh the peers list
-        const peerIp = ip.split(':')[0];
-        setPeers(peers.filter(peer => !peer.addr.startsWith(peerIp)));
+        const { host } = parseAddress(bannedPeer.addr);
+        setPeers(peers.filter(peer => parseAddress(peer.addr).host !== host));
       } catch (apiError) {
         console.error('API error:', apiError);
 
@@ -244,6 +272,26 @@ export default function PeersPage() {
     }
   };
 
+  // Ban the /24 or /48 around a peer, or a subnet the user enters instead
+  const handleBanSubnet = async (bannedPeer, banTime = 86400) => {
+    const suggested = suggestSubnet(parseAddress(bannedPeer.addr).host);
+    const subnet = window.prompt('Ban which subnet for 24 hours? Every peer in it will be disconnected.', suggested);
+    if (!subnet) return;
+
+    const reason = window.prompt(`Reason for banning ${subnet.trim()} (optional):`, '');
+    if (reason === null) return;
+
+    try {
+      await api.post('/bitcoin/peers/ban', { subnet: subnet.trim(), banTime, reason });
+
+      // Refresh the peers list; the server knows which peers the subnet covered
+      fetchPeers(filters, sort, showMap, true);
+    } catch (apiError) {
+      console.error('API error:', apiError);
+      setError(`Failed to ban subnet: ${apiError.response?.data?.message || apiError.message}`);
+    }
+  };
+
   if (loading && peers.length === 0) {
     return (
       <div className="flex justify-center items-center h-full">
@@ -267,9 +315,24 @@ export default function PeersPage() {
         crossOrigin=""
       />
 
+      <MockDataBanner source={dataSource.source} sourceError={dataSource.sourceError} />
+
       <div className="flex justify-between items-center">
         <h1 className="text-2xl font-bold">Connected Peers</h1>
-        <div className="flex space-x-2">
+        <div className="flex items-center space-x-2">
+          <LiveIndicator connected={live} />
+          <Link
+            href="/peers/history"
+            className="px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+          >
+            History
+          </Link>
+          <Link
+            href="/peers/addrman"
+            className="px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+          >
+            Known Addresses
+          </Link>
           <button
             onClick={handleToggleMap}
             className="px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
@@ -358,7 +421,20 @@ export default function PeersPage() {
               {peers.map((peer, index) => (
                 <tr key={index} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                    {peer.addr}
+                    <Link href={`/peers/${peer.id}`} className="text-indigo-600 hover:text-indigo-900">
+                      {peer.addr}
+                    </Link>
+                    <div className="text-xs text-gray-500">
+                      {networkLabel(peer.network)}
+                      {peer.hosted && (
+                        <span
+                          className="ml-2 px-1.5 py-0.5 rounded bg-orange-100 text-orange-800"
+                          title={`Matches web hoster ${peer.hoster.name} by ${peer.hoster.match === 'asn' ? 'ASN' : 'IP range'}`}
+                        >
+                          Hosted: {peer.hoster.name}
+                        </span>
+                      )}
+                    </div>
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                     {peer.outbound ? 'Outbound' : 'Inbound'}
@@ -400,7 +476,9 @@ export default function PeersPage() {
                   </td>
                   {showMap && (
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                      {peer.geolocation ? (
+                      {isOverlayNetwork(peer.network) ? (
+                        `${networkLabel(peer.network)} network`
+                      ) : peer.geolocation ? (
                         `${peer.geolocation.city}, ${peer.geolocation.country}`
                       ) : (
                         'Unknown'
@@ -415,12 +493,29 @@ export default function PeersPage() {
                       >
                         Disconnect
                       </button>
-                      <button
-                        onClick={() => handleBan(peer.addr)}
-                        className="text-red-600 hover:text-red-900"
-                      >
-                        Ban
-                      </button>
+                      {isBannableNetwork(peer.network) ? (
+                        <>
+                          <button
+                            onClick={() => handleBan(peer)}
+                            className="text-red-600 hover:text-red-900"
+                          >
+                            Ban
+                          </button>
+                          {suggestSubnet(parseAddress(peer.addr).host) && (
+                            <button
+                              onClick={() => handleBanSubnet(peer)}
+                              className="text-red-600 hover:text-red-900"
+                              title={`Ban ${suggestSubnet(parseAddress(peer.addr).host)}`}
+                            >
+                              Ban Subnet
+                            </button>
+                          )}
+                        </>
+                      ) : (
+                        <span className="text-gray-400 cursor-not-allowed" title={`${networkLabel(peer.network)} peers can't be banned by address`}>
+                          Ban
+                        </span>
+                      )}
                     </div>
                   </td>
                 </tr>
@@ -442,6 +537,8 @@ export default function PeersPage() {
           <div className="animate-spin rounded-full h-6 w-6 border-t-2 border-b-2 border-indigo-500"></div>
         </div>
       )}
+
+      <AddedNodesPanel lastUpdated={lastUpdated} />
     </div>
   );
 }
@@ -4,6 +4,11 @@ import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
 import Link from 'next/link';
 import api from '../../lib/api';
+import LiveIndicator from '../../components/common/LiveIndicator';
+import { useLiveChannel } from '../../lib/socket';
+
+// How many pushed rule executions to keep on the page
+const MAX_RECENT_EXECUTIONS = 10;
 
 export default function RulesPage() {
   const [rules, setRules] = useState([]);
@@ -12,6 +17,8 @@ export default function RulesPage() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [executing, setExecuting] = useState(false);
+  const [nodes, setNodes] = useState([]);
+  const [recentExecutions, setRecentExecutions] = useState([]);
   const router = useRouter();
 
   useEffect(() => {
@@ -22,10 +29,46 @@ export default function RulesPage() {
       return;
     }
 
-    // Fetch rules from the API
+    // Fetch rules and registered nodes from the API
     fetchRules();
+    fetchNodes();
   }, [router]);
 
+  // Executions by the scheduler, other users or this page are pushed by the backend
+  const live = useLiveChannel(['rules'], {
+    'rules:executed': (execution) => {
+      setRecentExecutions((executions) => [execution, ...executions].slice(0, MAX_RECENT_EXECUTIONS));
+    }
+  });
+
+  const fetchNodes = async () => {
+    try {
+      const response = await api.get('/nodes');
+      setNodes(response.data);
+    } catch (err) {
+      console.error('Error fetching nodes:', err);
+    }
+  };
+
+  // Parse the JSON list of node IDs a rule targets (empty targets all nodes)
+  const parseNodeIds = (nodeIds) => {
+    if (!nodeIds) return [];
+    try {
+      return JSON.parse(nodeIds);
+    } catch (err) {
+      return [];
+    }
+  };
+
+  const formatTargetNodes = (rule) => {
+    const nodeIds = parseNodeIds(rule.nodeIds);
+    if (nodeIds.length === 0) return 'All nodes';
+
+    return nodeIds
+      .map((id) => nodes.find((node) => node.id === id)?.name || `#${id}`)
+      .join(', ');
+  };
+
   const fetchRules = async () => {
     try {
       setLoading(true);
@@ -65,7 +108,7 @@ export default function RulesPage() {
   };
 
   const handleEdit = (rule) => {
-    setCurrentRule(rule);
+    setCurrentRule({ ...rule, targetNodeIds: parseNodeIds(rule.nodeIds) });
     setShowModal(true);
   };
 
@@ -87,6 +130,7 @@ export default function RulesPage() {
       description: '',
       conditions: JSON.stringify({}),
       actions: JSON.stringify({ action: 'ban', banTime: 86400 }),
+      targetNodeIds: [],
       isActive: true
     });
     setShowModal(true);
@@ -96,10 +140,19 @@ export default function RulesPage() {
     e.preventDefault();
     setLoading(true);
 
+    const ruleData = {
+      name: currentRule.name,
+      description: currentRule.description,
+      conditions: currentRule.conditions,
+      actions: currentRule.actions,
+      nodeIds: currentRule.targetNodeIds.length > 0 ? currentRule.targetNodeIds : null,
+      isActive: currentRule.isActive
+    };
+
     try {
       if (currentRule.id) {
         // Update existing rule
-        const response = await api.put(`/rules/${currentRule.id}`, currentRule);
+        const response = await api.put(`/rules/${currentRule.id}`, ruleData);
         setRules(
           rules.map((rule) =>
             rule.id === currentRule.id ? response.data : rule
@@ -107,14 +160,14 @@ export default function RulesPage() {
         );
       } else {
         // Add new rule
-        const response = await api.post('/rules', currentRule);
+        const response = await api.post('/rules', ruleData);
         setRules([...rules, response.data]);
       }
 
       setShowModal(false);
     } catch (err) {
       console.error('Error saving rule:', err);
-      setError('Failed to save rule. Please check your inputs and try again.');
+      setError(err.response?.data?.message || 'Failed to save rule. Please check your inputs and try again.');
     } finally {
       setLoading(false);
     }
@@ -143,7 +196,8 @@ export default function RulesPage() {
     <div className="space-y-6">
       <div className="flex justify-between items-center">
         <h1 className="text-2xl font-bold">Rule System</h1>
-        <div className="flex space-x-2">
+        <div className="flex items-center space-x-2">
+          <LiveIndicator connected={live} />
           <Link
             href="/rules/logs"
             className="px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
@@ -181,6 +235,9 @@ export default function RulesPage() {
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Description
                   </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Nodes
+                  </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Status
                   </th>
@@ -201,6 +258,9 @@ export default function RulesPage() {
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                       {rule.description}
                     </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {formatTargetNodes(rule)}
+                    </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       <span
                         className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
@@ -250,7 +310,7 @@ export default function RulesPage() {
                 ))}
                 {rules.length === 0 && (
                   <tr>
-                    <td colSpan="5" className="px-6 py-4 text-center text-sm text-gray-500">
+                    <td colSpan="6" className="px-6 py-4 text-center text-sm text-gray-500">
                       No rules defined
                     </td>
                   </tr>
@@ -261,6 +321,27 @@ export default function RulesPage() {
         </div>
       )}
 
+      <div className="bg-white shadow rounded-lg p-6">
+        <h2 className="text-lg font-semibold text-gray-700 mb-4">Recent Executions</h2>
+        {recentExecutions.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            Rule executions will appear here as they happen.
+          </p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {recentExecutions.map((execution, index) => (
+              <li key={`${execution.ruleId}-${execution.executedAt}-${index}`} className="py-2 text-sm">
+                <span className="text-gray-500 mr-2">{formatDate(execution.executedAt)}</span>
+                <span className="font-medium text-gray-900 mr-2">{execution.ruleName}</span>
+                <span className={execution.success ? 'text-green-700' : 'text-red-700'}>
+                  {execution.message}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
       {showModal && (
         <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center p-4">
           <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full">
@@ -335,6 +416,42 @@ export default function RulesPage() {
                     required
                   />
                 </div>
+                {nodes.length > 0 && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Target Nodes
+                    </label>
+                    <p className="text-xs text-gray-500 mb-2">
+                      Leave all unchecked to run the rule against every active node.
+                    </p>
+                    <div className="flex flex-wrap gap-4">
+                      {nodes.map((node) => (
+                        <div key={node.id} className="flex items-center">
+                          <input
+                            type="checkbox"
+                            id={`node-${node.id}`}
+                            checked={currentRule.targetNodeIds.includes(node.id)}
+                            onChange={(e) =>
+                              setCurrentRule({
+                                ...currentRule,
+                                targetNodeIds: e.target.checked
+                                  ? [...currentRule.targetNodeIds, node.id]
+                                  : currentRule.targetNodeIds.filter((id) => id !== node.id),
+                              })
+                            }
+                            className="h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300 rounded"
+                          />
+                          <label
+                            htmlFor={`node-${node.id}`}
+                            className="ml-2 block text-sm text-gray-900"
+                          >
+                            {node.name}
+                          </label>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
                 <div className="flex items-center">
                   <input
                     type="checkbox"
@@ -384,10 +501,34 @@ export default function RulesPage() {
         </p>
         <p className="text-sm text-gray-600 mb-2">
           <strong>Conditions:</strong> Define when a rule should be triggered (e.g., high ping time, specific version).
+          Besides the peer&apos;s getpeerinfo fields, conditions can match its parsed <code>host</code>, <code>port</code>,{' '}
+          <code>ip</code> (empty for Tor and I2P peers) and <code>network</code> (ipv4, ipv6, onion, i2p or cjdns), its
+          geolocation as <code>geolocation.countryCode</code> or just <code>countryCode</code>, <code>as</code>,{' '}
+          <code>isp</code> and the like, and <code>hosted</code> (true for peers listed
+          under <Link href="/hosters" className="text-indigo-600 hover:text-indigo-900">Web Hosters</Link>) with the
+          matching <code>hoster.name</code>, e.g. <code>{'{"hosted": true}'}</code>.
+        </p>
+        <p className="text-sm text-gray-600 mb-2">
+          <strong>Operators:</strong> <code>eq</code>, <code>neq</code>, <code>gt</code>, <code>gte</code>,{' '}
+          <code>lt</code>, <code>lte</code>, <code>between</code> (<code>[min, max]</code>), <code>contains</code>,{' '}
+          <code>startsWith</code>, <code>endsWith</code>, <code>regex</code> (RE2 syntax, up to 200 characters,
+          without backreferences or lookarounds), <code>in</code>, <code>notIn</code>, <code>exists</code> and{' '}
+          <code>inSubnet</code> (a CIDR range or a list of them). Add <code>&quot;ignoreCase&quot;: true</code> next to
+          a text operator to match regardless of case, e.g.{' '}
+          <code>{'{"as": {"contains": "hetzner", "ignoreCase": true}}'}</code>.
+        </p>
+        <p className="text-sm text-gray-600 mb-2">
+          <strong>Groups:</strong> Fields are combined with AND. Nest conditions in <code>all</code> (every one
+          matches), <code>any</code> (at least one matches) or <code>not</code> (doesn&apos;t match) to combine them
+          differently, e.g.{' '}
+          <code>{'{"any": [{"subver": {"contains": "Knots"}}, {"pingtime": {"gt": 2}, "inbound": true}]}'}</code>.
         </p>
         <p className="text-sm text-gray-600 mb-2">
           <strong>Actions:</strong> Define what happens when conditions are met (e.g., ban, disconnect).
         </p>
+        <p className="text-sm text-gray-600 mb-2">
+          <strong>Nodes:</strong> A rule can target one node, several, or all registered nodes.
+        </p>
         <p className="text-sm text-gray-600">
           Rules are evaluated periodically against all connected peers.
         </p>
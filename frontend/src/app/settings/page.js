@@ -2,6 +2,8 @@
 
 import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
+import GeolocationSettings from '../../components/GeolocationSettings';
+import DiversitySettings from '../../components/DiversitySettings';
 
 export default function SettingsPage() {
   const [settings, setSettings] = useState({
@@ -163,6 +165,10 @@ export default function SettingsPage() {
         </form>
       </div>
 
+      <GeolocationSettings />
+
+      <DiversitySettings />
+
       <div className="bg-white p-6 rounded-lg shadow">
         <h2 className="text-lg font-semibold mb-4">About</h2>
         <div className="space-y-2">
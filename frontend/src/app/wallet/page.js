@@ -2,6 +2,8 @@
 
 import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
+import api from '../../lib/api';
+import MockDataBanner from '../../components/common/MockDataBanner';
 
 export default function WalletPage() {
   const [walletInfo, setWalletInfo] = useState(null);
@@ -18,20 +20,10 @@ export default function WalletPage() {
           return;
         }
 
-        const response = await fetch('http://localhost:3001/api/bitcoin/wallet', {
-          headers: {
-            Authorization: `Bearer ${token}`,
-          },
-        });
-
-        if (!response.ok) {
-          throw new Error('Failed to fetch wallet information');
-        }
-
-        const data = await response.json();
-        setWalletInfo(data);
+        const response = await api.get('/bitcoin/wallet');
+        setWalletInfo(response.data);
       } catch (err) {
-        setError(err.message);
+        setError(err.response?.data?.message || 'Failed to fetch wallet information');
       } finally {
         setLoading(false);
       }
@@ -66,6 +58,8 @@ export default function WalletPage() {
 
   return (
     <div className="space-y-6">
+      <MockDataBanner source={walletInfo.source} sourceError={walletInfo.sourceError} />
+
       <h1 className="text-2xl font-bold">Wallet Overview</h1>
       
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
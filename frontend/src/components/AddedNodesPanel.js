@@ -0,0 +1,188 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import api from '../lib/api';
+
+/**
+ * Nodes added through addnode, with a form to add, remove or try connecting to nodes
+ * @param {Object} props
+ * @param {Date} props.lastUpdated - When the peer list was last updated; the added nodes are reloaded with it
+ */
+export default function AddedNodesPanel({ lastUpdated }) {
+  const [addedNodes, setAddedNodes] = useState([]);
+  const [address, setAddress] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const fetchAddedNodes = async () => {
+    try {
+      const response = await api.get('/bitcoin/addednodes');
+      setAddedNodes(response.data.nodes);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching added nodes:', err);
+      setError(`Failed to fetch added nodes: ${err.response?.data?.message || err.message}`);
+    }
+  };
+
+  useEffect(() => {
+    fetchAddedNodes();
+  }, [lastUpdated?.getTime()]);
+
+  // Run an added node action and show its result
+  const runAction = async (request) => {
+    try {
+      setSubmitting(true);
+      const response = await request();
+      setMessage(response.data.message);
+      setError(null);
+      await fetchAddedNodes();
+      return true;
+    } catch (err) {
+      console.error('Error updating added nodes:', err);
+      setMessage(null);
+      setError(err.response?.data?.message || err.message);
+      return false;
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleAdd = async (command) => {
+    if (!address.trim()) return;
+
+    if (await runAction(() => api.post('/bitcoin/addednodes', { address: address.trim(), command }))) {
+      setAddress('');
+    }
+  };
+
+  const handleRemove = (nodeAddress) => {
+    if (!window.confirm(`Remove ${nodeAddress} from the added nodes?`)) return;
+    runAction(() => api.post('/bitcoin/addednodes/remove', { address: nodeAddress }));
+  };
+
+  const handleReapply = () => runAction(() => api.post('/bitcoin/addednodes/reapply'));
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-lg font-semibold text-gray-700">Added Nodes</h2>
+        <button
+          onClick={handleReapply}
+          disabled={submitting}
+          className="px-3 py-1 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+          title="Add the saved nodes that the node doesn't know, e.g. after it restarted"
+        >
+          Re-apply Saved
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+
+      {message && (
+        <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mb-4">
+          {message}
+        </div>
+      )}
+
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          handleAdd('add');
+        }}
+        className="flex space-x-2 mb-4"
+      >
+        <input
+          type="text"
+          value={address}
+          onChange={(e) => setAddress(e.target.value)}
+          placeholder="e.g. 203.0.113.10:8333 or [2001:db8::1]:8333"
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 text-sm"
+        />
+        <button
+          type="submit"
+          disabled={submitting || !address.trim()}
+          className="px-4 py-2 bg-indigo-600 text-white rounded hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 text-sm"
+        >
+          Add
+        </button>
+        <button
+          type="button"
+          onClick={() => handleAdd('onetry')}
+          disabled={submitting || !address.trim()}
+          className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+          title="Connect once without adding the node"
+        >
+          Try Once
+        </button>
+      </form>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              {['Address', 'Status', 'Saved', 'Actions'].map((heading) => (
+                <th key={heading} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  {heading}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {addedNodes.map((node) => (
+              <tr key={node.address}>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                  {node.address}
+                  {node.addresses.length > 0 && (
+                    <div className="text-xs text-gray-500">
+                      {node.addresses.map((resolved) => resolved.address).join(', ')}
+                    </div>
+                  )}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm">
+                  {!node.added ? (
+                    <span className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-yellow-100 text-yellow-800">
+                      Not added on node
+                    </span>
+                  ) : node.connected ? (
+                    <span className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-green-100 text-green-800">
+                      Connected
+                    </span>
+                  ) : (
+                    <span className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-gray-100 text-gray-800">
+                      Not connected
+                    </span>
+                  )}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                  {node.persisted ? new Date(node.createdAt).toLocaleString() : 'No (added outside the manager)'}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                  <button
+                    onClick={() => handleRemove(node.address)}
+                    disabled={submitting}
+                    className="text-red-600 hover:text-red-900"
+                  >
+                    Remove
+                  </button>
+                </td>
+              </tr>
+            ))}
+            {addedNodes.length === 0 && (
+              <tr>
+                <td colSpan="4" className="px-6 py-4 text-center text-sm text-gray-500">
+                  No added nodes
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
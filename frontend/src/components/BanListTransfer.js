@@ -0,0 +1,225 @@
+'use client';
+
+import { useState, useRef } from 'react';
+import api from '../lib/api';
+
+// Formats the ban list is exported and imported in
+const FORMATS = [
+  { key: 'json', label: 'JSON', extension: 'json' },
+  { key: 'csv', label: 'CSV', extension: 'csv' },
+  { key: 'text', label: 'Text', extension: 'txt' }
+];
+
+/**
+ * Guess the format of a ban list file from its extension; anything unknown is read as plain text
+ * @param {string} name - File name
+ */
+const formatOf = (name) => {
+  const extension = name.split('.').pop().toLowerCase();
+  return FORMATS.find((format) => format.extension === extension)?.key || 'text';
+};
+
+/**
+ * Get the file name from a Content-Disposition header
+ */
+const filenameOf = (disposition, fallback) => disposition?.match(/filename="([^"]+)"/)?.[1] || fallback;
+
+/**
+ * Format a ban end time
+ * @param {number} bannedUntil - UNIX time in seconds
+ */
+const formatUntil = (bannedUntil) => new Date(bannedUntil * 1000).toLocaleString();
+
+/**
+ * Download the ban list, or upload one with a preview of what it would change before applying it
+ * @param {Object} props
+ * @param {Function} props.onImported - Called after a ban list was applied
+ */
+export default function BanListTransfer({ onImported }) {
+  const [pending, setPending] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const fileInput = useRef(null);
+
+  const handleExport = async (format) => {
+    try {
+      const response = await api.get('/bitcoin/peers/banned/export', { params: { format: format.key }, responseType: 'blob' });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filenameOf(response.headers['content-disposition'], `btcnman-bans.${format.extension}`);
+      link.click();
+      URL.revokeObjectURL(url);
+      setError(null);
+    } catch (err) {
+      console.error('Error exporting ban list:', err);
+      setError(`Failed to export ban list: ${err.message}`);
+    }
+  };
+
+  const handleFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      setWorking(true);
+      setMessage(null);
+      const upload = { name: file.name, format: formatOf(file.name), content: await file.text() };
+      const response = await api.post('/bitcoin/peers/banned/import', { format: upload.format, content: upload.content, dryRun: true });
+      setPending(upload);
+      setPreview(response.data);
+      setError(null);
+    } catch (err) {
+      console.error('Error previewing ban list import:', err);
+      setError(`Failed to read ${file.name}: ${err.response?.data?.message || err.message}`);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleApply = async () => {
+    try {
+      setWorking(true);
+      const response = await api.post('/bitcoin/peers/banned/import', { format: pending.format, content: pending.content });
+      const result = response.data;
+      setMessage(`Imported ${pending.name}: ${result.added.length} added, ${result.updated.length} updated, ${result.skipped.length} skipped`);
+      setError(result.failed.length > 0
+        ? `Failed to ban ${result.failed.map((failure) => `${failure.address} (${failure.message})`).join(', ')}`
+        : null);
+      setPending(null);
+      setPreview(null);
+      onImported?.();
+    } catch (err) {
+      console.error('Error importing ban list:', err);
+      setError(`Failed to import ban list: ${err.response?.data?.message || err.message}`);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleCancel = () => {
+    setPending(null);
+    setPreview(null);
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow space-y-4">
+      <div className="flex flex-wrap justify-between items-center gap-2">
+        <h2 className="text-lg font-semibold text-gray-700">Import / Export</h2>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <span className="text-gray-600">Download:</span>
+          {FORMATS.map((format) => (
+            <button
+              key={format.key}
+              onClick={() => handleExport(format)}
+              className="px-3 py-1 bg-gray-100 text-gray-700 rounded hover:bg-gray-200"
+            >
+              {format.label}
+            </button>
+          ))}
+          <button
+            onClick={() => fileInput.current.click()}
+            disabled={working}
+            className="px-3 py-1 bg-indigo-600 text-white rounded hover:bg-indigo-700 disabled:opacity-50"
+          >
+            Upload Ban List
+          </button>
+          <input
+            ref={fileInput}
+            type="file"
+            accept=".json,.csv,.txt,text/plain"
+            onChange={handleFile}
+            className="hidden"
+          />
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+          {error}
+        </div>
+      )}
+
+      {message && (
+        <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded">
+          {message}
+        </div>
+      )}
+
+      {preview && (
+        <div className="border border-gray-200 rounded p-4 space-y-3">
+          <p className="text-sm text-gray-700">
+            Importing <span className="font-medium">{pending.name}</span> would add {preview.added.length}, update{' '}
+            {preview.updated.length} and skip {preview.skipped.length} bans.
+          </p>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-xs">
+            <div>
+              <h3 className="text-sm font-medium text-gray-600 mb-1">Added</h3>
+              <ul className="divide-y divide-gray-100 max-h-64 overflow-y-auto">
+                {preview.added.map((item) => (
+                  <li key={item.address} className="py-1">
+                    <span className="text-gray-900">{item.address}</span>
+                    <div className="text-gray-500">Until {formatUntil(item.bannedUntil)}{item.reason && `; ${item.reason}`}</div>
+                  </li>
+                ))}
+                {preview.added.length === 0 && <li className="py-1 text-gray-500">None.</li>}
+              </ul>
+            </div>
+            <div>
+              <h3 className="text-sm font-medium text-gray-600 mb-1">Updated</h3>
+              <ul className="divide-y divide-gray-100 max-h-64 overflow-y-auto">
+                {preview.updated.map((item) => (
+                  <li key={item.address} className="py-1">
+                    <span className="text-gray-900">{item.address}</span>
+                    <div className="text-gray-500">
+                      Until {formatUntil(item.bannedUntil)} instead of {formatUntil(item.previousUntil)}
+                    </div>
+                  </li>
+                ))}
+                {preview.updated.length === 0 && <li className="py-1 text-gray-500">None.</li>}
+              </ul>
+            </div>
+            <div>
+              <h3 className="text-sm font-medium text-gray-600 mb-1">Skipped</h3>
+              <ul className="divide-y divide-gray-100 max-h-64 overflow-y-auto">
+                {preview.skipped.map((item, index) => (
+                  <li key={index} className="py-1">
+                    <span className="text-gray-900">{item.address || '(empty)'}</span>
+                    <div className="text-gray-500">{item.reason}</div>
+                  </li>
+                ))}
+                {preview.skipped.length === 0 && <li className="py-1 text-gray-500">None.</li>}
+              </ul>
+            </div>
+          </div>
+
+          <div className="flex justify-end space-x-2">
+            <button
+              onClick={handleCancel}
+              disabled={working}
+              className="px-4 py-2 bg-gray-100 text-gray-700 rounded hover:bg-gray-200 disabled:opacity-50"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleApply}
+              disabled={working || preview.added.length + preview.updated.length === 0}
+              className="px-4 py-2 bg-indigo-600 text-white rounded hover:bg-indigo-700 disabled:opacity-50"
+            >
+              {working ? 'Importing...' : 'Apply Import'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      <p className="text-xs text-gray-500">
+        JSON and CSV keep when each ban ends and why it was made; plain text is one address or subnet per line, with an
+        optional <code># reason</code>. Bans without an end time are imported for 24 hours.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,117 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import api from '../lib/api';
+
+/**
+ * Automatic disconnects of over-represented outbound peers and the risk score that triggers them
+ */
+export default function DiversitySettings() {
+  const [settings, setSettings] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    const fetchSettings = async () => {
+      try {
+        const response = await api.get('/settings/diversity');
+        setSettings(response.data);
+        setError(null);
+      } catch (err) {
+        console.error('Error fetching peer diversity settings:', err);
+        setError(`Failed to fetch peer diversity settings: ${err.response?.data?.message || err.message}`);
+      }
+    };
+
+    fetchSettings();
+  }, []);
+
+  const handleSave = async () => {
+    try {
+      setSubmitting(true);
+      const response = await api.put('/settings/diversity', {
+        autoDisconnect: settings.autoDisconnect,
+        // An empty field is sent as null so the backend rejects it instead of saving 0
+        threshold: settings.threshold === '' ? null : Number(settings.threshold)
+      });
+      setSettings(response.data);
+      setMessage('Peer diversity settings saved');
+      setError(null);
+    } catch (err) {
+      console.error('Error saving peer diversity settings:', err);
+      setMessage(null);
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow">
+      <h2 className="text-lg font-semibold mb-4">Peer Diversity</h2>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+
+      {message && (
+        <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mb-4">
+          {message}
+        </div>
+      )}
+
+      {!settings ? (
+        !error && <p className="text-sm text-gray-500">Loading...</p>
+      ) : (
+        <div className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="flex items-center">
+              <input
+                id="autoDisconnect"
+                type="checkbox"
+                checked={settings.autoDisconnect}
+                onChange={(e) => setSettings({ ...settings, autoDisconnect: e.target.checked })}
+                className="h-4 w-4 text-indigo-600 border-gray-300 rounded"
+              />
+              <label htmlFor="autoDisconnect" className="ml-2 block text-sm text-gray-700">
+                Disconnect over-represented outbound peers automatically
+              </label>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Eclipse Risk Threshold (0-100)
+              </label>
+              <input
+                type="number"
+                value={settings.threshold}
+                onChange={(e) => setSettings({ ...settings, threshold: e.target.value })}
+                min="0"
+                max="100"
+                className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm rounded-md"
+              />
+            </div>
+          </div>
+
+          <p className="text-xs text-gray-500">
+            Every 5 minutes the outbound peers of each node are checked for shared /16 (IPv4) or /32 (IPv6) netgroups
+            and crowded ASNs. When the risk score reaches the threshold, the newer peers of crowded groups are
+            disconnected so the node connects elsewhere.
+          </p>
+
+          <div className="flex justify-end">
+            <button
+              onClick={handleSave}
+              disabled={submitting}
+              className="px-4 py-2 bg-indigo-600 text-white rounded hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 disabled:opacity-50"
+            >
+              Save Peer Diversity
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
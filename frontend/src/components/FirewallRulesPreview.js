@@ -0,0 +1,94 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import api from '../lib/api';
+
+// Firewall rule formats, in the order of the tabs
+const FORMATS = [
+  { key: 'nftables', label: 'nftables' },
+  { key: 'iptables', label: 'iptables' },
+  { key: 'ipset', label: 'ipset' }
+];
+
+/**
+ * The ban list as nftables, iptables or ipset rules, so banned hosts can't even open a TCP connection
+ * @param {Object} props
+ * @param {Array} props.bannedPeers - The current ban list; the rules are regenerated when it changes
+ */
+export default function FirewallRulesPreview({ bannedPeers }) {
+  const [format, setFormat] = useState('nftables');
+  const [firewall, setFirewall] = useState(null);
+  const [error, setError] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    const fetchRules = async () => {
+      try {
+        const response = await api.get('/bitcoin/peers/banned/firewall', { params: { format } });
+        setFirewall(response.data);
+        setError(null);
+      } catch (err) {
+        console.error('Error fetching firewall rules:', err);
+        setError(err.response?.data?.message || err.message);
+      }
+    };
+
+    fetchRules();
+  }, [format, bannedPeers]);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(firewall.rules);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Error copying firewall rules:', err);
+    }
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow space-y-4">
+      <div className="flex flex-wrap justify-between items-center gap-2">
+        <h2 className="text-lg font-semibold text-gray-700">Firewall Rules</h2>
+        <div className="flex flex-wrap gap-1 text-sm">
+          {FORMATS.map((option) => (
+            <button
+              key={option.key}
+              onClick={() => setFormat(option.key)}
+              className={`px-2 py-1 rounded ${
+                format === option.key ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+          <button
+            onClick={handleCopy}
+            disabled={!firewall}
+            className="px-2 py-1 rounded bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-50"
+          >
+            {copied ? 'Copied' : 'Copy'}
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+          Failed to generate firewall rules: {error}
+        </div>
+      )}
+
+      {firewall && (
+        <pre className="bg-gray-900 text-gray-100 text-xs p-4 rounded overflow-x-auto max-h-96">{firewall.rules}</pre>
+      )}
+
+      <p className="text-xs text-gray-500">
+        bitcoind still accepts TCP connections from banned hosts before dropping them; these rules drop them at the
+        firewall instead.{' '}
+        {firewall?.autoWrite
+          ? `Rules in ${firewall.autoWrite.format} format are written to ${firewall.autoWrite.path} whenever the ban list changes.`
+          : 'Set FIREWALL_RULES_PATH in the backend .env to write them to a file whenever the ban list changes.'}
+      </p>
+    </div>
+  );
+}
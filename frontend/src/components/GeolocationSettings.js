@@ -0,0 +1,161 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import api from '../lib/api';
+
+// Display names of the geolocation providers
+const PROVIDER_LABELS = {
+  maxmind: 'MaxMind database (offline)',
+  ipapi: 'ip-api.com (online)'
+};
+
+/**
+ * Format a MaxMind database build date
+ * @param {string|null} date - The build date reported by the backend
+ */
+const formatBuildDate = (date) => (date ? new Date(date).toLocaleDateString() : 'Not loaded');
+
+/**
+ * Geolocation provider selection, with the state of each provider and a refresh of stored lookups
+ */
+export default function GeolocationSettings() {
+  const [settings, setSettings] = useState(null);
+  const [provider, setProvider] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const fetchSettings = async () => {
+    try {
+      const response = await api.get('/settings/geolocation');
+      setSettings(response.data);
+      setProvider(response.data.provider);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching geolocation settings:', err);
+      setError(`Failed to fetch geolocation settings: ${err.response?.data?.message || err.message}`);
+    }
+  };
+
+  useEffect(() => {
+    fetchSettings();
+  }, []);
+
+  const handleSave = async () => {
+    try {
+      setSubmitting(true);
+      const response = await api.put('/settings/geolocation', { provider });
+      setSettings(response.data);
+      setMessage(`Geolocation provider set to ${PROVIDER_LABELS[provider] || provider}`);
+      setError(null);
+    } catch (err) {
+      console.error('Error saving geolocation provider:', err);
+      setMessage(null);
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRefresh = async () => {
+    try {
+      setSubmitting(true);
+      const response = await api.post('/settings/geolocation/refresh');
+      setMessage(`Updated ${response.data.updated} stored locations, removed ${response.data.removed}`);
+      setError(null);
+      await fetchSettings();
+    } catch (err) {
+      console.error('Error refreshing geolocation data:', err);
+      setMessage(null);
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow">
+      <h2 className="text-lg font-semibold mb-4">Geolocation</h2>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+
+      {message && (
+        <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mb-4">
+          {message}
+        </div>
+      )}
+
+      {!settings ? (
+        !error && <p className="text-sm text-gray-500">Loading...</p>
+      ) : (
+        <div className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Provider
+              </label>
+              <select
+                value={provider}
+                onChange={(e) => setProvider(e.target.value)}
+                className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm rounded-md"
+              >
+                {settings.providers.map((p) => (
+                  <option key={p.name} value={p.name} disabled={!p.available}>
+                    {PROVIDER_LABELS[p.name] || p.name}{p.available ? '' : ' - unavailable'}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <ul className="text-sm text-gray-600 space-y-1">
+            {settings.providers.map((p) => (
+              <li key={p.name}>
+                <span className="font-medium">{PROVIDER_LABELS[p.name] || p.name}:</span>{' '}
+                {p.available ? 'Available' : p.error}
+                {' '}({settings.storedLookups[p.name] || 0} stored locations)
+              </li>
+            ))}
+          </ul>
+
+          {settings.maxmind.cityDb && (
+            <div className="text-sm text-gray-600 space-y-1">
+              <p>City database: {settings.maxmind.cityDb} (built {formatBuildDate(settings.maxmind.cityBuildDate)})</p>
+              <p>
+                ASN database: {settings.maxmind.asnDb
+                  ? `${settings.maxmind.asnDb} (built ${formatBuildDate(settings.maxmind.asnBuildDate)})`
+                  : 'Not configured; ISP and AS are left empty'}
+              </p>
+            </div>
+          )}
+
+          <p className="text-xs text-gray-500">
+            ip-api.com receives the IP address of every peer that is looked up. The MaxMind database keeps lookups
+            on this machine; stored locations are refreshed when the database file is replaced.
+          </p>
+
+          <div className="flex justify-end space-x-2">
+            <button
+              onClick={handleRefresh}
+              disabled={submitting}
+              className="px-4 py-2 border border-gray-300 rounded text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+            >
+              Refresh Stored Locations
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={submitting || provider === settings.provider}
+              className="px-4 py-2 bg-indigo-600 text-white rounded hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 disabled:opacity-50"
+            >
+              Save Provider
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
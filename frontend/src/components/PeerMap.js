@@ -1,6 +1,7 @@
 'use client';
 
 import { useEffect, useRef } from 'react';
+import { isOverlayNetwork, networkLabel } from '../lib/address';
 
 export default function PeerMap({ peers }) {
   const mapRef = useRef(null);
@@ -50,6 +51,7 @@ export default function PeerMap({ peers }) {
             .bindPopup(`
               <strong>${peer.addr}</strong><br>
               ${peer.geolocation.city}, ${peer.geolocation.country}<br>
+              ${networkLabel(peer.network)}<br>
               ${peer.outbound ? 'Outbound' : 'Inbound'}<br>
               ${peer.subver}
             `);
@@ -81,9 +83,25 @@ export default function PeerMap({ peers }) {
     };
   }, [peers]);
 
+  // Tor, I2P and CJDNS peers have no location, so they're counted next to the map instead
+  const overlayCounts = (peers || []).reduce((counts, peer) => {
+    if (isOverlayNetwork(peer.network)) {
+      counts[peer.network] = (counts[peer.network] || 0) + 1;
+    }
+    return counts;
+  }, {});
+
   return (
-    <div className="w-full h-full rounded-lg overflow-hidden">
+    <div className="w-full h-full rounded-lg overflow-hidden relative">
       <div ref={mapRef} className="h-full w-full" />
+      {Object.keys(overlayCounts).length > 0 && (
+        <div className="absolute bottom-2 left-2 z-[1000] bg-white bg-opacity-90 rounded shadow px-2 py-1 text-xs text-gray-700">
+          Not on the map:{' '}
+          {Object.entries(overlayCounts)
+            .map(([network, count]) => `${count} ${networkLabel(network)}`)
+            .join(', ')}
+        </div>
+      )}
     </div>
   );
 }
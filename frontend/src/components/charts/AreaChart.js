@@ -37,6 +37,7 @@ ChartJS.register(
  * @param {string} props.backgroundColor - The background color for the area
  * @param {Object} props.options - Additional Chart.js options
  * @param {Function} props.onClick - Function to call when a data point is clicked
+ * @param {Array} props.datasets - Several areas to show instead of data, each with label, data and colors
  */
 const AreaChart = ({
   data,
@@ -45,20 +46,23 @@ const AreaChart = ({
   borderColor = 'rgba(54, 162, 235, 1)',
   backgroundColor = 'rgba(54, 162, 235, 0.2)',
   options = {},
-  onClick = null
+  onClick = null,
+  datasets = null
 }) => {
   const chartData = {
     labels,
-    datasets: [
-      {
-        label,
-        data,
-        borderColor,
-        backgroundColor,
-        fill: true,
-        tension: 0.4
-      }
-    ]
+    datasets: datasets
+      ? datasets.map(dataset => ({ fill: true, tension: 0.4, ...dataset }))
+      : [
+        {
+          label,
+          data,
+          borderColor,
+          backgroundColor,
+          fill: true,
+          tension: 0.4
+        }
+      ]
   };
 
   const defaultOptions = {
@@ -87,7 +91,7 @@ const AreaChart = ({
     onClick: onClick ? (event, elements) => {
       if (elements.length > 0) {
         const index = elements[0].index;
-        onClick(index, labels[index], data[index]);
+        onClick(index, labels[index], datasets ? datasets.map(dataset => dataset.data[index]) : data[index]);
       }
     } : undefined
   };
@@ -36,6 +36,7 @@ ChartJS.register(
  * @param {boolean} props.fill - Whether to fill the area under the line
  * @param {Object} props.options - Additional Chart.js options
  * @param {Function} props.onClick - Function to call when a data point is clicked
+ * @param {Array} props.datasets - Several lines to show instead of data, each with label, data and colors
  */
 const LineChart = ({
   data,
@@ -45,20 +46,23 @@ const LineChart = ({
   backgroundColor = 'rgba(52, 152, 219, 0.2)',
   fill = false,
   options = {},
-  onClick = null
+  onClick = null,
+  datasets = null
 }) => {
   const chartData = {
     labels,
-    datasets: [
-      {
-        label,
-        data,
-        borderColor,
-        backgroundColor,
-        fill,
-        tension: 0.1
-      }
-    ]
+    datasets: datasets
+      ? datasets.map(dataset => ({ fill, tension: 0.1, ...dataset }))
+      : [
+        {
+          label,
+          data,
+          borderColor,
+          backgroundColor,
+          fill,
+          tension: 0.1
+        }
+      ]
   };
 
   const defaultOptions = {
@@ -87,7 +91,7 @@ const LineChart = ({
     onClick: onClick ? (event, elements) => {
       if (elements.length > 0) {
         const index = elements[0].index;
-        onClick(index, labels[index], data[index]);
+        onClick(index, labels[index], datasets ? datasets.map(dataset => dataset.data[index]) : data[index]);
       }
     } : undefined
   };
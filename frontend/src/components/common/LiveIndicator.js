@@ -0,0 +1,22 @@
+'use client';
+
+import React from 'react';
+
+/**
+ * Shows whether a page receives live updates from the backend
+ */
+const LiveIndicator = ({ connected }) => {
+  return (
+    <span
+      title={connected ? 'Updates are pushed as they happen' : 'Live updates are unavailable; use Refresh to update'}
+      className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${
+        connected ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'
+      }`}
+    >
+      <span className={`h-2 w-2 rounded-full mr-1 ${connected ? 'bg-green-500' : 'bg-gray-400'}`}></span>
+      {connected ? 'Live' : 'Offline'}
+    </span>
+  );
+};
+
+export default LiveIndicator;
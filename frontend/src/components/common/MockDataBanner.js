@@ -0,0 +1,35 @@
+'use client';
+
+import React from 'react';
+
+/**
+ * Warning shown above data that did not come from the Bitcoin node
+ * Renders nothing unless the API response's source is 'mock'
+ */
+const MockDataBanner = ({ source, sourceError, className = '' }) => {
+  if (source !== 'mock') {
+    return null;
+  }
+
+  return (
+    <div className={`bg-yellow-100 border-l-4 border-yellow-500 text-yellow-800 px-4 py-3 rounded ${className}`} role="alert">
+      {sourceError ? (
+        <>
+          <p className="font-bold">Node unreachable, showing mock data</p>
+          <p className="text-sm">
+            The values below are not real and must not be acted on. Cause: {sourceError}
+          </p>
+        </>
+      ) : (
+        <>
+          <p className="font-bold">Showing mock data</p>
+          <p className="text-sm">
+            The backend runs with USE_MOCK enabled, so no data comes from a Bitcoin node.
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default MockDataBanner;
@@ -3,6 +3,7 @@
 import React, { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
 import api from '../../lib/api';
+import MockDataBanner from '../common/MockDataBanner';
 import Pagination from '../common/Pagination';
 
 const AddressDetails = ({ address }) => {
@@ -12,6 +13,7 @@ const AddressDetails = ({ address }) => {
   const [page, setPage] = useState(1);
   const [totalPages, setTotalPages] = useState(1);
   const [lastUpdated, setLastUpdated] = useState(null);
+  const [dataSource, setDataSource] = useState({ source: null, sourceError: null });
   const router = useRouter();
 
   const limit = 10; // Number of transactions per page
@@ -25,6 +27,7 @@ const AddressDetails = ({ address }) => {
 
       setAddressData(response.data.address);
       setLastUpdated(new Date(response.data.lastUpdated));
+      setDataSource({ source: response.data.source, sourceError: response.data.sourceError });
 
       // Calculate total pages
       const total = response.data.total;
@@ -93,6 +96,8 @@ const AddressDetails = ({ address }) => {
 
   return (
     <div className="bg-white rounded-lg shadow p-6">
+      <MockDataBanner source={dataSource.source} sourceError={dataSource.sourceError} className="mb-4" />
+
       <div className="flex justify-between items-center mb-4">
         <h2 className="text-xl font-semibold">Address Details</h2>
         <div className="flex items-center space-x-2">
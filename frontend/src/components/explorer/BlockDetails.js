@@ -3,6 +3,7 @@
 import React, { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
 import api from '../../lib/api';
+import MockDataBanner from '../common/MockDataBanner';
 import Pagination from '../common/Pagination';
 
 const BlockDetails = ({ blockHash }) => {
@@ -12,6 +13,7 @@ const BlockDetails = ({ blockHash }) => {
   const [page, setPage] = useState(1);
   const [totalPages, setTotalPages] = useState(1);
   const [lastUpdated, setLastUpdated] = useState(null);
+  const [dataSource, setDataSource] = useState({ source: null, sourceError: null });
   const [displayedTransactions, setDisplayedTransactions] = useState([]);
   const router = useRouter();
 
@@ -26,6 +28,7 @@ const BlockDetails = ({ blockHash }) => {
 
       setBlock(response.data.block);
       setLastUpdated(new Date(response.data.lastUpdated));
+      setDataSource({ source: response.data.source, sourceError: response.data.sourceError });
 
       // Calculate total pages for transactions
       const txCount = response.data.block.tx.length;
@@ -108,6 +111,8 @@ const BlockDetails = ({ blockHash }) => {
 
   return (
     <div className="bg-white rounded-lg shadow p-6">
+      <MockDataBanner source={dataSource.source} sourceError={dataSource.sourceError} className="mb-4" />
+
       <div className="flex justify-between items-center mb-4">
         <h2 className="text-xl font-semibold">Block Details</h2>
         <div className="flex items-center space-x-2">
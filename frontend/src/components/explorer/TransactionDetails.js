@@ -3,12 +3,14 @@
 import React, { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
 import api from '../../lib/api';
+import MockDataBanner from '../common/MockDataBanner';
 
 const TransactionDetails = ({ txid }) => {
   const [transaction, setTransaction] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [lastUpdated, setLastUpdated] = useState(null);
+  const [dataSource, setDataSource] = useState({ source: null, sourceError: null });
   const router = useRouter();
 
   const fetchTransactionDetails = async (useCache = true) => {
@@ -20,6 +22,7 @@ const TransactionDetails = ({ txid }) => {
 
       setTransaction(response.data.transaction);
       setLastUpdated(new Date(response.data.lastUpdated));
+      setDataSource({ source: response.data.source, sourceError: response.data.sourceError });
     } catch (err) {
       console.error('Error fetching transaction details:', err);
       setError(err.message || 'Failed to fetch transaction details');
@@ -96,6 +99,8 @@ const TransactionDetails = ({ txid }) => {
 
   return (
     <div className="bg-white rounded-lg shadow p-6">
+      <MockDataBanner source={dataSource.source} sourceError={dataSource.sourceError} className="mb-4" />
+
       <div className="flex justify-between items-center mb-4">
         <h2 className="text-xl font-semibold">Transaction Details</h2>
         <div className="flex items-center space-x-2">
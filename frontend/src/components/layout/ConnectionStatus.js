@@ -0,0 +1,78 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import api from '../../lib/api';
+
+// How often to refresh the connection status (30 seconds)
+const REFRESH_INTERVAL = 30 * 1000;
+
+const pillStyles = {
+  connected: 'bg-green-100 text-green-800',
+  degraded: 'bg-yellow-100 text-yellow-800',
+  down: 'bg-red-100 text-red-800',
+  mock: 'bg-gray-100 text-gray-800'
+};
+
+const dotStyles = {
+  connected: 'bg-green-500',
+  degraded: 'bg-yellow-500',
+  down: 'bg-red-500',
+  mock: 'bg-gray-500'
+};
+
+const labels = {
+  connected: 'Connected',
+  degraded: 'Degraded',
+  down: 'Down',
+  mock: 'Mock data'
+};
+
+export default function ConnectionStatus() {
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    const fetchStatus = async () => {
+      if (typeof window === 'undefined' || !localStorage.getItem('token')) return;
+
+      try {
+        const response = await api.get('/bitcoin/connection');
+        setStatus(response.data);
+      } catch (err) {
+        console.error('Error fetching connection status:', err);
+        setStatus({
+          state: 'down',
+          lastErrorMessage: err.response?.data?.message || err.message
+        });
+      }
+    };
+
+    fetchStatus();
+    const intervalId = setInterval(fetchStatus, REFRESH_INTERVAL);
+
+    return () => clearInterval(intervalId);
+  }, []);
+
+  if (!status) {
+    return null;
+  }
+
+  const state = status.source === 'mock' ? 'mock' : status.state;
+
+  // Details shown on hover
+  const details = [
+    status.lastSuccess && `Last success: ${new Date(status.lastSuccess).toLocaleString()}`,
+    status.lastError && `Last error: ${new Date(status.lastError).toLocaleString()}`,
+    status.lastErrorMessage && state !== 'connected' && `Error: ${status.lastErrorMessage}`,
+    status.nextProbeAt && `Next reconnect attempt: ${new Date(status.nextProbeAt).toLocaleTimeString()}`
+  ].filter(Boolean).join('\n');
+
+  return (
+    <span
+      title={details || undefined}
+      className={`ml-4 inline-flex items-center px-3 py-1 rounded-full text-xs font-medium ${pillStyles[state]}`}
+    >
+      <span className={`h-2 w-2 rounded-full mr-2 ${dotStyles[state]}`}></span>
+      {labels[state]}
+    </span>
+  );
+}
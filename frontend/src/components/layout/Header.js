@@ -2,6 +2,8 @@
 
 import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
+import NodeSwitcher from './NodeSwitcher';
+import ConnectionStatus from './ConnectionStatus';
 
 export default function Header() {
   const [user, setUser] = useState(null);
@@ -26,7 +28,11 @@ export default function Header() {
 
   return (
     <header className="bg-white shadow">
-      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 flex justify-end items-center">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 flex justify-between items-center">
+        <div className="flex items-center">
+          {user && <NodeSwitcher />}
+          {user && <ConnectionStatus />}
+        </div>
         <div className="flex items-center">
           {user && (
             <>
@@ -0,0 +1,65 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import api from '../../lib/api';
+
+export default function NodeSwitcher() {
+  const [nodes, setNodes] = useState([]);
+  const [selectedNodeId, setSelectedNodeId] = useState('');
+
+  useEffect(() => {
+    const fetchNodes = async () => {
+      if (typeof window === 'undefined' || !localStorage.getItem('token')) return;
+
+      setSelectedNodeId(localStorage.getItem('selectedNodeId') || '');
+
+      try {
+        const response = await api.get('/nodes');
+        setNodes(response.data);
+      } catch (err) {
+        console.error('Error fetching nodes:', err);
+      }
+    };
+
+    fetchNodes();
+  }, []);
+
+  const handleChange = (e) => {
+    const nodeId = e.target.value;
+
+    if (nodeId) {
+      localStorage.setItem('selectedNodeId', nodeId);
+    } else {
+      localStorage.removeItem('selectedNodeId');
+    }
+
+    // Reload so every page fetches data from the newly selected node
+    window.location.reload();
+  };
+
+  // Nothing to switch between until nodes are registered
+  if (nodes.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="flex items-center">
+      <label htmlFor="node-switcher" className="mr-2 text-sm text-gray-600">
+        Node
+      </label>
+      <select
+        id="node-switcher"
+        value={selectedNodeId}
+        onChange={handleChange}
+        className="rounded-md border border-gray-300 shadow-sm px-3 py-1 text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+      >
+        <option value="">Default node</option>
+        {nodes.map((node) => (
+          <option key={node.id} value={node.id} disabled={!node.isActive}>
+            {node.name}{node.isActive ? '' : ' (inactive)'}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
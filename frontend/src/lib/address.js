@@ -0,0 +1,90 @@
+// Display names of the networks getpeerinfo reports
+const NETWORK_LABELS = {
+  ipv4: 'IPv4',
+  ipv6: 'IPv6',
+  onion: 'Tor',
+  i2p: 'I2P',
+  cjdns: 'CJDNS',
+  not_publicly_routable: 'Private'
+};
+
+/**
+ * Split a peer address into host and port
+ * Handles 1.2.3.4:8333, [2001:db8::1]:8333, bare IPv6 addresses and .onion/.b32.i2p hosts
+ * @param {string} addr - The address, e.g. peer.addr
+ * @returns {{ host: string, port: number|null }}
+ */
+export function parseAddress(addr) {
+  const bracketed = addr.match(/^\[([^\]]+)\](?::(\d+))?$/);
+  if (bracketed) {
+    return { host: bracketed[1], port: bracketed[2] !== undefined ? Number(bracketed[2]) : null };
+  }
+
+  // A single colon separates the port; several mean an IPv6 address without one
+  const separator = addr.lastIndexOf(':');
+  if (separator !== -1 && addr.indexOf(':') === separator) {
+    return { host: addr.slice(0, separator), port: Number(addr.slice(separator + 1)) };
+  }
+
+  return { host: addr, port: null };
+}
+
+/**
+ * Check whether a network's peers have no geographic location (Tor, I2P and CJDNS)
+ * @param {string} network - The network reported by the backend
+ */
+export function isOverlayNetwork(network) {
+  return network === 'onion' || network === 'i2p' || network === 'cjdns';
+}
+
+/**
+ * Check whether peers on a network can be banned; setban only takes IP addresses
+ * @param {string} network - The network reported by the backend
+ */
+export function isBannableNetwork(network) {
+  return network !== 'onion' && network !== 'i2p';
+}
+
+/**
+ * Get the display name of a network
+ * @param {string} network - The network reported by the backend
+ */
+export function networkLabel(network) {
+  return NETWORK_LABELS[network] || network || 'Unknown';
+}
+
+/**
+ * Expand an IPv6 address to its eight groups
+ * @returns {number[]|null} The groups, or null if the address isn't IPv6
+ */
+const expandIPv6 = (ip) => {
+  if (!ip.includes(':') || !/^[0-9a-fA-F:]+$/.test(ip)) return null;
+
+  const [head, tail] = ip.includes('::') ? ip.split('::') : [ip, null];
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const missing = 8 - headGroups.length - tailGroups.length;
+
+  if (missing < 0 || (tail === null && missing !== 0)) return null;
+
+  return [...headGroups, ...new Array(missing).fill('0'), ...tailGroups].map((group) => parseInt(group, 16));
+};
+
+/**
+ * Suggest the subnet to ban along with an address: its /24 (IPv4) or /48 (IPv6)
+ * @param {string} host - The IP address without port
+ * @returns {string|null} The subnet, or null for addresses that aren't IPv4 or IPv6
+ */
+export function suggestSubnet(host) {
+  const ipv4 = host.match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.\d{1,3}$/);
+  if (ipv4) {
+    return `${ipv4[1]}.${ipv4[2]}.${ipv4[3]}.0/24`;
+  }
+
+  const groups = expandIPv6(host);
+  if (groups) {
+    return `${groups.slice(0, 3).map((group) => group.toString(16)).join(':')}::/48`;
+  }
+
+  return null;
+}
@@ -20,6 +20,12 @@ api.interceptors.request.use(
       if (token) {
         config.headers.Authorization = `Bearer ${token}`;
       }
+
+      // Scope requests to the node selected in the node switcher
+      const nodeId = localStorage.getItem('selectedNodeId');
+      if (nodeId) {
+        config.headers['X-Node-Id'] = nodeId;
+      }
     }
     return config;
   },
@@ -39,6 +45,13 @@ api.interceptors.response.use(
       console.error('Request timed out. Consider increasing the timeout value.');
     }
     
+    // Clear a selected node that no longer exists
+    if (error.response && error.response.status === 404 &&
+        error.response.data?.message === 'Node not found' &&
+        typeof window !== 'undefined') {
+      localStorage.removeItem('selectedNodeId');
+    }
+
     // Handle authentication errors
     if (error.response && error.response.status === 401) {
       // Redirect to login page if we're in the browser
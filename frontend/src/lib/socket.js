@@ -0,0 +1,84 @@
+'use client';
+
+import { useEffect, useRef, useState } from 'react';
+import { io } from 'socket.io-client';
+
+// Socket.io connects to the backend directly, since the Next.js API proxy doesn't carry WebSockets
+const getSocketUrl = () =>
+  process.env.NEXT_PUBLIC_SOCKET_URL || `${window.location.protocol}//${window.location.hostname}:3001`;
+
+// One connection shared by every page
+let socket = null;
+
+/**
+ * Get the shared Socket.io connection, opening it on first use
+ * The JWT is read on every (re)connect, so a new login is picked up
+ */
+export function getSocket() {
+  if (!socket) {
+    socket = io(getSocketUrl(), {
+      auth: (cb) => cb({ token: localStorage.getItem('token') })
+    });
+
+    socket.on('connect_error', (err) => {
+      console.error('Live updates connection error:', err.message);
+    });
+  }
+
+  return socket;
+}
+
+/**
+ * Subscribe to live update channels of the selected node while the component is mounted
+ * @param {string[]} channels Channels to subscribe to, e.g. ['node'] or ['peers', 'bans']
+ * @param {Object} handlers Event handlers by event name, e.g. { 'peers:diff': (diff) => ... }
+ * @returns {boolean} Whether live updates are connected
+ */
+export function useLiveChannel(channels, handlers) {
+  const [connected, setConnected] = useState(false);
+
+  // Keep the latest handlers without resubscribing on every render
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  const channelKey = channels.join(',');
+
+  useEffect(() => {
+    if (typeof window === 'undefined' || !localStorage.getItem('token')) return;
+
+    const liveSocket = getSocket();
+    const nodeId = localStorage.getItem('selectedNodeId');
+
+    // Subscriptions are lost on reconnect, so subscribe on every connect
+    const subscribe = () => {
+      liveSocket.emit('subscribe', { channels, nodeId }, (result) => {
+        if (result?.error) {
+          console.error('Error subscribing to live updates:', result.error);
+        }
+      });
+      setConnected(true);
+    };
+    const handleDisconnect = () => setConnected(false);
+
+    const listeners = Object.keys(handlersRef.current).map((event) => {
+      const listener = (data) => handlersRef.current[event]?.(data);
+      liveSocket.on(event, listener);
+      return [event, listener];
+    });
+
+    liveSocket.on('connect', subscribe);
+    liveSocket.on('disconnect', handleDisconnect);
+    if (liveSocket.connected) {
+      subscribe();
+    }
+
+    return () => {
+      liveSocket.emit('unsubscribe', { channels });
+      liveSocket.off('connect', subscribe);
+      liveSocket.off('disconnect', handleDisconnect);
+      listeners.forEach(([event, listener]) => liveSocket.off(event, listener));
+    };
+  }, [channelKey]);
+
+  return connected;
+}